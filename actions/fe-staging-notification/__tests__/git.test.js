@@ -1,8 +1,13 @@
 import { tmpdir } from 'os';
 import { join } from 'path';
+import { execFileSync } from 'child_process';
 import { unlinkSync, mkdtempSync, writeFileSync } from 'fs';
-import { it, expect, describe, afterEach, beforeEach } from 'vitest';
-import { getBranchName } from '../src/git.js';
+import { it, vi, expect, describe, afterEach, beforeEach } from 'vitest';
+import { getBranchName, getBranchCommitMessages } from '../src/git.js';
+
+vi.mock('child_process', () => ({
+  execFileSync: vi.fn(),
+}));
 
 describe('git', () => {
   describe('getBranchName', () => {
@@ -101,4 +106,52 @@ describe('git', () => {
       expect(getBranchName()).toBe('fallback-branch');
     });
   });
+
+  describe('getBranchCommitMessages', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('should fetch the base branch and split NUL separated messages', () => {
+      execFileSync.mockImplementation((command, args) => {
+        if (args[0] === 'log') {
+          return 'feat: one IL-1\n\nbody IL-2\n\0\nfix: two\n\0\n';
+        }
+
+        return '';
+      });
+
+      expect(getBranchCommitMessages('dev')).toEqual(['feat: one IL-1\n\nbody IL-2', 'fix: two']);
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git',
+        ['fetch', 'origin', 'dev', '--quiet'],
+        expect.any(Object)
+      );
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git',
+        ['log', 'origin/dev..HEAD', '--format=%B%x00'],
+        expect.any(Object)
+      );
+    });
+
+    it('should still read commits when fetching fails', () => {
+      execFileSync.mockImplementation((command, args) => {
+        if (args[0] === 'fetch') {
+          throw new Error('could not read from remote');
+        }
+
+        return 'fix: two\0';
+      });
+
+      expect(getBranchCommitMessages()).toEqual(['fix: two']);
+    });
+
+    it('should return empty array when git log fails', () => {
+      execFileSync.mockImplementation(() => {
+        throw new Error('unknown revision origin/dev..HEAD');
+      });
+
+      expect(getBranchCommitMessages()).toEqual([]);
+    });
+  });
 });
@@ -0,0 +1,125 @@
+import { execFileSync } from 'child_process';
+import { it, vi, expect, describe, beforeEach } from 'vitest';
+import {
+  mergeTickets,
+  createTicketRegex,
+  generateJiraLinks,
+  extractJiraTickets,
+  extractTicketsFromText,
+} from '../src/jira.js';
+
+vi.mock('child_process', () => ({
+  execFileSync: vi.fn(),
+}));
+
+describe('jira', () => {
+  describe('createTicketRegex', () => {
+    it('should match IL tickets by default', () => {
+      expect('fix: copy (IL-2360)'.match(createTicketRegex())).toEqual(['IL-2360']);
+    });
+
+    it('should support alternative project keys', () => {
+      const text = 'IL-1 OPS-22 FE-3';
+      expect(text.match(createTicketRegex('IL|OPS'))).toEqual(['IL-1', 'OPS-22']);
+    });
+
+    it('should not match keys embedded in longer words', () => {
+      expect('FIL-123 IL-12a'.match(createTicketRegex())).toBeNull();
+    });
+
+    it('should throw a clear error for invalid patterns', () => {
+      expect(() => createTicketRegex('IL(')).toThrow('Invalid Jira project pattern "IL("');
+    });
+  });
+
+  describe('extractTicketsFromText', () => {
+    it('should extract unique tickets in order of appearance', () => {
+      const text = 'feat: seda pricefeed - IL-2390\nfix: copy (IL-2360)\nchore: IL-2390 follow up';
+      expect(extractTicketsFromText(text)).toEqual(['IL-2390', 'IL-2360']);
+    });
+
+    it('should upper-case tickets from branch names', () => {
+      expect(extractTicketsFromText('feat/il-2390-seda-pricefeed')).toEqual(['IL-2390']);
+    });
+
+    it('should extract tickets from Slack links', () => {
+      const text =
+        '*Jira:* <https://injectivelabs.atlassian.net/browse/IL-1|IL-1>, <https://injectivelabs.atlassian.net/browse/IL-2|IL-2>';
+      expect(extractTicketsFromText(text)).toEqual(['IL-1', 'IL-2']);
+    });
+
+    it('should return empty array for empty input', () => {
+      expect(extractTicketsFromText('')).toEqual([]);
+      expect(extractTicketsFromText(undefined)).toEqual([]);
+      expect(extractTicketsFromText('chore: package bump')).toEqual([]);
+    });
+  });
+
+  describe('extractJiraTickets', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+    });
+
+    it('should combine tickets from the branch name and commit messages', () => {
+      execFileSync.mockImplementation((command, args) =>
+        args[0] === 'log' ? 'feat: seda IL-2390\0fix: copy (IL-2360)\0' : ''
+      );
+
+      expect(extractJiraTickets({ branchName: 'feat/il-2400-megavault' })).toEqual([
+        'IL-2400',
+        'IL-2390',
+        'IL-2360',
+      ]);
+    });
+
+    it('should pass the base branch and project pattern through', () => {
+      execFileSync.mockImplementation((command, args) =>
+        args[0] === 'log' ? 'fix: OPS-7 and IL-8\0' : ''
+      );
+
+      expect(
+        extractJiraTickets({ branchName: 'main', baseBranch: 'main', projectPattern: 'OPS' })
+      ).toEqual(['OPS-7']);
+      expect(execFileSync).toHaveBeenCalledWith(
+        'git',
+        ['log', 'origin/main..HEAD', '--format=%B%x00'],
+        expect.any(Object)
+      );
+    });
+  });
+
+  describe('mergeTickets', () => {
+    it('should append only tickets that are not listed yet', () => {
+      expect(mergeTickets(['IL-1', 'IL-2'], ['IL-2', 'IL-3'])).toEqual({
+        all: ['IL-1', 'IL-2', 'IL-3'],
+        added: ['IL-3'],
+      });
+    });
+
+    it('should handle no existing tickets', () => {
+      expect(mergeTickets([], ['IL-1'])).toEqual({ all: ['IL-1'], added: ['IL-1'] });
+    });
+
+    it('should handle no new tickets', () => {
+      expect(mergeTickets(['IL-1'], ['IL-1'])).toEqual({ all: ['IL-1'], added: [] });
+    });
+  });
+
+  describe('generateJiraLinks', () => {
+    it('should format tickets as Slack links', () => {
+      expect(generateJiraLinks(['IL-1', 'IL-2'])).toBe(
+        '<https://injectivelabs.atlassian.net/browse/IL-1|IL-1>, <https://injectivelabs.atlassian.net/browse/IL-2|IL-2>'
+      );
+    });
+
+    it('should use the configured base URL', () => {
+      expect(generateJiraLinks(['OPS-7'], 'https://jira.example.com/')).toBe(
+        '<https://jira.example.com/browse/OPS-7|OPS-7>'
+      );
+    });
+
+    it('should return empty string when there are no tickets', () => {
+      expect(generateJiraLinks([])).toBe('');
+    });
+  });
+});
@@ -1,7 +1,11 @@
 import { it, vi, expect, describe, afterEach, beforeEach } from 'vitest';
 import {
   sleep,
+  postMessage,
   slackRequest,
+  updateMessage,
+  replaceJiraLine,
+  postThreadReply,
   isRetryableError,
 } from '../src/slack.js';
 
@@ -175,4 +179,118 @@ describe('slack', () => {
       expect(writeWasCalled).toBe(false);
     });
   });
+
+  describe('replaceJiraLine', () => {
+    const links = '<https://jira/browse/IL-1|IL-1>, <https://jira/browse/IL-2|IL-2>';
+
+    it('should replace an existing Jira line', () => {
+      const text = '*Branch:* `feat/x`\n*Jira:* <https://jira/browse/IL-1|IL-1>\n*Author:* dev';
+
+      expect(replaceJiraLine(text, links)).toBe(
+        `*Branch:* \`feat/x\`\n*Jira:* ${links}\n*Author:* dev`
+      );
+    });
+
+    it('should append a Jira line when missing', () => {
+      expect(replaceJiraLine('*Branch:* `feat/x`\n', links)).toBe(
+        `*Branch:* \`feat/x\`\n*Jira:* ${links}`
+      );
+    });
+
+    it('should leave the text untouched without links', () => {
+      expect(replaceJiraLine('*Branch:* `feat/x`', '')).toBe('*Branch:* `feat/x`');
+    });
+  });
+
+  describe('message text', () => {
+    let sentBodies;
+
+    beforeEach(() => {
+      vi.clearAllMocks();
+      sentBodies = [];
+
+      https.request.mockImplementation((options, callback) => {
+        const res = {
+          on: (event, handler) => {
+            if (event === 'data') {handler(JSON.stringify({ ok: true, ts: '1.2', channel: 'C1' }));}
+            if (event === 'end') {handler();}
+          },
+        };
+        callback(res);
+
+        return {
+          on: vi.fn(),
+          setTimeout: vi.fn(),
+          write: (body) => sentBodies.push(JSON.parse(body)),
+          end: vi.fn(),
+        };
+      });
+    });
+
+    it('should list Jira links in a new message', async () => {
+      const result = await postMessage({
+        botToken: 'token',
+        channel: 'frontend-staging',
+        repo: 'Helix',
+        network: 'testnet',
+        branchName: 'feat/il-1',
+        description: 'Staging deployment',
+        stagingUrl: 'https://staging.example.com',
+        author: 'dev',
+        jiraLinks: '<https://jira/browse/IL-1|IL-1>',
+      });
+
+      expect(result.text).toContain('*Jira:* <https://jira/browse/IL-1|IL-1>\n*Staging URL:*');
+    });
+
+    it('should omit the Jira line when there are no tickets', async () => {
+      const result = await postMessage({
+        botToken: 'token',
+        channel: 'frontend-staging',
+        repo: 'Helix',
+        network: 'testnet',
+        branchName: 'main',
+        description: 'Staging deployment',
+        stagingUrl: 'https://staging.example.com',
+        author: 'dev',
+        jiraLinks: '',
+      });
+
+      expect(result.text).not.toContain('*Jira:*');
+    });
+
+    it('should update the Jira line and staging URL of an existing message', async () => {
+      await updateMessage({
+        botToken: 'token',
+        channelId: 'C1',
+        messageTs: '1.2',
+        currentText:
+          '*Helix* - Staging Deployment (testnet)\n\n*Jira:* <https://jira/browse/IL-1|IL-1>\n*Staging URL:* <https://old|https://old>\n*Author:* dev',
+        stagingUrl: 'https://new',
+        jiraLinks: '<https://jira/browse/IL-1|IL-1>, <https://jira/browse/IL-2|IL-2>',
+      });
+
+      const { text } = sentBodies[0];
+      expect(text.match(/\*Jira:\*/g)).toHaveLength(1);
+      expect(text).toContain('IL-2');
+      expect(text).not.toContain('https://old');
+      expect(text).toMatch(/\*Staging URL:\* <https:\/\/new\|https:\/\/new>$/);
+    });
+
+    it('should list only new tickets in thread replies', async () => {
+      await postThreadReply({
+        botToken: 'token',
+        channel: 'frontend-staging',
+        threadTs: '1.2',
+        network: 'testnet',
+        description: 'Staging deployment',
+        stagingUrl: 'https://new',
+        author: 'dev',
+        jiraLinks: '<https://jira/browse/IL-2|IL-2>',
+      });
+
+      expect(sentBodies[0].text).toContain('*New Jira tickets:* <https://jira/browse/IL-2|IL-2>');
+      expect(sentBodies[0].thread_ts).toBe('1.2');
+    });
+  });
 });
@@ -1,4 +1,8 @@
 import { readFileSync } from 'fs';
+import { execFileSync } from 'child_process';
+import * as core from '@actions/core';
+
+export const DEFAULT_BASE_BRANCH = 'dev';
 
 /**
  * Get the branch name from GitHub context
@@ -39,3 +43,32 @@ export function getBranchName() {
 
   throw new Error('Could not determine branch name');
 }
+
+/**
+ * Get the full commit messages of the current branch that are not on the base branch
+ * Returns an empty list if git is unavailable or the base branch cannot be fetched.
+ * The checkout needs the history of the branch back to the base branch (fetch-depth: 0)
+ */
+export function getBranchCommitMessages(baseBranch = DEFAULT_BASE_BRANCH) {
+  try {
+    execFileSync('git', ['fetch', 'origin', baseBranch, '--quiet'], { stdio: 'pipe' });
+  } catch (_error) {
+    // Fall back to whatever origin/<base> we already have locally
+  }
+
+  try {
+    const output = execFileSync('git', ['log', `origin/${baseBranch}..HEAD`, '--format=%B%x00'], {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    return output
+      .split('\0')
+      .map((message) => message.trim())
+      .filter(Boolean);
+  } catch (error) {
+    core.warning(`Could not read commits of branch against origin/${baseBranch}: ${error.message}`);
+
+    return [];
+  }
+}
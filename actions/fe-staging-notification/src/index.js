@@ -1,5 +1,5 @@
 import * as core from '@actions/core';
-import { getBranchName } from './git.js';
+import { getBranchName, DEFAULT_BASE_BRANCH } from './git.js';
 import {
   postMessage,
   addMessageId,
@@ -7,6 +7,14 @@ import {
   postThreadReply,
   searchExistingMessage,
 } from './slack.js';
+import {
+  mergeTickets,
+  generateJiraLinks,
+  extractJiraTickets,
+  DEFAULT_JIRA_BASE_URL,
+  extractTicketsFromText,
+  DEFAULT_JIRA_PROJECT_PATTERN,
+} from './jira.js';
 
 async function run() {
   try {
@@ -15,11 +23,14 @@ async function run() {
       repo: core.getInput('repo', { required: true }),
       network: core.getInput('network', { required: true }),
       branch: core.getInput('branch'), // Optional - will fallback to getBranchName()
+      baseBranch: core.getInput('base_branch') || DEFAULT_BASE_BRANCH,
       description: core.getInput('description') || 'Frontend deployment',
       slackUserToken: core.getInput('slack-user-token', { required: true }),
       slackBotToken: core.getInput('slack-bot-token', { required: true }),
       stagingUrl: core.getInput('staging_url', { required: true }),
       slackChannel: core.getInput('slack-channel') || 'frontend-staging',
+      jiraBaseUrl: core.getInput('jira-base-url') || DEFAULT_JIRA_BASE_URL,
+      jiraProjectPattern: core.getInput('jira-project-pattern') || DEFAULT_JIRA_PROJECT_PATTERN,
     };
 
     // Step 1: Get branch name (from input, fallback to git context)
@@ -28,7 +39,18 @@ async function run() {
     core.setOutput('channel_name', inputs.slackChannel);
     core.info(`Branch: ${branchName}`);
 
-    // Step 2: Search for existing Slack message
+    // Step 2: Extract Jira tickets from the branch name and its commits
+    const jiraTickets = extractJiraTickets({
+      branchName,
+      baseBranch: inputs.baseBranch,
+      projectPattern: inputs.jiraProjectPattern,
+    });
+    const jiraLinks = generateJiraLinks(jiraTickets, inputs.jiraBaseUrl);
+    core.setOutput('jira_tickets', jiraTickets.join(','));
+    core.setOutput('jira_links', jiraLinks);
+    core.info(`Jira tickets found: ${jiraTickets.length > 0 ? jiraTickets.join(', ') : 'none'}`);
+
+    // Step 3: Search for existing Slack message
     const existingMessage = await searchExistingMessage({
       userToken: inputs.slackUserToken,
       channel: inputs.slackChannel,
@@ -46,13 +68,25 @@ async function run() {
       core.setOutput('existing_message_ts', existingMessage.ts);
       core.setOutput('existing_channel_id', existingMessage.channelId);
 
-      // Update main message with latest staging URL
+      // Merge tickets with the ones already listed so none is listed twice
+      const existingTickets = extractTicketsFromText(
+        existingMessage.text,
+        inputs.jiraProjectPattern
+      );
+      const tickets = mergeTickets(existingTickets, jiraTickets);
+      core.setOutput('existing_jira_tickets', existingTickets.join(','));
+      core.info(
+        `New Jira tickets: ${tickets.added.length > 0 ? tickets.added.join(', ') : 'none'}`
+      );
+
+      // Update main message with latest staging URL and all Jira tickets
       await updateMessage({
         botToken: inputs.slackBotToken,
         channelId: existingMessage.channelId,
         messageTs: existingMessage.ts,
         currentText: existingMessage.text,
         stagingUrl: inputs.stagingUrl,
+        jiraLinks: generateJiraLinks(tickets.all, inputs.jiraBaseUrl),
       });
 
       // Post thread reply
@@ -64,6 +98,7 @@ async function run() {
         description: inputs.description,
         stagingUrl: inputs.stagingUrl,
         author: process.env.GITHUB_ACTOR,
+        jiraLinks: generateJiraLinks(tickets.added, inputs.jiraBaseUrl),
       });
 
       messageTs = existingMessage.ts;
@@ -72,6 +107,7 @@ async function run() {
       core.info('Creating new message');
       core.setOutput('existing_message_ts', '');
       core.setOutput('existing_channel_id', '');
+      core.setOutput('existing_jira_tickets', '');
 
       const result = await postMessage({
         botToken: inputs.slackBotToken,
@@ -82,6 +118,7 @@ async function run() {
         description: inputs.description,
         stagingUrl: inputs.stagingUrl,
         author: process.env.GITHUB_ACTOR,
+        jiraLinks,
       });
 
       messageTs = result.ts;
@@ -0,0 +1,64 @@
+import { DEFAULT_BASE_BRANCH, getBranchCommitMessages } from './git.js';
+
+export const DEFAULT_JIRA_BASE_URL = 'https://injectivelabs.atlassian.net';
+export const DEFAULT_JIRA_PROJECT_PATTERN = 'IL';
+
+/**
+ * Build a regex matching Jira ticket keys (e.g. IL-1234)
+ * The project pattern is a regex fragment for the project key, e.g. "IL" or "IL|OPS"
+ */
+export function createTicketRegex(projectPattern = DEFAULT_JIRA_PROJECT_PATTERN) {
+  try {
+    return new RegExp(`\\b(?:${projectPattern})-\\d+\\b`, 'gi');
+  } catch (error) {
+    throw new Error(`Invalid Jira project pattern "${projectPattern}": ${error.message}`);
+  }
+}
+
+/**
+ * Extract unique Jira ticket keys from text, in order of appearance
+ * Keys are upper-cased so "il-123" in a branch name matches "IL-123" in a message
+ */
+export function extractTicketsFromText(text, projectPattern = DEFAULT_JIRA_PROJECT_PATTERN) {
+  if (!text) {
+    return [];
+  }
+
+  const matches = text.match(createTicketRegex(projectPattern)) || [];
+
+  return [...new Set(matches.map((ticket) => ticket.toUpperCase()))];
+}
+
+/**
+ * Extract Jira tickets from the branch name and the branch's commit messages
+ */
+export function extractJiraTickets({
+  branchName,
+  baseBranch = DEFAULT_BASE_BRANCH,
+  projectPattern = DEFAULT_JIRA_PROJECT_PATTERN,
+}) {
+  const sources = [branchName, ...getBranchCommitMessages(baseBranch)];
+
+  return extractTicketsFromText(sources.join('\n'), projectPattern);
+}
+
+/**
+ * Merge newly found tickets into the ones already listed in the Slack thread
+ */
+export function mergeTickets(existingTickets, foundTickets) {
+  const added = foundTickets.filter((ticket) => !existingTickets.includes(ticket));
+
+  return {
+    all: [...existingTickets, ...added],
+    added,
+  };
+}
+
+/**
+ * Format Jira tickets as Slack links
+ */
+export function generateJiraLinks(tickets, baseUrl = DEFAULT_JIRA_BASE_URL) {
+  const normalizedBaseUrl = baseUrl.replace(/\/+$/, '');
+
+  return tickets.map((ticket) => `<${normalizedBaseUrl}/browse/${ticket}|${ticket}>`).join(', ');
+}
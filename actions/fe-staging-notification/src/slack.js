@@ -136,6 +136,23 @@ export async function searchExistingMessage({ userToken, channel, repo, branchNa
   };
 }
 
+/**
+ * Replace the Jira line of a message with the given links (or add it if missing)
+ */
+export function replaceJiraLine(text, jiraLinks) {
+  if (!jiraLinks) {
+    return text;
+  }
+
+  const jiraLine = `*Jira:* ${jiraLinks}`;
+
+  if (/^\*Jira:\*.*$/m.test(text)) {
+    return text.replace(/^\*Jira:\*.*$/m, jiraLine);
+  }
+
+  return `${text.trim()}\n${jiraLine}`;
+}
+
 /**
  * Update an existing message
  */
@@ -145,8 +162,10 @@ export async function updateMessage({
   messageTs,
   currentText,
   stagingUrl,
+  jiraLinks,
 }) {
-  let updatedText = currentText;
+  // Keep a single Jira line listing every ticket of the thread
+  let updatedText = replaceJiraLine(currentText, jiraLinks);
 
   // Replace staging URL (show only latest)
   if (stagingUrl) {
@@ -178,10 +197,14 @@ export async function postMessage({
   description,
   stagingUrl,
   author,
+  jiraLinks,
 }) {
   let text = `*${repo}* - Staging Deployment (${network})\n\n`;
   text += `*Branch:* \`${branchName}\`\n`;
   text += `*Description:* ${description}\n`;
+  if (jiraLinks) {
+    text += `*Jira:* ${jiraLinks}\n`;
+  }
   text += `*Staging URL:* <${stagingUrl}|${stagingUrl}>\n`;
   text += `*Author:* ${author}`;
 
@@ -208,9 +231,13 @@ export async function postThreadReply({
   description,
   stagingUrl,
   author,
+  jiraLinks,
 }) {
   let text = `🔄 *New staging link deployed (${network})*\n`;
   text += `*Description:* ${description}\n`;
+  if (jiraLinks) {
+    text += `*New Jira tickets:* ${jiraLinks}\n`;
+  }
   text += `*Staging URL:* <${stagingUrl}|${stagingUrl}>\n`;
   text += `*Author:* ${author}`;
 
@@ -1,5 +1,7 @@
 import { it, vi, expect, describe, beforeEach } from 'vitest';
+import { buildReleaseModel } from '../../shared/src/release-model.js';
 import {
+  parseReleaseModel,
   sendSlackNotification,
   buildDeploymentPayload,
   convertMarkdownToSlack,
@@ -219,6 +221,52 @@ describe('slack', () => {
       expect(payload.text).toContain('@thomasRalee');
       expect(payload.text).toContain('@0xA1337');
     });
+
+    it('should render the structured release notes instead of converting markdown', () => {
+      const releaseModel = buildReleaseModel(
+        [REAL_COMMITS.sedaPricefeed, REAL_COMMITS.mergePR2318, REAL_COMMITS.stopMarket],
+        { repoUrl: REPO_URL, version: 'v1.18.0' }
+      );
+
+      const payload = buildDeploymentPayload({
+        ...baseOptions,
+        releaseNotes: 'ignored',
+        releaseModel,
+      });
+
+      expect(payload.text).toContain('Helix deployed to Mainnet!');
+      expect(payload.text).toContain('*Features*');
+      expect(payload.text).toContain('*Fixes*');
+      expect(payload.text).toContain(`<${REPO_URL}/pull/2318|#2318>`);
+      expect(payload.text).not.toContain('ignored');
+    });
+
+    it('should build a rebuild payload for a release model without commits', () => {
+      const releaseModel = buildReleaseModel([], { repoUrl: REPO_URL });
+
+      const payload = buildDeploymentPayload({ ...baseOptions, releaseModel });
+
+      expect(payload.text).toContain('Rebuilt on Mainnet');
+    });
+  });
+
+  describe('parseReleaseModel', () => {
+    it('should parse the release_notes_json output', () => {
+      const model = buildReleaseModel([REAL_COMMITS.copyChange], { repoUrl: REPO_URL });
+
+      expect(parseReleaseModel(JSON.stringify(model))).toEqual(model);
+    });
+
+    it('should return null without JSON', () => {
+      expect(parseReleaseModel('')).toBeNull();
+    });
+
+    it('should throw for invalid JSON', () => {
+      expect(() => parseReleaseModel('{not json')).toThrow('Invalid release notes JSON');
+      expect(() => parseReleaseModel('{"text": "notes"}')).toThrow(
+        'expected the release_notes_json output of release-note'
+      );
+    });
   });
 
   describe('sendSlackNotification', () => {
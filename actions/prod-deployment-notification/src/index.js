@@ -1,12 +1,22 @@
 import * as core from '@actions/core';
-import { sendSlackNotification, buildDeploymentPayload, convertMarkdownToSlack } from './slack.js';
+import {
+  parseReleaseModel,
+  sendSlackNotification,
+  buildDeploymentPayload,
+  convertMarkdownToSlack,
+} from './slack.js';
 
 async function run() {
   try {
     // Get inputs
     const webhookUrl = core.getInput('webhook-url', { required: true });
     const projectName = core.getInput('project-name', { required: true });
-    const releaseNotes = core.getInput('release-notes', { required: true });
+    const releaseNotes = core.getInput('release-notes');
+    const releaseModel = parseReleaseModel(core.getInput('release-notes-json'));
+
+    if (!releaseNotes && !releaseModel) {
+      throw new Error('Either release-notes or release-notes-json is required');
+    }
     
     // Get repository and run ID from GitHub context
     const repository = process.env.GITHUB_REPOSITORY;
@@ -29,12 +39,15 @@ async function run() {
     const payload = buildDeploymentPayload({
       projectName,
       releaseNotes,
+      releaseModel,
       repoUrl,
       runId,
     });
     
     // Log formatted notes for debugging
-    if (releaseNotes !== 'No new commits') {
+    if (releaseModel) {
+      core.info(`Release notes for ${releaseModel.version} read from release-notes-json`);
+    } else if (releaseNotes !== 'No new commits') {
       core.info('Formatted release notes for Slack:');
       core.info(convertMarkdownToSlack(releaseNotes));
     }
@@ -2,6 +2,7 @@
  * Slack notification utilities for production deployments
  */
 
+import { renderSlack } from '../../shared/src/renderers.js';
 import { convertMarkdownToSlack } from '../../shared/src/formatting.js';
 
 /**
@@ -10,16 +11,27 @@ import { convertMarkdownToSlack } from '../../shared/src/formatting.js';
  * @param {Object} options
  * @param {string} options.projectName - Name of the project being deployed
  * @param {string} options.releaseNotes - Release notes (markdown formatted)
+ * @param {Object} options.releaseModel - Structured release notes from the release-note action (preferred over releaseNotes)
  * @param {string} options.repoUrl - GitHub repository URL
  * @param {string} options.runId - GitHub Actions run ID
  * @returns {Object} - Slack message payload
  */
-export function buildDeploymentPayload({ projectName, releaseNotes, repoUrl, runId }) {
+export function buildDeploymentPayload({
+  projectName,
+  releaseNotes,
+  releaseModel,
+  repoUrl,
+  runId,
+}) {
   const runUrl = `${repoUrl}/actions/runs/${runId}`;
-  const hasNewCommits = releaseNotes && releaseNotes !== 'No new commits';
+  const hasNewCommits = releaseModel
+    ? releaseModel.hasNewCommits
+    : releaseNotes && releaseNotes !== 'No new commits';
 
   if (hasNewCommits) {
-    const slackFormattedNotes = convertMarkdownToSlack(releaseNotes);
+    const slackFormattedNotes = releaseModel
+      ? renderSlack(releaseModel)
+      : convertMarkdownToSlack(releaseNotes);
 
     const text = [
       `:rocket: ${projectName} deployed to Mainnet!`,
@@ -92,5 +104,34 @@ export async function sendSlackNotification(webhookUrl, payload) {
   }
 }
 
+/**
+ * Parse the release_notes_json output of the release-note action
+ *
+ * @param {string} json - Release model as JSON
+ * @returns {Object|null} - Release model, or null if no JSON was given
+ * @throws {Error} - If the JSON is invalid or not a release model
+ */
+export function parseReleaseModel(json) {
+  if (!json) {
+    return null;
+  }
+
+  let model;
+
+  try {
+    model = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid release notes JSON: ${error.message}`);
+  }
+
+  if (!model || !Array.isArray(model.entries) || !Array.isArray(model.sections)) {
+    throw new Error(
+      'Invalid release notes JSON: expected the release_notes_json output of release-note'
+    );
+  }
+
+  return model;
+}
+
 // Re-export for convenience
 export { convertMarkdownToSlack };
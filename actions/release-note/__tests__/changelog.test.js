@@ -0,0 +1,259 @@
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { it, expect, describe, afterEach, beforeEach } from 'vitest';
+import { createGit } from '../../shared/src/git.js';
+import { createTestRepo } from '../../shared/__tests__/git-repo.js';
+import { buildReleaseModel } from '../../shared/src/release-model.js';
+import {
+  writeChangelog,
+  parseChangelog,
+  CHANGELOG_HEADER,
+  rebuildChangelog,
+  getChangelogHeader,
+  formatChangelogDate,
+  renderChangelogSection,
+  upsertChangelogSection,
+} from '../src/changelog.js';
+
+const REPO_URL = 'https://github.com/org/repo';
+
+const COMMITS = [
+  {
+    hash: 'a'.repeat(40),
+    message: 'feat: add markets page',
+    authorName: 'Jane',
+    authorEmail: 'jane@test.com',
+  },
+  {
+    hash: 'b'.repeat(40),
+    message: 'fix: chart colors (#12)',
+    authorName: 'John',
+    authorEmail: 'john@test.com',
+    prNumber: '12',
+  },
+  {
+    hash: 'c'.repeat(40),
+    message: 'chore: bump deps',
+    authorName: 'Jane',
+    authorEmail: 'jane@test.com',
+  },
+];
+
+const buildModel = (version, previousVersion, commits = COMMITS) =>
+  buildReleaseModel(commits, { repoUrl: REPO_URL, version, previousVersion });
+
+describe('changelog', () => {
+  describe('renderChangelogSection', () => {
+    it('should group entries into Keep a Changelog categories', () => {
+      const section = renderChangelogSection(buildModel('v1.1.0', 'v1.0.0'), {
+        date: '2026-10-19',
+      });
+
+      expect(section).toBe(
+        [
+          '## [v1.1.0] - 2026-10-19',
+          '',
+          '### Added',
+          '',
+          '- [aaaaaaa](https://github.com/org/repo/commit/aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa) - feat: add markets page by @Jane',
+          '',
+          '### Fixed',
+          '',
+          '- [bbbbbbb](https://github.com/org/repo/commit/bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb) - fix: chart colors by @John in [#12](https://github.com/org/repo/pull/12)',
+          '',
+          '### Changed',
+          '',
+          '- [ccccccc](https://github.com/org/repo/commit/cccccccccccccccccccccccccccccccccccccccc) - chore: bump deps by @Jane',
+        ].join('\n')
+      );
+    });
+
+    it('should list maintenance commits after the categories', () => {
+      const section = renderChangelogSection(
+        buildModel('v1.1.0', 'v1.0.0', [
+          COMMITS[0],
+          { ...COMMITS[2], hash: 'd'.repeat(40), message: 'chore: package bump' },
+        ]),
+        { date: '2026-10-19' }
+      );
+
+      expect(section).toMatch(
+        /### Added\n\n- .*\n\n<details>\n<summary>Maintenance \(1 commit\)<\/summary>\n\n- .*chore: package bump by @Jane\n\n<\/details>$/
+      );
+    });
+
+    it('should note releases without commits', () => {
+      expect(
+        renderChangelogSection(buildModel('v1.1.0', 'v1.0.0', []), { date: '2026-10-19' })
+      ).toBe('## [v1.1.0] - 2026-10-19\n\nNo new commits');
+    });
+  });
+
+  describe('getChangelogHeader', () => {
+    it('should name the versioning scheme of the releases', () => {
+      expect(getChangelogHeader()).toBe(CHANGELOG_HEADER);
+      expect(CHANGELOG_HEADER).toContain(
+        'and this project adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html).'
+      );
+      expect(getChangelogHeader('calver')).toContain(
+        'and this project uses [Calendar Versioning](https://calver.org/) (`YYYY.MM.MICRO`).'
+      );
+      expect(getChangelogHeader('calver')).not.toContain('Semantic Versioning');
+    });
+
+    it('should leave the versioning of custom schemes out', () => {
+      expect(getChangelogHeader({ name: 'build', increment: (version) => version })).toMatch(
+        /\[Keep a Changelog\]\(https:\/\/keepachangelog\.com\/en\/1\.1\.0\/\)\.$/
+      );
+    });
+  });
+
+  describe('upsertChangelogSection', () => {
+    const upsert = (content, version, previousVersion, section = `## [${version}] - 2026-10-19`) =>
+      upsertChangelogSection(content, { version, section, previousVersion, repoUrl: REPO_URL });
+
+    it('should create a changelog with the header, the section and its compare link', () => {
+      expect(upsert('', 'v1.1.0', 'v1.0.0')).toBe(
+        [
+          CHANGELOG_HEADER,
+          '',
+          '## [v1.1.0] - 2026-10-19',
+          '',
+          '[v1.1.0]: https://github.com/org/repo/compare/v1.0.0...v1.1.0',
+          '',
+        ].join('\n')
+      );
+    });
+
+    it('should prepend new versions and keep older sections untouched', () => {
+      const first = upsert('# Changelog\n\nOur releases.', 'v1.1.0', 'v1.0.0');
+      const second = upsert(first, 'v1.2.0', 'v1.1.0');
+      const { header, sections, links } = parseChangelog(second);
+
+      expect(header).toBe('# Changelog\n\nOur releases.');
+      expect(sections.map((section) => section.version)).toEqual(['v1.2.0', 'v1.1.0']);
+      expect([...links.keys()]).toEqual(['v1.2.0', 'v1.1.0']);
+      expect(second).toContain(
+        '[v1.2.0]: https://github.com/org/repo/compare/v1.1.0...v1.2.0\n[v1.1.0]: https://github.com/org/repo/compare/v1.0.0...v1.1.0\n'
+      );
+    });
+
+    it('should replace the section of a version instead of duplicating it', () => {
+      const first = upsert(upsert('', 'v1.1.0', 'v1.0.0'), 'v1.2.0', 'v1.1.0');
+      const rerun = upsert(first, 'v1.2.0', 'v1.1.0');
+      const replaced = upsert(first, 'v1.2.0', 'v1.1.0', '## [v1.2.0] - 2026-10-20\n\nUpdated');
+
+      expect(rerun).toBe(first);
+      expect(parseChangelog(replaced).sections).toEqual([
+        { version: 'v1.2.0', text: '## [v1.2.0] - 2026-10-20\n\nUpdated' },
+        { version: 'v1.1.0', text: '## [v1.1.0] - 2026-10-19' },
+      ]);
+    });
+
+    it('should keep an Unreleased section on top and point its link at the new version', () => {
+      const content = [
+        CHANGELOG_HEADER,
+        '## [Unreleased]',
+        '## [v1.0.0] - 2026-10-01',
+        '[Unreleased]: https://github.com/org/repo/compare/v1.0.0...HEAD',
+      ].join('\n\n');
+      const { sections, links } = parseChangelog(upsert(content, 'v1.1.0', 'v1.0.0'));
+
+      expect(sections.map((section) => section.version)).toEqual([
+        'Unreleased',
+        'v1.1.0',
+        'v1.0.0',
+      ]);
+      expect(links.get('Unreleased')).toBe('https://github.com/org/repo/compare/v1.1.0...HEAD');
+    });
+  });
+
+  describe('writeChangelog', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-note-changelog-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write the file only when it changes', () => {
+      const file = path.join(dir, 'CHANGELOG.md');
+      const model = buildModel('v1.1.0', 'v1.0.0');
+
+      expect(writeChangelog({ path: file, model, date: '2026-10-19' })).toEqual({
+        path: file,
+        updated: true,
+      });
+      expect(writeChangelog({ path: file, model, date: '2026-10-19' }).updated).toBe(false);
+      expect(fs.readFileSync(file, 'utf8').match(/## \[v1\.1\.0\]/g)).toHaveLength(1);
+    });
+
+    it('should start a new changelog with the header of the versioning scheme', () => {
+      const file = path.join(dir, 'CHANGELOG.md');
+      const header = getChangelogHeader('calver');
+
+      writeChangelog({ path: file, model: buildModel('v2026.10.1', 'v1.0.0'), header });
+      writeChangelog({ path: file, model: buildModel('v2026.10.2', 'v2026.10.1') });
+
+      expect(parseChangelog(fs.readFileSync(file, 'utf8')).header).toBe(header);
+    });
+
+    it('should leave a missing file alone without a model', () => {
+      const file = path.join(dir, 'CHANGELOG.md');
+
+      expect(writeChangelog({ path: file, model: null }).updated).toBe(false);
+      expect(fs.existsSync(file)).toBe(false);
+    });
+  });
+
+  describe('rebuildChangelog', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit');
+      repo.tag('v1.0.0');
+      repo.commit('feat: first feature');
+      repo.tag('v1.1.0');
+      repo.commit('fix: first fix');
+      repo.commit('fix: second fix');
+      repo.tag('v1.1.1');
+      repo.commit('feat: unreleased');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should regenerate one section per release tag', async () => {
+      const content = await rebuildChangelog({
+        git: createGit(repo.dir),
+        repoUrl: REPO_URL,
+        branch: 'master',
+      });
+      const { header, sections, links } = parseChangelog(content);
+      const date = (tag) =>
+        formatChangelogDate(Number(repo.git(['log', '-1', '--format=%ct', tag])));
+
+      expect(header).toBe(CHANGELOG_HEADER);
+      expect(sections.map((section) => section.version)).toEqual(['v1.1.1', 'v1.1.0', 'v1.0.0']);
+      expect(sections[0].text).toContain(`## [v1.1.1] - ${date('v1.1.1')}\n\n### Fixed`);
+      expect(sections[0].text.match(/^- /gm)).toHaveLength(2);
+      expect(sections[1].text).toContain('feat: first feature');
+      expect(sections[2].text).toBe(`## [v1.0.0] - ${date('v1.0.0')}\n\nInitial release`);
+      expect(content).not.toContain('feat: unreleased');
+      expect(links.get('v1.1.1')).toBe('https://github.com/org/repo/compare/v1.1.0...v1.1.1');
+    });
+
+    it('should give the same changelog on every rebuild', async () => {
+      const rebuild = () =>
+        rebuildChangelog({ git: createGit(repo.dir), repoUrl: REPO_URL, branch: 'master' });
+
+      expect(await rebuild()).toBe(await rebuild());
+    });
+  });
+});
@@ -0,0 +1,230 @@
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { it, expect, describe, afterEach, beforeEach } from 'vitest';
+import {
+  toPackageVersion,
+  readPackageVersion,
+  syncPackageVersions,
+  writePackageVersion,
+  checkPackageVersions,
+  PACKAGE_VERSION_MODES,
+  findWorkspaceManifests,
+} from '../src/package-version.js';
+
+describe('package-version', () => {
+  let dir;
+
+  const file = (name) => path.join(dir, name);
+  const write = (name, content) => {
+    fs.mkdirSync(path.dirname(file(name)), { recursive: true });
+    fs.writeFileSync(file(name), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+  const read = (name) => fs.readFileSync(file(name), 'utf8');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-note-package-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('toPackageVersion', () => {
+    it('should drop the tag prefix and the v', () => {
+      expect(toPackageVersion('v1.2.3')).toBe('1.2.3');
+      expect(toPackageVersion('helix@v1.18.0-rc.1')).toBe('1.18.0-rc.1');
+      expect(toPackageVersion('v2026.10.3')).toBe('2026.10.3');
+    });
+  });
+
+  describe('readPackageVersion', () => {
+    it('should read the version field', () => {
+      write('package.json', { name: 'app', version: '1.2.3' });
+
+      expect(readPackageVersion(file('package.json'))).toBe('1.2.3');
+    });
+
+    it('should return null without a version field', () => {
+      write('package.json', { name: 'app' });
+
+      expect(readPackageVersion(file('package.json'))).toBeNull();
+    });
+
+    it('should throw for missing or invalid manifests', () => {
+      write('broken/package.json', '{ "name": ');
+
+      expect(() => readPackageVersion(file('package.json'))).toThrow(
+        `package.json not found: ${file('package.json')}`
+      );
+      expect(() => readPackageVersion(file('broken/package.json'))).toThrow(
+        `Invalid package.json ${file('broken/package.json')}`
+      );
+    });
+  });
+
+  describe('writePackageVersion', () => {
+    it('should keep the key order, indentation and final newline', () => {
+      write(
+        'package.json',
+        '{\n    "name": "app",\n    "version": "1.2.3",\n    "private": true,\n    "files": ["dist"]\n}\n'
+      );
+
+      expect(writePackageVersion(file('package.json'), 'v1.3.0')).toBe(true);
+      expect(read('package.json')).toBe(
+        '{\n    "name": "app",\n    "version": "1.3.0",\n    "private": true,\n    "files": [\n        "dist"\n    ]\n}\n'
+      );
+    });
+
+    it('should keep tabs and CRLF line endings', () => {
+      write('package.json', '{\r\n\t"name": "app",\r\n\t"version": "1.2.3"\r\n}');
+
+      writePackageVersion(file('package.json'), 'helix@v1.2.4');
+
+      expect(read('package.json')).toBe('{\r\n\t"name": "app",\r\n\t"version": "1.2.4"\r\n}');
+    });
+
+    it('should not write an unchanged version', () => {
+      write('package.json', '{ "name": "app", "version": "1.2.3" }\n');
+
+      expect(writePackageVersion(file('package.json'), 'v1.2.3')).toBe(false);
+      expect(read('package.json')).toBe('{ "name": "app", "version": "1.2.3" }\n');
+    });
+  });
+
+  describe('checkPackageVersions', () => {
+    it('should accept the previous and the new version', () => {
+      write('a/package.json', { version: '1.2.3' });
+      write('b/package.json', { version: '1.2.4' });
+
+      expect(() =>
+        checkPackageVersions([file('a/package.json'), file('b/package.json')], {
+          previousVersion: 'v1.2.3',
+          newVersion: 'v1.2.4',
+        })
+      ).not.toThrow();
+    });
+
+    it('should fail with a diff of the manifests that disagree', () => {
+      write('package.json', '{\n  "name": "app",\n  "version": "1.2.2",\n  "private": true\n}\n');
+      write('apps/helix/package.json', '{\n  "name": "helix"\n}\n');
+
+      expect(() =>
+        checkPackageVersions([file('package.json'), file('apps/helix/package.json')], {
+          previousVersion: 'v1.2.3',
+        })
+      ).toThrow(
+        [
+          'package.json version does not match v1.2.3:',
+          `--- ${file('package.json')}`,
+          '+++ v1.2.3',
+          '-  "version": "1.2.2",',
+          '+  "version": "1.2.3",',
+          `--- ${file('apps/helix/package.json')}`,
+          '+++ v1.2.3',
+          '- (no version field)',
+          '+  "version": "1.2.3"',
+        ].join('\n')
+      );
+    });
+  });
+
+  describe('findWorkspaceManifests', () => {
+    it('should follow the workspaces field, skipping excluded and unversioned packages', () => {
+      write('package.json', { workspaces: ['apps/*', 'packages/**', '!packages/legacy'] });
+      write('apps/helix/package.json', { version: '1.0.0' });
+      write('apps/explorer/package.json', { version: '1.0.0' });
+      write('apps/scripts/package.json', { private: true });
+      write('packages/ui/buttons/package.json', { version: '1.0.0' });
+      write('packages/legacy/package.json', { version: '0.1.0' });
+      write('packages/ui/node_modules/dep/package.json', { version: '9.9.9' });
+
+      expect(findWorkspaceManifests(file('package.json'))).toEqual([
+        file('apps/explorer/package.json'),
+        file('apps/helix/package.json'),
+        file('packages/ui/buttons/package.json'),
+      ]);
+    });
+
+    it('should read yarn workspaces and pnpm-workspace.yaml', () => {
+      write('yarn/package.json', { workspaces: { packages: ['apps/*'] } });
+      write('yarn/apps/helix/package.json', { version: '1.0.0' });
+      write('pnpm/package.json', { name: 'root' });
+      write('pnpm/pnpm-workspace.yaml', "packages:\n  - 'apps/*'\n");
+      write('pnpm/apps/helix/package.json', { version: '1.0.0' });
+
+      expect(findWorkspaceManifests(file('yarn/package.json'))).toEqual([
+        file('yarn/apps/helix/package.json'),
+      ]);
+      expect(findWorkspaceManifests(file('pnpm/package.json'))).toEqual([
+        file('pnpm/apps/helix/package.json'),
+      ]);
+    });
+  });
+
+  describe('syncPackageVersions', () => {
+    beforeEach(() => {
+      write(
+        'package.json',
+        '{\n  "name": "root",\n  "version": "1.2.3",\n  "workspaces": ["apps/*"]\n}\n'
+      );
+      write('apps/helix/package.json', '{\n  "name": "helix",\n  "version": "1.2.3"\n}\n');
+    });
+
+    it('should write the new version to the manifests and their workspace packages', () => {
+      const result = syncPackageVersions({
+        mode: 'update',
+        paths: [file('package.json')],
+        workspaces: true,
+        previousVersion: 'v1.2.3',
+        newVersion: 'v1.3.0',
+      });
+
+      expect(result.updated).toEqual([file('package.json'), file('apps/helix/package.json')]);
+      expect(readPackageVersion(file('package.json'))).toBe('1.3.0');
+      expect(read('apps/helix/package.json')).toBe(
+        '{\n  "name": "helix",\n  "version": "1.3.0"\n}\n'
+      );
+    });
+
+    it('should only check in check mode, and skip writes without a new version', () => {
+      const options = {
+        paths: [file('package.json')],
+        workspaces: true,
+        previousVersion: 'v1.2.3',
+      };
+
+      expect(syncPackageVersions({ ...options, mode: 'check', newVersion: 'v1.3.0' })).toEqual({
+        manifests: [file('package.json'), file('apps/helix/package.json')],
+        updated: [],
+      });
+      expect(syncPackageVersions({ ...options, mode: 'update' }).updated).toEqual([]);
+      expect(readPackageVersion(file('package.json'))).toBe('1.2.3');
+    });
+
+    it('should not write anything when a manifest disagrees', () => {
+      write('apps/helix/package.json', { name: 'helix', version: '1.1.0' });
+
+      expect(() =>
+        syncPackageVersions({
+          mode: 'update',
+          paths: [file('package.json')],
+          workspaces: true,
+          previousVersion: 'v1.2.3',
+          newVersion: 'v1.3.0',
+        })
+      ).toThrow('package.json version does not match v1.2.3');
+      expect(readPackageVersion(file('package.json'))).toBe('1.2.3');
+    });
+
+    it('should do nothing in none mode and reject unknown modes', () => {
+      expect(syncPackageVersions({ mode: 'none', previousVersion: 'v0.0.1' })).toEqual({
+        manifests: [],
+        updated: [],
+      });
+      expect(() => syncPackageVersions({ mode: 'bump', previousVersion: 'v1.2.3' })).toThrow(
+        `Invalid package version mode: bump. Expected one of: ${PACKAGE_VERSION_MODES.join(', ')}`
+      );
+    });
+  });
+});
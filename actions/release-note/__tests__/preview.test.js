@@ -0,0 +1,239 @@
+import os from 'os';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { it, expect, afterAll, describe, beforeAll, afterEach, beforeEach } from 'vitest';
+import { createGitHubClient } from '../../shared/src/github.js';
+import {
+  formatPreview,
+  getPreviewMarker,
+  upsertStickyComment,
+  readPullRequestEvent,
+} from '../src/preview.js';
+
+/**
+ * Tests for the release preview of dry runs, with a fake GitHub issue comments
+ * API that keeps the comments of pull request #7 in memory.
+ */
+
+function createFakeCommentsApi() {
+  const comments = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url });
+
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      const list = req.url.match(
+        /^\/repos\/org\/repo\/issues\/7\/comments\?per_page=100&page=(\d+)$/
+      );
+
+      if (req.method === 'GET' && list) {
+        const start = (Number(list[1]) - 1) * 100;
+
+        return send(200, comments.slice(start, start + 100));
+      }
+
+      if (req.method === 'POST' && req.url === '/repos/org/repo/issues/7/comments') {
+        const comment = { id: comments.length + 1, body: JSON.parse(body).body };
+
+        comment.html_url = `https://github.com/org/repo/pull/7#issuecomment-${comment.id}`;
+        comments.push(comment);
+
+        return send(201, comment);
+      }
+
+      const match = req.url.match(/^\/repos\/org\/repo\/issues\/comments\/(\d+)$/);
+      const comment = match && comments.find((c) => c.id === Number(match[1]));
+
+      if (req.method === 'PATCH' && comment) {
+        comment.body = JSON.parse(body).body;
+
+        return send(200, comment);
+      }
+
+      return send(404, { message: 'Not Found' });
+    });
+  });
+
+  return { server, comments, requests };
+}
+
+const RESULT = {
+  previousTag: 'v1.17.5',
+  newVersion: 'v1.18.0',
+  bumpReason: 'minor: new features in 5796f45 (feat: add seda pricefeed)',
+  commits: [{ hash: '5796f45' }, { hash: 'ed4a581' }],
+  diffStats: { files: 3, insertions: 120, deletions: 40 },
+  releaseNotes: '### Features\n\n- feat: add seda pricefeed',
+  hasNewCommits: true,
+};
+
+describe('preview', () => {
+  describe('getPreviewMarker', () => {
+    it('should give each package its own marker', () => {
+      expect(getPreviewMarker()).toBe('<!-- release-note-preview -->');
+      expect(getPreviewMarker('helix@')).toBe('<!-- release-note-preview helix@ -->');
+    });
+  });
+
+  describe('readPullRequestEvent', () => {
+    let dir;
+
+    const writeEvent = (event) => {
+      const eventPath = path.join(dir, 'event.json');
+
+      fs.writeFileSync(eventPath, typeof event === 'string' ? event : JSON.stringify(event));
+
+      return eventPath;
+    };
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-note-event-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should read the number, base and head of the pull request', () => {
+      const eventPath = writeEvent({
+        pull_request: { number: 7, base: { sha: 'a'.repeat(40) }, head: { sha: 'b'.repeat(40) } },
+      });
+
+      expect(readPullRequestEvent({ eventPath })).toEqual({
+        number: 7,
+        baseRef: 'a'.repeat(40),
+        headRef: 'b'.repeat(40),
+      });
+    });
+
+    it('should return null outside pull requests', () => {
+      expect(readPullRequestEvent({ eventPath: writeEvent({ ref: 'refs/heads/master' }) })).toBe(
+        null
+      );
+      expect(readPullRequestEvent({ eventPath: writeEvent('{ "pull_request": ') })).toBe(null);
+      expect(readPullRequestEvent({ eventPath: path.join(dir, 'missing.json') })).toBe(null);
+      expect(readPullRequestEvent({ eventPath: '' })).toBe(null);
+    });
+  });
+
+  describe('formatPreview', () => {
+    it('should describe the version, the bump and the size of the release', () => {
+      expect(formatPreview(RESULT)).toBe(
+        [
+          '## Release preview: v1.18.0',
+          '',
+          '> Dry run, no tag or release was created.',
+          '',
+          '- **Previous tag:** `v1.17.5`',
+          '- **New version:** `v1.18.0`',
+          '- **Bump:** minor: new features in 5796f45 (feat: add seda pricefeed)',
+          '- **Commits:** 2',
+          '- **Diff:** 3 files, +120 -40',
+          '',
+          '### Features',
+          '',
+          '- feat: add seda pricefeed',
+        ].join('\n')
+      );
+    });
+
+    it('should say when there is nothing to release', () => {
+      expect(formatPreview({ ...RESULT, commits: [], hasNewCommits: false })).toBe(
+        '## Release preview: no new commits\n\nNothing to release since `v1.17.5`.'
+      );
+    });
+  });
+
+  describe('upsertStickyComment', () => {
+    let api;
+    let client;
+
+    const upsert = (body, options = {}) =>
+      upsertStickyComment({ client, owner: 'org', repo: 'repo', number: 7, body, ...options });
+
+    beforeAll(async () => {
+      api = createFakeCommentsApi();
+      await new Promise((resolve) => api.server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => api.server.close(resolve));
+    });
+
+    beforeEach(() => {
+      api.comments.length = 0;
+      api.requests.length = 0;
+      client = createGitHubClient({
+        token: 'test-token',
+        apiUrl: `http://127.0.0.1:${api.server.address().port}`,
+      });
+    });
+
+    it('should create the comment with its marker', async () => {
+      api.comments.push({ id: 1, body: 'LGTM' });
+
+      const result = await upsert('## Release preview: v1.18.0');
+
+      expect(result).toEqual({
+        commentAction: 'created',
+        commentId: 2,
+        commentUrl: 'https://github.com/org/repo/pull/7#issuecomment-2',
+      });
+      expect(api.comments[1].body).toBe(
+        '<!-- release-note-preview -->\n## Release preview: v1.18.0'
+      );
+    });
+
+    it('should update the comment in place on the next run', async () => {
+      await upsert('## Release preview: v1.18.0');
+      const result = await upsert('## Release preview: v1.18.1');
+
+      expect(result.commentAction).toBe('updated');
+      expect(api.comments).toHaveLength(1);
+      expect(api.comments[0].body).toBe(
+        '<!-- release-note-preview -->\n## Release preview: v1.18.1'
+      );
+    });
+
+    it('should leave an unchanged comment alone', async () => {
+      await upsert('## Release preview: v1.18.0');
+      api.requests.length = 0;
+
+      expect((await upsert('## Release preview: v1.18.0')).commentAction).toBe('unchanged');
+      expect(api.requests.map((request) => request.method)).toEqual(['GET']);
+    });
+
+    it('should keep one comment per package', async () => {
+      await upsert('helix', { marker: getPreviewMarker('helix@') });
+      await upsert('explorer', { marker: getPreviewMarker('explorer@') });
+      await upsert('helix 2', { marker: getPreviewMarker('helix@') });
+
+      expect(api.comments.map((comment) => comment.body)).toEqual([
+        '<!-- release-note-preview helix@ -->\nhelix 2',
+        '<!-- release-note-preview explorer@ -->\nexplorer',
+      ]);
+    });
+
+    it('should find the comment past the first page', async () => {
+      for (let id = 1; id <= 150; id++) {
+        api.comments.push({ id, body: `comment ${id}` });
+      }
+
+      await upsert('## Release preview: v1.18.0');
+      const result = await upsert('## Release preview: v1.18.1');
+
+      expect(result).toMatchObject({ commentAction: 'updated', commentId: 151 });
+      expect(api.comments).toHaveLength(151);
+    });
+  });
+});
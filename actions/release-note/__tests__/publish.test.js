@@ -0,0 +1,285 @@
+import os from 'os';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { it, expect, afterAll, describe, beforeAll, beforeEach } from 'vitest';
+import { createGit } from '../../shared/src/git.js';
+import { createGitHubClient } from '../../shared/src/github.js';
+import { RELEASE_TYPES, publishRelease, resolveReleaseFlags } from '../src/publish.js';
+
+/**
+ * Tests for release publishing against a local bare repository (the "origin")
+ * and a fake GitHub Releases API that keeps its releases in memory.
+ */
+
+const run = (cwd, ...args) => execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+
+function createRepos() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'release-note-publish-'));
+  const origin = path.join(root, 'origin.git');
+  const work = path.join(root, 'work');
+
+  run(root, 'init', '--quiet', '--bare', '--initial-branch=master', origin);
+  run(root, 'clone', '--quiet', origin, work);
+  run(work, 'config', 'user.name', 'Test');
+  run(work, 'config', 'user.email', 'test@test.com');
+  run(work, 'commit', '--quiet', '--allow-empty', '-m', 'chore: initial commit');
+  run(work, 'tag', 'v0.1.0');
+  run(work, 'commit', '--quiet', '--allow-empty', '-m', 'feat: first feature');
+  run(work, 'push', '--quiet', '--tags', 'origin', 'master');
+
+  return { root, origin, work };
+}
+
+function createFakeReleasesApi() {
+  const releases = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url });
+
+      const send = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      const byTag = req.url.match(/^\/repos\/org\/repo\/releases\/tags\/(.+)$/);
+
+      if (req.method === 'GET' && byTag) {
+        // Like GitHub, drafts are not found by tag
+        const release = releases.find(
+          (r) => r.tag_name === decodeURIComponent(byTag[1]) && !r.draft
+        );
+
+        return release ? send(200, release) : send(404, { message: 'Not Found' });
+      }
+
+      const list = req.url.match(/^\/repos\/org\/repo\/releases\?per_page=100&page=(\d+)$/);
+
+      if (req.method === 'GET' && list) {
+        const start = (Number(list[1]) - 1) * 100;
+
+        return send(200, releases.slice(start, start + 100));
+      }
+
+      if (req.method === 'POST' && req.url === '/repos/org/repo/releases') {
+        const release = { id: releases.length + 1, ...JSON.parse(body) };
+
+        release.html_url = `https://github.com/org/repo/releases/tag/${release.tag_name}`;
+        releases.push(release);
+
+        return send(201, release);
+      }
+
+      const match = req.url.match(/^\/repos\/org\/repo\/releases\/(\d+)$/);
+      const release = match && releases.find((r) => r.id === Number(match[1]));
+
+      if (req.method === 'PATCH' && release) {
+        Object.assign(release, JSON.parse(body));
+
+        return send(200, release);
+      }
+
+      return send(404, { message: 'Not Found' });
+    });
+  });
+
+  return { server, releases, requests };
+}
+
+describe('publish', () => {
+  describe('resolveReleaseFlags', () => {
+    it('should publish pre-release versions as pre-releases in auto mode', () => {
+      expect(resolveReleaseFlags('auto', 'v1.18.0-rc.1')).toEqual({
+        draft: false,
+        prerelease: true,
+      });
+      expect(resolveReleaseFlags('auto', 'v1.18.0')).toEqual({ draft: false, prerelease: false });
+    });
+
+    it('should map explicit release types', () => {
+      expect(resolveReleaseFlags('final', 'v1.18.0-rc.1')).toEqual({
+        draft: false,
+        prerelease: false,
+      });
+      expect(resolveReleaseFlags('prerelease', 'v1.18.0')).toEqual({
+        draft: false,
+        prerelease: true,
+      });
+      expect(resolveReleaseFlags('draft', 'v1.18.0')).toEqual({ draft: true, prerelease: false });
+    });
+
+    it('should throw for unknown release types', () => {
+      expect(() => resolveReleaseFlags('nightly', 'v1.0.0')).toThrow(
+        `Invalid release type: nightly. Expected one of: ${RELEASE_TYPES.join(', ')}`
+      );
+    });
+  });
+
+  describe('publishRelease', () => {
+    let repos;
+    let api;
+    let client;
+
+    beforeAll(async () => {
+      api = createFakeReleasesApi();
+      await new Promise((resolve) => api.server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => api.server.close(resolve));
+    });
+
+    beforeEach(() => {
+      repos = createRepos();
+      api.releases.length = 0;
+      api.requests.length = 0;
+      client = createGitHubClient({
+        token: 'secret',
+        apiUrl: `http://127.0.0.1:${api.server.address().port}`,
+      });
+
+      return () => fs.rmSync(repos.root, { recursive: true, force: true });
+    });
+
+    const publish = (options = {}) =>
+      publishRelease({
+        git: createGit(repos.work),
+        client,
+        owner: 'org',
+        repo: 'repo',
+        tag: 'v1.0.0',
+        ref: 'master',
+        previousTag: 'v0.1.0',
+        releaseNotes: '### Fixes\n- fix: something',
+        ...options,
+      });
+
+    it('should create an annotated tag, push it and create the release', async () => {
+      const result = await publish();
+
+      const head = run(repos.work, 'rev-parse', 'master');
+
+      expect(result).toEqual({
+        tag: 'v1.0.0',
+        tagAction: 'created',
+        releaseAction: 'created',
+        releaseId: 1,
+        releaseUrl: 'https://github.com/org/repo/releases/tag/v1.0.0',
+      });
+      expect(run(repos.origin, 'cat-file', '-t', 'v1.0.0')).toBe('tag');
+      expect(run(repos.origin, 'rev-parse', 'v1.0.0^{commit}')).toBe(head);
+      expect(run(repos.origin, 'tag', '-l', '--format=%(contents:subject)', 'v1.0.0')).toBe(
+        'Release v1.0.0'
+      );
+      expect(api.releases).toEqual([
+        expect.objectContaining({
+          tag_name: 'v1.0.0',
+          name: 'v1.0.0',
+          body: '### Fixes\n- fix: something',
+          draft: false,
+          prerelease: false,
+        }),
+      ]);
+    });
+
+    it('should publish drafts and pre-releases', async () => {
+      await publish({ tag: 'v1.1.0-rc.1' });
+      await publish({ tag: 'v1.1.0', releaseType: 'draft' });
+
+      expect(
+        api.releases.map(({ tag_name, draft, prerelease }) => [tag_name, draft, prerelease])
+      ).toEqual([
+        ['v1.1.0-rc.1', false, true],
+        ['v1.1.0', true, false],
+      ]);
+    });
+
+    it('should update the release instead of failing on a re-run', async () => {
+      await publish();
+      const result = await publish({ releaseNotes: 'updated notes' });
+
+      expect(result.tagAction).toBe('unchanged');
+      expect(result.releaseAction).toBe('updated');
+      expect(api.releases).toHaveLength(1);
+      expect(api.releases[0].body).toBe('updated notes');
+    });
+
+    it('should find an existing draft release on a re-run', async () => {
+      await publish({ releaseType: 'draft' });
+      await publish({ releaseType: 'final' });
+
+      expect(api.releases).toHaveLength(1);
+      expect(api.releases[0].draft).toBe(false);
+    });
+
+    it('should move an existing tag to the new branch head', async () => {
+      await publish();
+
+      run(repos.work, 'commit', '--quiet', '--allow-empty', '-m', 'fix: late fix');
+      run(repos.work, 'push', '--quiet', 'origin', 'master');
+
+      const result = await publish();
+
+      expect(result.tagAction).toBe('updated');
+      expect(run(repos.origin, 'rev-parse', 'v1.0.0^{commit}')).toBe(
+        run(repos.work, 'rev-parse', 'master')
+      );
+    });
+
+    it('should not move a tag released before', async () => {
+      const released = run(repos.work, 'rev-parse', 'v0.1.0');
+
+      run(repos.work, 'tag', '-a', '-m', 'Release v1.0.0', 'v1.0.0', 'v0.1.0');
+      run(repos.work, 'push', '--quiet', 'origin', 'v1.0.0');
+      api.releases.push({ id: 1, tag_name: 'v1.0.0', body: 'released notes', draft: false });
+
+      await expect(publish()).rejects.toThrow(
+        `Tag v1.0.0 already exists on ${released.substring(0, 7)}, outside the release range v0.1.0..master`
+      );
+      await expect(publish({ previousTag: '' })).rejects.toThrow('Tag v1.0.0 already exists');
+      expect(run(repos.origin, 'rev-parse', 'v1.0.0^{commit}')).toBe(released);
+      expect(api.releases[0].body).toBe('released notes');
+    });
+
+    it('should find the release of the tag in a long release list', async () => {
+      for (let id = 1; id <= 150; id++) {
+        api.releases.push({ id, tag_name: `v0.0.${id}`, draft: false });
+      }
+
+      api.releases.push({ id: 151, tag_name: 'v1.0.0', draft: false });
+      expect((await publish()).releaseId).toBe(151);
+
+      // A draft is only in the list, here on its second page
+      api.releases.push({ id: 152, tag_name: 'v1.1.0', draft: true });
+      expect((await publish({ tag: 'v1.1.0', releaseType: 'draft' })).releaseId).toBe(152);
+      expect(api.releases).toHaveLength(152);
+    });
+
+    it('should pick up a tag that only exists on the remote', async () => {
+      await publish();
+
+      // A fresh checkout without tags, like actions/checkout with the default fetch-depth
+      run(repos.work, 'tag', '-d', 'v1.0.0');
+
+      const result = await publish();
+
+      expect(result.tagAction).toBe('unchanged');
+      expect(result.releaseAction).toBe('updated');
+    });
+
+    it('should fail when the GitHub API rejects the release', async () => {
+      const failingClient = createGitHubClient({
+        token: 'secret',
+        apiUrl: `http://127.0.0.1:${api.server.address().port}/missing`,
+      });
+
+      await expect(publish({ client: failingClient })).rejects.toThrow('GitHub API error: 404');
+    });
+  });
+});
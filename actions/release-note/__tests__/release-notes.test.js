@@ -1,5 +1,17 @@
-import { it, expect, describe } from 'vitest';
-import { formatCommitLine, formatReleaseNotes, computeBugsnagVersion } from '../src/release-notes.js';
+import fs from 'fs';
+import path from 'path';
+import { it, expect, describe, afterEach, beforeEach } from 'vitest';
+import { createGit } from '../../shared/src/git.js';
+import { resolveReleaseConfig } from '../../shared/src/config.js';
+import { createTestRepo } from '../../shared/__tests__/git-repo.js';
+import {
+  determineBump,
+  findPreviousTag,
+  formatCommitLine,
+  formatReleaseNotes,
+  generateReleaseNotes,
+  computeBugsnagVersion,
+} from '../src/release-notes.js';
 
 // Real commit data from InjectiveLabs/injective-helix repository
 const REAL_COMMITS = {
@@ -53,6 +65,79 @@ describe('release-notes', () => {
     });
   });
 
+  describe('determineBump', () => {
+    it('should bump patch when there are only fixes and chores', () => {
+      const result = determineBump([
+        REAL_COMMITS.copyChange,
+        REAL_COMMITS.oracleSlash,
+        REAL_COMMITS.packageBump,
+      ]);
+
+      expect(result).toEqual({
+        level: 'patch',
+        reason: 'patch: no features or breaking changes',
+      });
+    });
+
+    it('should bump major for a BREAKING CHANGE footer', () => {
+      const result = determineBump([
+        {
+          ...REAL_COMMITS.oracleSlash,
+          body: '',
+          trailers: { 'breaking change': ['oracle price format changed'] },
+        },
+      ]);
+
+      expect(result.level).toBe('major');
+    });
+
+    it('should bump patch when there are no commits', () => {
+      expect(determineBump([])).toEqual({ level: 'patch', reason: 'patch: no new commits' });
+    });
+
+    it('should bump minor for features and name the feature commits', () => {
+      const result = determineBump([
+        REAL_COMMITS.oracleSlash,
+        REAL_COMMITS.mergePR2318,
+        REAL_COMMITS.sedaPricefeed,
+      ]);
+
+      expect(result.level).toBe('minor');
+      expect(result.reason).toBe(
+        `minor: new features in 9fadb5c (${REAL_COMMITS.mergePR2318.message}), 5796f45 (${REAL_COMMITS.sedaPricefeed.message})`
+      );
+      expect(result.reason).not.toContain('ed4a581');
+    });
+
+    it('should bump major for breaking changes over features', () => {
+      const breaking = {
+        hash: 'b4d1c3a6989cd77df646cf0306ae3b5f68b05ce5',
+        message: 'feat!: remove legacy trading view',
+        authorName: 'thomasRalee',
+        authorEmail: 'thomasRalee@users.noreply.github.com',
+      };
+
+      const result = determineBump([REAL_COMMITS.sedaPricefeed, breaking]);
+
+      expect(result).toEqual({
+        level: 'major',
+        reason: 'major: breaking changes in b4d1c3a (feat!: remove legacy trading view)',
+      });
+    });
+
+    it('should cap the number of commits named in the reason', () => {
+      const features = Array.from({ length: 12 }, (_, index) => ({
+        ...REAL_COMMITS.sedaPricefeed,
+        hash: `${index}`.padStart(7, '0'),
+      }));
+
+      const result = determineBump(features);
+
+      expect(result.reason.match(/feat: add support/g)).toHaveLength(10);
+      expect(result.reason).toMatch(/, and 2 more$/);
+    });
+  });
+
   describe('formatCommitLine', () => {
     it('should format a simple commit correctly', () => {
       const result = formatCommitLine(REAL_COMMITS.copyChange, REPO_URL);
@@ -98,16 +183,19 @@ describe('release-notes', () => {
       ];
       
       const result = formatReleaseNotes(commits, REPO_URL);
-      const lines = result.split('\n');
+      const [notes, maintenance] = result.split('\n\n<details>');
+      const lines = notes.split('\n');
       
-      expect(lines).toHaveLength(5);
+      expect(lines).toHaveLength(4);
       
       // Verify order is preserved
       expect(lines[0]).toContain('chore: copy change');
       expect(lines[1]).toContain('Merge pull request #2318');
       expect(lines[2]).toContain('fix: handle edge case');
-      expect(lines[3]).toContain('chore: package bump');
-      expect(lines[4]).toContain('feat: add support to query seda pricefeed');
+      expect(lines[3]).toContain('feat: add support to query seda pricefeed');
+
+      // The package bump is listed in the Maintenance section
+      expect(maintenance).toContain('chore: package bump');
     });
 
     it('should return "No new commits" for empty array', () => {
@@ -131,5 +219,508 @@ describe('release-notes', () => {
       // Should have markdown link format
       expect(result).toMatch(/\[f09968a\]\(https:\/\//);
     });
+
+    it('should split release notes into sections with the grouped layout', () => {
+      const commits = [
+        REAL_COMMITS.copyChange,
+        REAL_COMMITS.mergePR2318,
+        REAL_COMMITS.oracleSlash,
+        REAL_COMMITS.packageBump,
+        REAL_COMMITS.sedaPricefeed,
+      ];
+
+      const result = formatReleaseNotes(commits, REPO_URL, { layout: 'grouped' });
+      const [features, fixes, chores, maintenance] = result.split('\n\n');
+
+      expect(features.split('\n')).toEqual([
+        '### Features',
+        expect.stringContaining('Merge pull request #2318'),
+        expect.stringContaining('feat: add support to query seda pricefeed'),
+      ]);
+      expect(fixes).toContain('### Fixes');
+      expect(fixes).toContain('fix: handle edge case');
+      expect(chores.split('\n')).toHaveLength(2);
+      expect(maintenance).toContain('Maintenance (1 commit)');
+    });
+  });
+
+  describe('previous tag discovery', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit');
+      repo.tag('v1.17.0');
+      repo.commit('feat: new feature');
+      repo.tag('v1.18.0');
+      repo.commit('fix: late fix');
+      // Hotfix of the previous version line, tagged after v1.18.0
+      repo.tag('v1.17.6');
+      repo.commit('feat: next feature');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should find the highest version tag on the branch', async () => {
+      expect(await findPreviousTag(createGit(repo.dir), { branch: 'master' })).toBe('v1.18.0');
+    });
+
+    it('should throw a clear error when no tag matches', async () => {
+      await expect(
+        findPreviousTag(createGit(repo.dir), { branch: 'master', tagPattern: 'helix@*' })
+      ).rejects.toThrow(
+        "No release tag matching 'helix@*' found on master. Set previous_tag to compare against a specific tag"
+      );
+    });
+
+    it('should generate release notes against the discovered tag', async () => {
+      const result = await generateReleaseNotes({
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.previousTag).toBe('v1.18.0');
+      expect(result.newVersion).toBe('v1.19.0');
+      expect(result.commits.map((commit) => commit.message)).toEqual([
+        'feat: next feature',
+        'fix: late fix',
+      ]);
+    });
+
+    it('should prefer an explicit previous tag', async () => {
+      const result = await generateReleaseNotes({
+        previousTag: 'v1.17.6',
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.previousTag).toBe('v1.17.6');
+      expect(result.commits.map((commit) => commit.message)).toEqual(['feat: next feature']);
+    });
+
+    it('should discover the tag on the base branch of a pull request', async () => {
+      repo.checkout('dev', { create: true });
+      repo.commit('feat: released feature');
+      repo.checkout('master');
+      repo.merge('dev', 'Merge pull request #3 from org/dev');
+      repo.tag('v1.19.0');
+      repo.checkout('dev');
+      repo.commit('fix: pending fix');
+
+      const result = await generateReleaseNotes({
+        repoUrl: REPO_URL,
+        branch: 'dev',
+        baseBranch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.previousTag).toBe('v1.19.0');
+      expect(result.newVersion).toBe('v1.19.1');
+      expect(result.commits.map((commit) => commit.message)).toEqual(['fix: pending fix']);
+    });
+  });
+
+  describe('version schemes', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit');
+      repo.tag('v2026.10.2');
+      repo.commit('feat: new feature');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should continue the calendar sequence within the month', async () => {
+      const result = await generateReleaseNotes({
+        repoUrl: REPO_URL,
+        branch: 'master',
+        versionScheme: 'calver',
+        date: new Date('2026-10-19T12:00:00Z'),
+        baseDir: repo.dir,
+      });
+
+      expect(result.previousTag).toBe('v2026.10.2');
+      expect(result.newVersion).toBe('v2026.10.3');
+      expect(result.model.version).toBe('v2026.10.3');
+      expect(result.bump).toBe('minor');
+      expect(result.bumpReason).toBe(
+        'calver: sequence 3 of 2026.10 (bump level not used: minor: new features in ' +
+          `${result.commits[0].hash.substring(0, 7)} (feat: new feature))`
+      );
+      expect(result.model.bumpReason).toBe(result.bumpReason);
+    });
+
+    it('should restart the calendar sequence on a new month', async () => {
+      const result = await generateReleaseNotes({
+        repoUrl: REPO_URL,
+        branch: 'master',
+        versionScheme: 'calver',
+        prereleaseId: 'rc',
+        date: new Date('2026-11-02T12:00:00Z'),
+        baseDir: repo.dir,
+      });
+
+      expect(result.newVersion).toBe('v2026.11.1-rc.1');
+    });
+
+    it('should reject unknown schemes before reading the history', async () => {
+      await expect(
+        generateReleaseNotes({ repoUrl: REPO_URL, versionScheme: 'romver', baseDir: '/nonexistent' })
+      ).rejects.toThrow('Invalid version scheme: romver');
+    });
+  });
+
+  describe('monorepo packages', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit', { files: { 'README.md': 'repo' } });
+      repo.tag('helix@v1.2.0');
+      repo.tag('explorer@v3.0.0');
+      repo.commit('feat: explorer search', { files: { 'apps/explorer/search.vue': 'search' } });
+      repo.tag('explorer@v3.1.0');
+      repo.commit('fix: helix chart', { files: { 'apps/helix/chart.vue': 'chart' } });
+      repo.commit('feat: explorer blocks', { files: { 'apps/explorer/blocks.vue': 'blocks' } });
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should version and scope the release notes per package', async () => {
+      const result = await generateReleaseNotes({
+        tagPrefix: 'helix@',
+        paths: ['apps/helix/**'],
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.previousTag).toBe('helix@v1.2.0');
+      expect(result.newVersion).toBe('helix@v1.2.1');
+      expect(result.commits.map((commit) => commit.message)).toEqual(['fix: helix chart']);
+    });
+
+    it('should start the package version line from an unprefixed previous tag', async () => {
+      repo.tag('v0.9.0', { ref: 'HEAD~1' });
+
+      const result = await generateReleaseNotes({
+        previousTag: 'v0.9.0',
+        tagPrefix: 'explorer@',
+        paths: ['apps/explorer/**'],
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.newVersion).toBe('explorer@v0.10.0');
+      expect(result.commits.map((commit) => commit.message)).toEqual(['feat: explorer blocks']);
+    });
+  });
+
+  describe('reverts', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit');
+      repo.tag('v1.0.0');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should drop changes reverted before the release from the notes and the bump', async () => {
+      const feature = repo.commit('feat: add markets page');
+      repo.commit('fix: chart colors');
+      repo.commit(`Revert "feat: add markets page"\n\nThis reverts commit ${feature}.`);
+
+      const result = await generateReleaseNotes({
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.newVersion).toBe('v1.0.1');
+      expect(result.model.entries.map((entry) => entry.message)).toEqual(['fix: chart colors']);
+      expect(result.releaseNotes).not.toContain('markets page');
+    });
+
+    it('should have nothing to release when the range only holds a reverted change', async () => {
+      const feature = repo.commit('feat: add markets page');
+      repo.commit(`Revert "feat: add markets page"\n\nThis reverts commit ${feature}.`);
+
+      const result = await generateReleaseNotes({
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.commits).toHaveLength(2);
+      expect(result.hasNewCommits).toBe(false);
+      expect(result.model.hasNewCommits).toBe(false);
+      expect(result.releaseNotes).not.toContain('markets page');
+    });
+  });
+
+  describe('release config', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit');
+      repo.git(['branch', '-m', 'main']);
+      repo.tag('v1.0.0');
+      repo.git(['branch', 'develop']);
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should use the release branch and release merges of the config', async () => {
+      repo.checkout('develop');
+      repo.commit('fix: old release fix');
+      repo.checkout('main');
+      repo.merge('develop', 'Merge pull request #1 from org/develop');
+      repo.tag('v1.0.1');
+      repo.checkout('develop');
+      repo.commit('feat: new feature');
+      repo.checkout('main');
+      repo.merge('develop', 'Merge pull request #2 from org/develop');
+
+      const result = await generateReleaseNotes({
+        config: resolveReleaseConfig({ integration_branch: 'develop', release_branch: 'main' }),
+        repoUrl: REPO_URL,
+        baseDir: repo.dir,
+      });
+
+      expect(result.previousTag).toBe('v1.0.1');
+      expect(result.newVersion).toBe('v1.1.0');
+      expect(result.model.entries.map((entry) => entry.message)).toEqual([
+        'Merge pull request #2 from org/develop',
+        'feat: new feature',
+      ]);
+      // The commits of a release merge are not credited to the release PR
+      expect(result.model.entries[1].pullRequest).toBeNull();
+    });
+  });
+
+  describe('maintenance commits', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit');
+      repo.tag('v1.0.0');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should list bot and package bump commits in a Maintenance section', async () => {
+      repo.commit('fix: chart colors');
+      repo.commit('feat(deps): bump nuxt from 3.11.0 to 3.12.0', {
+        author: 'dependabot[bot] <49699333+dependabot[bot]@users.noreply.github.com>',
+      });
+      repo.commit('chore: package bump');
+
+      const result = await generateReleaseNotes({
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      // The dependabot "feat" does not make a minor release
+      expect(result.newVersion).toBe('v1.0.1');
+      expect(result.model.entries.map((entry) => entry.message)).toEqual(['fix: chart colors']);
+      expect(result.model.maintenance.map((entry) => entry.message)).toEqual([
+        'chore: package bump',
+        'feat(deps): bump nuxt from 3.11.0 to 3.12.0',
+      ]);
+      expect(result.releaseNotes).toContain('<summary>Maintenance (2 commits)</summary>');
+    });
+
+    it('should use the exclusion rules of the config', async () => {
+      repo.commit('fix: chart colors');
+      repo.commit('chore: package bump');
+
+      const result = await generateReleaseNotes({
+        config: resolveReleaseConfig({ exclude: { subjects: [], types: ['fix'] } }),
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.model.entries.map((entry) => entry.message)).toEqual([
+        'chore: package bump',
+      ]);
+      expect(result.model.maintenance.map((entry) => entry.message)).toEqual([
+        'fix: chart colors',
+      ]);
+    });
+  });
+
+  describe('hotfixes', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit', { files: { 'app.js': 'app' } });
+      repo.tag('v1.0.0');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should list a hotfix merged again from dev once, as shipped in its tag', async () => {
+      repo.checkout('dev', { create: true });
+      repo.commit('feat: next', { files: { 'next.js': 'next' } });
+      const fix = repo.commit('fix: crash', { files: { 'app.js': 'app();' } });
+      repo.checkout('master');
+      const hotfix = repo.cherryPick(fix);
+      repo.tag('v1.0.1');
+      repo.merge('dev', 'Merge pull request #9 from org/dev');
+
+      const result = await generateReleaseNotes({
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+      const entry = result.model.entries.find((entry) => entry.message === 'fix: crash');
+
+      expect(result.previousTag).toBe('v1.0.1');
+      expect(entry.cherryPicks.map((commit) => commit.hash)).toEqual([hotfix]);
+      expect(entry.shippedIn).toBe('v1.0.1');
+      expect(result.releaseNotes).toContain(
+        `[${fix.substring(0, 7)}](${REPO_URL}/commit/${fix}), [${hotfix.substring(0, 7)}](${REPO_URL}/commit/${hotfix}) - fix: crash by @Test (shipped in v1.0.1)`
+      );
+    });
+  });
+
+  describe('diff stats', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit', {
+        files: { '.github/CODEOWNERS': '* @org/frontend\n/apps/helix/ @org/helix\n' },
+      });
+      repo.tag('v1.0.0');
+      repo.commit('feat: helix page', { files: { 'apps/helix/page.vue': 'a\nb\nc\n' } });
+      repo.commit('fix: button', { files: { 'packages/ui/Button.vue': 'button\n' } });
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should sum the release and its commits by CODEOWNERS area', async () => {
+      const result = await generateReleaseNotes({
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.diffStats).toMatchObject({
+        files: 2,
+        insertions: 4,
+        deletions: 0,
+        areas: [
+          { name: '@org/helix', files: 1, insertions: 3, deletions: 0 },
+          { name: '@org/frontend', files: 1, insertions: 1, deletions: 0 },
+        ],
+      });
+      expect(result.diffStats.commits.map((commit) => commit.areas)).toEqual([
+        ['@org/frontend'],
+        ['@org/helix'],
+      ]);
+      expect(result.model.diffStats).toBe(result.diffStats);
+      expect(result.releaseNotes).toContain(
+        '### Areas touched\n- @org/helix: 1 file (+3 -0)\n- @org/frontend: 1 file (+1 -0)\n- Total: 2 files (+4 -0)'
+      );
+    });
+
+    it('should prefer the areas of the config to CODEOWNERS', async () => {
+      const result = await generateReleaseNotes({
+        config: resolveReleaseConfig({ areas: { trading: ['apps/helix/**'] } }),
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.diffStats.areas.map((area) => area.name)).toEqual(['trading', 'Other']);
+    });
+  });
+
+  describe('templates', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit');
+      repo.tag('v1.0.0');
+      repo.commit('feat: seda pricefeed - IL-2390');
+      repo.commit('fix: chart colors');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should render the release notes with the given template', async () => {
+      const result = await generateReleaseNotes({
+        template: '## {{version}}\n{{#entries}}\n- {{#tickets}}{{.}}: {{/tickets}}{{message}}\n{{/entries}}',
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.releaseNotes).toBe(
+        '## v1.1.0\n- fix: chart colors\n- IL-2390: feat: seda pricefeed - IL-2390'
+      );
+    });
+
+    it('should read a template file and the partials next to it', async () => {
+      const templatePath = path.join(repo.dir, 'release.md');
+
+      fs.writeFileSync(templatePath, '{{#entries}}\n{{> entry}}\n{{/entries}}\n');
+      fs.writeFileSync(path.join(repo.dir, 'entry.md'), '* {{message}} ({{shortHash}})\n');
+
+      const result = await generateReleaseNotes({
+        templatePath,
+        repoUrl: REPO_URL,
+        branch: 'master',
+        baseDir: repo.dir,
+      });
+
+      expect(result.releaseNotes).toMatch(/^\* fix: chart colors \([0-9a-f]{7}\)\n\* feat: /);
+    });
+
+    it('should report template errors before reading the history', async () => {
+      await expect(
+        generateReleaseNotes({
+          template: '{{#entries}}\n{{message}}',
+          previousTag: 'v9.9.9',
+          repoUrl: REPO_URL,
+          baseDir: repo.dir,
+        })
+      ).rejects.toThrow('Invalid template input, line 1: unclosed section {{#entries}}');
+      await expect(
+        generateReleaseNotes({ template: 'x', templatePath: 'y', repoUrl: REPO_URL })
+      ).rejects.toThrow('Set either template or template_path, not both');
+    });
   });
 });
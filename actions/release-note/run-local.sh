@@ -7,7 +7,7 @@
 #   ./run-local.sh [PREVIOUS_TAG] [REPO_URL] [BRANCH] [TARGET_REPO]
 #
 # Examples:
-#   # Use all defaults (v1.17.17, injective-helix repo, master branch)
+#   # Use all defaults (v1.17.17, injective-helix repo, master branch, current directory)
 #   ./run-local.sh
 #
 #   # Specify a different tag
@@ -41,7 +41,7 @@ print_success() {
 PREVIOUS_TAG="${1:-v1.17.17}"
 REPO_URL="${2:-https://github.com/InjectiveLabs/injective-helix}"
 BRANCH="${3:-master}"
-TARGET_REPO="${4:-/Users/leeruianthomas/Public/injective/injective-helix}"
+TARGET_REPO="${4:-$PWD}"
 
 print_info "Running release-note action locally"
 print_info "Previous tag: $PREVIOUS_TAG"
@@ -0,0 +1,325 @@
+/**
+ * Changelog utilities
+ * Maintains a Keep a Changelog (https://keepachangelog.com) style CHANGELOG.md
+ */
+
+import fs from 'fs';
+import { collectReleaseCommits } from './release-notes.js';
+import { DEFAULT_RELEASE_CONFIG } from '../../shared/src/config.js';
+import { buildReleaseModel } from '../../shared/src/release-model.js';
+import { getCommitDate, getVersionTags } from '../../shared/src/git.js';
+import { formatEntryLine, formatMaintenanceDetails } from '../../shared/src/formatting.js';
+
+/**
+ * Supported changelog modes
+ * 'update' adds (or replaces) the section of the new version, 'rebuild' regenerates
+ * every section from the tag history first
+ */
+export const CHANGELOG_MODES = ['none', 'update', 'rebuild'];
+
+/**
+ * How the header of a new changelog describes the versions of each versioning scheme
+ */
+const VERSIONING_NOTES = {
+  semver: 'adheres to [Semantic Versioning](https://semver.org/spec/v2.0.0.html)',
+  calver: 'uses [Calendar Versioning](https://calver.org/) (`YYYY.MM.MICRO`)',
+};
+
+/**
+ * Get the header of a new changelog
+ * Custom versioning schemes are not described.
+ *
+ * @param {string|Object} scheme - Versioning scheme of the releases (default: 'semver', see getVersionScheme)
+ * @returns {string} - Changelog header markdown
+ */
+export function getChangelogHeader(scheme = 'semver') {
+  const name = typeof scheme === 'string' ? scheme : scheme?.name;
+  const versioning = Object.hasOwn(VERSIONING_NOTES, name)
+    ? `,\nand this project ${VERSIONING_NOTES[name]}.`
+    : '.';
+
+  return `# Changelog
+
+All notable changes to this project will be documented in this file.
+
+The format is based on [Keep a Changelog](https://keepachangelog.com/en/1.1.0/)${versioning}`;
+}
+
+/**
+ * Header of a new changelog of SemVer releases
+ */
+export const CHANGELOG_HEADER = getChangelogHeader();
+
+/**
+ * Keep a Changelog categories and the commit types listed under them
+ */
+const CHANGELOG_CATEGORIES = [
+  { title: 'Added', types: ['feat'] },
+  { title: 'Fixed', types: ['fix'] },
+  { title: 'Changed', types: ['perf', 'refactor', 'chore', 'other'] },
+  { title: 'Removed', types: ['revert'] },
+];
+
+const UNRELEASED = 'Unreleased';
+const SECTION_HEADING_REGEX = /^## \[([^\]]+)\]/;
+const LINK_REFERENCE_REGEX = /^\[([^\]]+)\]:\s*(\S+)\s*$/;
+
+/**
+ * Format a Unix timestamp as a changelog date (YYYY-MM-DD, UTC)
+ *
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @returns {string} - ISO date
+ */
+export function formatChangelogDate(timestamp) {
+  return new Date(timestamp * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * Build the GitHub compare URL between two refs
+ *
+ * @param {string} repoUrl - Repository URL (e.g., "https://github.com/org/repo")
+ * @param {string} from - Base ref
+ * @param {string} to - Head ref
+ * @returns {string} - Compare URL
+ */
+function buildCompareUrl(repoUrl, from, to) {
+  return `${repoUrl.replace(/\/$/, '')}/compare/${from}...${to}`;
+}
+
+/**
+ * Render the changelog section of a release
+ * Maintenance entries follow the categories in a collapsed section.
+ *
+ * @param {Object} model - Release model (see buildReleaseModel)
+ * @param {Object} options
+ * @param {string} options.date - Release date (YYYY-MM-DD)
+ * @returns {string} - Markdown section, starting with its "## [version] - date" heading
+ */
+export function renderChangelogSection(model, { date }) {
+  const heading = `## [${model.version}] - ${date}`;
+
+  if (!model.hasNewCommits) {
+    return `${heading}\n\nNo new commits`;
+  }
+
+  const categories = CHANGELOG_CATEGORIES.map(({ title, types }) => ({
+    title,
+    entries: model.entries.filter((entry) => types.includes(entry.type)),
+  })).filter((category) => category.entries.length > 0);
+
+  return [
+    heading,
+    ...categories.map(
+      ({ title, entries }) => `### ${title}\n\n${entries.map(formatEntryLine).join('\n')}`
+    ),
+    formatMaintenanceDetails(model.maintenance.map(formatEntryLine)),
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Split a changelog into its header, version sections and link references
+ *
+ * @param {string} content - Changelog markdown
+ * @returns {Object} - { header, sections: [{ version, text }], links: Map<label, url> }
+ */
+export function parseChangelog(content) {
+  const header = [];
+  const sections = [];
+  const links = new Map();
+
+  for (const line of content.replace(/\r\n/g, '\n').split('\n')) {
+    const heading = line.match(SECTION_HEADING_REGEX);
+    const link = line.match(LINK_REFERENCE_REGEX);
+
+    if (heading) {
+      sections.push({ version: heading[1], lines: [line] });
+    } else if (link && sections.length > 0) {
+      links.set(link[1], link[2]);
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].lines.push(line);
+    } else {
+      header.push(line);
+    }
+  }
+
+  return {
+    header: header.join('\n').trim(),
+    sections: sections.map(({ version, lines }) => ({ version, text: lines.join('\n').trim() })),
+    links,
+  };
+}
+
+/**
+ * Format a parsed changelog back to markdown
+ * Link references are listed in section order, after the sections.
+ *
+ * @param {Object} changelog - { header, sections, links } (see parseChangelog)
+ * @returns {string} - Changelog markdown, ending with a newline
+ */
+export function formatChangelog({ header, sections, links }) {
+  const labels = [
+    ...sections.map((section) => section.version).filter((version) => links.has(version)),
+    ...[...links.keys()].filter((label) => !sections.some((section) => section.version === label)),
+  ];
+  const blocks = [header || CHANGELOG_HEADER, ...sections.map((section) => section.text)];
+
+  if (labels.length > 0) {
+    blocks.push(labels.map((label) => `[${label}]: ${links.get(label)}`).join('\n'));
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Add the section of a release to a changelog, or replace it if the version is
+ * already listed, so re-running for the same version does not duplicate it.
+ * New sections go on top, below an "Unreleased" section if there is one.
+ *
+ * @param {string} content - Current changelog markdown ('' for a new changelog)
+ * @param {Object} options
+ * @param {string} options.version - Version of the section
+ * @param {string} options.section - Section markdown (see renderChangelogSection)
+ * @param {string} options.previousVersion - Previous version, for the compare link (optional)
+ * @param {string} options.repoUrl - Repository URL, for the compare link (optional)
+ * @param {string} options.header - Header of a new changelog (default: CHANGELOG_HEADER)
+ * @returns {string} - Updated changelog markdown
+ */
+export function upsertChangelogSection(
+  content,
+  { version, section, previousVersion, repoUrl, header = CHANGELOG_HEADER }
+) {
+  const changelog = parseChangelog(content);
+
+  changelog.header ||= header;
+  const index = changelog.sections.findIndex((existing) => existing.version === version);
+
+  if (index === -1) {
+    const position = changelog.sections[0]?.version === UNRELEASED ? 1 : 0;
+
+    changelog.sections.splice(position, 0, { version, text: section });
+  } else {
+    changelog.sections[index] = { version, text: section };
+  }
+
+  if (repoUrl && previousVersion) {
+    changelog.links.set(version, buildCompareUrl(repoUrl, previousVersion, version));
+  }
+
+  if (repoUrl && changelog.links.has(UNRELEASED)) {
+    changelog.links.set(UNRELEASED, buildCompareUrl(repoUrl, version, 'HEAD'));
+  }
+
+  return formatChangelog(changelog);
+}
+
+/**
+ * Regenerate a changelog from the tag history: one section per release tag
+ * reachable from the branch, each compared against the tag before it
+ *
+ * @param {Object} options
+ * @param {SimpleGit} options.git - simple-git instance
+ * @param {string} options.repoUrl - Repository URL for creating links
+ * @param {Object} options.config - Release config with the branch conventions (default: DEFAULT_RELEASE_CONFIG)
+ * @param {string} options.branch - Branch the releases were cut from (default: the config's release branch)
+ * @param {string} options.tagPattern - Glob the release tags must match, after the tag prefix (default: '*')
+ * @param {string} options.tagPrefix - Monorepo tag prefix of the package (default: '')
+ * @param {boolean} options.includePrereleases - List pre-release tags as releases (default: false)
+ * @param {Array<string>} options.paths - Only include commits touching these path globs (default: all commits)
+ * @param {Object} options.githubClient - GitHub client to resolve logins and PR metadata (optional)
+ * @param {string} options.header - Changelog header to keep (default: CHANGELOG_HEADER)
+ * @returns {Promise<string>} - Changelog markdown
+ */
+export async function rebuildChangelog({
+  git,
+  repoUrl,
+  config = DEFAULT_RELEASE_CONFIG,
+  branch = config.releaseBranch,
+  tagPattern = '*',
+  tagPrefix = '',
+  includePrereleases = false,
+  paths = [],
+  githubClient = null,
+  header = CHANGELOG_HEADER,
+}) {
+  const tags = (
+    await getVersionTags(git, { ref: branch, pattern: tagPattern, tagPrefix, includePrereleases })
+  ).reverse();
+  const changelog = { header, sections: [], links: new Map() };
+
+  for (const [index, tag] of tags.entries()) {
+    const date = formatChangelogDate(await getCommitDate(git, tag));
+
+    // The first release has no previous tag to list its commits against
+    if (index === 0) {
+      changelog.sections.unshift({
+        version: tag,
+        text: `## [${tag}] - ${date}\n\nInitial release`,
+      });
+      continue;
+    }
+
+    const previousTag = tags[index - 1];
+    const commits = await collectReleaseCommits(git, {
+      fromRef: previousTag,
+      toRef: tag,
+      paths,
+      githubClient,
+      repoUrl,
+      config,
+      tagPrefix,
+    });
+    const model = buildReleaseModel(commits, {
+      repoUrl,
+      version: tag,
+      previousVersion: previousTag,
+      config,
+    });
+
+    changelog.sections.unshift({ version: tag, text: renderChangelogSection(model, { date }) });
+    changelog.links.set(tag, buildCompareUrl(repoUrl, previousTag, tag));
+  }
+
+  return formatChangelog(changelog);
+}
+
+/**
+ * Write the section of a release to a changelog file
+ * The file is only written when its content changes.
+ *
+ * @param {Object} options
+ * @param {string} options.path - Changelog file path
+ * @param {Object} options.model - Release model of the new version (null to only write baseContent)
+ * @param {string} options.date - Release date (YYYY-MM-DD, default: today)
+ * @param {string} options.baseContent - Changelog to add the section to (default: the file's content)
+ * @param {string} options.header - Header of a new changelog file (default: CHANGELOG_HEADER)
+ * @returns {Object} - { path, updated } where updated tells whether the file changed
+ */
+export function writeChangelog({
+  path,
+  model,
+  date = formatChangelogDate(Date.now() / 1000),
+  baseContent,
+  header = CHANGELOG_HEADER,
+}) {
+  const current = fs.existsSync(path) ? fs.readFileSync(path, 'utf8') : '';
+  const base = baseContent ?? current;
+  const content = model
+    ? upsertChangelogSection(base, {
+        version: model.version,
+        section: renderChangelogSection(model, { date }),
+        previousVersion: model.previousVersion,
+        repoUrl: model.repoUrl,
+        header,
+      })
+    : base;
+
+  if (content === current) {
+    return { path, updated: false };
+  }
+
+  fs.writeFileSync(path, content);
+
+  return { path, updated: true };
+}
@@ -1,39 +1,201 @@
+import { existsSync, readFileSync } from 'fs';
 import * as core from '@actions/core';
+import { createGit } from '../../shared/src/git.js';
+import { RELEASE_TYPES, publishRelease } from './publish.js';
+import { parseRepoUrl, createGitHubClient } from '../../shared/src/github.js';
 import { generateReleaseNotes, computeBugsnagVersion } from './release-notes.js';
+import { syncPackageVersions, PACKAGE_VERSION_MODES } from './package-version.js';
+import { loadReleaseConfig, DEFAULT_RELEASE_CONFIG_PATH } from '../../shared/src/config.js';
+import {
+  formatPreview,
+  getPreviewMarker,
+  upsertStickyComment,
+  readPullRequestEvent,
+} from './preview.js';
+import {
+  writeChangelog,
+  parseChangelog,
+  CHANGELOG_MODES,
+  rebuildChangelog,
+  getChangelogHeader,
+} from './changelog.js';
+import {
+  findSourceMaps,
+  DEFAULT_SOURCE_MAPS,
+  createBugsnagClient,
+  reportBugsnagRelease,
+  DEFAULT_BUGSNAG_BUILD_URL,
+  DEFAULT_BUGSNAG_UPLOAD_URL,
+} from '../../shared/src/bugsnag.js';
 
 async function run() {
   try {
     // Get inputs
-    const previousTag = core.getInput('previous_tag', { required: true });
+    const previousTag = core.getInput('previous_tag');
+    const tagPattern = core.getInput('tag_pattern') || '*';
+    const includePrereleases = core.getInput('include_prereleases') === 'true';
+    const tagPrefix = core.getInput('tag_prefix');
+    const paths = core.getMultilineInput('paths');
     const repoUrl = core.getInput('repo_url', { required: true });
-    const branch = core.getInput('branch') || 'master';
+    const configPath = core.getInput('config_path') || DEFAULT_RELEASE_CONFIG_PATH;
+    const config = loadReleaseConfig(configPath);
+    const dryRun = core.getInput('dry_run') === 'true';
+    const prComment = core.getInput('pr_comment') === 'true';
+    // A dry run for a pull request previews the release of its head against the tags of its base
+    const pullRequest = dryRun ? readPullRequestEvent() : null;
+    const branch = core.getInput('branch') || pullRequest?.headRef || config.releaseBranch;
+    const baseBranch = pullRequest?.baseRef || branch;
+    const layout = core.getInput('layout') || 'grouped';
+    const bump = core.getInput('bump') || 'auto';
+    const prereleaseId = core.getInput('prerelease_id');
+    const versionScheme = core.getInput('version_scheme') || 'semver';
+    const githubToken = core.getInput('github_token');
+    const createRelease = core.getInput('create_release') === 'true';
+    const releaseType = core.getInput('release_type') || 'auto';
+    const changelogMode = core.getInput('changelog_mode') || 'none';
+    const changelogPath = core.getInput('changelog_path') || 'CHANGELOG.md';
+    const packageVersionMode = core.getInput('package_version') || 'none';
+    const packagePaths = core.getMultilineInput('package_path');
+    const packageWorkspaces = core.getInput('package_workspaces') === 'true';
+    const template = core.getInput('template');
+    const templatePath = core.getInput('template_path');
+    const bugsnagApiKey = core.getInput('bugsnag_api_key');
+    const bugsnagReleaseStage = core.getInput('bugsnag_release_stage');
+    const bugsnagSourceMaps = core.getInput('bugsnag_source_maps') || DEFAULT_SOURCE_MAPS;
+    const bugsnagMinifiedUrl = core.getInput('bugsnag_minified_url') || '*';
+    const bugsnagBuildUrl = core.getInput('bugsnag_build_url') || DEFAULT_BUGSNAG_BUILD_URL;
+    const bugsnagUploadUrl = core.getInput('bugsnag_upload_url') || DEFAULT_BUGSNAG_UPLOAD_URL;
+
+    if (bugsnagApiKey) {
+      core.setSecret(bugsnagApiKey);
+    }
+
+    if (createRelease && !githubToken) {
+      throw new Error('create_release requires the github_token input');
+    }
+
+    if (prComment && !githubToken) {
+      throw new Error('pr_comment requires the github_token input');
+    }
+
+    if (!RELEASE_TYPES.includes(releaseType)) {
+      throw new Error(
+        `Invalid release_type: ${releaseType}. Expected one of: ${RELEASE_TYPES.join(', ')}`
+      );
+    }
+
+    if (!CHANGELOG_MODES.includes(changelogMode)) {
+      throw new Error(
+        `Invalid changelog_mode: ${changelogMode}. Expected one of: ${CHANGELOG_MODES.join(', ')}`
+      );
+    }
+
+    if (!PACKAGE_VERSION_MODES.includes(packageVersionMode)) {
+      throw new Error(
+        `Invalid package_version: ${packageVersionMode}. Expected one of: ${PACKAGE_VERSION_MODES.join(', ')}`
+      );
+    }
     
-    core.info(`Generating release notes from ${previousTag} to ${branch}`);
+    const from = previousTag || 'the latest release tag';
+
+    core.info(`Generating release notes from ${from} to ${branch}`);
     core.info(`Repository: ${repoUrl}`);
+
+    if (paths.length > 0) {
+      core.info(`Paths: ${paths.join(', ')}`);
+    }
+
+    if (githubToken) {
+      core.info('Resolving authors and pull requests through the GitHub API');
+    }
+
+    if (dryRun) {
+      core.info('Dry run: no outputs are set and no tag, release or file change is made');
+    }
     
+    const githubClient = githubToken ? createGitHubClient({ token: githubToken }) : null;
+
     // Generate release notes
     const result = await generateReleaseNotes({
       previousTag,
+      tagPattern,
+      includePrereleases,
+      tagPrefix,
+      paths,
       repoUrl,
+      config,
       branch,
+      baseBranch,
+      layout,
+      bump,
+      prereleaseId,
+      versionScheme,
+      githubClient,
+      template,
+      templatePath,
     });
+
+    // Preview the release in the job summary and the pull request, and stop there
+    if (dryRun) {
+      const preview = formatPreview(result);
+
+      core.info(preview);
+
+      if (process.env.GITHUB_STEP_SUMMARY) {
+        await core.summary.addRaw(preview, true).write();
+      }
+
+      if (prComment && pullRequest) {
+        try {
+          const comment = await upsertStickyComment({
+            client: githubClient,
+            ...parseRepoUrl(repoUrl),
+            number: pullRequest.number,
+            body: preview,
+            marker: getPreviewMarker(tagPrefix),
+          });
+
+          core.info(`Pull request comment ${comment.commentAction}: ${comment.commentUrl}`);
+        } catch (error) {
+          // e.g. the read-only token of a pull request from a fork
+          core.warning(
+            `Could not comment on pull request #${pullRequest.number}: ${error.message}`
+          );
+        }
+      } else if (prComment) {
+        core.warning(
+          'pr_comment is set but the run is not for a pull request, skipping the comment'
+        );
+      }
+
+      return;
+    }
     
     // Set outputs
+    core.setOutput('previous_tag', result.previousTag);
     core.setOutput('new_version', result.newVersion);
     core.setOutput('release_notes', result.releaseNotes);
+    core.setOutput('release_notes_json', JSON.stringify(result.model));
+    core.setOutput('bump_reason', result.bumpReason);
+    core.setOutput('diff_stats', JSON.stringify(result.diffStats));
     
     // Compute Bugsnag version
     const bugsnagVersion = computeBugsnagVersion(
       result.newVersion,
-      previousTag,
+      result.previousTag,
       result.hasNewCommits
     );
     core.setOutput('bugsnag_version', bugsnagVersion);
     
     // Log summary
+    core.info(`Previous tag: ${result.previousTag}${previousTag ? '' : ' (discovered)'}`);
     core.info(`New version: ${result.newVersion}`);
+    core.info(`Bump: ${result.bumpReason}`);
     core.info(`Bugsnag version: ${bugsnagVersion}`);
     core.info(`Commits found: ${result.commits.length}`);
+    core.info(
+      `Diff: ${result.diffStats.files} files, +${result.diffStats.insertions} -${result.diffStats.deletions}`
+    );
     
     if (result.hasNewCommits) {
       core.info('Release notes:');
@@ -41,6 +203,105 @@ async function run() {
     } else {
       core.info('No new commits found');
     }
+
+    // Check the package.json versions against the previous tag and write the new
+    // version, leaving the change in the working tree to be committed
+    if (packageVersionMode !== 'none') {
+      const packages = syncPackageVersions({
+        mode: packageVersionMode,
+        paths: packagePaths.length > 0 ? packagePaths : undefined,
+        workspaces: packageWorkspaces,
+        previousVersion: result.previousTag,
+        newVersion: result.hasNewCommits ? result.newVersion : null,
+      });
+
+      core.setOutput('package_updated', String(packages.updated.length > 0));
+      core.info(
+        packages.updated.length > 0
+          ? `package.json version ${result.newVersion}: ${packages.updated.join(', ')}`
+          : `package.json version in sync: ${packages.manifests.join(', ')}`
+      );
+    }
+
+    // Update the changelog, leaving the change in the working tree to be committed
+    if (changelogMode !== 'none') {
+      const baseContent =
+        changelogMode === 'rebuild'
+          ? await rebuildChangelog({
+              git: createGit(),
+              repoUrl,
+              config,
+              branch,
+              tagPattern,
+              tagPrefix,
+              includePrereleases,
+              paths,
+              githubClient,
+              header:
+                (existsSync(changelogPath) &&
+                  parseChangelog(readFileSync(changelogPath, 'utf8')).header) ||
+                getChangelogHeader(versionScheme),
+            })
+          : undefined;
+      const changelog = writeChangelog({
+        path: changelogPath,
+        model: result.hasNewCommits ? result.model : null,
+        baseContent,
+        header: getChangelogHeader(versionScheme),
+      });
+
+      core.setOutput('changelog_updated', String(changelog.updated));
+      core.info(`Changelog ${changelog.path}: ${changelog.updated ? 'updated' : 'unchanged'}`);
+    }
+
+    // Create the tag and the GitHub Release
+    if (createRelease && result.hasNewCommits) {
+      const release = await publishRelease({
+        git: createGit(),
+        client: githubClient,
+        ...parseRepoUrl(repoUrl),
+        tag: result.newVersion,
+        ref: branch,
+        previousTag: result.previousTag,
+        releaseNotes: result.releaseNotes,
+        releaseType,
+      });
+
+      core.setOutput('release_url', release.releaseUrl);
+      core.info(`Tag ${release.tag}: ${release.tagAction}`);
+      core.info(`Release ${release.releaseAction}: ${release.releaseUrl}`);
+    } else if (createRelease) {
+      core.info('No new commits, skipping the release');
+    }
+
+    // Upload the source maps of the build and report it to Bugsnag
+    if (bugsnagApiKey) {
+      const sourceMaps = findSourceMaps(bugsnagSourceMaps);
+
+      if (sourceMaps.length === 0) {
+        core.warning(`No source maps match ${bugsnagSourceMaps}, reporting the build without them`);
+      }
+
+      const bugsnag = await reportBugsnagRelease({
+        client: createBugsnagClient({
+          apiKey: bugsnagApiKey,
+          buildUrl: bugsnagBuildUrl,
+          uploadUrl: bugsnagUploadUrl,
+        }),
+        appVersion: bugsnagVersion,
+        releaseStage: bugsnagReleaseStage,
+        repoUrl,
+        revision: (await createGit().revparse(['HEAD'])).trim(),
+        builderName: process.env.GITHUB_ACTOR || 'github-actions',
+        metadata: { release_notes: result.releaseNotes },
+        sourceMaps,
+        minifiedUrl: bugsnagMinifiedUrl,
+      });
+
+      core.info(
+        `Bugsnag build ${bugsnag.appVersion} reported with ${bugsnag.sourceMaps.length} source maps`
+      );
+    }
   } catch (error) {
     core.setFailed(`Release notes generation failed: ${error.message}`);
   }
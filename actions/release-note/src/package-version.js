@@ -0,0 +1,278 @@
+/**
+ * package.json version utilities
+ * Keeps the version field of an app's manifests, and of its workspace packages, in
+ * sync with the release tags
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parse } from 'yaml';
+import { globToRegExp } from '../../shared/src/diff-stats.js';
+import { parseVersion, formatVersion } from '../../shared/src/version.js';
+
+/**
+ * Supported package version modes
+ * 'check' fails when a manifest disagrees with the previous tag, 'update' also writes
+ * the new version to the manifests
+ */
+export const PACKAGE_VERSION_MODES = ['none', 'check', 'update'];
+
+const VERSION_LINE_REGEX = /^\s*"version"\s*:.*$/m;
+const SKIPPED_DIRECTORIES = ['node_modules', '.git'];
+
+/**
+ * Convert a release tag to a package.json version ("helix@v1.2.3" -> "1.2.3")
+ *
+ * @param {string} version - Version or tag
+ * @returns {string} - Version without tag prefix and 'v'
+ */
+export function toPackageVersion(version) {
+  return formatVersion({ ...parseVersion(version), tagPrefix: '' }, false);
+}
+
+/**
+ * Read a package.json file
+ *
+ * @param {string} manifestPath - package.json path
+ * @returns {Object} - { content, manifest } with the raw and the parsed file
+ * @throws {Error} - If the file is missing or not valid JSON
+ */
+function readManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error(`package.json not found: ${manifestPath}`);
+  }
+
+  const content = fs.readFileSync(manifestPath, 'utf8');
+
+  try {
+    return { content, manifest: JSON.parse(content) };
+  } catch (error) {
+    throw new Error(`Invalid package.json ${manifestPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read the version field of a package.json file
+ *
+ * @param {string} manifestPath - package.json path
+ * @returns {string|null} - Version, or null when the manifest has none
+ */
+export function readPackageVersion(manifestPath) {
+  return readManifest(manifestPath).manifest.version ?? null;
+}
+
+/**
+ * List the subdirectories of a directory, skipping node_modules and .git
+ */
+function listDirectories(dir) {
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && !SKIPPED_DIRECTORIES.includes(entry.name))
+    .map((entry) => path.join(dir, entry.name));
+}
+
+/**
+ * Expand a workspace glob ("apps/*", "packages/**") to the directories it matches
+ */
+function expandWorkspaceGlob(rootDir, pattern) {
+  let dirs = [rootDir];
+
+  for (const segment of pattern.split('/').filter((part) => part && part !== '.')) {
+    if (segment === '**') {
+      const walk = (dir) => [dir, ...listDirectories(dir).flatMap(walk)];
+
+      dirs = dirs.flatMap(walk);
+    } else if (/[*?]/.test(segment)) {
+      const regex = globToRegExp(segment);
+
+      dirs = dirs.flatMap(listDirectories).filter((dir) => regex.test(path.basename(dir)));
+    } else {
+      dirs = dirs
+        .map((dir) => path.join(dir, segment))
+        .filter((dir) => fs.existsSync(dir) && fs.statSync(dir).isDirectory());
+    }
+  }
+
+  return dirs;
+}
+
+/**
+ * Get the workspace globs of a root manifest: its `workspaces` field (npm, yarn) or
+ * the `packages` of a pnpm-workspace.yaml next to it
+ *
+ * @param {string} manifestPath - Root package.json path
+ * @returns {Array<string>} - Workspace globs, "!" globs excluding directories
+ */
+export function getWorkspaceGlobs(manifestPath) {
+  const { workspaces } = readManifest(manifestPath).manifest;
+  const pnpmWorkspacePath = path.join(path.dirname(manifestPath), 'pnpm-workspace.yaml');
+
+  if (workspaces) {
+    return Array.isArray(workspaces) ? workspaces : workspaces.packages || [];
+  }
+
+  if (fs.existsSync(pnpmWorkspacePath)) {
+    return parse(fs.readFileSync(pnpmWorkspacePath, 'utf8'))?.packages || [];
+  }
+
+  return [];
+}
+
+/**
+ * Find the package.json files of the workspace packages of a root manifest
+ * Packages without a version field (e.g. private tooling) are left out.
+ *
+ * @param {string} manifestPath - Root package.json path
+ * @returns {Array<string>} - package.json paths of the workspace packages, sorted
+ */
+export function findWorkspaceManifests(manifestPath) {
+  const rootDir = path.dirname(manifestPath);
+  const globs = getWorkspaceGlobs(manifestPath);
+  const expand = (patterns) =>
+    new Set(patterns.flatMap((pattern) => expandWorkspaceGlob(rootDir, pattern)));
+  const excluded = expand(
+    globs.filter((glob) => glob.startsWith('!')).map((glob) => glob.slice(1))
+  );
+
+  return [...expand(globs.filter((glob) => !glob.startsWith('!')))]
+    .filter((dir) => !excluded.has(dir))
+    .map((dir) => path.join(dir, 'package.json'))
+    .filter((file) => fs.existsSync(file) && readPackageVersion(file) !== null)
+    .sort();
+}
+
+/**
+ * Resolve the manifests to keep in sync
+ *
+ * @param {Array<string>} paths - package.json paths
+ * @param {Object} options
+ * @param {boolean} options.workspaces - Also include the workspace packages of each manifest (default: false)
+ * @returns {Array<string>} - package.json paths, without duplicates
+ */
+export function resolvePackageManifests(paths, { workspaces = false } = {}) {
+  const manifests = paths.flatMap((manifestPath) => [
+    path.normalize(manifestPath),
+    ...(workspaces ? findWorkspaceManifests(manifestPath) : []),
+  ]);
+
+  return [...new Set(manifests)];
+}
+
+/**
+ * Format the version lines of the manifests that disagree with a tag as a diff
+ *
+ * @param {Array<Object>} mismatches - Manifests { path, content }
+ * @param {string} tag - Tag the manifests should match
+ * @returns {string} - Error message with one diff per manifest
+ */
+function formatVersionDiff(mismatches, tag) {
+  const expected = toPackageVersion(tag);
+
+  return [
+    `package.json version does not match ${tag}:`,
+    ...mismatches.flatMap(({ path: manifestPath, content }) => {
+      const line = content.match(VERSION_LINE_REGEX)?.[0];
+      const indent = line ? line.match(/^\s*/)[0] : '  ';
+      const comma = line?.trimEnd().endsWith(',') ? ',' : '';
+
+      return [
+        `--- ${manifestPath}`,
+        `+++ ${tag}`,
+        line ? `-${line.trimEnd()}` : '- (no version field)',
+        `+${indent}"version": "${expected}"${comma}`,
+      ];
+    }),
+  ].join('\n');
+}
+
+/**
+ * Check that manifests hold the version of a tag
+ * A manifest already holding `newVersion` is accepted too, so re-runs of an
+ * update pass.
+ *
+ * @param {Array<string>} manifests - package.json paths
+ * @param {Object} options
+ * @param {string} options.previousVersion - Previous release tag
+ * @param {string} options.newVersion - New release version (optional)
+ * @throws {Error} - With the diff of the manifests that disagree
+ */
+export function checkPackageVersions(manifests, { previousVersion, newVersion = null }) {
+  const accepted = [previousVersion, newVersion].filter(Boolean).map(toPackageVersion);
+  const mismatches = manifests
+    .map((manifestPath) => ({ path: manifestPath, ...readManifest(manifestPath) }))
+    .filter(({ manifest }) => !accepted.includes(manifest.version));
+
+  if (mismatches.length > 0) {
+    throw new Error(formatVersionDiff(mismatches, previousVersion));
+  }
+}
+
+/**
+ * Write a version to a package.json file, as `npm version` does: the key order,
+ * indentation and final newline of the file are kept, so the change is commit-ready
+ * The file is only written when the version changes.
+ *
+ * @param {string} manifestPath - package.json path
+ * @param {string} version - Version or tag to write (e.g. "v1.2.3")
+ * @returns {boolean} - Whether the file changed
+ */
+export function writePackageVersion(manifestPath, version) {
+  const { content, manifest } = readManifest(manifestPath);
+  const packageVersion = toPackageVersion(version);
+
+  if (manifest.version === packageVersion) {
+    return false;
+  }
+
+  const indent = content.match(/^[ \t]+(?=")/m)?.[0] || '';
+  const newline = content.includes('\r\n') ? '\r\n' : '\n';
+  const json = JSON.stringify({ ...manifest, version: packageVersion }, null, indent);
+
+  fs.writeFileSync(
+    manifestPath,
+    `${json.replace(/\n/g, newline)}${/\r?\n$/.test(content) ? newline : ''}`
+  );
+
+  return true;
+}
+
+/**
+ * Check the manifests against the previous tag and, in 'update' mode, write the new version
+ *
+ * @param {Object} options
+ * @param {string} options.mode - One of PACKAGE_VERSION_MODES
+ * @param {Array<string>} options.paths - package.json paths (default: ['package.json'])
+ * @param {boolean} options.workspaces - Also sync the workspace packages of each manifest (default: false)
+ * @param {string} options.previousVersion - Previous release tag
+ * @param {string} options.newVersion - New release version (null when there is nothing to release)
+ * @returns {Object} - { manifests, updated } package.json paths checked and written
+ * @throws {Error} - If the mode is unknown, or a manifest disagrees with the previous tag
+ */
+export function syncPackageVersions({
+  mode,
+  paths = ['package.json'],
+  workspaces = false,
+  previousVersion,
+  newVersion = null,
+}) {
+  if (!PACKAGE_VERSION_MODES.includes(mode)) {
+    throw new Error(
+      `Invalid package version mode: ${mode}. Expected one of: ${PACKAGE_VERSION_MODES.join(', ')}`
+    );
+  }
+
+  if (mode === 'none') {
+    return { manifests: [], updated: [] };
+  }
+
+  const manifests = resolvePackageManifests(paths, { workspaces });
+
+  checkPackageVersions(manifests, { previousVersion, newVersion });
+
+  const updated =
+    mode === 'update' && newVersion
+      ? manifests.filter((manifestPath) => writePackageVersion(manifestPath, newVersion))
+      : [];
+
+  return { manifests, updated };
+}
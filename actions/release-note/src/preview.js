@@ -0,0 +1,135 @@
+/**
+ * Release preview utilities
+ * Describes the release a dry run would cut, for the job summary and a sticky
+ * pull request comment
+ */
+
+import { readFileSync } from 'fs';
+
+const COMMENTS_PER_PAGE = 100;
+
+/**
+ * Hidden marker identifying the preview comment of a package on a pull request
+ *
+ * @param {string} tagPrefix - Monorepo tag prefix of the package (default: '')
+ * @returns {string} - HTML comment, e.g. "<!-- release-note-preview helix@ -->"
+ */
+export function getPreviewMarker(tagPrefix = '') {
+  return `<!-- release-note-preview${tagPrefix ? ` ${tagPrefix}` : ''} -->`;
+}
+
+/**
+ * Read the pull request of the workflow run from the GitHub event payload
+ * (pull_request and pull_request_target events)
+ *
+ * @param {Object} options
+ * @param {string} options.eventPath - Event payload path (default: GITHUB_EVENT_PATH)
+ * @returns {Object|null} - { number, baseRef, headRef } with the base and head commits, or
+ *   null when the run is not for a pull request
+ */
+export function readPullRequestEvent({ eventPath = process.env.GITHUB_EVENT_PATH } = {}) {
+  if (!eventPath) {
+    return null;
+  }
+
+  try {
+    const { pull_request: pullRequest } = JSON.parse(readFileSync(eventPath, 'utf8'));
+
+    return pullRequest
+      ? { number: pullRequest.number, baseRef: pullRequest.base.sha, headRef: pullRequest.head.sha }
+      : null;
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Format the preview of a release as markdown
+ *
+ * @param {Object} result - Result of generateReleaseNotes
+ * @returns {string} - Markdown with the version, the bump decision, the size and the
+ *   release notes of the release
+ */
+export function formatPreview({
+  previousTag,
+  newVersion,
+  bumpReason,
+  commits,
+  diffStats,
+  releaseNotes,
+  hasNewCommits,
+}) {
+  if (!hasNewCommits) {
+    return [
+      '## Release preview: no new commits',
+      '',
+      `Nothing to release since \`${previousTag}\`.`,
+    ].join('\n');
+  }
+
+  return [
+    `## Release preview: ${newVersion}`,
+    '',
+    '> Dry run, no tag or release was created.',
+    '',
+    `- **Previous tag:** \`${previousTag}\``,
+    `- **New version:** \`${newVersion}\``,
+    `- **Bump:** ${bumpReason}`,
+    `- **Commits:** ${commits.length}`,
+    `- **Diff:** ${diffStats.files} files, +${diffStats.insertions} -${diffStats.deletions}`,
+    '',
+    releaseNotes,
+  ].join('\n');
+}
+
+/**
+ * Create or update the sticky comment of a pull request
+ * The comment is found by its marker, so each run replaces the previous preview
+ * instead of adding a comment.
+ *
+ * @param {Object} options
+ * @param {Object} options.client - GitHub client (see createGitHubClient)
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {number} options.number - Pull request number
+ * @param {string} options.body - Comment markdown
+ * @param {string} options.marker - Hidden marker of the comment (default: getPreviewMarker())
+ * @returns {Promise<Object>} - { commentAction, commentId, commentUrl }, commentAction being
+ *   'created', 'updated' or 'unchanged'
+ */
+export async function upsertStickyComment({
+  client,
+  owner,
+  repo,
+  number,
+  body,
+  marker = getPreviewMarker(),
+}) {
+  const commentBody = `${marker}\n${body}`;
+
+  for (let page = 1; ; page++) {
+    const comments = await client.listIssueComments(owner, repo, number, page);
+    const existing = comments.find((comment) => comment.body?.startsWith(marker));
+
+    if (existing) {
+      const unchanged = existing.body === commentBody;
+      const comment = unchanged
+        ? existing
+        : await client.updateIssueComment(owner, repo, existing.id, commentBody);
+
+      return {
+        commentAction: unchanged ? 'unchanged' : 'updated',
+        commentId: comment.id,
+        commentUrl: comment.html_url,
+      };
+    }
+
+    if (comments.length < COMMENTS_PER_PAGE) {
+      break;
+    }
+  }
+
+  const comment = await client.createIssueComment(owner, repo, number, commentBody);
+
+  return { commentAction: 'created', commentId: comment.id, commentUrl: comment.html_url };
+}
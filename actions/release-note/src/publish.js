@@ -0,0 +1,111 @@
+/**
+ * Release publishing utilities
+ * Creates the release tag and the GitHub Release for a generated version
+ */
+
+import { isPrerelease } from '../../shared/src/version.js';
+import { pushTag, fetchTag, createAnnotatedTag } from '../../shared/src/git.js';
+
+/**
+ * Supported release types for publishRelease
+ * 'auto' publishes SemVer pre-release versions as pre-releases and everything else as final
+ */
+export const RELEASE_TYPES = ['auto', 'final', 'prerelease', 'draft'];
+
+/**
+ * Identity used for the annotated release tag
+ */
+export const DEFAULT_TAGGER = {
+  name: 'github-actions[bot]',
+  email: '41898282+github-actions[bot]@users.noreply.github.com',
+};
+
+/**
+ * Resolve the draft/prerelease flags of a GitHub Release
+ *
+ * @param {string} releaseType - One of RELEASE_TYPES
+ * @param {string} tag - Release tag (used by 'auto')
+ * @returns {Object} - { draft, prerelease }
+ * @throws {Error} - If the release type is unknown
+ */
+export function resolveReleaseFlags(releaseType, tag) {
+  switch (releaseType) {
+    case 'auto':
+      return { draft: false, prerelease: isPrerelease(tag) };
+    case 'final':
+      return { draft: false, prerelease: false };
+    case 'prerelease':
+      return { draft: false, prerelease: true };
+    case 'draft':
+      return { draft: true, prerelease: false };
+    default:
+      throw new Error(
+        `Invalid release type: ${releaseType}. Expected one of: ${RELEASE_TYPES.join(', ')}`
+      );
+  }
+}
+
+/**
+ * Create an annotated tag at the branch head and publish a GitHub Release with the notes
+ *
+ * Safe to re-run: the tag of an earlier run (inside previousTag..ref) is moved to the
+ * branch head, or left alone if it already points there, and the existing release for
+ * the tag is updated instead of creating a duplicate. A tag released before, anywhere
+ * else, fails the run before anything is pushed or published.
+ *
+ * @param {Object} options
+ * @param {SimpleGit} options.git - simple-git instance
+ * @param {Object} options.client - GitHub client (see createGitHubClient)
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.tag - Release tag (the new version, e.g. "v1.2.3")
+ * @param {string} options.ref - Ref to tag (e.g. the release branch)
+ * @param {string} options.previousTag - Previous release tag, the start of the release range
+ * @param {string} options.releaseNotes - Release notes (markdown)
+ * @param {string} options.releaseType - One of RELEASE_TYPES (default: 'auto')
+ * @param {string} options.remote - Remote to push the tag to (default: 'origin')
+ * @param {Object} options.tagger - Tag identity { name, email } (default: github-actions[bot])
+ * @returns {Promise<Object>} - { tag, tagAction, releaseAction, releaseId, releaseUrl }
+ */
+export async function publishRelease({
+  git,
+  client,
+  owner,
+  repo,
+  tag,
+  ref,
+  previousTag,
+  releaseNotes,
+  releaseType = 'auto',
+  remote = 'origin',
+  tagger = DEFAULT_TAGGER,
+}) {
+  const flags = resolveReleaseFlags(releaseType, tag);
+
+  // Pick up the tag of an earlier run, in case the checkout did not fetch tags
+  await fetchTag(git, tag, { remote });
+
+  const tagAction = await createAnnotatedTag(git, {
+    tag,
+    ref,
+    fromRef: previousTag,
+    message: `Release ${tag}`,
+    tagger,
+  });
+
+  await pushTag(git, tag, { remote, force: tagAction === 'updated' });
+
+  const release = { tag_name: tag, name: tag, body: releaseNotes, ...flags };
+  const existing = await client.findReleaseByTag(owner, repo, tag);
+  const published = existing
+    ? await client.updateRelease(owner, repo, existing.id, release)
+    : await client.createRelease(owner, repo, release);
+
+  return {
+    tag,
+    tagAction,
+    releaseAction: existing ? 'updated' : 'created',
+    releaseId: published.id,
+    releaseUrl: published.html_url,
+  };
+}
@@ -2,9 +2,35 @@
  * Release notes generation utilities
  */
 
-import { incrementPatch } from '../../shared/src/version.js';
-import { formatCommitLine, formatReleaseNotes } from '../../shared/src/formatting.js';
-import { createGit, refExists, getCommitsBetweenWithMerges } from '../../shared/src/git.js';
+import { DEFAULT_RELEASE_CONFIG } from '../../shared/src/config.js';
+import { buildReleaseModel } from '../../shared/src/release-model.js';
+import { parseRepoUrl, enrichCommits } from '../../shared/src/github.js';
+import { loadTemplate, parseTemplate, renderTemplate } from '../../shared/src/templates.js';
+import { buildDiffStats, loadCodeowners, createAreaMatcher } from '../../shared/src/diff-stats.js';
+import {
+  BUMP_LEVELS,
+  nextVersion,
+  describeBump,
+  withTagPrefix,
+  getVersionScheme,
+} from '../../shared/src/version.js';
+import {
+  getCommitType,
+  formatCommitLine,
+  isBreakingChange,
+  formatReleaseNotes,
+  selectReleaseCommits,
+} from '../../shared/src/formatting.js';
+import {
+  createGit,
+  refExists,
+  getDiffFiles,
+  getLatestTag,
+  getCommitFiles,
+  markCherryPicks,
+  filterCommitsByPaths,
+  getCommitsBetweenWithMerges,
+} from '../../shared/src/git.js';
 
 /**
  * Generate release notes between a previous tag and a branch
@@ -14,20 +40,92 @@ import { createGit, refExists, getCommitsBetweenWithMerges } from '../../shared/
  * case where tags may be placed on commits that are not on the main
  * branch's direct history.
  *
+ * When no previous tag is given, the highest SemVer tag reachable from the
+ * branch is used (see findPreviousTag). A pull request preview discovers it on
+ * `baseBranch` instead, and lists the commits up to the pull request head.
+ *
+ * For monorepos, `paths` keeps only the commits touching a package and
+ * `tagPrefix` gives the package its own version line ("helix@v1.2.3").
+ *
+ * The size of the release is described by diff stats, with the changed paths
+ * mapped to the areas of the config, or to their CODEOWNERS without areas.
+ *
+ * The markdown release notes are rendered through the built-in template, or the
+ * given `template` text or `templatePath` file (see renderTemplate).
+ *
  * @param {Object} options
- * @param {string} options.previousTag - The previous tag to compare against
+ * @param {string} options.previousTag - The previous tag to compare against (optional, discovered when empty)
+ * @param {string} options.tagPattern - Glob the discovered previous tag must match (default: '*')
+ * @param {boolean} options.includePrereleases - Allow a pre-release tag to be discovered (default: false)
+ * @param {string} options.tagPrefix - Monorepo tag prefix of the package, e.g. 'helix@' (default: '')
+ * @param {Array<string>} options.paths - Only include commits touching these path globs (default: all commits)
  * @param {string} options.repoUrl - Repository URL for creating links
- * @param {string} options.branch - Branch to get commits from (default: 'master')
+ * @param {Object} options.config - Release config with the branch conventions (default: DEFAULT_RELEASE_CONFIG)
+ * @param {string} options.branch - Branch to get commits from (default: the config's release branch)
+ * @param {string} options.baseBranch - Branch to discover the previous tag on (default: branch)
+ * @param {string} options.layout - Release notes layout: 'grouped' (default) or 'flat'
+ * @param {string} options.bump - Bump level: 'auto' (default, inferred from commits), 'patch', 'minor' or 'major'
+ * @param {string} options.prereleaseId - Cut a pre-release with this identifier (e.g. 'rc') instead of a final version
+ * @param {string} options.versionScheme - Versioning scheme of new versions: 'semver' (default) or 'calver'
+ * @param {Date} options.date - Release date, used by CalVer (default: now)
+ * @param {Object} options.githubClient - GitHub client to resolve logins and PR metadata (optional, see createGitHubClient)
+ * @param {string} options.template - Template text to render the release notes with (optional)
+ * @param {string} options.templatePath - Template file to render the release notes with (optional)
  * @param {string} options.baseDir - Git repository base directory
- * @returns {Promise<Object>} - { releaseNotes, newVersion, commits }
+ * @returns {Promise<Object>} - { releaseNotes, model, previousTag, newVersion, bump, bumpReason, commits,
+ *   diffStats, hasNewCommits }
  */
 export async function generateReleaseNotes({
-  previousTag,
+  previousTag: givenPreviousTag = '',
+  tagPattern = '*',
+  includePrereleases = false,
+  tagPrefix = '',
+  paths = [],
   repoUrl,
-  branch = 'master',
+  config = DEFAULT_RELEASE_CONFIG,
+  branch = config.releaseBranch,
+  baseBranch = branch,
+  layout = 'grouped',
+  bump = 'auto',
+  prereleaseId = '',
+  versionScheme = 'semver',
+  date = new Date(),
+  githubClient = null,
+  template = '',
+  templatePath = '',
   baseDir = process.cwd(),
 }) {
+  if (bump !== 'auto' && !BUMP_LEVELS.includes(bump)) {
+    throw new Error(`Invalid bump: ${bump}. Expected one of: auto, ${BUMP_LEVELS.join(', ')}`);
+  }
+
+  const scheme = getVersionScheme(versionScheme);
+
+  if (template && templatePath) {
+    throw new Error('Set either template or template_path, not both');
+  }
+
+  // Load and check the template before the git work, so a missing file or a
+  // syntax error fails fast
+  const { template: templateText, ...templateOptions } = templatePath
+    ? loadTemplate(templatePath)
+    : template
+      ? { template, source: 'input' }
+      : {};
+
+  if (templateText) {
+    parseTemplate(templateText, templateOptions.source);
+  }
+
   const git = createGit(baseDir);
+  const previousTag =
+    givenPreviousTag ||
+    (await findPreviousTag(git, {
+      branch: baseBranch,
+      tagPattern,
+      tagPrefix,
+      includePrereleases,
+    }));
 
   // Validate that the previous tag exists
   const tagExists = await refExists(git, previousTag);
@@ -35,24 +133,224 @@ export async function generateReleaseNotes({
     throw new Error(`Tag '${previousTag}' does not exist`);
   }
 
-  // Get commits between the tag and the branch using first-parent
-  // This correctly handles the case where the tag is on a diverged commit
-  const commits = await getCommitsBetweenWithMerges(git, previousTag, branch);
+  const commits = await collectReleaseCommits(git, {
+    fromRef: previousTag,
+    toRef: branch,
+    paths,
+    githubClient,
+    repoUrl,
+    config,
+    tagPrefix,
+  });
+  const diffStats = await collectDiffStats(git, {
+    fromRef: previousTag,
+    toRef: branch,
+    paths,
+    commits,
+    matchAreas: createAreaMatcher({ areas: config.areas, codeowners: loadCodeowners(baseDir) }),
+  });
 
-  // Format the release notes
-  const releaseNotes = formatReleaseNotes(commits, repoUrl);
+  // Calculate new version, either from the bump input or from the commit semantics
+  // (maintenance commits excluded from the release notes do not drive the bump)
+  const { level, reason } =
+    bump === 'auto'
+      ? determineBump(selectReleaseCommits(commits, config).included)
+      : { level: bump, reason: `${bump}: set by bump input` };
+  // A given unprefixed previous tag (e.g. the last release before the monorepo split)
+  // still gives a version on the package's line
+  const baseVersion = tagPrefix ? withTagPrefix(previousTag, tagPrefix) : previousTag;
+  const newVersion = nextVersion(baseVersion, { scheme, level, prereleaseId, date });
+  const bumpReason = describeBump(newVersion, { scheme, reason });
 
-  // Calculate new version
-  const newVersion = incrementPatch(previousTag);
+  // Describe the release as data, then render the markdown release notes from it
+  const model = buildReleaseModel(commits, {
+    repoUrl,
+    version: newVersion,
+    previousVersion: previousTag,
+    bump: level,
+    bumpReason,
+    layout,
+    config,
+    diffStats,
+  });
 
   return {
-    releaseNotes,
+    releaseNotes: renderTemplate(model, templateText, templateOptions),
+    model,
+    previousTag,
     newVersion,
+    bump: level,
+    bumpReason,
     commits,
-    hasNewCommits: commits.length > 0,
+    diffStats,
+    // Changes reverted before the release cancel out, so they release nothing
+    hasNewCommits: model.hasNewCommits,
   };
 }
 
+/**
+ * Collect the commits of a release between two refs
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {Object} options
+ * @param {string} options.fromRef - Previous release tag (exclusive)
+ * @param {string} options.toRef - Branch or tag of the release (inclusive)
+ * @param {Array<string>} options.paths - Only include commits touching these path globs (default: all commits)
+ * @param {Object} options.githubClient - GitHub client to resolve logins and PR metadata (optional)
+ * @param {string} options.repoUrl - Repository URL (required with githubClient)
+ * @param {Object} options.config - Release config (default: DEFAULT_RELEASE_CONFIG)
+ * @param {string} options.tagPrefix - Monorepo tag prefix of the package (default: '')
+ * @returns {Promise<Array<Object>>} - Commits of the release
+ */
+export async function collectReleaseCommits(
+  git,
+  {
+    fromRef,
+    toRef,
+    paths = [],
+    githubClient = null,
+    repoUrl,
+    config = DEFAULT_RELEASE_CONFIG,
+    tagPrefix = '',
+  }
+) {
+  // Get commits between the tag and the branch using first-parent
+  // This correctly handles the case where the tag is on a diverged commit
+  let commits = await getCommitsBetweenWithMerges(git, fromRef, toRef, { config });
+
+  // List cherry-picked hotfixes once, noting the ones an earlier tag already shipped
+  commits = await markCherryPicks(git, commits, { fromRef, toRef, tagPrefix });
+
+  // Keep only the commits of the package when release notes are scoped to paths
+  commits = await filterCommitsByPaths(git, commits, { fromRef, toRef, paths });
+
+  // Optionally resolve GitHub logins and PR titles, labels and authors
+  if (githubClient) {
+    commits = await enrichCommits(commits, {
+      client: githubClient,
+      ...parseRepoUrl(repoUrl),
+      config,
+    });
+  }
+
+  return commits;
+}
+
+/**
+ * Compute the diff stats of a release: files, insertions and deletions of the
+ * release and of each of its commits, and the areas they touch
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {Object} options
+ * @param {string} options.fromRef - Previous release tag
+ * @param {string} options.toRef - Branch or tag of the release
+ * @param {Array<string>} options.paths - Only count files matching these path globs (default: all files)
+ * @param {Array<Object>} options.commits - Commits of the release (see collectReleaseCommits)
+ * @param {Function|null} options.matchAreas - Area matcher (optional, see createAreaMatcher)
+ * @returns {Promise<Object>} - Diff stats (see buildDiffStats)
+ */
+export async function collectDiffStats(
+  git,
+  { fromRef, toRef, paths = [], commits = [], matchAreas = null }
+) {
+  const files = await getDiffFiles(git, { fromRef, toRef, paths });
+  const commitFiles =
+    commits.length > 0 ? await getCommitFiles(git, { fromRef, toRef, paths }) : new Map();
+
+  return buildDiffStats({ files, commits, commitFiles, matchAreas });
+}
+
+/**
+ * Find the previous release tag: the highest SemVer tag reachable from the branch
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {Object} options
+ * @param {string} options.branch - Branch the release is cut from (default: the default config's release branch)
+ * @param {string} options.tagPattern - Glob the tag must match, after the tag prefix (default: '*')
+ * @param {string} options.tagPrefix - Monorepo tag prefix of the package (default: '')
+ * @param {boolean} options.includePrereleases - Allow pre-release tags (default: false)
+ * @returns {Promise<string>} - Tag name
+ * @throws {Error} - If no matching tag is reachable from the branch
+ */
+export async function findPreviousTag(
+  git,
+  {
+    branch = DEFAULT_RELEASE_CONFIG.releaseBranch,
+    tagPattern = '*',
+    tagPrefix = '',
+    includePrereleases = false,
+  } = {}
+) {
+  const tag = await getLatestTag(git, {
+    ref: branch,
+    pattern: tagPattern,
+    tagPrefix,
+    includePrereleases,
+  });
+
+  if (!tag) {
+    throw new Error(
+      `No release tag matching '${tagPrefix}${tagPattern}' found on ${branch}. Set previous_tag to compare against a specific tag`
+    );
+  }
+
+  return tag;
+}
+
+/**
+ * Describe the commits that drove a bump decision, e.g. "abc1234 (feat: x), def5678 (feat: y)"
+ *
+ * @param {Array<Object>} commits - Commits to list
+ * @param {number} limit - Maximum number of commits to name
+ * @returns {string} - Comma separated commit descriptions
+ */
+function describeCommits(commits, limit = 10) {
+  const described = commits
+    .slice(0, limit)
+    .map((commit) => `${commit.hash.substring(0, 7)} (${commit.message})`);
+
+  if (commits.length > limit) {
+    described.push(`and ${commits.length - limit} more`);
+  }
+
+  return described.join(', ');
+}
+
+/**
+ * Infer the version bump level from the commits in a release
+ * - Any breaking change ("feat!:" or "BREAKING CHANGE") gives a major bump
+ * - Any feature ("feat:" or a "feat/" branch merge) gives a minor bump
+ * - Everything else gives a patch bump
+ *
+ * @param {Array<Object>} commits - Commits in the release
+ * @returns {Object} - { level, reason } where reason names the commits that drove the decision
+ */
+export function determineBump(commits) {
+  if (!commits || commits.length === 0) {
+    return { level: 'patch', reason: 'patch: no new commits' };
+  }
+
+  const breakingCommits = commits.filter(isBreakingChange);
+
+  if (breakingCommits.length > 0) {
+    return {
+      level: 'major',
+      reason: `major: breaking changes in ${describeCommits(breakingCommits)}`,
+    };
+  }
+
+  const featureCommits = commits.filter((commit) => getCommitType(commit) === 'feat');
+
+  if (featureCommits.length > 0) {
+    return {
+      level: 'minor',
+      reason: `minor: new features in ${describeCommits(featureCommits)}`,
+    };
+  }
+
+  return { level: 'patch', reason: 'patch: no features or breaking changes' };
+}
+
 /**
  * Compute the Bugsnag app version
  * Returns the new version if there are commits, otherwise returns the previous tag
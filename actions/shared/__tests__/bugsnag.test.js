@@ -0,0 +1,272 @@
+import os from 'os';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { it, expect, afterAll, describe, beforeAll, afterEach, beforeEach } from 'vitest';
+import {
+  findSourceMaps,
+  DEFAULT_SOURCE_MAPS,
+  createBugsnagClient,
+  reportBugsnagRelease,
+} from '../src/bugsnag.js';
+
+/**
+ * Tests for the Bugsnag client and release reporting, run against a local fake
+ * Bugsnag server that records build reports and source map uploads.
+ */
+
+function createFakeBugsnag() {
+  const builds = [];
+  const uploads = [];
+  const state = { failUploads: false };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks);
+
+      if (req.method === 'POST' && req.url === '/build/') {
+        builds.push(JSON.parse(body.toString('utf8')));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+
+        return res.end(JSON.stringify({ status: 'ok' }));
+      }
+
+      if (req.method === 'POST' && req.url === '/upload/sourcemap') {
+        if (state.failUploads) {
+          res.writeHead(422, { 'Content-Type': 'text/plain' });
+
+          return res.end('Invalid source map');
+        }
+
+        const form = await new Response(body, {
+          headers: { 'Content-Type': req.headers['content-type'] },
+        }).formData();
+        const upload = {};
+
+        for (const [name, value] of form) {
+          upload[name] = typeof value === 'string' ? value : await value.text();
+        }
+
+        uploads.push(upload);
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+
+        return res.end('OK');
+      }
+
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+    });
+  });
+
+  return { server, builds, uploads, state };
+}
+
+/**
+ * Write the files of a fake Nuxt build under a temporary directory
+ */
+function writeBuild(dir, files) {
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), content);
+  }
+}
+
+describe('bugsnag', () => {
+  let bugsnag;
+  let client;
+  let dir;
+
+  beforeAll(async () => {
+    bugsnag = createFakeBugsnag();
+    await new Promise((resolve) => bugsnag.server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => bugsnag.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    const url = `http://127.0.0.1:${bugsnag.server.address().port}`;
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'actions-shared-bugsnag-'));
+    client = createBugsnagClient({
+      apiKey: 'api-key',
+      buildUrl: `${url}/build`,
+      uploadUrl: `${url}/upload/`,
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    bugsnag.builds.length = 0;
+    bugsnag.uploads.length = 0;
+    bugsnag.state.failUploads = false;
+  });
+
+  describe('createBugsnagClient', () => {
+    it('should require an API key', () => {
+      expect(() => createBugsnagClient({ apiKey: '' })).toThrow('Bugsnag API key is required');
+    });
+
+    it('should post build reports with the API key', async () => {
+      await client.reportBuild({ appVersion: 'v1.2.3', builderName: 'ci' });
+
+      expect(bugsnag.builds).toEqual([
+        { apiKey: 'api-key', appVersion: 'v1.2.3', builderName: 'ci' },
+      ]);
+    });
+
+    it('should upload a source map with its minified file', async () => {
+      writeBuild(dir, { 'app.js': 'minified', 'app.js.map': '{"version":3}' });
+
+      await client.uploadSourceMap({
+        appVersion: 'v1.2.3',
+        minifiedUrl: '*/app.js',
+        sourceMap: path.join(dir, 'app.js.map'),
+        minifiedFile: path.join(dir, 'app.js'),
+      });
+
+      expect(bugsnag.uploads).toEqual([
+        {
+          apiKey: 'api-key',
+          appVersion: 'v1.2.3',
+          minifiedUrl: '*/app.js',
+          overwrite: 'true',
+          sourceMap: '{"version":3}',
+          minifiedFile: 'minified',
+        },
+      ]);
+    });
+
+    it('should report API errors with the response', async () => {
+      writeBuild(dir, { 'app.js.map': '{}' });
+      bugsnag.state.failUploads = true;
+
+      await expect(
+        client.uploadSourceMap({
+          appVersion: 'v1.2.3',
+          minifiedUrl: '*/app.js',
+          sourceMap: path.join(dir, 'app.js.map'),
+        })
+      ).rejects.toThrow(
+        'Bugsnag API error: 422 Unprocessable Entity for */app.js.map (Invalid source map)'
+      );
+    });
+  });
+
+  describe('findSourceMaps', () => {
+    it('should find the maps of a Nuxt build relative to the public directory', () => {
+      writeBuild(dir, {
+        '.output/public/_nuxt/app.js': '',
+        '.output/public/_nuxt/app.js.map': '{}',
+        '.output/public/_nuxt/chunks/page.js.map': '{}',
+        '.output/public/index.html': '',
+        '.output/server/index.mjs.map': '{}',
+      });
+
+      expect(findSourceMaps(DEFAULT_SOURCE_MAPS, { baseDir: dir })).toEqual([
+        {
+          sourceMap: path.join(dir, '.output/public/_nuxt/app.js.map'),
+          minifiedFile: path.join(dir, '.output/public/_nuxt/app.js'),
+          servedPath: '_nuxt/app.js',
+        },
+        {
+          sourceMap: path.join(dir, '.output/public/_nuxt/chunks/page.js.map'),
+          minifiedFile: null,
+          servedPath: '_nuxt/chunks/page.js',
+        },
+      ]);
+    });
+
+    it('should return no maps without a build', () => {
+      expect(findSourceMaps(DEFAULT_SOURCE_MAPS, { baseDir: dir })).toEqual([]);
+    });
+
+    it('should support other globs', () => {
+      writeBuild(dir, { 'dist/app.js.map': '{}', 'dist/vendor.css.map': '{}' });
+
+      expect(
+        findSourceMaps('./dist/*.js.map', { baseDir: dir }).map((map) => map.servedPath)
+      ).toEqual(['app.js']);
+    });
+  });
+
+  describe('reportBugsnagRelease', () => {
+    it('should upload the source maps, then report the build', async () => {
+      writeBuild(dir, {
+        '.output/public/_nuxt/app.js': 'minified',
+        '.output/public/_nuxt/app.js.map': '{}',
+      });
+
+      const result = await reportBugsnagRelease({
+        client,
+        appVersion: 'v1.2.3',
+        releaseStage: 'production',
+        repoUrl: 'https://github.com/org/repo',
+        revision: 'a'.repeat(40),
+        builderName: 'thomasralee',
+        metadata: { release_notes: '- fix: minor' },
+        sourceMaps: findSourceMaps(DEFAULT_SOURCE_MAPS, { baseDir: dir }),
+        minifiedUrl: 'https://helixapp.com/',
+      });
+
+      expect(result).toEqual({
+        appVersion: 'v1.2.3',
+        sourceMaps: ['https://helixapp.com/_nuxt/app.js'],
+      });
+      expect(bugsnag.uploads.map((upload) => upload.minifiedUrl)).toEqual([
+        'https://helixapp.com/_nuxt/app.js',
+      ]);
+      expect(bugsnag.builds).toEqual([
+        {
+          apiKey: 'api-key',
+          appVersion: 'v1.2.3',
+          releaseStage: 'production',
+          builderName: 'thomasralee',
+          sourceControl: {
+            provider: 'github',
+            repository: 'https://github.com/org/repo',
+            revision: 'a'.repeat(40),
+          },
+          metadata: { release_notes: '- fix: minor' },
+        },
+      ]);
+    });
+
+    it('should match the maps on any host by default', async () => {
+      writeBuild(dir, { '.output/public/_nuxt/app.js.map': '{}' });
+
+      const result = await reportBugsnagRelease({
+        client,
+        appVersion: 'v1.2.3',
+        repoUrl: 'https://github.com/org/repo',
+        revision: 'a'.repeat(40),
+        builderName: 'ci',
+        sourceMaps: findSourceMaps(DEFAULT_SOURCE_MAPS, { baseDir: dir }),
+      });
+
+      expect(result.sourceMaps).toEqual(['*/_nuxt/app.js']);
+      expect(bugsnag.builds[0]).not.toHaveProperty('releaseStage');
+    });
+
+    it('should not report the build when an upload fails', async () => {
+      writeBuild(dir, { '.output/public/_nuxt/app.js.map': '{}' });
+      bugsnag.state.failUploads = true;
+
+      await expect(
+        reportBugsnagRelease({
+          client,
+          appVersion: 'v1.2.3',
+          repoUrl: 'https://github.com/org/repo',
+          revision: 'a'.repeat(40),
+          builderName: 'ci',
+          sourceMaps: findSourceMaps(DEFAULT_SOURCE_MAPS, { baseDir: dir }),
+        })
+      ).rejects.toThrow('Bugsnag API error: 422');
+      expect(bugsnag.builds).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { it, expect, describe, afterEach, beforeEach } from 'vitest';
+import {
+  loadReleaseConfig,
+  parseReleaseConfig,
+  resolveReleaseConfig,
+  isReleasePullRequest,
+  isReleaseMergeMessage,
+  DEFAULT_RELEASE_CONFIG,
+  DEFAULT_RELEASE_CONFIG_PATH,
+} from '../src/config.js';
+
+describe('config', () => {
+  describe('resolveReleaseConfig', () => {
+    it('should default to dev merged into master', () => {
+      expect(DEFAULT_RELEASE_CONFIG).toMatchObject({
+        integrationBranch: 'dev',
+        releaseBranch: 'master',
+        searchDepth: 10,
+      });
+      expect(
+        isReleaseMergeMessage(
+          'Merge pull request #2321 from InjectiveLabs/dev',
+          DEFAULT_RELEASE_CONFIG
+        )
+      ).toBe(true);
+      expect(isReleaseMergeMessage('Merge pull request #2321 from InjectiveLabs/devnet')).toBe(
+        false
+      );
+    });
+
+    it('should derive the merge pattern from the integration branch', () => {
+      const config = resolveReleaseConfig({
+        integration_branch: 'develop',
+        release_branch: 'main',
+      });
+
+      expect(config.releaseBranch).toBe('main');
+      expect(isReleaseMergeMessage('Merge pull request #12 from org/develop', config)).toBe(true);
+      expect(isReleaseMergeMessage('Merge pull request #12 from org/dev', config)).toBe(false);
+    });
+
+    it('should match integration branch globs', () => {
+      const config = resolveReleaseConfig({ integration_branch: 'release/*' });
+
+      expect(isReleaseMergeMessage('Merge pull request #12 from org/release/1.18', config)).toBe(
+        true
+      );
+      expect(isReleaseMergeMessage('Merge pull request #12 from org/feat/release', config)).toBe(
+        false
+      );
+    });
+
+    it('should use the given merge patterns', () => {
+      const config = resolveReleaseConfig({
+        merge_patterns: ["^Merge branch 'develop' into main$", '^Release v\\d+'],
+      });
+
+      expect(isReleaseMergeMessage("Merge branch 'develop' into main", config)).toBe(true);
+      expect(isReleaseMergeMessage('release v1.2.3', config)).toBe(true);
+      expect(isReleaseMergeMessage('Merge pull request #12 from org/dev', config)).toBe(false);
+    });
+
+    it('should reject unknown settings and invalid values', () => {
+      expect(() => resolveReleaseConfig({ integration: 'dev' })).toThrow(
+        'Invalid release config: unknown setting integration'
+      );
+      expect(() => resolveReleaseConfig({ release_branch: '' })).toThrow(
+        'release_branch must be a branch name'
+      );
+      expect(() => resolveReleaseConfig({ search_depth: 0 })).toThrow(
+        'search_depth must be a positive integer'
+      );
+      expect(() => resolveReleaseConfig({ merge_patterns: [] })).toThrow(
+        'merge_patterns must be a list of regular expressions'
+      );
+      expect(() => resolveReleaseConfig({ merge_patterns: ['('] })).toThrow('merge pattern (');
+      expect(() => resolveReleaseConfig(['dev'])).toThrow('expected a mapping of settings');
+    });
+
+    it('should exclude bot and package bump commits by default', () => {
+      const { authors, subjects, types } = DEFAULT_RELEASE_CONFIG.exclude;
+
+      expect(authors).toEqual(['dependabot[bot]', 'renovate[bot]']);
+      expect(subjects.some((pattern) => pattern.test('chore: package bump'))).toBe(true);
+      expect(types).toEqual([]);
+    });
+
+    it('should replace each default exclusion rule that is given', () => {
+      const { exclude } = resolveReleaseConfig({
+        exclude: { subjects: ['^wip\\b'], types: ['CI', 'docs'] },
+      });
+
+      expect(exclude.authors).toEqual(DEFAULT_RELEASE_CONFIG.exclude.authors);
+      expect(exclude.subjects.map((pattern) => pattern.source)).toEqual(['^wip\\b']);
+      expect(exclude.types).toEqual(['ci', 'docs']);
+      expect(resolveReleaseConfig({ exclude: { authors: [] } }).exclude.authors).toEqual([]);
+    });
+
+    it('should reject invalid exclusion rules', () => {
+      expect(() => resolveReleaseConfig({ exclude: ['dependabot[bot]'] })).toThrow(
+        'exclude must be a mapping of authors, subjects and types'
+      );
+      expect(() => resolveReleaseConfig({ exclude: { emails: [] } })).toThrow(
+        'unknown exclude rule emails. Expected one of: authors, subjects, types'
+      );
+      expect(() => resolveReleaseConfig({ exclude: { types: [1] } })).toThrow(
+        'exclude.types must be a list of commit types'
+      );
+      expect(() => resolveReleaseConfig({ exclude: { subjects: ['['] } })).toThrow(
+        'exclude subject ['
+      );
+    });
+
+    it('should compile the globs of named areas', () => {
+      const { areas } = resolveReleaseConfig({
+        areas: { helix: 'apps/helix/**', ui: ['packages/ui/', '*.vue'] },
+      });
+
+      expect(areas.map((area) => area.name)).toEqual(['helix', 'ui']);
+      expect(areas[0].patterns[0].test('apps/helix/pages/index.vue')).toBe(true);
+      expect(areas[1].patterns.map((pattern) => pattern.test('apps/helix/App.vue'))).toEqual([
+        false,
+        true,
+      ]);
+      expect(DEFAULT_RELEASE_CONFIG.areas).toBeNull();
+    });
+
+    it('should reject invalid areas', () => {
+      expect(() => resolveReleaseConfig({ areas: ['apps/helix/**'] })).toThrow(
+        'areas must be a mapping of area names to path globs'
+      );
+      expect(() => resolveReleaseConfig({ areas: { helix: [] } })).toThrow(
+        'areas.helix must be a list of path globs'
+      );
+    });
+  });
+
+  describe('parseReleaseConfig', () => {
+    it('should parse YAML settings', () => {
+      const config = parseReleaseConfig(
+        [
+          'integration_branch: develop',
+          'release_branch: main',
+          'search_depth: 50',
+          'merge_patterns:',
+          "  - '^Merge pull request #\\d+ from [^/]+/develop$'",
+        ].join('\n')
+      );
+
+      expect(config).toMatchObject({
+        integrationBranch: 'develop',
+        releaseBranch: 'main',
+        searchDepth: 50,
+      });
+      expect(isReleaseMergeMessage('Merge pull request #1 from org/develop', config)).toBe(true);
+    });
+
+    it('should give the defaults for an empty document', () => {
+      expect(parseReleaseConfig('# nothing yet\n')).toMatchObject({
+        integrationBranch: 'dev',
+        releaseBranch: 'master',
+      });
+    });
+
+    it('should name the source of invalid YAML', () => {
+      expect(() => parseReleaseConfig('release_branch: [main', 'fe-release.yml')).toThrow(
+        'Invalid fe-release.yml'
+      );
+    });
+  });
+
+  describe('loadReleaseConfig', () => {
+    let dir;
+    let cwd;
+
+    beforeEach(() => {
+      cwd = process.cwd();
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'actions-shared-config-'));
+      process.chdir(dir);
+    });
+
+    afterEach(() => {
+      process.chdir(cwd);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should give the defaults without a config file', () => {
+      expect(loadReleaseConfig()).toBe(DEFAULT_RELEASE_CONFIG);
+    });
+
+    it('should read the config file at the default path', () => {
+      fs.mkdirSync('.github');
+      fs.writeFileSync(DEFAULT_RELEASE_CONFIG_PATH, 'release_branch: main\n');
+
+      expect(loadReleaseConfig().releaseBranch).toBe('main');
+    });
+
+    it('should fail for a missing config at a given path', () => {
+      expect(() => loadReleaseConfig('config/release.yml')).toThrow(
+        'Release config not found: config/release.yml'
+      );
+    });
+
+    it('should name the file of an invalid config', () => {
+      fs.writeFileSync('release.yml', 'search_depth: many\n');
+
+      expect(() => loadReleaseConfig('release.yml')).toThrow(
+        'Invalid release.yml: search_depth must be a positive integer'
+      );
+    });
+  });
+
+  describe('isReleasePullRequest', () => {
+    const pull = (head, base) => ({ head: { ref: head }, base: { ref: base } });
+
+    it('should match PRs from the integration into the release branch', () => {
+      expect(isReleasePullRequest(pull('dev', 'master'))).toBe(true);
+      expect(isReleasePullRequest(pull('feat/thing', 'dev'))).toBe(false);
+      expect(isReleasePullRequest(pull('dev', 'staging'))).toBe(false);
+      expect(isReleasePullRequest({})).toBe(false);
+    });
+
+    it('should follow the branches of the config', () => {
+      const config = resolveReleaseConfig({
+        integration_branch: 'release/*',
+        release_branch: 'main',
+      });
+
+      expect(isReleasePullRequest(pull('release/1.18', 'main'), config)).toBe(true);
+      expect(isReleasePullRequest(pull('dev', 'master'), config)).toBe(false);
+    });
+  });
+});
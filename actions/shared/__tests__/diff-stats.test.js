@@ -0,0 +1,174 @@
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { it, expect, describe, afterEach, beforeEach } from 'vitest';
+import {
+  OTHER_AREA,
+  sumFileStats,
+  globToRegExp,
+  buildDiffStats,
+  loadCodeowners,
+  summariseAreas,
+  parseCodeowners,
+  createAreaMatcher,
+} from '../src/diff-stats.js';
+
+const FILES = [
+  { path: 'apps/helix/pages/index.vue', insertions: 120, deletions: 8 },
+  { path: 'apps/helix/logo.png', insertions: 0, deletions: 0 },
+  { path: 'packages/ui/Button.vue', insertions: 10, deletions: 2 },
+  { path: 'README.md', insertions: 1, deletions: 1 },
+];
+
+describe('diff-stats', () => {
+  describe('globToRegExp', () => {
+    it.each([
+      ['apps/helix/**', 'apps/helix/pages/index.vue', true],
+      ['apps/helix/**', 'apps/helixir/index.vue', false],
+      ['apps/helix/', 'apps/helix/pages/index.vue', true],
+      ['/docs/', 'docs/guide.md', true],
+      ['/docs/', 'apps/docs/guide.md', false],
+      ['docs/', 'apps/docs/guide.md', true],
+      ['*.vue', 'apps/helix/App.vue', true],
+      ['*.vue', 'apps/helix/App.vuex', false],
+      ['apps/*/package.json', 'apps/helix/package.json', true],
+      ['apps/*/package.json', 'apps/helix/src/package.json', false],
+      ['**/locales/*.json', 'apps/helix/locales/en.json', true],
+      ['README.md', 'packages/ui/README.md', true],
+      ['/README.md', 'packages/ui/README.md', false],
+      ['*', 'anything/at/all.js', true],
+      ['file?.js', 'file1.js', true],
+    ])('should match %s against %s: %s', (pattern, file, expected) => {
+      expect(globToRegExp(pattern).test(file)).toBe(expected);
+    });
+  });
+
+  describe('parseCodeowners', () => {
+    it('should read patterns and owners, skipping comments and blank lines', () => {
+      const rules = parseCodeowners(
+        [
+          '# Frontend ownership',
+          '*       @org/frontend',
+          '',
+          '/apps/helix/  @org/helix @alice  # trading app',
+          '/apps/helix/locales/',
+        ].join('\n')
+      );
+
+      expect(rules).toEqual([
+        { pattern: '*', owners: ['@org/frontend'] },
+        { pattern: '/apps/helix/', owners: ['@org/helix', '@alice'] },
+        { pattern: '/apps/helix/locales/', owners: [] },
+      ]);
+    });
+  });
+
+  describe('loadCodeowners', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'actions-shared-codeowners-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should read .github/CODEOWNERS before the root CODEOWNERS', () => {
+      fs.mkdirSync(path.join(dir, '.github'));
+      fs.writeFileSync(path.join(dir, '.github/CODEOWNERS'), '* @org/github');
+      fs.writeFileSync(path.join(dir, 'CODEOWNERS'), '* @org/root');
+
+      expect(loadCodeowners(dir)).toEqual([{ pattern: '*', owners: ['@org/github'] }]);
+    });
+
+    it('should give no rules without a CODEOWNERS file', () => {
+      expect(loadCodeowners(dir)).toEqual([]);
+    });
+  });
+
+  describe('createAreaMatcher', () => {
+    it('should put a path in every config area with a matching glob', () => {
+      const matchAreas = createAreaMatcher({
+        areas: [
+          { name: 'helix', patterns: [globToRegExp('apps/helix/**')] },
+          { name: 'vue', patterns: [globToRegExp('*.vue')] },
+        ],
+        codeowners: [{ pattern: '*', owners: ['@org/frontend'] }],
+      });
+
+      expect(matchAreas('apps/helix/App.vue')).toEqual(['helix', 'vue']);
+      expect(matchAreas('README.md')).toEqual([]);
+    });
+
+    it('should use the owners of the last matching CODEOWNERS rule without areas', () => {
+      const matchAreas = createAreaMatcher({
+        codeowners: parseCodeowners(
+          ['* @org/frontend', '/apps/helix/ @org/helix', '/apps/helix/locales/'].join('\n')
+        ),
+      });
+
+      expect(matchAreas('apps/helix/App.vue')).toEqual(['@org/helix']);
+      expect(matchAreas('packages/ui/Button.vue')).toEqual(['@org/frontend']);
+      expect(matchAreas('apps/helix/locales/en.json')).toEqual([]);
+    });
+
+    it('should give no matcher without areas nor CODEOWNERS rules', () => {
+      expect(createAreaMatcher()).toBeNull();
+      expect(createAreaMatcher({ areas: [], codeowners: [] })).toBeNull();
+    });
+  });
+
+  describe('summariseAreas', () => {
+    it('should sum each area, largest change first, with unmatched files in Other', () => {
+      const matchAreas = createAreaMatcher({
+        areas: [
+          { name: 'helix', patterns: [globToRegExp('apps/helix/')] },
+          { name: 'ui', patterns: [globToRegExp('packages/ui/')] },
+        ],
+      });
+
+      expect(summariseAreas(FILES, matchAreas)).toEqual([
+        { name: 'helix', files: 2, insertions: 120, deletions: 8 },
+        { name: 'ui', files: 1, insertions: 10, deletions: 2 },
+        { name: OTHER_AREA, files: 1, insertions: 1, deletions: 1 },
+      ]);
+    });
+
+    it('should give no areas without a matcher', () => {
+      expect(summariseAreas(FILES, null)).toEqual([]);
+    });
+  });
+
+  describe('buildDiffStats', () => {
+    it('should describe the release and each of its commits', () => {
+      const matchAreas = createAreaMatcher({
+        codeowners: [{ pattern: '/apps/helix/', owners: ['@org/helix'] }],
+      });
+      const stats = buildDiffStats({
+        files: FILES,
+        commits: [{ hash: 'abc' }, { hash: 'def' }],
+        commitFiles: new Map([['abc', FILES.slice(0, 2)]]),
+        matchAreas,
+      });
+
+      expect(stats).toMatchObject({ files: 4, insertions: 131, deletions: 11 });
+      expect(stats.areas.map((area) => area.name)).toEqual(['@org/helix', OTHER_AREA]);
+      expect(stats.commits).toEqual([
+        { hash: 'abc', files: 2, insertions: 120, deletions: 8, areas: ['@org/helix'] },
+        { hash: 'def', files: 0, insertions: 0, deletions: 0, areas: [] },
+      ]);
+    });
+
+    it('should sum empty releases to zero', () => {
+      expect(sumFileStats([])).toEqual({ files: 0, insertions: 0, deletions: 0 });
+      expect(buildDiffStats({ files: [] })).toEqual({
+        files: 0,
+        insertions: 0,
+        deletions: 0,
+        areas: [],
+        commits: [],
+      });
+    });
+  });
+});
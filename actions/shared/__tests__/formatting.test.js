@@ -1,4 +1,5 @@
 import { it, expect, describe } from 'vitest';
+import { resolveReleaseConfig } from '../src/config.js';
 import {
   COMMITS,
   AUTHORS,
@@ -11,16 +12,33 @@ import {
   generateMockReleaseNotes,
 } from './fixtures.js';
 import {
+  getCoAuthors,
+  getCommitType,
+  isRevertCommit,
   formatGitAuthor,
   extractPRNumber,
   isPRMergeCommit,
+  parseCommitBody,
+  getRevertTarget,
+  getTrailerValues,
   formatCommitLine,
+  isBreakingChange,
+  isExcludedCommit,
+  extractMergeBranch,
   formatReleaseNotes,
+  groupCommitsByType,
   isDevToMasterMerge,
+  getCommitReferences,
+  isSquashMergeCommit,
   escapeCommitMessage,
   isBranchMergeCommit,
+  normalizeCommitType,
   filterOldMergeCommits,
+  filterRevertedCommits,
   convertMarkdownToSlack,
+  parseConventionalCommit,
+  partitionExcludedCommits,
+  formatGroupedReleaseNotes,
 } from '../src/formatting.js';
 
 describe('formatting', () => {
@@ -95,6 +113,17 @@ describe('formatting', () => {
       expect(convertMarkdownToSlack('No new commits')).toBe('No new commits');
       expect(convertMarkdownToSlack('Plain text message')).toBe('Plain text message');
     });
+
+    it('should convert section headings to bold lines', () => {
+      const releaseNotes = formatReleaseNotes(RELEASE_SCENARIOS.featureRelease, REPO_URL, {
+        layout: 'grouped',
+      });
+      const result = convertMarkdownToSlack(releaseNotes);
+
+      expect(result).toContain('*Features*');
+      expect(result).toContain('*Chores*');
+      expect(result).not.toContain('###');
+    });
   });
 
   describe('escapeCommitMessage', () => {
@@ -218,6 +247,16 @@ describe('formatting', () => {
       expect(extractPRNumber(COMMITS.mergeBranchIntoFeature.message)).toBeNull();
     });
 
+    it('should extract PR number from squash-merge commit suffix', () => {
+      expect(extractPRNumber('feat: thing (#123)')).toBe('123');
+      expect(extractPRNumber('fix(ui): resolve #45 in modal (#678)')).toBe('678');
+    });
+
+    it('should ignore issue references that are not a PR suffix', () => {
+      expect(extractPRNumber('fix: resolve #45 in modal')).toBeNull();
+      expect(extractPRNumber('feat: thing (#123) and more')).toBeNull();
+    });
+
     it('should handle empty/null input', () => {
       expect(extractPRNumber('')).toBeNull();
       expect(extractPRNumber(null)).toBeNull();
@@ -225,6 +264,84 @@ describe('formatting', () => {
     });
   });
 
+  describe('parseCommitBody', () => {
+    it('should split the body text from the trailer block', () => {
+      const result = parseCommitBody(
+        'Adds the thing.\n\nMore details.\n\nCo-authored-by: Jane Doe <jane@test.com>\nRefs: IL-123\n'
+      );
+
+      expect(result.body).toBe('Adds the thing.\n\nMore details.');
+      expect(result.trailers).toEqual({
+        'co-authored-by': ['Jane Doe <jane@test.com>'],
+        refs: ['IL-123'],
+      });
+    });
+
+    it('should collect repeated trailers and continuation lines', () => {
+      const result = parseCommitBody(
+        'Co-authored-by: A <a@test.com>\nCo-authored-by: B <b@test.com>\nBREAKING CHANGE: the config\n  format changed'
+      );
+
+      expect(result.body).toBe('');
+      expect(result.trailers['co-authored-by']).toEqual(['A <a@test.com>', 'B <b@test.com>']);
+      expect(result.trailers['breaking change']).toEqual(['the config format changed']);
+    });
+
+    it('should keep a last paragraph that is not entirely trailers in the body', () => {
+      const result = parseCommitBody('Intro\n\nSee the docs.\nRefs: IL-1');
+
+      expect(result.body).toBe('Intro\n\nSee the docs.\nRefs: IL-1');
+      expect(result.trailers).toEqual({});
+    });
+
+    it('should handle empty/null input', () => {
+      expect(parseCommitBody('')).toEqual({ body: '', trailers: {} });
+      expect(parseCommitBody(null)).toEqual({ body: '', trailers: {} });
+      expect(parseCommitBody(undefined)).toEqual({ body: '', trailers: {} });
+    });
+  });
+
+  describe('getTrailerValues', () => {
+    it('should look up trailers case-insensitively', () => {
+      const commit = { trailers: { 'reviewed-by': ['Jane <jane@test.com>'] } };
+
+      expect(getTrailerValues(commit, 'Reviewed-by')).toEqual(['Jane <jane@test.com>']);
+    });
+
+    it('should return an empty list for missing trailers', () => {
+      expect(getTrailerValues({ trailers: {} }, 'Refs')).toEqual([]);
+      expect(getTrailerValues(COMMITS.fixSimple, 'Refs')).toEqual([]);
+      expect(getTrailerValues(null, 'Refs')).toEqual([]);
+    });
+  });
+
+  describe('getCoAuthors', () => {
+    it('should parse names and emails of co-authors', () => {
+      const commit = {
+        trailers: { 'co-authored-by': ['Jane Doe <jane@test.com>', 'bob'] },
+      };
+
+      expect(getCoAuthors(commit)).toEqual([
+        { name: 'Jane Doe', email: 'jane@test.com' },
+        { name: 'bob', email: '' },
+      ]);
+    });
+  });
+
+  describe('getCommitReferences', () => {
+    it('should collect unique references from reference trailers', () => {
+      const commit = {
+        trailers: { refs: ['IL-123, IL-124'], fixes: ['#45'], closes: ['IL-123'] },
+      };
+
+      expect(getCommitReferences(commit)).toEqual(['IL-123', 'IL-124', '#45']);
+    });
+
+    it('should return an empty list without trailers', () => {
+      expect(getCommitReferences(COMMITS.fixSimple)).toEqual([]);
+    });
+  });
+
   describe('formatCommitLine', () => {
     it('should format a simple fix commit', () => {
       const result = formatCommitLine(COMMITS.fixSimple, REPO_URL);
@@ -243,6 +360,79 @@ describe('formatting', () => {
       expect(result).toContain(`in [#2320](${REPO_URL}/pull/2320)`);
     });
 
+    it('should link a squash-merge commit to its PR without repeating the suffix', () => {
+      const commit = { ...COMMITS.fixSimple, message: 'feat: thing (#123)' };
+      const result = formatCommitLine(commit, REPO_URL);
+
+      expect(result).toContain(' - feat: thing by @ThomasRalee');
+      expect(result).toContain(`in [#123](${REPO_URL}/pull/123)`);
+      expect(result).not.toContain('(#123)');
+    });
+
+    it('should link every cherry-pick of a change and note an earlier release', () => {
+      const cherryPick = 'e4a1f2b3c4d5e6f708192a3b4c5d6e7f80910a1b';
+      const commit = { ...COMMITS.fixSimple, cherryPicks: [cherryPick], shippedIn: 'v1.0.1' };
+      const result = formatCommitLine(commit, REPO_URL);
+
+      expect(result).toMatch(
+        new RegExp(
+          `^- \\[c178bb6\\]\\(.+\\), \\[e4a1f2b\\]\\(${REPO_URL}/commit/${cherryPick}\\) - `
+        )
+      );
+      expect(result).toMatch(/ \(shipped in v1\.0\.1\)$/);
+    });
+
+    it('should credit co-authors', () => {
+      const commit = {
+        ...COMMITS.fixSimple,
+        trailers: {
+          'co-authored-by': [
+            'Jane Doe <12345+janedoe@users.noreply.github.com>',
+            'bob <bob@test.com>',
+            'ThomasRalee <thomas@test.com>',
+          ],
+        },
+      };
+
+      expect(formatCommitLine(commit, REPO_URL)).toContain(
+        'fix: minor by @ThomasRalee, @janedoe and @bob'
+      );
+    });
+
+    it('should prefer the GitHub login resolved through the API', () => {
+      const commit = { ...COMMITS.fixSimple, authorLogin: 'thomasralee' };
+
+      expect(formatCommitLine(commit, REPO_URL)).toContain('fix: minor by @thomasralee');
+    });
+
+    it('should show the PR title of an enriched PR merge commit', () => {
+      const commit = {
+        ...COMMITS.mergeFeatureBranch,
+        pullRequest: { number: 2303, title: 'feat: megavault', labels: [], author: 'x' },
+      };
+      const result = formatCommitLine(commit, REPO_URL);
+
+      expect(result).toContain(' - feat: megavault by ');
+      expect(result).toContain(`in [#2303](${REPO_URL}/pull/2303)`);
+    });
+
+    it('should credit a single co-author with "and"', () => {
+      const commit = {
+        ...COMMITS.fixSimple,
+        trailers: { 'co-authored-by': ['bob <bob@test.com>'] },
+      };
+
+      expect(formatCommitLine(commit, REPO_URL)).toContain('by @ThomasRalee and @bob');
+    });
+
+    it('should use the PR number attributed by the collector', () => {
+      const commit = { ...COMMITS.fixSimple, prNumber: '2318' };
+      const result = formatCommitLine(commit, REPO_URL);
+
+      expect(result).toContain('fix: minor by @ThomasRalee');
+      expect(result).toContain(`in [#2318](${REPO_URL}/pull/2318)`);
+    });
+
     it('should format a merge commit with feature branch', () => {
       const result = formatCommitLine(COMMITS.mergeFeatureBranch, REPO_URL);
 
@@ -299,20 +489,23 @@ describe('formatting', () => {
   describe('formatReleaseNotes', () => {
     it('should format simple fix release', () => {
       const result = formatReleaseNotes(RELEASE_SCENARIOS.simpleFixRelease, REPO_URL);
-      const lines = result.split('\n');
+      const [notes, maintenance] = result.split('\n\n<details>');
+      const lines = notes.split('\n');
 
-      // Only first merge commit + non-merge commits should be included
-      expect(lines).toHaveLength(3);
+      // Only first merge commit + non-merge commits should be included,
+      // with the package bump in the Maintenance section
+      expect(lines).toHaveLength(2);
       expect(lines[0]).toContain('Merge pull request #2320');
       expect(lines[1]).toContain('fix: minor');
-      expect(lines[2]).toContain('chore: package bump');
+      expect(maintenance).toContain('<summary>Maintenance (1 commit)</summary>');
+      expect(maintenance).toContain('chore: package bump');
     });
 
     it('should format feature release', () => {
       const result = formatReleaseNotes(RELEASE_SCENARIOS.featureRelease, REPO_URL);
-      const lines = result.split('\n');
+      const lines = result.split('\n\n')[0].split('\n');
 
-      expect(lines).toHaveLength(4);
+      expect(lines).toHaveLength(3);
       expect(result).toContain('feat/megavault');
       expect(result).toContain('deposit/withdraw flow');
     });
@@ -344,13 +537,15 @@ describe('formatting', () => {
 
     it('should keep feature branch merges in large release (only filter old dev merges)', () => {
       const result = formatReleaseNotes(RELEASE_SCENARIOS.largeRelease, REPO_URL);
-      const lines = result.split('\n');
+      const lines = result.split('\n\n')[0].split('\n');
 
       // largeRelease has 10 commits with 2 merge commits:
       // - mergeDevToMaster (dev merge) - KEEP (first dev merge)
       // - mergeFeatureBranch (feature merge, not dev) - KEEP
-      // All 10 commits should be kept since there's only 1 dev merge
-      expect(lines).toHaveLength(10);
+      // All 10 commits should be kept since there's only 1 dev merge,
+      // the package bump in the Maintenance section
+      expect(lines).toHaveLength(9);
+      expect(result).toContain('Maintenance (1 commit)');
 
       // Both merge commits should be included (one is dev merge, one is feature merge)
       expect(result).toContain('Merge pull request #2320');
@@ -380,6 +575,245 @@ describe('formatting', () => {
     });
   });
 
+  describe('parseConventionalCommit', () => {
+    it('should parse a simple conventional commit', () => {
+      expect(parseConventionalCommit(COMMITS.fixSimple.message)).toEqual({
+        type: 'fix',
+        scope: null,
+        breaking: false,
+        description: 'minor',
+      });
+    });
+
+    it('should parse scope and breaking marker', () => {
+      expect(parseConventionalCommit('feat(trade)!: drop legacy order form')).toEqual({
+        type: 'feat',
+        scope: 'trade',
+        breaking: true,
+        description: 'drop legacy order form',
+      });
+    });
+
+    it('should lowercase the type', () => {
+      expect(parseConventionalCommit('Fix: typo').type).toBe('fix');
+    });
+
+    it('should return null for non-conventional messages', () => {
+      expect(parseConventionalCommit(COMMITS.mergeFeatureBranch.message)).toBeNull();
+      expect(parseConventionalCommit('update readme')).toBeNull();
+      expect(parseConventionalCommit('')).toBeNull();
+      expect(parseConventionalCommit(null)).toBeNull();
+    });
+  });
+
+  describe('isBreakingChange', () => {
+    it('should detect the breaking marker', () => {
+      expect(isBreakingChange({ message: 'feat!: drop legacy order form' })).toBe(true);
+      expect(isBreakingChange({ message: 'refactor(api)!: rename endpoints' })).toBe(true);
+    });
+
+    it('should detect subjects starting with a BREAKING CHANGE token', () => {
+      expect(isBreakingChange({ message: 'BREAKING CHANGE: removes v1' })).toBe(true);
+      expect(isBreakingChange({ message: 'BREAKING-CHANGE: config format' })).toBe(true);
+    });
+
+    it('should not treat a BREAKING CHANGE mention in the subject as breaking', () => {
+      expect(isBreakingChange({ message: 'docs: explain BREAKING CHANGE policy' })).toBe(false);
+      expect(isBreakingChange({ message: 'fix: handle BREAKING CHANGE footer parsing' })).toBe(
+        false
+      );
+      expect(isBreakingChange({ message: 'feat: new api BREAKING CHANGE: removes v1' })).toBe(
+        false
+      );
+    });
+
+    it('should detect BREAKING CHANGE footers', () => {
+      expect(
+        isBreakingChange({
+          message: 'feat: new api',
+          trailers: { 'breaking change': ['removes v1'] },
+        })
+      ).toBe(true);
+      expect(
+        isBreakingChange({ message: 'fix: config', trailers: { 'breaking-change': ['format'] } })
+      ).toBe(true);
+    });
+
+    it('should return false for regular commits', () => {
+      expect(isBreakingChange(COMMITS.featWithJira)).toBe(false);
+      expect(isBreakingChange(COMMITS.mergeFeatureBranch)).toBe(false);
+      expect(isBreakingChange({ message: 'fix: not a breaking change' })).toBe(false);
+      expect(isBreakingChange(null)).toBe(false);
+    });
+  });
+
+  describe('extractMergeBranch', () => {
+    it('should extract the branch from PR merge commits', () => {
+      expect(extractMergeBranch(COMMITS.mergeFeatureBranch.message)).toBe('feat/megavault');
+      expect(extractMergeBranch(COMMITS.mergeDevToMaster.message)).toBe('dev');
+      expect(extractMergeBranch(COMMITS.mergeLongBranchWithJira.message)).toBe(
+        'feat/add-support-to-query-seda-pricefeed-for-24/5-markets-IL-2390'
+      );
+    });
+
+    it('should return null for other commits', () => {
+      expect(extractMergeBranch(COMMITS.mergeBranchIntoFeature.message)).toBeNull();
+      expect(extractMergeBranch(COMMITS.fixSimple.message)).toBeNull();
+      expect(extractMergeBranch(undefined)).toBeNull();
+    });
+  });
+
+  describe('normalizeCommitType', () => {
+    it('should keep known section types', () => {
+      ['feat', 'fix', 'perf', 'refactor', 'chore'].forEach((type) => {
+        expect(normalizeCommitType(type)).toBe(type);
+      });
+    });
+
+    it('should map aliases to their section', () => {
+      expect(normalizeCommitType('feature')).toBe('feat');
+      expect(normalizeCommitType('bugfix')).toBe('fix');
+      expect(normalizeCommitType('hotfix')).toBe('fix');
+      expect(normalizeCommitType('ci')).toBe('chore');
+      expect(normalizeCommitType('FEAT')).toBe('feat');
+    });
+
+    it('should fall back to other for unknown types', () => {
+      expect(normalizeCommitType('docs')).toBe('other');
+      expect(normalizeCommitType('wip')).toBe('other');
+      expect(normalizeCommitType(null)).toBe('other');
+    });
+  });
+
+  describe('getCommitType', () => {
+    it('should use the conventional commit prefix', () => {
+      expect(getCommitType(COMMITS.featWithJira)).toBe('feat');
+      expect(getCommitType(COMMITS.fixWithSlash)).toBe('fix');
+      expect(getCommitType(COMMITS.chorePackageBump)).toBe('chore');
+      expect(getCommitType(COMMITS.refactorSimple)).toBe('refactor');
+    });
+
+    it('should use the branch prefix of PR merge commits', () => {
+      expect(getCommitType(COMMITS.mergeFeatureBranch)).toBe('feat');
+      expect(getCommitType(COMMITS.mergeFixBranch)).toBe('fix');
+      expect(getCommitType(COMMITS.mergeChoreBranch)).toBe('chore');
+    });
+
+    it('should use the conventional prefix of an enriched PR title', () => {
+      const commit = {
+        ...COMMITS.mergeChoreBranch,
+        pullRequest: { number: 1, title: 'perf: faster orderbook', labels: [], author: 'x' },
+      };
+
+      expect(getCommitType(commit)).toBe('perf');
+    });
+
+    it('should classify reverts as revert', () => {
+      expect(getCommitType({ message: 'Revert "feat: add markets page"' })).toBe('revert');
+      expect(getCommitType({ message: 'revert: drop markets page' })).toBe('revert');
+    });
+
+    it('should classify merges without a branch prefix as other', () => {
+      expect(getCommitType(COMMITS.mergeDevToMaster)).toBe('other');
+      expect(getCommitType(COMMITS.mergeBranchIntoFeature)).toBe('other');
+    });
+
+    it('should handle missing commits', () => {
+      expect(getCommitType(null)).toBe('other');
+      expect(getCommitType({})).toBe('other');
+    });
+  });
+
+  describe('groupCommitsByType', () => {
+    it('should group commits in section order and omit empty sections', () => {
+      const sections = groupCommitsByType(RELEASE_SCENARIOS.largeRelease);
+
+      expect(sections.map((section) => section.title)).toEqual([
+        'Features',
+        'Fixes',
+        'Refactors',
+        'Chores',
+        'Other',
+      ]);
+      expect(sections[0].commits).toEqual([
+        COMMITS.mergeFeatureBranch,
+        COMMITS.featWithJira,
+        COMMITS.featLongMessage,
+      ]);
+      expect(sections[2].commits).toEqual([COMMITS.refactorLong]);
+      expect(sections[4].commits).toEqual([COMMITS.mergeDevToMaster]);
+    });
+
+    it('should return empty array for empty input', () => {
+      expect(groupCommitsByType([])).toEqual([]);
+      expect(groupCommitsByType(null)).toEqual([]);
+    });
+  });
+
+  describe('formatGroupedReleaseNotes', () => {
+    it('should render a heading per section followed by its commits', () => {
+      const result = formatGroupedReleaseNotes(RELEASE_SCENARIOS.simpleFixRelease, REPO_URL);
+      const blocks = result.split('\n\n');
+
+      expect(blocks).toHaveLength(3);
+      expect(blocks[0]).toMatch(/^### Fixes\n- \[c178bb6\]/);
+      expect(blocks[1]).toMatch(/^### Chores\n- \[629aaa7\]/);
+      expect(blocks[2]).toMatch(/^### Other\n- \[d01f2f9\]/);
+    });
+  });
+
+  describe('formatReleaseNotes layouts', () => {
+    it('should default to the flat layout', () => {
+      const result = formatReleaseNotes(RELEASE_SCENARIOS.simpleFixRelease, REPO_URL);
+
+      expect(result).not.toContain('###');
+      expect(result.split('\n\n')[0].split('\n')).toHaveLength(2);
+    });
+
+    it('should group commits with the grouped layout', () => {
+      const result = formatReleaseNotes(RELEASE_SCENARIOS.largeRelease, REPO_URL, {
+        layout: 'grouped',
+      });
+
+      expect(result).toContain('### Features');
+      expect(result).toContain('### Fixes');
+      expect(result.indexOf('### Features')).toBeLessThan(result.indexOf('### Fixes'));
+    });
+
+    it('should still filter old dev merges with the grouped layout', () => {
+      const result = formatReleaseNotes(PR_2322_COMMITS, REPO_URL, { layout: 'grouped' });
+
+      expect(result).toContain('Merge pull request #2323');
+      expect(result).not.toContain('Merge pull request #2321');
+    });
+
+    it('should return "No new commits" regardless of layout', () => {
+      expect(formatReleaseNotes([], REPO_URL, { layout: 'grouped' })).toBe('No new commits');
+    });
+
+    it('should throw for unknown layouts', () => {
+      expect(() => formatReleaseNotes([], REPO_URL, { layout: 'table' })).toThrow(
+        'Invalid release notes layout: table'
+      );
+    });
+  });
+
+  describe('isSquashMergeCommit', () => {
+    it('should return true for commits ending with a PR number', () => {
+      expect(isSquashMergeCommit({ message: 'feat: thing (#123)' })).toBe(true);
+    });
+
+    it('should return false for regular and merge commits', () => {
+      expect(isSquashMergeCommit(COMMITS.fixSimple)).toBe(false);
+      expect(isSquashMergeCommit(COMMITS.mergeFeatureBranch)).toBe(false);
+    });
+
+    it('should handle null/undefined', () => {
+      expect(isSquashMergeCommit(null)).toBe(false);
+      expect(isSquashMergeCommit({})).toBe(false);
+    });
+  });
+
   describe('isPRMergeCommit', () => {
     it('should return true for PR merge commits', () => {
       expect(isPRMergeCommit(COMMITS.mergeDevToMaster)).toBe(true);
@@ -437,6 +871,18 @@ describe('formatting', () => {
       expect(isDevToMasterMerge(null)).toBe(false);
       expect(isDevToMasterMerge(undefined)).toBe(false);
     });
+
+    it('should follow the integration branch of the release config', () => {
+      const config = resolveReleaseConfig({
+        integration_branch: 'develop',
+        release_branch: 'main',
+      });
+
+      expect(
+        isDevToMasterMerge({ message: 'Merge pull request #5 from org/develop' }, config)
+      ).toBe(true);
+      expect(isDevToMasterMerge(COMMITS.mergeDevToMaster, config)).toBe(false);
+    });
   });
 
   describe('isBranchMergeCommit', () => {
@@ -484,6 +930,21 @@ describe('formatting', () => {
       expect(result[3]).toBe(COMMITS.chorePackageBump);
     });
 
+    it('should filter old release merges of the configured branches', () => {
+      const config = resolveReleaseConfig({
+        merge_patterns: ["^Merge branch 'develop' into main$"],
+      });
+      const release = { hash: 'new', message: "Merge branch 'develop' into main" };
+      const oldRelease = { hash: 'old', message: "Merge branch 'develop' into main" };
+      const commits = [release, COMMITS.fixSimple, COMMITS.mergeDevToMaster, oldRelease];
+
+      expect(filterOldMergeCommits(commits, config)).toEqual([
+        release,
+        COMMITS.fixSimple,
+        COMMITS.mergeDevToMaster,
+      ]);
+    });
+
     it('should keep all non-merge commits', () => {
       const commits = [COMMITS.fixSimple, COMMITS.chorePackageBump, COMMITS.featWithJira];
 
@@ -603,11 +1064,13 @@ describe('formatting', () => {
         // The filterOldMergeCommits only filters dev-to-master merges,
         // but doesn't filter old feature branch merges or regular commits
         const result = formatReleaseNotes(PR_2325_BUGGY_OUTPUT, REPO_URL);
-        const lines = result.split('\n');
+        const lines = result.split('\n\n')[0].split('\n');
 
         // Current behavior: 16 commits are included (all of them)
-        // because none of them except the first are dev-to-master merges
-        expect(lines).toHaveLength(16);
+        // because none of them except the first are dev-to-master merges,
+        // 3 package bumps of them in the Maintenance section
+        expect(lines).toHaveLength(13);
+        expect(result).toContain('Maintenance (3 commits)');
 
         // All these OLD commits from previous releases are incorrectly included
         expect(result).toContain('Merge pull request #2213'); // OLD - from previous release
@@ -648,4 +1111,256 @@ describe('formatting', () => {
       });
     });
   });
+
+  describe('reverts', () => {
+    const hash = (char) => char.repeat(40);
+    const commit = (char, message, extra = {}) => ({
+      hash: hash(char),
+      message,
+      authorName: 'Jane',
+      authorEmail: 'jane@test.com',
+      ...extra,
+    });
+    const messages = (commits) => commits.map((entry) => entry.message);
+
+    describe('isRevertCommit', () => {
+      it('should detect reverts', () => {
+        expect(isRevertCommit({ message: 'Revert "feat: add markets page"' })).toBe(true);
+        expect(isRevertCommit({ message: 'Revert "feat: add markets page (#12)" (#13)' })).toBe(
+          true
+        );
+        expect(isRevertCommit({ message: 'revert: drop markets page' })).toBe(true);
+        expect(
+          isRevertCommit({ message: 'Merge pull request #13 from org/revert-12-feat/markets' })
+        ).toBe(true);
+      });
+
+      it('should not detect other commits', () => {
+        expect(isRevertCommit({ message: 'fix: revert the chart colors' })).toBe(false);
+        expect(isRevertCommit({ message: 'Merge pull request #12 from org/feat/markets' })).toBe(
+          false
+        );
+        expect(isRevertCommit(null)).toBe(false);
+      });
+    });
+
+    describe('getRevertTarget', () => {
+      it('should read the reverted hash and subject', () => {
+        expect(
+          getRevertTarget({
+            message: 'Revert "feat: add markets page (#12)" (#13)',
+            body: `This reverts commit ${hash('a')}.`,
+          })
+        ).toEqual({ hash: hash('a'), subject: 'feat: add markets page (#12)' });
+      });
+
+      it('should return nulls when unknown', () => {
+        expect(getRevertTarget({ message: 'revert: drop markets page' })).toEqual({
+          hash: null,
+          subject: null,
+        });
+      });
+    });
+
+    describe('filterRevertedCommits', () => {
+      it('should drop a change reverted within the release together with its revert', () => {
+        const commits = [
+          commit('c', 'Revert "feat: add markets page"', {
+            body: `This reverts commit ${hash('a')}.`,
+          }),
+          commit('b', 'fix: chart colors'),
+          commit('a', 'feat: add markets page'),
+        ];
+
+        expect(messages(filterRevertedCommits(commits))).toEqual(['fix: chart colors']);
+      });
+
+      it('should pair on the quoted subject when the body has no hash', () => {
+        const commits = [
+          commit('c', 'Revert "feat: add markets page (#12)" (#13)'),
+          commit('a', 'feat: add markets page (#12)'),
+        ];
+
+        expect(filterRevertedCommits(commits)).toEqual([]);
+      });
+
+      it('should pair on abbreviated hashes', () => {
+        const commits = [
+          commit('c', 'revert: drop markets page', { body: 'This reverts commit aaaaaaa.' }),
+          commit('a', 'feat: markets page'),
+          commit('b', 'fix: chart colors'),
+        ];
+
+        expect(messages(filterRevertedCommits(commits))).toEqual(['fix: chart colors']);
+      });
+
+      it('should keep a change whose revert was reverted', () => {
+        const commits = [
+          commit('d', 'Revert "Revert "feat: add markets page""', {
+            body: `This reverts commit ${hash('c')}.`,
+          }),
+          commit('c', 'Revert "feat: add markets page"', {
+            body: `This reverts commit ${hash('a')}.`,
+          }),
+          commit('a', 'feat: add markets page'),
+        ];
+
+        expect(messages(filterRevertedCommits(commits))).toEqual(['feat: add markets page']);
+      });
+
+      it('should drop a reverted PR with its merged commits and the PR of the revert', () => {
+        const commits = [
+          commit('e', 'Merge pull request #13 from org/revert-12-feat/markets', {
+            prNumber: '13',
+          }),
+          commit('d', 'Revert "Merge pull request #12 from org/feat/markets"', {
+            body: `This reverts commit ${hash('c')}, reversing\nchanges made to ${hash('f')}.`,
+            mergeHash: hash('e'),
+          }),
+          commit('c', 'Merge pull request #12 from org/feat/markets', { prNumber: '12' }),
+          commit('b', 'feat: markets table', { mergeHash: hash('c') }),
+          commit('a', 'feat: markets page', { mergeHash: hash('c') }),
+          commit('f', 'fix: chart colors'),
+        ];
+
+        expect(messages(filterRevertedCommits(commits))).toEqual(['fix: chart colors']);
+      });
+
+      it('should keep reverts of changes from earlier releases', () => {
+        const commits = [
+          commit('c', 'Revert "feat: old feature"', { body: `This reverts commit ${hash('9')}.` }),
+          commit('b', 'fix: chart colors'),
+        ];
+
+        expect(filterRevertedCommits(commits)).toBe(commits);
+      });
+
+      it('should list reverts of earlier releases in a Reverted section', () => {
+        const commits = [
+          commit('d', 'Revert "feat: old feature"', { body: `This reverts commit ${hash('9')}.` }),
+          commit('c', 'Revert "feat: add markets page"'),
+          commit('b', 'fix: chart colors'),
+          commit('a', 'feat: add markets page'),
+        ];
+
+        const result = formatReleaseNotes(commits, REPO_URL, { layout: 'grouped' });
+
+        expect(result.split('\n')).toEqual([
+          '### Fixes',
+          expect.stringContaining('fix: chart colors'),
+          '',
+          '### Reverted',
+          expect.stringContaining('Revert \\"feat: old feature\\"'),
+        ]);
+      });
+    });
+  });
+
+  describe('maintenance', () => {
+    const commit = (char, message, extra = {}) => ({
+      hash: char.repeat(40),
+      message,
+      authorName: 'Jane',
+      authorEmail: 'jane@test.com',
+      ...extra,
+    });
+
+    it('should exclude package bumps and bot commits by default', () => {
+      expect(isExcludedCommit(COMMITS.chorePackageBump)).toBe(true);
+      expect(isExcludedCommit(commit('a', 'chore(helix): package bump'))).toBe(true);
+      expect(
+        isExcludedCommit(
+          commit('b', 'build(deps): bump vite from 5.0.0 to 5.0.1', {
+            authorName: 'dependabot[bot]',
+            authorEmail: '49699333+dependabot[bot]@users.noreply.github.com',
+          })
+        )
+      ).toBe(true);
+      expect(
+        isExcludedCommit(commit('c', 'fix(deps): update nuxt', { authorLogin: 'Renovate[bot]' }))
+      ).toBe(true);
+      expect(
+        isExcludedCommit(
+          commit(
+            'd',
+            'Merge pull request #12 from InjectiveLabs/dependabot/npm_and_yarn/vite-5.0.1'
+          )
+        )
+      ).toBe(true);
+      expect(isExcludedCommit(COMMITS.fixSimple)).toBe(false);
+      expect(isExcludedCommit(commit('e', 'chore: package bumper tweaks'))).toBe(false);
+    });
+
+    it('should use the exclusion rules of the config', () => {
+      const config = resolveReleaseConfig({
+        exclude: { authors: ['ci@injective.network'], subjects: [], types: ['ci', 'docs'] },
+      });
+
+      expect(
+        isExcludedCommit(commit('a', 'fix: x', { authorEmail: 'CI@injective.network' }), config)
+      ).toBe(true);
+      expect(isExcludedCommit(commit('b', 'ci: cache pnpm store'), config)).toBe(true);
+      expect(isExcludedCommit(commit('c', 'docs(readme): typo'), config)).toBe(true);
+      expect(isExcludedCommit(COMMITS.chorePackageBump, config)).toBe(false);
+      expect(
+        isExcludedCommit(commit('d', 'fix: x', { authorName: 'dependabot[bot]' }), config)
+      ).toBe(false);
+    });
+
+    it('should exclude the commits of an excluded merge and merges of excluded commits only', () => {
+      const botMerge = commit('a', 'Merge pull request #13 from org/renovate/nuxt-3.x');
+      const botCommit = commit('b', 'fix(deps): update nuxt to 3.12', { mergeHash: botMerge.hash });
+      const bumpMerge = commit('c', 'Merge pull request #14 from org/chore/bump');
+      const bump = commit('d', 'chore: package bump', { mergeHash: bumpMerge.hash });
+      const featureMerge = commit('e', 'Merge pull request #15 from org/feat/markets');
+      const feature = commit('f', 'feat: markets', { mergeHash: featureMerge.hash });
+      const featureBump = commit('0', 'chore: package bump', { mergeHash: featureMerge.hash });
+
+      const { included, excluded } = partitionExcludedCommits([
+        botMerge,
+        botCommit,
+        bumpMerge,
+        bump,
+        featureMerge,
+        feature,
+        featureBump,
+      ]);
+
+      expect(included).toEqual([featureMerge, feature]);
+      expect(excluded).toEqual([botMerge, botCommit, bumpMerge, bump, featureBump]);
+    });
+
+    it('should list excluded commits in a collapsed Maintenance section', () => {
+      const result = formatReleaseNotes(
+        [
+          COMMITS.fixSimple,
+          COMMITS.chorePackageBump,
+          { ...COMMITS.chorePackageBump, hash: 'f'.repeat(40) },
+        ],
+        REPO_URL,
+        { layout: 'grouped' }
+      );
+
+      expect(result).toBe(
+        [
+          '### Fixes',
+          formatCommitLine(COMMITS.fixSimple, REPO_URL),
+          '',
+          '<details>',
+          '<summary>Maintenance (2 commits)</summary>',
+          '',
+          formatCommitLine(COMMITS.chorePackageBump, REPO_URL),
+          formatCommitLine({ ...COMMITS.chorePackageBump, hash: 'f'.repeat(40) }, REPO_URL),
+          '',
+          '</details>',
+        ].join('\n')
+      );
+    });
+
+    it('should only list the Maintenance section when every commit is excluded', () => {
+      const result = formatReleaseNotes([COMMITS.chorePackageBump], REPO_URL);
+
+      expect(result).toMatch(/^<details>\n<summary>Maintenance \(1 commit\)<\/summary>/);
+    });
+  });
 });
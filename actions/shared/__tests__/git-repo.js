@@ -0,0 +1,108 @@
+/**
+ * Temporary git repositories for tests that need real git behaviour
+ * (tag reachability, merges, ancestry) rather than a mocked simple-git
+ */
+
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+const BASE_TIMESTAMP = 1700000000;
+
+/**
+ * Create an empty repository on branch "master"
+ *
+ * Commits get increasing, deterministic timestamps (one minute apart) unless a
+ * timestamp is given, so tests do not depend on the wall clock.
+ *
+ * @returns {Object} - { dir, git, commit, tag, merge, cherryPick, fastImport, checkout, cleanup }
+ */
+export function createTestRepo() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'actions-shared-git-'));
+  let clock = BASE_TIMESTAMP;
+
+  const git = (args, env = {}) =>
+    execFileSync('git', args, {
+      cwd: dir,
+      encoding: 'utf8',
+      env: { ...process.env, ...env },
+    }).trim();
+
+  const dateEnv = (timestamp) => {
+    clock = timestamp ?? clock + 60;
+
+    return { GIT_AUTHOR_DATE: `@${clock} +0000`, GIT_COMMITTER_DATE: `@${clock} +0000` };
+  };
+
+  git(['init', '--quiet', '--initial-branch=master']);
+  git(['config', 'user.name', 'Test']);
+  git(['config', 'user.email', 'test@test.com']);
+  git(['config', 'commit.gpgsign', 'false']);
+  git(['config', 'tag.gpgsign', 'false']);
+
+  return {
+    dir,
+    git,
+
+    /**
+     * Create a commit and return its hash
+     * The commit is empty unless files ({ "path": "content" }) are given
+     */
+    commit(message, { timestamp, author, files = {} } = {}) {
+      const authorArgs = author ? [`--author=${author}`] : [];
+
+      for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), content);
+        git(['add', file]);
+      }
+
+      git(['commit', '--quiet', '--allow-empty', '-m', message, ...authorArgs], dateEnv(timestamp));
+
+      return git(['rev-parse', 'HEAD']);
+    },
+
+    /**
+     * Create a lightweight tag (or an annotated one with a message)
+     */
+    tag(name, { ref = 'HEAD', message } = {}) {
+      git(message ? ['tag', '-a', '-m', message, name, ref] : ['tag', name, ref]);
+    },
+
+    /**
+     * Merge a branch with a merge commit and return its hash
+     */
+    merge(branch, message, { timestamp } = {}) {
+      git(['merge', '--quiet', '--no-ff', '-m', message, branch], dateEnv(timestamp));
+
+      return git(['rev-parse', 'HEAD']);
+    },
+
+    /**
+     * Cherry-pick a commit onto the current branch and return the new hash
+     */
+    cherryPick(hash, { timestamp } = {}) {
+      git(['cherry-pick', '--allow-empty', hash], dateEnv(timestamp));
+
+      return git(['rev-parse', 'HEAD']);
+    },
+
+    /**
+     * Import history from a git fast-import stream and check out master
+     * Much faster than a git process per commit, for large generated histories
+     */
+    fastImport(stream) {
+      execFileSync('git', ['fast-import', '--quiet'], { cwd: dir, input: stream });
+      git(['checkout', '--quiet', '--force', 'master']);
+    },
+
+    checkout(branch, { create = false } = {}) {
+      git(['checkout', '--quiet', ...(create ? ['-b'] : []), branch]);
+    },
+
+    cleanup() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
@@ -1,234 +1,603 @@
-import { it, vi, expect, describe } from 'vitest';
-import { refExists, getCommitDate, getCommitsBetweenWithMerges } from '../src/git.js';
+import { it, vi, expect, describe, afterAll, afterEach, beforeAll, beforeEach } from 'vitest';
+import { createTestRepo } from './git-repo.js';
+import { resolveReleaseConfig } from '../src/config.js';
+import {
+  createGit,
+  refExists,
+  getLatestTag,
+  getDiffFiles,
+  getCommitDate,
+  getCommitFiles,
+  getVersionTags,
+  getCommitsSince,
+  markCherryPicks,
+  getCommitsBetween,
+  findPreviousDevMerge,
+  filterCommitsByPaths,
+  GITHUB_COMMITTER_EMAIL,
+  annotateMergeStrategies,
+  getCommitsBetweenWithMerges,
+} from '../src/git.js';
 
 /**
- * Tests for git utilities focusing on the timestamp-based filtering
- * that prevents old commits from previous releases being included.
+ * Tests for git utilities focusing on the ancestry-based range that keeps
+ * commits of previous releases out of the release notes.
  *
- * The key fix: When expanding merge commits (like "Merge pull request from org/dev"),
- * we filter out commits with timestamps <= the previous tag timestamp.
+ * The key fix: a commit is listed when it is reachable from the new head but not
+ * from the previous tag, whatever its date (see the real repository fixtures).
  */
 
+/**
+ * Format commits the way the collector asks git for them: NUL-separated fields
+ * (hash, parents, committer date, subject, author, committer email, body) and
+ * records terminated by a record separator
+ */
+const toRawLog = (commits) =>
+  commits
+    .map(
+      ({
+        hash,
+        parents = [],
+        timestamp,
+        message,
+        authorName = 'Author',
+        authorEmail = 'author@test.com',
+        committerEmail = 'author@test.com',
+        body = '',
+      }) =>
+        `${[hash, parents.join(' '), timestamp, message, authorName, authorEmail, committerEmail, body].join('\0')}\x1e`
+    )
+    .join('\n');
+
+/**
+ * Generate a git fast-import stream of a release branch with the given number of
+ * PR merges, each bringing in two commits. Every fifth feature branch starts three
+ * merges back, so the merged ranges of neighbouring merges overlap.
+ */
+const generateMergeHistory = (merges) => {
+  const lines = [];
+  let mark = 0;
+  let timestamp = 1700000000;
+
+  const commit = (ref, message, [from, ...mergeParents]) => {
+    mark += 1;
+    timestamp += 60;
+    lines.push(
+      `commit ${ref}`,
+      `mark :${mark}`,
+      `author Dev <dev@test.com> ${timestamp} +0000`,
+      `committer Dev <dev@test.com> ${timestamp} +0000`,
+      `data ${Buffer.byteLength(message)}`,
+      message,
+      ...(from ? [`from :${from}`] : []),
+      ...mergeParents.map((parent) => `merge :${parent}`),
+      ''
+    );
+
+    return mark;
+  };
+
+  const masters = [commit('refs/heads/master', 'chore: initial commit', [])];
+
+  lines.push('reset refs/tags/v1.0.0', `from :${masters[0]}`, '');
+
+  for (let i = 1; i <= merges; i++) {
+    const base = masters[i % 5 === 0 ? Math.max(0, masters.length - 3) : masters.length - 1];
+    const feature = commit('refs/heads/feature', `feat: change ${i}`, [base]);
+    const followUp = commit('refs/heads/feature', `fix: follow-up ${i}`, [feature]);
+
+    masters.push(
+      commit('refs/heads/master', `Merge pull request #${i} from org/feat/change-${i}`, [
+        masters[masters.length - 1],
+        followUp,
+      ])
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
 describe('git', () => {
   describe('getCommitsBetweenWithMerges', () => {
-    // Mock simple-git instance
-    const createMockGit = (options = {}) => {
-      const { tagTimestamp = 1700000000, mergeCommits = [], expandedCommits = {} } = options;
-
-      return {
-        log: vi.fn().mockImplementation((args) => {
-          // Mock getCommitDate call - git.log([ref, '-1', '--format=%ct'])
-          if (
-            Array.isArray(args) &&
-            args.length === 3 &&
-            args[1] === '-1' &&
-            args[2] === '--format=%ct'
-          ) {
-            return Promise.resolve({
-              latest: { hash: String(tagTimestamp) },
-            });
-          }
-
-          // Mock getCommitsBetween call (first-parent merge commits)
-          return Promise.resolve({ all: mergeCommits });
-        }),
-        raw: vi.fn().mockImplementation((args) => {
-          // Mock expanded commits for merge commit
-          const commitHash = args[2]?.split('^')[0];
+    // Mock simple-git instance serving the commits of the range in one raw log
+    const createMockGit = ({ commits = [] } = {}) => ({
+      raw: vi.fn().mockResolvedValue(toRawLog(commits)),
+    });
 
-          return Promise.resolve(expandedCommits[commitHash] || '');
-        }),
-        revparse: vi.fn().mockResolvedValue('abc123'),
-      };
-    };
+    const commit = (hash, parents, timestamp, message, extra = {}) => ({
+      hash,
+      parents,
+      timestamp,
+      message,
+      ...extra,
+    });
+
+    it('should read the range from the previous tag to the head', async () => {
+      const mockGit = createMockGit();
+
+      await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
+
+      expect(mockGit.raw).toHaveBeenCalledWith(['log', expect.any(String), 'v1.0.0..master']);
+    });
 
-    it('should filter out commits older than the previous tag timestamp', async () => {
+    it('should include every commit of the range, whatever its date', async () => {
       const tagTimestamp = 1700000000;
 
       const mockGit = createMockGit({
-        tagTimestamp,
-        mergeCommits: [
-          {
-            hash: 'merge123',
-            timestamp: tagTimestamp + 500,
-            message: 'Merge pull request #100 from org/dev',
-            authorName: 'Author',
-            authorEmail: 'author@test.com',
-          },
+        commits: [
+          commit(
+            'merge123',
+            ['base', 'new111'],
+            tagTimestamp + 500,
+            'Merge pull request #100 from org/dev'
+          ),
+          commit('new111', ['old222'], tagTimestamp + 100, 'feat: new feature'),
+          // Authored before the previous release, merged after it
+          commit('old222', ['exact333'], tagTimestamp - 100, 'fix: old fix'),
+          commit('exact333', [], tagTimestamp, 'chore: at tag time'),
         ],
-        expandedCommits: {
-          merge123: [
-            // New commit - should be included
-            `new111|${tagTimestamp + 100}|feat: new feature|Author|author@test.com`,
-            // Old commit - should be filtered out
-            `old222|${tagTimestamp - 100}|fix: old fix|Author|author@test.com`,
-            // Commit at exact tag time - should be filtered out
-            `exact333|${tagTimestamp}|chore: at tag time|Author|author@test.com`,
-          ].join('\n'),
-        },
       });
 
       const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
 
-      // Should include: merge commit + new commit only
-      expect(result).toHaveLength(2);
-      expect(result.map((c) => c.hash)).toContain('merge123');
-      expect(result.map((c) => c.hash)).toContain('new111');
-
-      // Should NOT include old commits
-      expect(result.map((c) => c.hash)).not.toContain('old222');
-      expect(result.map((c) => c.hash)).not.toContain('exact333');
+      expect(result.map((c) => c.hash)).toEqual(['merge123', 'new111', 'old222', 'exact333']);
     });
 
-    it('should include multiple new commits from expanded merge', async () => {
+    it('should include multiple new commits from expanded merge, newest first', async () => {
       const tagTimestamp = 1700000000;
 
       const mockGit = createMockGit({
-        tagTimestamp,
-        mergeCommits: [
-          {
-            hash: 'merge123',
-            timestamp: tagTimestamp + 1000,
-            message: 'Merge pull request #100 from org/dev',
-            authorName: 'Author',
-            authorEmail: 'author@test.com',
-          },
+        commits: [
+          commit(
+            'merge123',
+            ['base', 'commit3'],
+            tagTimestamp + 1000,
+            'Merge pull request #100 from org/dev'
+          ),
+          commit('commit3', ['commit2'], tagTimestamp + 300, 'fix: bug fix'),
+          commit('commit2', ['commit1'], tagTimestamp + 200, 'feat: feature 2'),
+          commit('commit1', ['base'], tagTimestamp + 100, 'feat: feature 1'),
         ],
-        expandedCommits: {
-          merge123: [
-            `commit1|${tagTimestamp + 100}|feat: feature 1|Author|a@test.com`,
-            `commit2|${tagTimestamp + 200}|feat: feature 2|Author|a@test.com`,
-            `commit3|${tagTimestamp + 300}|fix: bug fix|Author|a@test.com`,
-          ].join('\n'),
-        },
       });
 
       const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
 
       // Should include merge commit + all 3 new commits
       expect(result).toHaveLength(4);
-      expect(result.map((c) => c.hash)).toEqual(['merge123', 'commit1', 'commit2', 'commit3']);
+      expect(result.map((c) => c.hash)).toEqual(['merge123', 'commit3', 'commit2', 'commit1']);
+    });
+
+    it('should return empty array when no commits found', async () => {
+      const mockGit = createMockGit();
+
+      const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
+
+      expect(result).toEqual([]);
     });
 
-    it('should filter out merge commit itself if older than tag', async () => {
+    it('should handle non-PR merge commits without expansion', async () => {
       const tagTimestamp = 1700000000;
 
       const mockGit = createMockGit({
-        tagTimestamp,
-        mergeCommits: [
-          {
-            hash: 'oldMerge',
-            timestamp: tagTimestamp - 100, // Merge commit is older than tag
-            message: 'Merge pull request #99 from org/dev',
-            authorName: 'Author',
-            authorEmail: 'author@test.com',
-          },
+        commits: [
+          commit('direct123', ['base'], tagTimestamp + 100, 'feat: direct commit to master'),
         ],
-        expandedCommits: {
-          oldMerge: `new111|${tagTimestamp + 100}|feat: new|Author|a@test.com`,
-        },
       });
 
       const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
 
-      // Only the new expanded commit should be included, not the old merge commit
+      // Should include the direct commit without trying to expand
       expect(result).toHaveLength(1);
-      expect(result[0].hash).toBe('new111');
+      expect(result[0].hash).toBe('direct123');
     });
 
-    it('should return empty array when no merge commits found', async () => {
+    it('should list a commit reachable from several merges once, under the first merge', async () => {
+      const tagTimestamp = 1700000000;
+
       const mockGit = createMockGit({
-        tagTimestamp: 1700000000,
-        mergeCommits: [],
+        commits: [
+          commit(
+            'merge2',
+            ['merge1', 'shared'],
+            tagTimestamp + 600,
+            'Merge pull request #101 from org/fix'
+          ),
+          commit(
+            'merge1',
+            ['base', 'shared'],
+            tagTimestamp + 500,
+            'Merge pull request #100 from org/feat'
+          ),
+          commit('shared', ['base'], tagTimestamp + 100, 'shared commit'),
+        ],
       });
 
       const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
 
-      expect(result).toEqual([]);
+      // Should have 3 commits: merge2, merge1, shared (not duplicated)
+      expect(result.map((c) => c.hash)).toEqual(['merge2', 'merge1', 'shared']);
+      expect(result[2]).toMatchObject({ mergeHash: 'merge1', prNumber: '100' });
     });
 
-    it('should handle non-PR merge commits without expansion', async () => {
+    it('should handle merges without new merged commits gracefully', async () => {
       const tagTimestamp = 1700000000;
 
       const mockGit = createMockGit({
-        tagTimestamp,
-        mergeCommits: [
-          {
-            hash: 'direct123',
-            timestamp: tagTimestamp + 100,
-            message: 'feat: direct commit to master',
-            authorName: 'Author',
-            authorEmail: 'author@test.com',
-          },
+        commits: [
+          // The second parent is already part of the previous release
+          commit(
+            'merge123',
+            ['base', 'released'],
+            tagTimestamp + 500,
+            'Merge pull request #100 from org/dev'
+          ),
         ],
       });
 
       const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
 
-      // Should include the direct commit without trying to expand
+      // Should just include the merge commit
       expect(result).toHaveLength(1);
-      expect(result[0].hash).toBe('direct123');
-      expect(mockGit.raw).not.toHaveBeenCalled();
+      expect(result[0].hash).toBe('merge123');
     });
 
-    it('should deduplicate commits by hash', async () => {
+    it('should attribute expanded commits to their merge PR', async () => {
       const tagTimestamp = 1700000000;
 
       const mockGit = createMockGit({
-        tagTimestamp,
-        mergeCommits: [
-          {
-            hash: 'merge1',
-            timestamp: tagTimestamp + 500,
-            message: 'Merge pull request #100 from org/feat',
-            authorName: 'Author',
-            authorEmail: 'author@test.com',
-          },
-          {
-            hash: 'merge2',
-            timestamp: tagTimestamp + 600,
-            message: 'Merge pull request #101 from org/fix',
-            authorName: 'Author',
-            authorEmail: 'author@test.com',
-          },
+        commits: [
+          commit(
+            'merge123',
+            ['base', 'feat1'],
+            tagTimestamp + 1000,
+            'Merge pull request #42 from org/feat/thing'
+          ),
+          commit('feat1', ['base'], tagTimestamp + 500, 'feat: thing'),
         ],
-        expandedCommits: {
-          merge1: `shared|${tagTimestamp + 100}|shared commit|Author|a@test.com`,
-          merge2: `shared|${tagTimestamp + 100}|shared commit|Author|a@test.com`, // Same hash
-        },
       });
 
       const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
 
-      // Should have 3 commits: merge1, merge2, shared (not duplicated)
-      expect(result).toHaveLength(3);
-      expect(result.filter((c) => c.hash === 'shared')).toHaveLength(1);
+      expect(result[0]).toMatchObject({ mergeStrategy: 'merge', prNumber: '42' });
+      expect(result[1]).toMatchObject({
+        hash: 'feat1',
+        mergeStrategy: 'merge',
+        mergeHash: 'merge123',
+        prNumber: '42',
+      });
     });
 
-    it('should handle empty expanded commits gracefully', async () => {
+    it('should keep the own PR number of commits expanded from a dev-to-master merge', async () => {
       const tagTimestamp = 1700000000;
 
       const mockGit = createMockGit({
-        tagTimestamp,
-        mergeCommits: [
-          {
-            hash: 'merge123',
-            timestamp: tagTimestamp + 500,
-            message: 'Merge pull request #100 from org/dev',
-            authorName: 'Author',
-            authorEmail: 'author@test.com',
-          },
+        commits: [
+          commit(
+            'release1',
+            ['base', 'squash1'],
+            tagTimestamp + 1000,
+            'Merge pull request #100 from org/dev'
+          ),
+          commit('squash1', ['direct1'], tagTimestamp + 600, 'feat: squashed (#90)'),
+          commit('direct1', ['base'], tagTimestamp + 500, 'fix: direct to dev'),
         ],
-        expandedCommits: {
-          merge123: '', // No expanded commits
+      });
+
+      const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
+
+      expect(result.map((c) => c.prNumber)).toEqual(['100', '90', null]);
+    });
+
+    it('should parse bodies and trailers of expanded commits', async () => {
+      const tagTimestamp = 1700000000;
+
+      const mockGit = createMockGit({
+        commits: [
+          commit(
+            'merge123',
+            ['base', 'feat1'],
+            tagTimestamp + 1000,
+            'Merge pull request #42 from org/feat/thing'
+          ),
+          commit('feat1', ['base'], tagTimestamp + 500, 'feat: thing', {
+            body: 'Adds the thing.\n\nCo-authored-by: Jane Doe <jane@test.com>\nRefs: IL-123',
+          }),
+        ],
+      });
+
+      const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
+
+      expect(result[1]).toMatchObject({
+        hash: 'feat1',
+        message: 'feat: thing',
+        body: 'Adds the thing.',
+        trailers: {
+          'co-authored-by': ['Jane Doe <jane@test.com>'],
+          refs: ['IL-123'],
         },
       });
+    });
+
+    it('should parse bodies of first-parent commits', async () => {
+      const tagTimestamp = 1700000000;
+
+      const mockGit = createMockGit({
+        commits: [
+          commit('direct123', ['base'], tagTimestamp + 100, 'feat: direct commit to master', {
+            body: 'BREAKING CHANGE: drops the old API\n',
+          }),
+        ],
+      });
+
+      const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
+
+      expect(result[0].body).toBe('');
+      expect(result[0].trailers).toEqual({ 'breaking change': ['drops the old API'] });
+    });
+
+    it('should recognise squash-merged commits on the first-parent history', async () => {
+      const tagTimestamp = 1700000000;
+
+      const mockGit = createMockGit({
+        commits: [
+          commit('squash1', ['base'], tagTimestamp + 100, 'feat: thing (#123)', {
+            committerEmail: GITHUB_COMMITTER_EMAIL,
+          }),
+        ],
+      });
 
       const result = await getCommitsBetweenWithMerges(mockGit, 'v1.0.0', 'master');
 
-      // Should just include the merge commit
       expect(result).toHaveLength(1);
-      expect(result[0].hash).toBe('merge123');
+      expect(result[0]).toMatchObject({ mergeStrategy: 'squash', prNumber: '123' });
+    });
+
+    describe('on a real repository', () => {
+      let repo;
+
+      beforeEach(() => {
+        repo = createTestRepo();
+        repo.commit('chore: initial commit');
+        repo.tag('v1.0.0');
+      });
+
+      afterEach(() => {
+        repo.cleanup();
+      });
+
+      it('should keep subjects, authors and bodies containing delimiters intact', async () => {
+        repo.checkout('feat/pipes', { create: true });
+        repo.commit('feat: price | volume columns\n\nSplits on | and ; and, keeps\ttabs.', {
+          author: 'Jane | Doe <jane@test.com>',
+        });
+        repo.checkout('master');
+        repo.merge('feat/pipes', 'Merge pull request #7 from org/feat/pipes');
+
+        const [merge, feature] = await getCommitsBetweenWithMerges(
+          createGit(repo.dir),
+          'v1.0.0',
+          'master'
+        );
+
+        expect(merge).toMatchObject({ message: 'Merge pull request #7 from org/feat/pipes' });
+        expect(feature).toMatchObject({
+          message: 'feat: price | volume columns',
+          body: 'Splits on | and ; and, keeps\ttabs.',
+          authorName: 'Jane | Doe',
+          authorEmail: 'jane@test.com',
+          prNumber: '7',
+        });
+      });
+
+      it('should include commits authored before the previous release but merged after it', async () => {
+        repo.checkout('feat/long-lived', { create: true });
+        repo.commit('feat: long-lived work');
+        repo.checkout('master');
+        repo.commit('fix: released fix');
+        repo.tag('v1.1.0');
+        repo.merge('feat/long-lived', 'Merge pull request #4 from org/feat/long-lived');
+
+        const result = await getCommitsBetweenWithMerges(createGit(repo.dir), 'v1.1.0', 'master');
+
+        expect(result.map((commit) => commit.message)).toEqual([
+          'Merge pull request #4 from org/feat/long-lived',
+          'feat: long-lived work',
+        ]);
+      });
+
+      it('should leave out released commits dated after the previous release', async () => {
+        // A commit rebased (or committed with a skewed clock) after the commit the
+        // previous release was tagged on, and released with it
+        repo.checkout('dev', { create: true });
+        repo.commit('feat: released with a later date', { timestamp: 1800000000 });
+        repo.commit('fix: released', { timestamp: 1700001000 });
+        repo.tag('v1.1.0');
+        repo.commit('feat: next');
+        repo.checkout('master');
+        repo.merge('dev', 'Merge pull request #5 from org/dev');
+
+        const result = await getCommitsBetweenWithMerges(createGit(repo.dir), 'v1.1.0', 'master');
+
+        expect(result.map((commit) => commit.message)).toEqual([
+          'Merge pull request #5 from org/dev',
+          'feat: next',
+        ]);
+      });
+
+      it('should leave out commits only reachable from the previous tag', async () => {
+        repo.checkout('hotfix', { create: true });
+        repo.commit('fix: hotfix only');
+        repo.tag('v1.0.1');
+        repo.checkout('master');
+        repo.commit('feat: on master');
+
+        const git = createGit(repo.dir);
+        const messages = (commits) => commits.map((commit) => commit.message);
+
+        expect(messages(await getCommitsBetweenWithMerges(git, 'v1.0.1', 'master'))).toEqual([
+          'feat: on master',
+        ]);
+        expect(messages(await getCommitsBetween(git, 'v1.0.1', 'master'))).toEqual([
+          'feat: on master',
+        ]);
+        expect(messages(await getCommitsSince(git, 'master', 'v1.0.1'))).toEqual([
+          'feat: on master',
+        ]);
+      });
+
+      it('should read the range with one git log, whatever the number of merges', async () => {
+        for (const branch of ['feat/a', 'feat/b', 'feat/c']) {
+          repo.checkout(branch, { create: true });
+          repo.commit(`feat: ${branch}`);
+          repo.checkout('master');
+          repo.merge(branch, `Merge pull request #1 from org/${branch}`);
+        }
+
+        const git = createGit(repo.dir);
+        const raw = vi.spyOn(git, 'raw');
+        const result = await getCommitsBetweenWithMerges(git, 'v1.0.0', 'master');
+
+        expect(result).toHaveLength(6);
+        expect(raw).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    describe('benchmark', () => {
+      const MERGES = 300;
+      let repo;
+
+      beforeAll(() => {
+        repo = createTestRepo();
+        repo.fastImport(generateMergeHistory(MERGES));
+      });
+
+      afterAll(() => {
+        repo.cleanup();
+      });
+
+      it(`should collect ${MERGES} merges with a constant number of git calls`, async () => {
+        const git = createGit(repo.dir);
+        const raw = vi.spyOn(git, 'raw');
+        const log = vi.spyOn(git, 'log');
+
+        const result = await getCommitsBetweenWithMerges(git, 'v1.0.0', 'master');
+
+        expect(result).toHaveLength(MERGES * 3);
+        expect(raw.mock.calls.length + log.mock.calls.length).toBe(1);
+      });
+
+      it('should attribute the same commits to each merge as git log <merge>^1..<merge>^2', async () => {
+        const result = await getCommitsBetweenWithMerges(createGit(repo.dir), 'v1.0.0', 'master');
+        const merges = result.filter((commit) => !commit.mergeHash);
+
+        for (const merge of merges.filter((_, index) => index % 25 === 0)) {
+          const expected = repo.git(['log', '--format=%H', `${merge.hash}^1..${merge.hash}^2`]);
+
+          expect(
+            result.filter((commit) => commit.mergeHash === merge.hash).map((commit) => commit.hash)
+          ).toEqual(expected.split('\n'));
+        }
+      });
+    });
+  });
+
+  describe('annotateMergeStrategies', () => {
+    const commit = (hash, timestamp, message, committerEmail = GITHUB_COMMITTER_EMAIL) => ({
+      hash,
+      timestamp,
+      message,
+      authorName: 'Author',
+      authorEmail: 'author@test.com',
+      committerEmail,
+    });
+
+    it('should detect merge, squash and direct commits', () => {
+      const result = annotateMergeStrategies([
+        commit('merge1', 400, 'Merge pull request #3 from org/feat/x'),
+        commit('squash1', 300, 'fix: thing (#2)'),
+        commit('direct1', 200, 'chore: hotfix', 'dev@test.com'),
+      ]);
+
+      expect(result.map((c) => [c.mergeStrategy, c.prNumber])).toEqual([
+        ['merge', '3'],
+        ['squash', '2'],
+        ['direct', null],
+      ]);
+    });
+
+    it('should group consecutive commits rebased by GitHub into one run', () => {
+      const result = annotateMergeStrategies([
+        commit('rebase3', 1001, 'feat: part 3'),
+        commit('rebase2', 1000, 'feat: part 2'),
+        commit('rebase1', 1000, 'feat: part 1'),
+        commit('squash1', 500, 'fix: thing (#2)'),
+      ]);
+
+      expect(result.slice(0, 3).map((c) => c.mergeStrategy)).toEqual([
+        'rebase',
+        'rebase',
+        'rebase',
+      ]);
+      expect(result.slice(0, 3).every((c) => c.rebaseGroup === 'rebase3')).toBe(true);
+      expect(result[3].mergeStrategy).toBe('squash');
+    });
+
+    it('should not treat squash-merged commits as part of a rebase run', () => {
+      const result = annotateMergeStrategies([
+        commit('squash2', 1000, 'feat: second (#8)'),
+        commit('squash1', 1000, 'feat: first (#7)'),
+      ]);
+
+      expect(result.map((c) => [c.mergeStrategy, c.prNumber])).toEqual([
+        ['squash', '8'],
+        ['squash', '7'],
+      ]);
+    });
+
+    it('should attribute a rebase run to the PR number of any of its commits', () => {
+      const result = annotateMergeStrategies([
+        commit('rebase3', 1001, 'feat: part 3'),
+        commit('rebase2', 1000, 'feat: part 2 (#9)'),
+        commit('rebase1', 1000, 'feat: part 1'),
+        commit('squash1', 999, 'fix: thing (#2)'),
+      ]);
+
+      expect(result.map((c) => [c.mergeStrategy, c.prNumber, c.rebaseGroup])).toEqual([
+        ['rebase', '9', 'rebase3'],
+        ['rebase', '9', 'rebase3'],
+        ['rebase', '9', 'rebase3'],
+        ['squash', '2', undefined],
+      ]);
+    });
+
+    it('should leave rebase runs without a PR suffix unattributed', () => {
+      const result = annotateMergeStrategies([
+        commit('rebase2', 1000, 'feat: part 2'),
+        commit('rebase1', 1000, 'feat: part 1'),
+      ]);
+
+      expect(result.map((c) => [c.mergeStrategy, c.prNumber])).toEqual([
+        ['rebase', null],
+        ['rebase', null],
+      ]);
+    });
+
+    it('should split runs at larger timestamp gaps and other committers', () => {
+      const result = annotateMergeStrategies([
+        commit('a', 2000, 'feat: a'),
+        commit('b', 1000, 'feat: b'),
+        commit('c', 1000, 'feat: c', 'dev@test.com'),
+      ]);
+
+      expect(result.map((c) => c.mergeStrategy)).toEqual(['direct', 'direct', 'direct']);
+    });
+
+    it('should not mutate the input commits', () => {
+      const input = [commit('a', 1000, 'feat: a'), commit('b', 1000, 'feat: b')];
+
+      annotateMergeStrategies(input);
+
+      expect(input[0].mergeStrategy).toBeUndefined();
     });
   });
 
@@ -275,4 +644,474 @@ describe('git', () => {
       );
     });
   });
+
+  describe('getVersionTags / getLatestTag', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit');
+      repo.tag('v1.17.0');
+      repo.commit('feat: new feature');
+      repo.tag('v1.18.0');
+      repo.tag('not-a-version');
+      repo.commit('fix: late fix');
+      // Hotfix tag created after v1.18.0, on an older version line
+      repo.tag('v1.17.6', { message: 'hotfix' });
+      repo.commit('feat: next');
+      repo.tag('v1.19.0-rc.1');
+      repo.tag('helix@v2.0.0');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should sort version tags by SemVer precedence, skipping pre-releases', async () => {
+      const tags = await getVersionTags(createGit(repo.dir));
+
+      expect(tags).toEqual(['v1.18.0', 'v1.17.6', 'v1.17.0']);
+    });
+
+    it('should pick the highest version, not the newest tag', async () => {
+      expect(await getLatestTag(createGit(repo.dir))).toBe('v1.18.0');
+    });
+
+    it('should include pre-releases when asked', async () => {
+      const latest = await getLatestTag(createGit(repo.dir), { includePrereleases: true });
+
+      expect(latest).toBe('v1.19.0-rc.1');
+    });
+
+    it('should only consider tags reachable from the ref', async () => {
+      repo.checkout('old', { create: true });
+      repo.git(['reset', '--quiet', '--hard', 'v1.17.0']);
+      repo.commit('fix: on old branch');
+      repo.tag('v1.17.1');
+      repo.checkout('master');
+
+      const git = createGit(repo.dir);
+
+      expect(await getLatestTag(git, { ref: 'master' })).toBe('v1.18.0');
+      expect(await getLatestTag(git, { ref: 'old' })).toBe('v1.17.1');
+    });
+
+    it('should filter tags by pattern', async () => {
+      const git = createGit(repo.dir);
+
+      expect(await getVersionTags(git, { pattern: 'v1.17.*' })).toEqual(['v1.17.6', 'v1.17.0']);
+    });
+
+    it('should only list tags of the given tag prefix', async () => {
+      repo.tag('helix@v2.1.0-rc.1');
+      repo.tag('explorer@v3.0.0');
+
+      const git = createGit(repo.dir);
+
+      expect(await getVersionTags(git, { tagPrefix: 'helix@' })).toEqual(['helix@v2.0.0']);
+      expect(await getLatestTag(git, { tagPrefix: 'explorer@' })).toBe('explorer@v3.0.0');
+      expect(await getLatestTag(git, { tagPrefix: 'helix@', includePrereleases: true })).toBe(
+        'helix@v2.1.0-rc.1'
+      );
+    });
+
+    it('should return null when no version tag is found', async () => {
+      const git = createGit(repo.dir);
+
+      expect(await getLatestTag(git, { pattern: 'v9*' })).toBeNull();
+      expect(await getLatestTag(git, { ref: 'missing-branch' })).toBeNull();
+    });
+  });
+
+  describe('filterCommitsByPaths', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit', { files: { 'README.md': 'repo' } });
+      repo.tag('v1.0.0');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should keep commits touching the paths and their PR merge commits', async () => {
+      repo.checkout('feat/helix', { create: true });
+      repo.commit('feat: helix page', { files: { 'apps/helix/page.vue': 'page' } });
+      repo.commit('docs: readme', { files: { 'README.md': 'docs' } });
+      repo.checkout('master');
+      repo.merge('feat/helix', 'Merge pull request #1 from org/feat/helix');
+      repo.checkout('feat/explorer', { create: true });
+      repo.commit('feat: explorer page', { files: { 'apps/explorer/page.vue': 'page' } });
+      repo.checkout('master');
+      repo.merge('feat/explorer', 'Merge pull request #2 from org/feat/explorer');
+      repo.commit('fix: shared ui (#3)', { files: { 'packages/ui/button.vue': 'button' } });
+
+      const git = createGit(repo.dir);
+      const commits = await getCommitsBetweenWithMerges(git, 'v1.0.0', 'master');
+      const filtered = await filterCommitsByPaths(git, commits, {
+        fromRef: 'v1.0.0',
+        toRef: 'master',
+        paths: ['apps/helix/**', 'packages/ui'],
+      });
+
+      expect(filtered.map((commit) => commit.message)).toEqual([
+        'fix: shared ui (#3)',
+        'Merge pull request #1 from org/feat/helix',
+        'feat: helix page',
+      ]);
+    });
+
+    it('should support file globs and pathspec magic', async () => {
+      repo.commit('fix: helix style', { files: { 'apps/helix/style.css': 'a' } });
+      repo.commit('fix: helix script', { files: { 'apps/helix/main.js': 'a' } });
+
+      const git = createGit(repo.dir);
+      const commits = await getCommitsBetweenWithMerges(git, 'v1.0.0', 'master');
+      const filter = (paths) =>
+        filterCommitsByPaths(git, commits, { fromRef: 'v1.0.0', toRef: 'master', paths });
+
+      expect((await filter(['**/*.css'])).map((commit) => commit.message)).toEqual([
+        'fix: helix style',
+      ]);
+      expect((await filter(['apps/helix', ':!**/*.css'])).map((commit) => commit.message)).toEqual([
+        'fix: helix script',
+      ]);
+    });
+
+    it('should keep every commit without paths', async () => {
+      const commits = [{ hash: 'abc' }];
+
+      expect(await filterCommitsByPaths(createGit(repo.dir), commits, { paths: [] })).toBe(commits);
+    });
+  });
+
+  describe('getCommitFiles / getDiffFiles', () => {
+    let repo;
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit', { files: { 'README.md': 'one\ntwo\n' } });
+      repo.tag('v1.0.0');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should count the files, insertions and deletions of each commit and of the release', async () => {
+      repo.checkout('feat/helix', { create: true });
+      const page = repo.commit('feat: helix page', {
+        files: { 'apps/helix/page.vue': 'a\nb\nc\n', 'apps/helix/logo.png': '\u0000\u0001' },
+      });
+      const readme = repo.commit('docs: readme', { files: { 'README.md': 'one\n2\n' } });
+      repo.checkout('master');
+      const merge = repo.merge('feat/helix', 'Merge pull request #1 from org/feat/helix');
+
+      const git = createGit(repo.dir);
+      const files = await getCommitFiles(git, { fromRef: 'v1.0.0', toRef: 'master' });
+
+      expect(files.get(page)).toEqual([
+        { path: 'apps/helix/logo.png', insertions: 0, deletions: 0 },
+        { path: 'apps/helix/page.vue', insertions: 3, deletions: 0 },
+      ]);
+      expect(files.get(readme)).toEqual([{ path: 'README.md', insertions: 1, deletions: 1 }]);
+      // A merge shows the changes of the whole pull request
+      expect(files.get(merge)).toHaveLength(3);
+      expect(await getDiffFiles(git, { fromRef: 'v1.0.0', toRef: 'master' })).toEqual(
+        files.get(merge)
+      );
+    });
+
+    it('should only count the files matching the paths', async () => {
+      const commit = repo.commit('feat: helix page', {
+        files: { 'apps/helix/page.vue': 'a\n', 'README.md': 'one\n' },
+      });
+      const options = { fromRef: 'v1.0.0', toRef: 'master', paths: ['apps/helix/**'] };
+      const git = createGit(repo.dir);
+
+      expect((await getCommitFiles(git, options)).get(commit)).toEqual([
+        { path: 'apps/helix/page.vue', insertions: 1, deletions: 0 },
+      ]);
+      expect(await getDiffFiles(git, options)).toEqual([
+        { path: 'apps/helix/page.vue', insertions: 1, deletions: 0 },
+      ]);
+    });
+    it('should not count the changes of a previous tag on a diverged branch', async () => {
+      repo.checkout('hotfix', { create: true });
+      repo.commit('fix: hotfix', { files: { 'hotfix.js': 'fix\n', 'README.md': 'one\n' } });
+      repo.tag('v1.0.1');
+      repo.checkout('master');
+      const page = repo.commit('feat: page', { files: { 'page.vue': 'a\nb\n' } });
+
+      const git = createGit(repo.dir);
+      const options = { fromRef: 'v1.0.1', toRef: 'master' };
+
+      expect(await getDiffFiles(git, options)).toEqual([
+        { path: 'page.vue', insertions: 2, deletions: 0 },
+      ]);
+      expect(await getDiffFiles(git, options)).toEqual(
+        (await getCommitFiles(git, options)).get(page)
+      );
+    });
+  });
+
+  describe('markCherryPicks', () => {
+    const APP = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+    let repo;
+
+    const app = (lines) => ({ 'app.js': `${lines.join('\n')}\n` });
+    const collect = async (fromRef, options = {}) => {
+      const git = createGit(repo.dir);
+      const commits = await getCommitsBetweenWithMerges(git, fromRef, 'master');
+
+      return markCherryPicks(git, commits, { fromRef, toRef: 'master', ...options });
+    };
+    const summarise = (commits) =>
+      commits.map(({ message, cherryPicks, shippedIn }) => ({ message, cherryPicks, shippedIn }));
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit', { files: app(APP) });
+      repo.tag('v1.0.0');
+      repo.checkout('dev', { create: true });
+      repo.commit('feat: next', { files: { 'next.js': 'next' } });
+      repo.commit('fix: crash', {
+        files: app(APP.map((line) => (line === 'nine' ? 'nine();' : line))),
+      });
+      repo.checkout('master');
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should mark a change shipped in an earlier hotfix tag', async () => {
+      const fix = repo.git(['rev-parse', 'dev']);
+
+      // The hotfix lands on a master that changed the file since, so its diff
+      // has other line numbers than the original
+      repo.commit('chore: header', { files: app(['// header', ...APP]) });
+      const hotfix = repo.cherryPick(fix);
+      repo.tag('v1.0.1');
+      repo.commit('chore: release tooling', { files: { 'release.sh': 'release' } });
+      repo.tag('v1.0.2');
+      repo.merge('dev', 'Merge pull request #9 from org/dev');
+
+      expect(summarise(await collect('v1.0.2'))).toEqual([
+        { message: 'Merge pull request #9 from org/dev', cherryPicks: [], shippedIn: null },
+        { message: 'fix: crash', cherryPicks: [hotfix], shippedIn: 'v1.0.1' },
+        { message: 'feat: next', cherryPicks: [], shippedIn: null },
+      ]);
+    });
+
+    it('should collapse a hotfix and its original released together', async () => {
+      const fix = repo.git(['rev-parse', 'dev']);
+      const hotfix = repo.cherryPick(fix);
+      repo.merge('dev', 'Merge pull request #9 from org/dev');
+
+      expect(summarise(await collect('v1.0.0'))).toEqual([
+        { message: 'Merge pull request #9 from org/dev', cherryPicks: [], shippedIn: null },
+        { message: 'fix: crash', cherryPicks: [hotfix], shippedIn: null },
+        { message: 'feat: next', cherryPicks: [], shippedIn: null },
+      ]);
+    });
+
+    it('should only use tags of the package for shippedIn', async () => {
+      repo.cherryPick(repo.git(['rev-parse', 'dev']));
+      repo.tag('helix@v1.0.1');
+      repo.commit('chore: release tooling', { files: { 'release.sh': 'release' } });
+      repo.tag('v1.0.1');
+      repo.merge('dev', 'Merge pull request #9 from org/dev');
+
+      const [, fix] = await collect('v1.0.1', { tagPrefix: 'helix@' });
+
+      expect(fix.shippedIn).toBe('helix@v1.0.1');
+    });
+
+    it('should keep different changes and empty commits with the same message apart', async () => {
+      repo.commit('fix: crash', { files: app(APP.map((line) => (line === 'two' ? '2' : line))) });
+      repo.commit('chore: empty');
+      repo.checkout('dev');
+      repo.commit('chore: empty');
+      repo.checkout('master');
+      repo.merge('dev', 'Merge pull request #9 from org/dev');
+
+      const result = await collect('v1.0.0');
+
+      expect(result).toHaveLength(6);
+      expect(result.every((commit) => commit.cherryPicks.length === 0)).toBe(true);
+    });
+
+    it('should keep different binary and mode changes to one file apart', async () => {
+      repo.commit('feat: new logo', { files: { 'logo.png': '\u0000\u0001new' } });
+      repo.commit('fix: logo colors', { files: { 'logo.png': '\u0000\u0001colors' } });
+      repo.git(['update-index', '--chmod=+x', 'app.js']);
+      repo.commit('chore: executable app');
+      repo.git(['update-index', '--chmod=-x', 'app.js']);
+      repo.commit('chore: plain app');
+
+      const git = createGit(repo.dir);
+      const commits = await getCommitsBetweenWithMerges(git, 'v1.0.0', 'master');
+      const result = await markCherryPicks(git, commits, { fromRef: 'v1.0.0', toRef: 'master' });
+
+      expect(summarise(result)).toEqual([
+        { message: 'chore: plain app', cherryPicks: [], shippedIn: null },
+        { message: 'chore: executable app', cherryPicks: [], shippedIn: null },
+        { message: 'fix: logo colors', cherryPicks: [], shippedIn: null },
+        { message: 'feat: new logo', cherryPicks: [], shippedIn: null },
+      ]);
+    });
+
+    it('should collapse a cherry-picked binary change', async () => {
+      repo.checkout('dev');
+      const fix = repo.commit('fix: logo', { files: { 'logo.png': '\u0000\u0001fixed' } });
+      repo.checkout('master');
+      const hotfix = repo.cherryPick(fix);
+      repo.merge('dev', 'Merge pull request #9 from org/dev');
+
+      const [, logo] = await collect('v1.0.0');
+
+      expect(logo).toMatchObject({ message: 'fix: logo', cherryPicks: [hotfix] });
+    });
+
+    it('should mark a released change in a linear range', async () => {
+      const fix = repo.git(['rev-parse', 'dev']);
+
+      repo.commit('chore: header', { files: app(['// header', ...APP]) });
+      const hotfix = repo.cherryPick(fix);
+      repo.tag('v1.0.1');
+
+      // e.g. the dry run of the dev to master pull request, whose range has no merge
+      const git = createGit(repo.dir);
+      const commits = await getCommitsBetweenWithMerges(git, 'v1.0.1', 'dev');
+      const result = await markCherryPicks(git, commits, { fromRef: 'v1.0.1', toRef: 'dev' });
+
+      expect(summarise(result)).toEqual([
+        { message: 'fix: crash', cherryPicks: [hotfix], shippedIn: 'v1.0.1' },
+        { message: 'feat: next', cherryPicks: [], shippedIn: null },
+      ]);
+    });
+
+    it('should mark a change released by a squash-merged hotfix', async () => {
+      const squash = repo.commit('fix: crash (#10)', {
+        files: app(APP.map((line) => (line === 'nine' ? 'nine();' : line))),
+      });
+      repo.tag('v1.0.1');
+      repo.checkout('dev');
+      repo.commit('feat: later (#12)', { files: { 'later.js': 'later' } });
+      repo.checkout('master');
+
+      const git = createGit(repo.dir);
+      const commits = await getCommitsBetweenWithMerges(git, 'v1.0.1', 'dev');
+      const [, fix] = await markCherryPicks(git, commits, { fromRef: 'v1.0.1', toRef: 'dev' });
+
+      expect(fix).toMatchObject({
+        message: 'fix: crash',
+        cherryPicks: [squash],
+        shippedIn: 'v1.0.1',
+      });
+    });
+
+    it('should only look for released changes in the last releases', async () => {
+      repo.cherryPick(repo.git(['rev-parse', 'dev']));
+      repo.tag('v1.0.1');
+
+      for (let patch = 2; patch <= 7; patch++) {
+        repo.commit(`chore: release v1.0.${patch}`);
+        repo.tag(`v1.0.${patch}`);
+      }
+
+      const git = createGit(repo.dir);
+      const commits = await getCommitsBetweenWithMerges(git, 'v1.0.7', 'dev');
+      const [fix] = await markCherryPicks(git, commits, { fromRef: 'v1.0.7', toRef: 'dev' });
+
+      expect(fix).toMatchObject({ message: 'fix: crash', cherryPicks: [], shippedIn: null });
+    });
+
+    it('should return an empty range as is', async () => {
+      const commits = [];
+
+      expect(await markCherryPicks(createGit(repo.dir), commits, { fromRef: 'v1.0.0' })).toBe(
+        commits
+      );
+    });
+  });
+
+  describe('findPreviousDevMerge', () => {
+    let repo;
+
+    const release = (integrationBranch, number) => {
+      repo.checkout(integrationBranch);
+      repo.commit(`feat: change ${number}`);
+      repo.checkout('main');
+
+      return repo.merge(
+        integrationBranch,
+        `Merge pull request #${number} from org/${integrationBranch}`
+      );
+    };
+
+    beforeEach(() => {
+      repo = createTestRepo();
+      repo.commit('chore: initial commit');
+      repo.git(['branch', '-m', 'main']);
+      repo.git(['branch', 'develop']);
+    });
+
+    afterEach(() => {
+      repo.cleanup();
+    });
+
+    it('should find the previous release merge of the configured integration branch', async () => {
+      const config = resolveReleaseConfig({
+        integration_branch: 'develop',
+        release_branch: 'main',
+      });
+      const previous = release('develop', 1);
+
+      release('develop', 2);
+
+      expect(await findPreviousDevMerge(createGit(repo.dir), 'main', 'HEAD', config)).toEqual({
+        hash: previous,
+        message: 'Merge pull request #1 from org/develop',
+      });
+      expect(await findPreviousDevMerge(createGit(repo.dir), 'main', 'HEAD')).toBeNull();
+    });
+
+    it('should match merge patterns against subjects containing "|"', async () => {
+      const config = resolveReleaseConfig({
+        release_branch: 'main',
+        merge_patterns: ['^release: .+ \\| .+$'],
+      });
+
+      repo.checkout('develop');
+      repo.commit('feat: change 1');
+      repo.checkout('main');
+      const previous = repo.merge('develop', 'release: v1.1.0 | markets');
+      repo.commit('fix: hotfix');
+
+      expect(await findPreviousDevMerge(createGit(repo.dir), 'main', 'HEAD', config)).toEqual({
+        hash: previous,
+        message: 'release: v1.1.0 | markets',
+      });
+    });
+
+    it('should only look back search_depth commits', async () => {
+      const config = (depth) =>
+        resolveReleaseConfig({ integration_branch: 'develop', search_depth: depth });
+
+      release('develop', 1);
+      repo.commit('fix: hotfix 1');
+      repo.commit('fix: hotfix 2');
+
+      const git = createGit(repo.dir);
+
+      expect(await findPreviousDevMerge(git, 'main', 'HEAD', config(2))).toBeNull();
+      expect(await findPreviousDevMerge(git, 'main', 'HEAD', config(3))).toMatchObject({
+        message: 'Merge pull request #1 from org/develop',
+      });
+    });
+  });
 });
@@ -0,0 +1,305 @@
+import http from 'http';
+import { it, vi, expect, afterAll, describe, beforeAll, afterEach } from 'vitest';
+import { parseRepoUrl, enrichCommits, createGitHubClient } from '../src/github.js';
+
+/**
+ * Tests for the GitHub API client and commit enrichment, run against a local
+ * fake GitHub server that answers a fixed set of REST routes.
+ */
+
+const SHAS = {
+  merge: 'a'.repeat(40),
+  feat: 'b'.repeat(40),
+  rebase1: 'c'.repeat(40),
+  rebase2: 'd'.repeat(40),
+  direct: 'e'.repeat(40),
+  devDirect: 'f'.repeat(40),
+  release: '1'.repeat(40),
+};
+
+const RELEASE_PULL = {
+  number: 50,
+  merged_at: '2026-01-02T00:00:00Z',
+  head: { ref: 'dev' },
+  base: { ref: 'master' },
+};
+
+const ROUTES = {
+  [`/repos/org/repo/commits/${SHAS.merge}`]: { sha: SHAS.merge, author: { login: 'merger' } },
+  [`/repos/org/repo/commits/${SHAS.direct}`]: { sha: SHAS.direct, author: null },
+  [`/repos/org/repo/commits/${SHAS.rebase2}/pulls`]: [
+    { number: 7, merged_at: '2026-01-01T00:00:00Z' },
+  ],
+  [`/repos/org/repo/commits/${SHAS.direct}/pulls`]: [
+    { number: 51, merged_at: null, head: { ref: 'feat/closed' }, base: { ref: 'dev' } },
+  ],
+  [`/repos/org/repo/commits/${SHAS.devDirect}/pulls`]: [RELEASE_PULL],
+  '/repos/org/repo/pulls/42': {
+    number: 42,
+    title: 'feat: add the thing',
+    labels: [{ name: 'enhancement' }],
+    user: { login: 'thomasralee' },
+  },
+  '/repos/org/repo/pulls/42/commits?per_page=100': [
+    { sha: SHAS.feat, author: { login: 'thomasralee' } },
+  ],
+  '/repos/org/repo/pulls/7': {
+    number: 7,
+    title: 'fix: rebased fix',
+    labels: [],
+    user: { login: 'jane' },
+  },
+  '/repos/org/repo/pulls/7/commits?per_page=100': [
+    { sha: SHAS.rebase1, author: { login: 'jane' } },
+    { sha: SHAS.rebase2, author: { login: 'jane' } },
+  ],
+};
+
+describe('github', () => {
+  let server;
+  let apiUrl;
+  const requests = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      requests.push({ url: req.url, authorization: req.headers.authorization });
+
+      const body = ROUTES[req.url];
+
+      res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body || { message: 'Not Found' }));
+    });
+
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  afterEach(() => {
+    requests.length = 0;
+    vi.restoreAllMocks();
+  });
+
+  describe('parseRepoUrl', () => {
+    it('should parse owner and repo from a repository URL', () => {
+      expect(parseRepoUrl('https://github.com/InjectiveLabs/injective-helix')).toEqual({
+        owner: 'InjectiveLabs',
+        repo: 'injective-helix',
+      });
+    });
+
+    it('should strip a .git suffix and trailing slash', () => {
+      expect(parseRepoUrl('https://github.com/org/repo.git')).toEqual({
+        owner: 'org',
+        repo: 'repo',
+      });
+      expect(parseRepoUrl('https://github.com/org/repo/')).toEqual({ owner: 'org', repo: 'repo' });
+    });
+
+    it('should throw for invalid URLs', () => {
+      expect(() => parseRepoUrl('not-a-url')).toThrow('Invalid repository URL');
+      expect(() => parseRepoUrl('https://github.com/org')).toThrow('Invalid repository URL');
+    });
+  });
+
+  describe('createGitHubClient', () => {
+    it('should send the token and API headers', async () => {
+      const client = createGitHubClient({ token: 'secret', apiUrl });
+
+      await client.getPullRequest('org', 'repo', 42);
+
+      expect(requests).toEqual([
+        { url: '/repos/org/repo/pulls/42', authorization: 'Bearer secret' },
+      ]);
+    });
+
+    it('should cache responses per path', async () => {
+      const client = createGitHubClient({ token: 'secret', apiUrl });
+
+      const [first, second] = await Promise.all([
+        client.getPullRequest('org', 'repo', 42),
+        client.getPullRequest('org', 'repo', 42),
+      ]);
+      const third = await client.getPullRequest('org', 'repo', 42);
+
+      expect(first.title).toBe('feat: add the thing');
+      expect(second).toBe(first);
+      expect(third).toBe(first);
+      expect(requests).toHaveLength(1);
+    });
+
+    it('should throw on error responses and retry them on the next call', async () => {
+      const client = createGitHubClient({ token: 'secret', apiUrl });
+
+      await expect(client.getPullRequest('org', 'repo', 999)).rejects.toThrow(
+        'GitHub API error: 404 Not Found for GET /repos/org/repo/pulls/999'
+      );
+      await expect(client.getPullRequest('org', 'repo', 999)).rejects.toThrow('404');
+      expect(requests).toHaveLength(2);
+    });
+
+    it('should use a custom fetch implementation', async () => {
+      const fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ number: 1 }) });
+      const client = createGitHubClient({
+        token: 'secret',
+        apiUrl: 'https://ghe.test/api/v3/',
+        fetch,
+      });
+
+      await client.getPullRequest('org', 'repo', 1);
+
+      expect(fetch).toHaveBeenCalledWith(
+        'https://ghe.test/api/v3/repos/org/repo/pulls/1',
+        expect.objectContaining({
+          headers: expect.objectContaining({ Authorization: 'Bearer secret' }),
+        })
+      );
+    });
+  });
+
+  describe('enrichCommits', () => {
+    const commits = [
+      {
+        hash: SHAS.merge,
+        message: 'Merge pull request #42 from org/feat/thing',
+        authorName: 'Thomas Lee',
+        authorEmail: 'thomas@test.com',
+        prNumber: '42',
+      },
+      {
+        hash: SHAS.feat,
+        message: 'add the thing',
+        authorName: 'Thomas Lee',
+        authorEmail: 'thomas@test.com',
+        prNumber: '42',
+        mergeHash: SHAS.merge,
+      },
+      {
+        hash: SHAS.rebase2,
+        message: 'fix: part 2',
+        authorName: 'Jane Doe',
+        authorEmail: 'jane@test.com',
+        prNumber: null,
+        rebaseGroup: SHAS.rebase2,
+      },
+      {
+        hash: SHAS.rebase1,
+        message: 'fix: part 1',
+        authorName: 'Jane Doe',
+        authorEmail: 'jane@test.com',
+        prNumber: null,
+        rebaseGroup: SHAS.rebase2,
+      },
+      {
+        hash: SHAS.direct,
+        message: 'chore: direct push',
+        authorName: 'Some One',
+        authorEmail: 'someone@test.com',
+        prNumber: null,
+      },
+    ];
+
+    it('should resolve logins and PR metadata', async () => {
+      const client = createGitHubClient({ token: 'secret', apiUrl });
+      const [merge, feat, rebase2, rebase1, direct] = await enrichCommits(commits, {
+        client,
+        owner: 'org',
+        repo: 'repo',
+      });
+
+      expect(merge.authorLogin).toBe('merger');
+      expect(feat.authorLogin).toBe('thomasralee');
+      expect(feat.pullRequest).toEqual({
+        number: 42,
+        title: 'feat: add the thing',
+        labels: ['enhancement'],
+        author: 'thomasralee',
+      });
+      expect(rebase1).toMatchObject({ prNumber: '7', authorLogin: 'jane' });
+      expect(rebase2).toMatchObject({ prNumber: '7', authorLogin: 'jane' });
+      expect(rebase2.pullRequest.title).toBe('fix: rebased fix');
+      expect(direct.prNumber).toBeNull();
+      expect(direct.authorLogin).toBeUndefined();
+      expect(direct.pullRequest).toBeUndefined();
+    });
+
+    it('should batch requests per PR and rebase run', async () => {
+      const client = createGitHubClient({ token: 'secret', apiUrl });
+
+      await enrichCommits(commits, { client, owner: 'org', repo: 'repo' });
+
+      const urls = requests.map((request) => request.url).sort();
+
+      // One lookup per rebase run, logins of PR commits come from the PR commit lists
+      expect(urls).toEqual(
+        [
+          `/repos/org/repo/commits/${SHAS.rebase2}/pulls`,
+          `/repos/org/repo/commits/${SHAS.direct}/pulls`,
+          '/repos/org/repo/pulls/42',
+          '/repos/org/repo/pulls/42/commits?per_page=100',
+          '/repos/org/repo/pulls/7',
+          '/repos/org/repo/pulls/7/commits?per_page=100',
+          `/repos/org/repo/commits/${SHAS.merge}`,
+          `/repos/org/repo/commits/${SHAS.direct}`,
+        ].sort()
+      );
+    });
+
+    it('should not attribute a direct-to-dev commit to its release merge PR', async () => {
+      const client = createGitHubClient({ token: 'secret', apiUrl });
+      const devDirect = {
+        hash: SHAS.devDirect,
+        message: 'fix: pushed to dev',
+        authorName: 'Some One',
+        authorEmail: 'someone@test.com',
+        mergeStrategy: 'merge',
+        mergeHash: SHAS.release,
+        prNumber: null,
+      };
+
+      const [result] = await enrichCommits([devDirect], { client, owner: 'org', repo: 'repo' });
+
+      expect(result.prNumber).toBeNull();
+      expect(result.pullRequest).toBeUndefined();
+      expect(requests.map((request) => request.url)).not.toContain('/repos/org/repo/pulls/50');
+    });
+
+    it('should tell release merge PRs apart with the release config', async () => {
+      const client = createGitHubClient({ token: 'secret', apiUrl });
+      const devDirect = { hash: SHAS.devDirect, message: 'fix: pushed to dev', prNumber: null };
+      const config = { integrationBranch: 'develop', releaseBranch: 'main' };
+
+      const [result] = await enrichCommits([devDirect], {
+        client,
+        owner: 'org',
+        repo: 'repo',
+        config,
+      });
+
+      // dev -> master is a regular PR in a develop -> main repository
+      expect(result.prNumber).toBe('50');
+    });
+
+    it('should keep commits unchanged when the API fails', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const client = createGitHubClient({ token: 'secret', apiUrl: `${apiUrl}/missing` });
+
+      const result = await enrichCommits(commits, { client, owner: 'org', repo: 'repo' });
+
+      expect(result).toEqual(commits);
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('GitHub API error: 404'));
+    });
+
+    it('should not mutate the input commits', async () => {
+      const client = createGitHubClient({ token: 'secret', apiUrl });
+
+      await enrichCommits(commits, { client, owner: 'org', repo: 'repo' });
+
+      expect(commits[2].prNumber).toBeNull();
+      expect(commits[0].authorLogin).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { it, expect, describe } from 'vitest';
+import { buildReleaseModel } from '../src/release-model.js';
+import { COMMITS, REPO_URL, RELEASE_SCENARIOS } from './fixtures.js';
+
+describe('release-model', () => {
+  describe('buildReleaseModel', () => {
+    it('should describe the release version and bump', () => {
+      const model = buildReleaseModel(RELEASE_SCENARIOS.simpleFixRelease, {
+        repoUrl: REPO_URL,
+        version: 'v1.2.4',
+        previousVersion: 'v1.2.3',
+        bump: 'patch',
+        bumpReason: 'patch: no features or breaking changes',
+      });
+
+      expect(model).toMatchObject({
+        version: 'v1.2.4',
+        previousVersion: 'v1.2.3',
+        bump: 'patch',
+        bumpReason: 'patch: no features or breaking changes',
+        repoUrl: REPO_URL,
+        layout: 'grouped',
+        hasNewCommits: true,
+      });
+    });
+
+    it('should describe every commit as an entry', () => {
+      const model = buildReleaseModel([COMMITS.mergeFeatureBranch], { repoUrl: REPO_URL });
+
+      expect(model.entries).toEqual([
+        {
+          hash: COMMITS.mergeFeatureBranch.hash,
+          shortHash: COMMITS.mergeFeatureBranch.hash.substring(0, 7),
+          url: `${REPO_URL}/commit/${COMMITS.mergeFeatureBranch.hash}`,
+          message: COMMITS.mergeFeatureBranch.message,
+          type: 'feat',
+          breaking: false,
+          authors: ['@ThomasRalee'],
+          pullRequest: {
+            number: 2303,
+            url: `${REPO_URL}/pull/2303`,
+            title: null,
+            labels: [],
+            author: null,
+          },
+          cherryPicks: [],
+          shippedIn: null,
+        },
+      ]);
+    });
+
+    it('should group entries into sections in section order', () => {
+      const model = buildReleaseModel(RELEASE_SCENARIOS.largeRelease, { repoUrl: REPO_URL });
+
+      expect(model.sections.map((section) => section.title)).toEqual([
+        'Features',
+        'Fixes',
+        'Refactors',
+        'Chores',
+        'Other',
+      ]);
+      expect(model.sections[0].entries.map((entry) => entry.hash)).toEqual([
+        COMMITS.mergeFeatureBranch.hash,
+        COMMITS.featWithJira.hash,
+        COMMITS.featLongMessage.hash,
+      ]);
+    });
+
+    it('should list unique pull requests and authors', () => {
+      const model = buildReleaseModel(RELEASE_SCENARIOS.mixedAuthorsRelease, { repoUrl: REPO_URL });
+
+      expect(model.pullRequests.map((pr) => pr.number)).toEqual([2320]);
+      expect(model.authors).toEqual([
+        '@ThomasRalee',
+        '@0xA1337',
+        '@ivan-angjelkoski',
+        '@Frederick-88',
+      ]);
+    });
+
+    it('should use enriched PR metadata', () => {
+      const model = buildReleaseModel(
+        [
+          {
+            ...COMMITS.mergeFeatureBranch,
+            authorLogin: 'thomasralee',
+            pullRequest: { number: 2303, title: 'feat: megavault', labels: ['ui'], author: 'x' },
+          },
+        ],
+        { repoUrl: REPO_URL }
+      );
+
+      expect(model.entries[0].message).toBe('feat: megavault');
+      expect(model.pullRequests[0]).toMatchObject({ title: 'feat: megavault', labels: ['ui'] });
+      expect(model.authors).toEqual(['@thomasralee']);
+    });
+
+    it('should filter out old dev-to-master merges', () => {
+      const model = buildReleaseModel(
+        [
+          COMMITS.mergeDevToMaster,
+          COMMITS.fixSimple,
+          { ...COMMITS.mergeDevToMaster, hash: 'old1234567' },
+        ],
+        { repoUrl: REPO_URL }
+      );
+
+      expect(model.entries).toHaveLength(2);
+    });
+
+    it('should list excluded commits as maintenance entries', () => {
+      const model = buildReleaseModel(RELEASE_SCENARIOS.simpleFixRelease, { repoUrl: REPO_URL });
+
+      expect(model.entries.map((entry) => entry.hash)).not.toContain(COMMITS.chorePackageBump.hash);
+      expect(model.maintenance.map((entry) => entry.hash)).toEqual([COMMITS.chorePackageBump.hash]);
+      expect(model.sections.map((section) => section.type)).not.toContain('chore');
+    });
+
+    it('should have new commits when every commit is excluded', () => {
+      const model = buildReleaseModel([COMMITS.chorePackageBump], { repoUrl: REPO_URL });
+
+      expect(model).toMatchObject({ hasNewCommits: true, entries: [], authors: [] });
+      expect(model.maintenance).toHaveLength(1);
+    });
+
+    it('should describe a release without commits', () => {
+      const model = buildReleaseModel([], { repoUrl: REPO_URL, version: 'v1.0.1' });
+
+      expect(model).toMatchObject({
+        hasNewCommits: false,
+        entries: [],
+        sections: [],
+        maintenance: [],
+        pullRequests: [],
+        authors: [],
+      });
+    });
+
+    it('should be serialisable as JSON', () => {
+      const model = buildReleaseModel(RELEASE_SCENARIOS.largeRelease, { repoUrl: REPO_URL });
+
+      expect(JSON.parse(JSON.stringify(model))).toEqual(model);
+    });
+
+    it('should throw for an invalid layout', () => {
+      expect(() => buildReleaseModel([], { repoUrl: REPO_URL, layout: 'tree' })).toThrow(
+        'Invalid release notes layout: tree. Expected one of: grouped, flat'
+      );
+    });
+  });
+});
@@ -0,0 +1,306 @@
+import { it, expect, describe } from 'vitest';
+import { formatReleaseNotes } from '../src/formatting.js';
+import { buildReleaseModel } from '../src/release-model.js';
+import { COMMITS, REPO_URL, RELEASE_SCENARIOS } from './fixtures.js';
+import {
+  renderHtml,
+  renderText,
+  escapeHtml,
+  renderSlack,
+  renderMarkdown,
+  escapeSlackText,
+  renderSlackBlocks,
+  renderReleaseNotes,
+  RELEASE_NOTES_FORMATS,
+} from '../src/renderers.js';
+
+const grouped = (commits, options = {}) =>
+  buildReleaseModel(commits, { repoUrl: REPO_URL, layout: 'grouped', ...options });
+const flat = (commits, options = {}) =>
+  buildReleaseModel(commits, { repoUrl: REPO_URL, layout: 'flat', ...options });
+
+const fixCommit = {
+  ...COMMITS.fixSimple,
+  hash: 'c178bb6abc1234567890abcdef1234567890abcd',
+  message: 'fix: a < b & c > d (#42)',
+};
+
+const hotfixCommit = {
+  ...fixCommit,
+  cherryPicks: ['e4a1f2b3c4d5e6f708192a3b4c5d6e7f80910a1b'],
+  shippedIn: 'v1.0.1',
+};
+
+const diffStats = {
+  files: 4,
+  insertions: 131,
+  deletions: 11,
+  areas: [
+    { name: '@org/helix', files: 2, insertions: 120, deletions: 8 },
+    { name: 'Other', files: 1, insertions: 1, deletions: 1 },
+  ],
+  commits: [],
+};
+
+describe('renderers', () => {
+  describe('renderMarkdown', () => {
+    it.each(Object.keys(RELEASE_SCENARIOS))('should match formatReleaseNotes for %s', (name) => {
+      const commits = RELEASE_SCENARIOS[name];
+
+      expect(renderMarkdown(grouped(commits))).toBe(
+        formatReleaseNotes(commits, REPO_URL, { layout: 'grouped' })
+      );
+      expect(renderMarkdown(flat(commits))).toBe(
+        formatReleaseNotes(commits, REPO_URL, { layout: 'flat' })
+      );
+    });
+
+    it('should return "No new commits" for an empty release', () => {
+      expect(renderMarkdown(grouped([]))).toBe('No new commits');
+    });
+  });
+
+  describe('renderSlack', () => {
+    it('should render sections as bold headings and links in Slack format', () => {
+      const result = renderSlack(grouped([COMMITS.featWithJira, fixCommit]));
+
+      expect(result).toBe(
+        [
+          '*Features*',
+          `- <${REPO_URL}/commit/${COMMITS.featWithJira.hash}|${COMMITS.featWithJira.hash.substring(0, 7)}> - ${COMMITS.featWithJira.message} by @${COMMITS.featWithJira.authorName}`,
+          '',
+          '*Fixes*',
+          `- <${REPO_URL}/commit/${fixCommit.hash}|c178bb6> - fix: a &lt; b &amp; c &gt; d by @ThomasRalee in <${REPO_URL}/pull/42|#42>`,
+        ].join('\n')
+      );
+    });
+
+    it('should render the flat layout as a single list', () => {
+      const result = renderSlack(flat([COMMITS.featWithJira, fixCommit]));
+
+      expect(result.split('\n')).toHaveLength(2);
+      expect(result).not.toContain('*Features*');
+    });
+
+    it('should return "No new commits" for an empty release', () => {
+      expect(renderSlack(grouped([]))).toBe('No new commits');
+    });
+
+    it('should count maintenance commits', () => {
+      const result = renderSlack(grouped([fixCommit, COMMITS.chorePackageBump]));
+
+      expect(result).toMatch(/\n\n_Maintenance: 1 commit_$/);
+      expect(result).not.toContain('package bump');
+    });
+  });
+
+  describe('renderSlackBlocks', () => {
+    it('should render a header and one section block per section', () => {
+      const blocks = renderSlackBlocks(
+        grouped([COMMITS.featWithJira, fixCommit], { version: 'v1.2.0' })
+      );
+
+      expect(blocks).toHaveLength(3);
+      expect(blocks[0]).toEqual({ type: 'header', text: { type: 'plain_text', text: 'v1.2.0' } });
+      expect(blocks[1].type).toBe('section');
+      expect(blocks[1].text.type).toBe('mrkdwn');
+      expect(blocks[1].text.text).toMatch(/^\*Features\*\n- </);
+      expect(blocks[2].text.text).toContain('fix: a &lt; b &amp; c &gt; d');
+    });
+
+    it('should split sections over the Slack text limit', () => {
+      const commits = Array.from({ length: 40 }, (_, i) => ({
+        ...COMMITS.fixSimple,
+        hash: `${String(i).padStart(7, '0')}abc1234567890abcdef1234567890abcd`,
+        message: `fix: ${'long message '.repeat(10)}${i}`,
+      }));
+      const blocks = renderSlackBlocks(grouped(commits));
+
+      expect(blocks.length).toBeGreaterThan(1);
+      expect(blocks.every((block) => block.text.text.length <= 3000)).toBe(true);
+      expect(
+        blocks
+          .map((block) => block.text.text)
+          .join('\n')
+          .match(/^- /gm)
+      ).toHaveLength(40);
+    });
+
+    it('should truncate messages over the Slack block limit', () => {
+      const commits = Array.from({ length: 800 }, (_, i) => ({
+        ...COMMITS.fixSimple,
+        hash: `${String(i).padStart(7, '0')}abc1234567890abcdef1234567890abcd`,
+        message: `fix: ${'long message '.repeat(10)}${i}`,
+      }));
+      const blocks = renderSlackBlocks(grouped(commits));
+
+      expect(blocks).toHaveLength(50);
+      expect(blocks[49].type).toBe('context');
+    });
+
+    it('should render "No new commits" for an empty release', () => {
+      expect(renderSlackBlocks(grouped([]))).toEqual([
+        { type: 'section', text: { type: 'mrkdwn', text: 'No new commits' } },
+      ]);
+    });
+
+    it('should count maintenance commits in a context block', () => {
+      const blocks = renderSlackBlocks(grouped([fixCommit, COMMITS.chorePackageBump]));
+
+      expect(blocks.at(-1)).toEqual({
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: 'Maintenance: 1 commit' }],
+      });
+    });
+  });
+
+  describe('renderHtml', () => {
+    it('should render sections as headings with lists', () => {
+      const result = renderHtml(grouped([fixCommit]));
+
+      expect(result).toBe(
+        [
+          '<h3>Fixes</h3>',
+          '<ul>',
+          `<li><a href="${REPO_URL}/commit/${fixCommit.hash}"><code>c178bb6</code></a> - fix: a &lt; b &amp; c &gt; d by @ThomasRalee in <a href="${REPO_URL}/pull/42">#42</a></li>`,
+          '</ul>',
+        ].join('\n')
+      );
+    });
+
+    it('should render the flat layout as a single list', () => {
+      const result = renderHtml(flat([COMMITS.featWithJira, fixCommit]));
+
+      expect(result).not.toContain('<h3>');
+      expect(result.match(/<li>/g)).toHaveLength(2);
+    });
+
+    it('should render "No new commits" for an empty release', () => {
+      expect(renderHtml(grouped([]))).toBe('<p>No new commits</p>');
+    });
+
+    it('should list maintenance commits in a collapsed section', () => {
+      const result = renderHtml(flat([COMMITS.chorePackageBump]));
+
+      expect(result).toMatch(
+        /^<details>\n<summary>Maintenance \(1 commit\)<\/summary>\n<ul>\n<li>.*chore: package bump.*<\/li>\n<\/ul>\n<\/details>$/
+      );
+    });
+  });
+
+  describe('renderText', () => {
+    it('should render plain text without markup', () => {
+      const result = renderText(grouped([COMMITS.featWithJira, fixCommit]));
+
+      expect(result).toBe(
+        [
+          'Features:',
+          `- ${COMMITS.featWithJira.hash.substring(0, 7)} - ${COMMITS.featWithJira.message} by @${COMMITS.featWithJira.authorName}`,
+          '',
+          'Fixes:',
+          '- c178bb6 - fix: a < b & c > d by @ThomasRalee (#42)',
+        ].join('\n')
+      );
+    });
+
+    it('should return "No new commits" for an empty release', () => {
+      expect(renderText(grouped([]))).toBe('No new commits');
+    });
+
+    it('should count maintenance commits', () => {
+      expect(renderText(flat([COMMITS.chorePackageBump]))).toBe('Maintenance: 1 commit');
+    });
+  });
+
+  describe('cherry-picks', () => {
+    it('should list every hash of a change and where it shipped in every format', () => {
+      const model = flat([hotfixCommit]);
+
+      expect(renderMarkdown(model)).toMatch(
+        /^- \[c178bb6\]\(.+\), \[e4a1f2b\]\(.+\) - .+ \(shipped in v1\.0\.1\)$/
+      );
+      expect(renderSlack(model)).toMatch(
+        /^- <.+\|c178bb6>, <.+\|e4a1f2b> - .+ \(shipped in v1\.0\.1\)$/
+      );
+      expect(renderHtml(model)).toContain(
+        `<code>c178bb6</code></a>, <a href="${REPO_URL}/commit/${hotfixCommit.cherryPicks[0]}"><code>e4a1f2b</code></a>`
+      );
+      expect(renderHtml(model)).toContain(' (shipped in v1.0.1)</li>');
+      expect(renderText(model)).toBe(
+        '- c178bb6, e4a1f2b - fix: a < b & c > d by @ThomasRalee (#42) (shipped in v1.0.1)'
+      );
+    });
+  });
+
+  describe('areas touched', () => {
+    it('should sum the changes of each area before the maintenance commits', () => {
+      const model = flat([fixCommit, COMMITS.chorePackageBump], { diffStats });
+      const [, areas] = renderMarkdown(model).split('\n\n');
+
+      expect(areas).toBe(
+        [
+          '### Areas touched',
+          '- @org/helix: 2 files (+120 -8)',
+          '- Other: 1 file (+1 -1)',
+          '- Total: 4 files (+131 -11)',
+        ].join('\n')
+      );
+      expect(renderMarkdown(model)).toMatch(/Total: 4 files \(\+131 -11\)\n\n<details>/);
+    });
+
+    it('should render the summary in every format', () => {
+      const model = grouped([fixCommit], { diffStats });
+
+      expect(renderSlack(model)).toContain('*Areas touched*\n- @org/helix: 2 files (+120 -8)');
+      expect(renderSlackBlocks(model).at(-1).text.text).toBe(
+        [
+          '*Areas touched*',
+          '- @org/helix: 2 files (+120 -8)',
+          '- Other: 1 file (+1 -1)',
+          '- Total: 4 files (+131 -11)',
+        ].join('\n')
+      );
+      expect(renderHtml(model)).toContain(
+        '<h3>Areas touched</h3>\n<ul>\n<li>@org/helix: 2 files (+120 -8)</li>'
+      );
+      expect(renderText(model)).toContain('Areas touched:\n- @org/helix: 2 files (+120 -8)');
+    });
+
+    it('should leave the summary out without areas', () => {
+      const model = flat([fixCommit], { diffStats: { ...diffStats, areas: [] } });
+
+      expect(renderMarkdown(model)).toBe(renderMarkdown(flat([fixCommit])));
+    });
+  });
+
+  describe('renderReleaseNotes', () => {
+    it('should render every supported format', () => {
+      const model = grouped(RELEASE_SCENARIOS.featureRelease);
+
+      expect(renderReleaseNotes(model)).toBe(renderMarkdown(model));
+      expect(renderReleaseNotes(model, 'slack')).toBe(renderSlack(model));
+      expect(renderReleaseNotes(model, 'slack-blocks')).toEqual(renderSlackBlocks(model));
+      expect(renderReleaseNotes(model, 'html')).toBe(renderHtml(model));
+      expect(renderReleaseNotes(model, 'text')).toBe(renderText(model));
+      expect(RELEASE_NOTES_FORMATS).toHaveLength(5);
+    });
+
+    it('should throw for an unknown format', () => {
+      expect(() => renderReleaseNotes(grouped([]), 'pdf')).toThrow(
+        'Invalid release notes format: pdf. Expected one of: markdown, slack, slack-blocks, html, text'
+      );
+    });
+  });
+
+  describe('escaping', () => {
+    it('should escape Slack control characters', () => {
+      expect(escapeSlackText('a < b & c > d')).toBe('a &lt; b &amp; c &gt; d');
+      expect(escapeSlackText(null)).toBe('');
+    });
+
+    it('should escape HTML special characters', () => {
+      expect(escapeHtml(`<a href="x">'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&lt;/a&gt;');
+      expect(escapeHtml(undefined)).toBe('');
+    });
+  });
+});
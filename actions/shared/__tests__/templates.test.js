@@ -0,0 +1,346 @@
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { it, expect, describe, afterEach, beforeEach } from 'vitest';
+import { formatReleaseNotes } from '../src/formatting.js';
+import { buildReleaseModel } from '../src/release-model.js';
+import { COMMITS, REPO_URL, RELEASE_SCENARIOS } from './fixtures.js';
+import {
+  loadTemplate,
+  parseTemplate,
+  renderTemplate,
+  DEFAULT_PARTIALS,
+  DEFAULT_TEMPLATE,
+  buildTemplateView,
+} from '../src/templates.js';
+
+const model = (commits, options = {}) =>
+  buildReleaseModel(commits, { repoUrl: REPO_URL, layout: 'grouped', ...options });
+
+const RELEASE = model([COMMITS.featWithJira, COMMITS.fixSimple, COMMITS.chorePackageBump]);
+
+describe('templates', () => {
+  describe('DEFAULT_TEMPLATE', () => {
+    it.each(Object.keys(RELEASE_SCENARIOS))('should render %s like formatReleaseNotes', (name) => {
+      const commits = RELEASE_SCENARIOS[name];
+
+      for (const layout of ['grouped', 'flat']) {
+        expect(renderTemplate(model(commits, { layout }))).toBe(
+          formatReleaseNotes(commits, REPO_URL, { layout })
+        );
+      }
+    });
+
+    it('should render cherry-picks, areas and maintenance commits', () => {
+      const hotfix = {
+        ...COMMITS.fixSimple,
+        cherryPicks: ['e4a1f2b3c4d5e6f708192a3b4c5d6e7f80910a1b'],
+        shippedIn: 'v1.0.1',
+      };
+      const diffStats = {
+        files: 3,
+        insertions: 12,
+        deletions: 4,
+        areas: [{ name: '@org/helix', files: 1, insertions: 10, deletions: 2 }],
+        commits: [],
+      };
+
+      expect(
+        renderTemplate(model([hotfix, COMMITS.chorePackageBump], { diffStats }), DEFAULT_TEMPLATE)
+      ).toBe(
+        [
+          '### Fixes',
+          `- [c178bb6](${REPO_URL}/commit/${hotfix.hash}), [e4a1f2b](${REPO_URL}/commit/${hotfix.cherryPicks[0]}) - fix: minor by @ThomasRalee (shipped in v1.0.1)`,
+          '',
+          '### Areas touched',
+          '- @org/helix: 1 file (+10 -2)',
+          '- Total: 3 files (+12 -4)',
+          '',
+          '<details>',
+          '<summary>Maintenance (1 commit)</summary>',
+          '',
+          `- [629aaa7](${REPO_URL}/commit/${COMMITS.chorePackageBump.hash}) - chore: package bump by @ThomasRalee`,
+          '',
+          '</details>',
+        ].join('\n')
+      );
+    });
+
+    it('should render "No new commits" for an empty release', () => {
+      expect(renderTemplate(model([]))).toBe('No new commits');
+    });
+  });
+
+  describe('syntax', () => {
+    it('should print fields, escaped for markdown unless in triple braces', () => {
+      const release = model([{ ...COMMITS.fixSimple, message: 'fix: quote "it"' }]);
+
+      expect(renderTemplate(release, '{{#entries}}{{message}} / {{{message}}}{{/entries}}')).toBe(
+        'fix: quote \\"it\\" / fix: quote "it"'
+      );
+      expect(renderTemplate(release, '{{#entries}}{{& message}}{{/entries}}')).toBe(
+        'fix: quote "it"'
+      );
+    });
+
+    it('should loop over lists with the position of each item', () => {
+      expect(
+        renderTemplate(
+          RELEASE,
+          '{{#entries}}{{@index}}:{{shortHash}}{{#@first}}*{{/@first}}{{^@last}},{{/@last}}{{/entries}}'
+        )
+      ).toBe('0:5796f45*,1:c178bb6');
+    });
+
+    it('should render sections for set fields and inverted sections for unset ones', () => {
+      const template = [
+        '{{#entries}}',
+        '{{shortHash}} {{#pullRequest}}#{{number}}{{/pullRequest}}{{^pullRequest}}direct{{/pullRequest}}',
+        '{{/entries}}',
+      ].join('\n');
+      const release = model([
+        { ...COMMITS.fixSimple, message: 'fix: thing (#12)' },
+        COMMITS.featWithJira,
+      ]);
+
+      expect(renderTemplate(release, template)).toBe('c178bb6 #12\n5796f45 direct');
+    });
+
+    it('should read dotted names, the current item and the fields of outer contexts', () => {
+      const template =
+        '{{#entries}}{{#authors}}{{.}} in {{version}} ({{entries.length}}){{/authors}}{{/entries}}';
+
+      expect(renderTemplate(model([COMMITS.fixSimple], { version: 'v1.2.3' }), template)).toBe(
+        '@ThomasRalee in v1.2.3 (1)'
+      );
+    });
+
+    it('should print lists comma-separated', () => {
+      expect(renderTemplate(RELEASE, '{{authors}}')).toBe('@ThomasRalee');
+      expect(renderTemplate(RELEASE, '{{#entries}}{{tickets}}{{/entries}}')).toBe('IL-2390');
+    });
+
+    it('should drop the lines of standalone tags and comments, and collapse blank lines', () => {
+      const template = [
+        '{{! one line per entry }}',
+        '  {{#entries}}',
+        '* {{shortHash}}',
+        '  {{/entries}}',
+        '',
+        '',
+        '',
+        'end',
+      ].join('\n');
+
+      expect(renderTemplate(RELEASE, template)).toBe('* 5796f45\n* c178bb6\n\nend');
+    });
+  });
+
+  describe('partials', () => {
+    it('should use the built-in partials', () => {
+      expect(renderTemplate(RELEASE, '{{#entries}}{{> entry}}{{/entries}}')).toBe(
+        RELEASE.entries
+          .map((entry) => `- [${entry.shortHash}](${entry.url}) - ${entry.message} by @ThomasRalee`)
+          .join('\n')
+      );
+      expect(Object.keys(DEFAULT_PARTIALS)).toEqual(['release', 'entry', 'areas', 'maintenance']);
+    });
+
+    it('should replace a built-in partial and keep the default layout', () => {
+      const notes = renderTemplate(RELEASE, '# Notes\n{{> release}}', {
+        partials: { entry: '- {{message}}{{#tickets}} [{{.}}]{{/tickets}}\n' },
+      });
+
+      expect(notes).toBe(
+        [
+          '# Notes',
+          '',
+          '### Features',
+          `- ${COMMITS.featWithJira.message} [IL-2390]`,
+          '',
+          '### Fixes',
+          '- fix: minor',
+          '',
+          '<details>',
+          '<summary>Maintenance (1 commit)</summary>',
+          '',
+          '- chore: package bump',
+          '',
+          '</details>',
+        ].join('\n')
+      );
+    });
+
+    it('should load partials that are not given', () => {
+      const loadPartial = (name) => (name === 'sha' ? '{{shortHash}}' : null);
+
+      expect(renderTemplate(RELEASE, '{{#entries}}{{> sha}} {{/entries}}', { loadPartial })).toBe(
+        '5796f45 c178bb6'
+      );
+    });
+  });
+
+  describe('layouts', () => {
+    it('should list tickets first', () => {
+      const template = [
+        '{{#entries}}',
+        '- {{#tickets}}**{{.}}** {{/tickets}}{{message}}',
+        '{{/entries}}',
+      ].join('\n');
+
+      expect(renderTemplate(RELEASE, template).split('\n')[0]).toBe(
+        `- **IL-2390** ${COMMITS.featWithJira.message}`
+      );
+    });
+
+    it('should leave SHAs out', () => {
+      const template = [
+        '{{#sections}}',
+        '## {{title}}',
+        '{{#entries}}',
+        '- {{message}}{{#pullRequest}} (#{{number}}){{/pullRequest}}',
+        '{{/entries}}',
+        '{{/sections}}',
+      ].join('\n');
+
+      expect(renderTemplate(RELEASE, template)).not.toMatch(/[0-9a-f]{7}/);
+    });
+
+    it('should group entries by author', () => {
+      const release = model([
+        COMMITS.fixSimple,
+        { ...COMMITS.featWithJira, authorName: 'ivan-angjelkoski' },
+      ]);
+      const template = [
+        '{{#byAuthor}}',
+        '### {{author}}',
+        '{{#entries}}',
+        '- {{shortHash}}',
+        '{{/entries}}',
+        '',
+        '{{/byAuthor}}',
+      ].join('\n');
+
+      expect(renderTemplate(release, template)).toBe(
+        '### @ThomasRalee\n- c178bb6\n\n### @ivan-angjelkoski\n- 5796f45'
+      );
+    });
+  });
+
+  describe('errors', () => {
+    it.each([
+      [
+        '{{#entries}}\n{{message}}',
+        'Invalid template input, line 1: unclosed section {{#entries}}',
+      ],
+      [
+        '{{#entries}}\n{{#authors}}\n{{/entries}}',
+        'Invalid template input, line 3: {{/entries}} closes {{#authors}} opened on line 2',
+      ],
+      ['ok\n{{/entries}}', 'Invalid template input, line 2: {{/entries}} closes no section'],
+      ['\n\n{{message', 'Invalid template input, line 3: unclosed tag {{message'],
+      ['{{entries message}}', 'Invalid template input, line 1: invalid tag {{entries message}}'],
+    ])('should report %j', (template, message) => {
+      expect(() => parseTemplate(template, 'input')).toThrow(message);
+    });
+
+    it('should report unknown variables and partials', () => {
+      expect(() => renderTemplate(RELEASE, '\n{{#entries}}{{mesage}}{{/entries}}')).toThrow(
+        'Invalid template template, line 2: unknown variable mesage'
+      );
+      expect(() => renderTemplate(RELEASE, '{{> line}}', { source: 'notes.md' })).toThrow(
+        'Invalid template notes.md, line 1: unknown partial {{> line}}'
+      );
+      expect(() =>
+        renderTemplate(RELEASE, '{{#entries}}{{> entry}}{{/entries}}', {
+          partials: { entry: '{{shortHsh}}' },
+        })
+      ).toThrow('Invalid template partial entry, line 1: unknown variable shortHsh');
+    });
+
+    it('should report objects printed as text and recursive partials', () => {
+      expect(() =>
+        renderTemplate(model([COMMITS.mergeDevToMaster]), '{{#entries}}{{pullRequest}}{{/entries}}')
+      ).toThrow(
+        'pullRequest is an object, use a section ({{#pullRequest}}...{{/pullRequest}}) to read its fields'
+      );
+      expect(() =>
+        renderTemplate(RELEASE, '{{> loop}}', { partials: { loop: '{{> loop}}' } })
+      ).toThrow('partials nested too deep at {{> loop}}');
+    });
+  });
+
+  describe('buildTemplateView', () => {
+    it('should add layout flags, entry fields and the maintenance count', () => {
+      const view = buildTemplateView(RELEASE);
+
+      expect(view).toMatchObject({
+        grouped: true,
+        flat: false,
+        hasAreas: false,
+        maintenanceCount: '1 commit',
+      });
+      expect(view.entries[0]).toMatchObject({
+        authorList: '@ThomasRalee',
+        tickets: ['IL-2390'],
+        commits: [{ shortHash: '5796f45' }],
+      });
+    });
+  });
+
+  describe('loadTemplate', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'actions-shared-template-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should read partials next to the template before the built-in ones', () => {
+      const templatePath = path.join(dir, 'release.md');
+
+      fs.writeFileSync(templatePath, '{{#entries}}\n{{> entry}}\n{{/entries}}\n');
+      fs.writeFileSync(path.join(dir, 'entry.md'), '* {{message}}\n');
+
+      const { template, ...options } = loadTemplate(templatePath);
+
+      expect(options.source).toBe(templatePath);
+      expect(renderTemplate(RELEASE, template, options)).toBe(
+        `* ${COMMITS.featWithJira.message}\n* fix: minor`
+      );
+    });
+
+    it('should not read the template itself as a partial', () => {
+      const templatePath = path.join(dir, 'release.md');
+
+      fs.writeFileSync(templatePath, '{{> release}}\n');
+      fs.writeFileSync(path.join(dir, 'entry.md'), '* {{message}}\n');
+
+      const { template, ...options } = loadTemplate(templatePath);
+
+      expect(renderTemplate(RELEASE, template, options)).toBe(
+        [
+          '### Features',
+          `* ${COMMITS.featWithJira.message}`,
+          '',
+          '### Fixes',
+          '* fix: minor',
+          '',
+          '<details>',
+          '<summary>Maintenance (1 commit)</summary>',
+          '',
+          '* chore: package bump',
+          '',
+          '</details>',
+        ].join('\n')
+      );
+    });
+
+    it('should fail for a missing template', () => {
+      expect(() => loadTemplate(path.join(dir, 'missing.md'))).toThrow('Template not found');
+    });
+  });
+});
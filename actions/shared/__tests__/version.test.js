@@ -1,32 +1,81 @@
 import { it, expect, describe } from 'vitest';
 import {
+  satisfies,
+  parseRange,
+  nextVersion,
+  isPrerelease,
   parseVersion,
+  getTagPrefix,
+  sortVersions,
+  describeBump,
   formatVersion,
+  withTagPrefix,
+  maxSatisfying,
   incrementPatch,
   incrementMinor,
   incrementMajor,
+  promoteVersion,
+  VERSION_SCHEMES,
+  compareVersions,
+  getVersionScheme,
+  incrementVersion,
+  comparePrerelease,
+  incrementPrerelease,
+  incrementCalendarVersion,
 } from '../src/version.js';
 
 describe('version', () => {
   describe('parseVersion', () => {
     it('should parse version with v prefix', () => {
       const result = parseVersion('v1.2.3');
-      expect(result).toEqual({ major: 1, minor: 2, patch: 3, prefix: 'v' });
+      expect(result).toEqual({
+        major: 1,
+        minor: 2,
+        patch: 3,
+        prerelease: [],
+        build: [],
+        prefix: 'v',
+        tagPrefix: '',
+      });
     });
 
     it('should parse version without v prefix', () => {
       const result = parseVersion('1.2.3');
-      expect(result).toEqual({ major: 1, minor: 2, patch: 3, prefix: '' });
+      expect(result).toEqual({
+        major: 1,
+        minor: 2,
+        patch: 3,
+        prerelease: [],
+        build: [],
+        prefix: '',
+        tagPrefix: '',
+      });
     });
 
     it('should parse version with zero components', () => {
       const result = parseVersion('v0.0.1');
-      expect(result).toEqual({ major: 0, minor: 0, patch: 1, prefix: 'v' });
+      expect(result).toEqual({
+        major: 0,
+        minor: 0,
+        patch: 1,
+        prerelease: [],
+        build: [],
+        prefix: 'v',
+        tagPrefix: '',
+      });
     });
 
     it('should parse large version numbers', () => {
       const result = parseVersion('v1.17.12');
-      expect(result).toEqual({ major: 1, minor: 17, patch: 12, prefix: 'v' });
+      expect(result).toEqual({
+        major: 1,
+        minor: 17,
+        patch: 12,
+        prerelease: [],
+        build: [],
+        prefix: 'v',
+        tagPrefix: '',
+      });
     });
 
     it('should throw for empty version', () => {
@@ -52,6 +101,116 @@ describe('version', () => {
     it('should throw for negative components', () => {
       expect(() => parseVersion('v1.-2.3')).toThrow('Version components must be non-negative');
     });
+
+    it('should throw for components with leading zeros', () => {
+      expect(() => parseVersion('v1.02.3')).toThrow('must not have leading zeros');
+    });
+
+    it('should parse pre-release identifiers', () => {
+      expect(parseVersion('v1.18.0-rc.1')).toMatchObject({
+        major: 1,
+        minor: 18,
+        patch: 0,
+        prerelease: ['rc', 1],
+        build: [],
+      });
+      expect(parseVersion('1.0.0-alpha').prerelease).toEqual(['alpha']);
+      expect(parseVersion('1.0.0-0.3.7').prerelease).toEqual([0, 3, 7]);
+      expect(parseVersion('1.0.0-x.7.z.92').prerelease).toEqual(['x', 7, 'z', 92]);
+      expect(parseVersion('1.0.0-x-y-z.--').prerelease).toEqual(['x-y-z', '--']);
+    });
+
+    it('should parse build metadata', () => {
+      expect(parseVersion('v1.18.0-beta.2+sha.abc')).toEqual({
+        major: 1,
+        minor: 18,
+        patch: 0,
+        prerelease: ['beta', 2],
+        build: ['sha', 'abc'],
+        prefix: 'v',
+        tagPrefix: '',
+      });
+      expect(parseVersion('1.0.0+20130313144700').build).toEqual(['20130313144700']);
+      expect(parseVersion('1.0.0+21AF26D3----117B344092BD').build).toEqual([
+        '21AF26D3----117B344092BD',
+      ]);
+      expect(parseVersion('1.0.0+exp.sha.5114f85').prerelease).toEqual([]);
+    });
+
+    it('should keep hyphens in build metadata out of the pre-release', () => {
+      expect(parseVersion('1.0.0+build-1')).toMatchObject({ prerelease: [], build: ['build-1'] });
+    });
+
+    it('should throw for invalid pre-release identifiers', () => {
+      expect(() => parseVersion('v1.2.3-')).toThrow('Invalid pre-release identifier');
+      expect(() => parseVersion('v1.2.3-rc..1')).toThrow('Invalid pre-release identifier');
+      expect(() => parseVersion('v1.2.3-rc_1')).toThrow('Invalid pre-release identifier');
+      expect(() => parseVersion('v1.2.3-rc.01')).toThrow('must not have leading zeros');
+    });
+
+    it('should throw for invalid build metadata', () => {
+      expect(() => parseVersion('v1.2.3+')).toThrow('Invalid build metadata identifier');
+      expect(() => parseVersion('v1.2.3+sha..abc')).toThrow('Invalid build metadata identifier');
+      expect(() => parseVersion('v1.2.3+sha+abc')).toThrow('Invalid build metadata identifier');
+    });
+
+    it('should allow leading zeros in build metadata', () => {
+      expect(parseVersion('v1.2.3+001').build).toEqual(['001']);
+    });
+
+    it('should parse monorepo tag prefixes', () => {
+      expect(parseVersion('helix@v1.2.3-rc.1')).toEqual({
+        major: 1,
+        minor: 2,
+        patch: 3,
+        prerelease: ['rc', 1],
+        build: [],
+        prefix: 'v',
+        tagPrefix: 'helix@',
+      });
+      expect(parseVersion('@injective/helix@1.2.3')).toMatchObject({
+        prefix: '',
+        tagPrefix: '@injective/helix@',
+      });
+      expect(parseVersion('apps/helix@v1.2.3').tagPrefix).toBe('apps/helix@');
+    });
+
+    it('should throw for invalid tag prefixes', () => {
+      expect(() => parseVersion('@v1.2.3')).toThrow('Invalid tag prefix: @');
+      expect(() => parseVersion('he lix@v1.2.3')).toThrow('Invalid tag prefix');
+      expect(() => parseVersion('helix@')).toThrow('Invalid version format');
+    });
+  });
+
+  describe('getTagPrefix / withTagPrefix', () => {
+    it('should read the tag prefix', () => {
+      expect(getTagPrefix('helix@v1.2.3')).toBe('helix@');
+      expect(getTagPrefix('v1.2.3')).toBe('');
+    });
+
+    it('should add, replace and remove the tag prefix', () => {
+      expect(withTagPrefix('v1.2.3', 'helix@')).toBe('helix@v1.2.3');
+      expect(withTagPrefix('explorer@v1.2.3-rc.1', 'helix@')).toBe('helix@v1.2.3-rc.1');
+      expect(withTagPrefix('helix@1.2.3+sha.abc', '')).toBe('1.2.3+sha.abc');
+    });
+
+    it('should throw for invalid tag prefixes', () => {
+      expect(() => withTagPrefix('v1.2.3', 'helix')).toThrow(
+        "Invalid tag prefix: helix. Expected a prefix ending in '@'"
+      );
+    });
+  });
+
+  describe('isPrerelease', () => {
+    it('should detect pre-release versions', () => {
+      expect(isPrerelease('v1.18.0-rc.1')).toBe(true);
+      expect(isPrerelease('v1.18.0-beta.2+sha.abc')).toBe(true);
+    });
+
+    it('should return false for final versions', () => {
+      expect(isPrerelease('v1.18.0')).toBe(false);
+      expect(isPrerelease('v1.18.0+sha.abc')).toBe(false);
+    });
   });
 
   describe('incrementPatch', () => {
@@ -71,6 +230,15 @@ describe('version', () => {
       expect(incrementPatch('v1.17.11')).toBe('v1.17.12');
       expect(incrementPatch('v1.17.12')).toBe('v1.17.13');
     });
+
+    it('should promote a pre-release to its final version', () => {
+      expect(incrementPatch('v1.18.0-rc.1')).toBe('v1.18.0');
+      expect(incrementPatch('v1.17.3-beta.2+sha.abc')).toBe('v1.17.3');
+    });
+
+    it('should drop build metadata', () => {
+      expect(incrementPatch('v1.2.3+sha.abc')).toBe('v1.2.4');
+    });
   });
 
   describe('incrementMinor', () => {
@@ -85,6 +253,14 @@ describe('version', () => {
     it('should increment from zero', () => {
       expect(incrementMinor('v1.0.5')).toBe('v1.1.0');
     });
+
+    it('should promote a pre-release of a minor version', () => {
+      expect(incrementMinor('v1.18.0-rc.1')).toBe('v1.18.0');
+    });
+
+    it('should increment past a pre-release of a patch version', () => {
+      expect(incrementMinor('v1.17.3-rc.1')).toBe('v1.18.0');
+    });
   });
 
   describe('incrementMajor', () => {
@@ -99,6 +275,489 @@ describe('version', () => {
     it('should increment from zero', () => {
       expect(incrementMajor('v0.5.10')).toBe('v1.0.0');
     });
+
+    it('should promote a pre-release of a major version', () => {
+      expect(incrementMajor('v2.0.0-rc.3')).toBe('v2.0.0');
+    });
+
+    it('should increment past a pre-release of a minor version', () => {
+      expect(incrementMajor('v1.18.0-rc.1')).toBe('v2.0.0');
+    });
+  });
+
+  describe('incrementPrerelease', () => {
+    it('should increment the counter of the same pre-release series', () => {
+      expect(incrementPrerelease('v1.18.0-rc.1', 'rc')).toBe('v1.18.0-rc.2');
+      expect(incrementPrerelease('v1.18.0-beta.9+sha.abc', 'beta')).toBe('v1.18.0-beta.10');
+    });
+
+    it('should default to the rc identifier', () => {
+      expect(incrementPrerelease('v1.18.0-rc.1')).toBe('v1.18.0-rc.2');
+    });
+
+    it('should add a counter to a pre-release without one', () => {
+      expect(incrementPrerelease('v1.18.0-rc', 'rc')).toBe('v1.18.0-rc.1');
+    });
+
+    it('should start a new series for a different identifier', () => {
+      expect(incrementPrerelease('v1.18.0-beta.2', 'rc')).toBe('v1.18.0-rc.1');
+    });
+
+    it('should start a new series from a final version', () => {
+      expect(incrementPrerelease('v1.17.5', 'rc')).toBe('v1.17.6-rc.1');
+      expect(incrementPrerelease('v1.17.5', 'rc', 'minor')).toBe('v1.18.0-rc.1');
+      expect(incrementPrerelease('v1.17.5', 'beta', 'major')).toBe('v2.0.0-beta.1');
+    });
+
+    it('should continue a series when the bump level targets the same release', () => {
+      expect(incrementPrerelease('v1.18.0-rc.1', 'rc', 'minor')).toBe('v1.18.0-rc.2');
+    });
+
+    it('should start a new series when the bump level targets a later release', () => {
+      expect(incrementPrerelease('v1.18.0-rc.1', 'rc', 'major')).toBe('v2.0.0-rc.1');
+      expect(incrementPrerelease('v1.17.3-rc.1', 'rc', 'minor')).toBe('v1.18.0-rc.1');
+    });
+
+    it('should throw for invalid identifiers', () => {
+      expect(() => incrementPrerelease('v1.2.3', '')).toThrow('Invalid pre-release identifier');
+      expect(() => incrementPrerelease('v1.2.3', 'r.c')).toThrow('Invalid pre-release identifier');
+      expect(() => incrementPrerelease('v1.2.3', '1')).toThrow('Invalid pre-release identifier');
+    });
+  });
+
+  describe('promoteVersion', () => {
+    it('should drop pre-release and build metadata', () => {
+      expect(promoteVersion('v1.18.0-rc.1')).toBe('v1.18.0');
+      expect(promoteVersion('1.18.0-beta.2+sha.abc')).toBe('v1.18.0');
+    });
+
+    it('should keep final versions unchanged', () => {
+      expect(promoteVersion('v1.18.0')).toBe('v1.18.0');
+    });
+  });
+
+  describe('comparePrerelease', () => {
+    it('should rank a final version above any pre-release', () => {
+      expect(comparePrerelease([], ['rc', 1])).toBe(1);
+      expect(comparePrerelease(['rc', 1], [])).toBe(-1);
+      expect(comparePrerelease([], [])).toBe(0);
+    });
+
+    it('should compare numeric identifiers numerically', () => {
+      expect(comparePrerelease(['rc', 2], ['rc', 10])).toBe(-1);
+    });
+
+    it('should compare alphanumeric identifiers lexically', () => {
+      expect(comparePrerelease(['beta'], ['alpha'])).toBe(1);
+      expect(comparePrerelease(['RC'], ['rc'])).toBe(-1);
+    });
+
+    it('should rank numeric identifiers below alphanumeric ones', () => {
+      expect(comparePrerelease([1], ['alpha'])).toBe(-1);
+      expect(comparePrerelease(['alpha', 'beta'], ['alpha', 1])).toBe(1);
+    });
+
+    it('should rank a larger set of identifiers higher', () => {
+      expect(comparePrerelease(['alpha'], ['alpha', 1])).toBe(-1);
+      expect(comparePrerelease(['alpha', 1], ['alpha'])).toBe(1);
+    });
+  });
+
+  describe('compareVersions', () => {
+    it('should compare major, minor and patch numerically', () => {
+      expect(compareVersions('v1.17.9', 'v1.17.10')).toBe(-1);
+      expect(compareVersions('v2.0.0', 'v1.99.99')).toBe(1);
+      expect(compareVersions('v1.2.3', '1.2.3')).toBe(0);
+    });
+
+    it('should follow the SemVer 2.0 precedence example', () => {
+      // https://semver.org/#spec-item-11
+      const ordered = [
+        '1.0.0-alpha',
+        '1.0.0-alpha.1',
+        '1.0.0-alpha.beta',
+        '1.0.0-beta',
+        '1.0.0-beta.2',
+        '1.0.0-beta.11',
+        '1.0.0-rc.1',
+        '1.0.0',
+      ];
+
+      for (let i = 0; i < ordered.length - 1; i++) {
+        expect(compareVersions(ordered[i], ordered[i + 1])).toBe(-1);
+        expect(compareVersions(ordered[i + 1], ordered[i])).toBe(1);
+      }
+    });
+
+    it('should sort tags in SemVer order', () => {
+      const tags = ['v1.18.0', 'v1.18.0-rc.10', 'v1.17.12', 'v1.18.0-rc.2', 'v1.18.0-beta.1'];
+
+      expect([...tags].sort(compareVersions)).toEqual([
+        'v1.17.12',
+        'v1.18.0-beta.1',
+        'v1.18.0-rc.2',
+        'v1.18.0-rc.10',
+        'v1.18.0',
+      ]);
+    });
+
+    it('should ignore build metadata', () => {
+      expect(compareVersions('v1.18.0+sha.abc', 'v1.18.0+sha.def')).toBe(0);
+      expect(compareVersions('v1.18.0-rc.1+sha.abc', 'v1.18.0-rc.1')).toBe(0);
+    });
+  });
+
+  describe('sortVersions', () => {
+    it('should sort in SemVer order without mutating the input', () => {
+      const tags = ['v1.18.0', 'v1.18.0-rc.10', 'v1.17.12', 'v1.18.0-rc.2'];
+
+      expect(sortVersions(tags)).toEqual(['v1.17.12', 'v1.18.0-rc.2', 'v1.18.0-rc.10', 'v1.18.0']);
+      expect(sortVersions(tags, { descending: true })).toEqual([
+        'v1.18.0',
+        'v1.18.0-rc.10',
+        'v1.18.0-rc.2',
+        'v1.17.12',
+      ]);
+      expect(tags).toEqual(['v1.18.0', 'v1.18.0-rc.10', 'v1.17.12', 'v1.18.0-rc.2']);
+    });
+
+    it('should keep the order of versions differing in build metadata', () => {
+      expect(sortVersions(['1.0.0+b', '0.9.0', '1.0.0+a'])).toEqual([
+        '0.9.0',
+        '1.0.0+b',
+        '1.0.0+a',
+      ]);
+      expect(sortVersions(['1.0.0+b', '1.0.0+a'], { descending: true })).toEqual([
+        '1.0.0+b',
+        '1.0.0+a',
+      ]);
+    });
+
+    it('should throw for invalid versions', () => {
+      expect(() => sortVersions(['v1.2.3', 'latest'])).toThrow('Invalid version');
+    });
+  });
+
+  describe('parseRange', () => {
+    const desugar = (range) =>
+      parseRange(range)
+        .map((set) =>
+          set
+            .map(({ operator, version }) => `${operator}${formatVersion(version, false)}`)
+            .join(' ')
+        )
+        .join(' || ');
+
+    it('should desugar ranges to comparators as npm does', () => {
+      // https://github.com/npm/node-semver#advanced-range-syntax
+      [
+        ['1.2.3 - 2.3.4', '>=1.2.3 <=2.3.4'],
+        ['1.2 - 2.3.4', '>=1.2.0 <=2.3.4'],
+        ['1.2.3 - 2.3', '>=1.2.3 <2.4.0-0'],
+        ['1.2.3 - 2', '>=1.2.3 <3.0.0-0'],
+        ['*', ''],
+        ['1.x', '>=1.0.0 <2.0.0-0'],
+        ['1.2.*', '>=1.2.0 <1.3.0-0'],
+        ['1', '>=1.0.0 <2.0.0-0'],
+        ['>1', '>=2.0.0'],
+        ['>1.2', '>=1.3.0'],
+        ['<1.2', '<1.2.0-0'],
+        ['<=1.2', '<1.3.0-0'],
+        ['~1.2.3', '>=1.2.3 <1.3.0-0'],
+        ['~1.2', '>=1.2.0 <1.3.0-0'],
+        ['~1', '>=1.0.0 <2.0.0-0'],
+        ['~0', '>=0.0.0 <1.0.0-0'],
+        ['~1.2.3-beta.2', '>=1.2.3-beta.2 <1.3.0-0'],
+        ['^1.2.3', '>=1.2.3 <2.0.0-0'],
+        ['^0.2.3', '>=0.2.3 <0.3.0-0'],
+        ['^0.0.3', '>=0.0.3 <0.0.4-0'],
+        ['^1.2.3-beta.2', '>=1.2.3-beta.2 <2.0.0-0'],
+        ['^0.0.3-beta', '>=0.0.3-beta <0.0.4-0'],
+        ['^1.2.x', '>=1.2.0 <2.0.0-0'],
+        ['^0.0.x', '>=0.0.0 <0.1.0-0'],
+        ['^0.x', '>=0.0.0 <1.0.0-0'],
+        ['>= 1.2.3 < 2', '>=1.2.3 <2.0.0-0'],
+        ['^1.2.3 || ~0.1', '>=1.2.3 <2.0.0-0 || >=0.1.0 <0.2.0-0'],
+      ].forEach(([range, comparators]) => {
+        expect(desugar(range)).toBe(comparators);
+      });
+    });
+
+    it('should throw for invalid ranges', () => {
+      ['>=', 'latest', '1.2.3.4', '^01.2.3', '1.2.3 -', '>=1.2.3 - 2', '1.2.3 - latest'].forEach(
+        (range) => {
+          expect(() => parseRange(range)).toThrow(`Invalid version range: ${range}`);
+        }
+      );
+    });
+  });
+
+  describe('satisfies', () => {
+    it('should match versions in range', () => {
+      [
+        ['1.0.0 - 2.0.0', '1.2.3'],
+        ['1.2.3+asdf - 2.4.3+asdf', '1.2.3'],
+        ['1.2.3-pre+asdf - 2.4.3-pre+asdf', '2.4.3-alpha'],
+        ['^1.2.3+build', '1.3.0'],
+        ['1.0.0', 'v1.0.0'],
+        ['', '1.0.0'],
+        ['*', '1.2.3'],
+        ['>=*', '0.2.4'],
+        ['>=1.0.0', '1.0.0'],
+        ['>1.0.0', '1.0.1'],
+        ['<=2.0.0', '2.0.0'],
+        ['<2.0.0', '1.9999.9999'],
+        ['>=  1.0.0', '1.0.1'],
+        ['< 2.0.0', '0.2.9'],
+        ['0.1.20 || 1.2.4', '1.2.4'],
+        ['>=0.2.3 || <0.0.1', '0.0.0'],
+        ['||', '1.3.4'],
+        ['2.x.x', '2.1.3'],
+        ['1.2.x || 2.x', '1.2.3'],
+        ['2.*.*', '2.1.3'],
+        ['2.3', '2.3.1'],
+        ['~0.0.1', '0.0.2'],
+        ['~x', '0.0.9'],
+        ['~2.4', '2.4.5'],
+        ['~>3.2.1', '3.2.2'],
+        ['~> 1', '1.2.3'],
+        ['~ 1.0.3', '1.0.12'],
+        ['~v0.5.4-pre', '0.5.4'],
+        ['=0.7.x', '0.7.2'],
+        ['<=0.7.x', '0.6.2'],
+        ['~1.2.1 >=1.2.3', '1.2.3'],
+        ['~1.2.1 =1.2.3', '1.2.3'],
+        ['^0.1', '0.1.2'],
+        ['^1.2 ^1', '1.4.2'],
+        ['^1.2.3-alpha', '1.2.3-pre'],
+        ['^0.0.1-alpha', '0.0.1-beta'],
+        ['^x', '1.2.3'],
+        ['x - 1.x', '0.9.7'],
+        ['1.x - x', '1.9.7'],
+        ['<=7.x', '7.9.9'],
+        ['>=14.0.0 <14.2.25 || 15.x', 'v14.2.24'],
+        ['>=14.0.0 <14.2.25 || 15.x', 'v15.1.0'],
+      ].forEach(([range, version]) => {
+        expect(satisfies(version, range), `${version} in ${range}`).toBe(true);
+      });
+    });
+
+    it('should not match versions out of range', () => {
+      [
+        ['1.0.0 - 2.0.0', '2.2.3'],
+        ['1.2.3+asdf - 2.4.3+asdf', '2.4.3-alpha'],
+        ['^1.2.3+build', '2.0.0'],
+        ['1.0.0', '1.0.1'],
+        ['>=1.0.0', '0.1.0'],
+        ['>1.0.0', '1.0.0'],
+        ['<=2.0.0', '2.2.9'],
+        ['<2.0.0', '2.0.0'],
+        ['0.1.20 || 1.2.4', '1.2.3'],
+        ['>=0.2.3 || <0.0.1', '0.0.3'],
+        ['2.x.x', '3.1.3'],
+        ['1.2.x || 2.x', '1.1.3'],
+        ['2', '1.1.2'],
+        ['~0.0.1', '0.1.0'],
+        ['~2.4', '2.5.0'],
+        ['~>3.2.1', '3.2.0'],
+        ['~1.0', '1.1.0'],
+        ['<1', '1.0.0'],
+        ['>1.2', '1.2.8'],
+        ['<0.7.x', '0.7.2'],
+        ['^0.0.1', '0.0.2'],
+        ['^1.2.3', '2.0.0'],
+        ['^1.2', '1.1.9'],
+        ['<=7.x', '8.0.0'],
+        ['>=14.0.0 <14.2.25 || 15.x', 'v14.2.25'],
+        ['>=14.0.0 <14.2.25 || 15.x', 'v16.0.0'],
+      ].forEach(([range, version]) => {
+        expect(satisfies(version, range), `${version} in ${range}`).toBe(false);
+      });
+    });
+
+    it('should only match pre-releases of a comparator version', () => {
+      [
+        ['^1.2.3', '1.2.3-pre'],
+        ['^1.2.3', '2.0.0-rc.1'],
+        ['>1.2', '1.3.0-beta'],
+        ['<=1.2.3', '1.2.3-beta'],
+        ['=1.2.3', '1.2.3-beta'],
+        ['*', '1.2.3-foo'],
+        ['1.x', '1.1.0-a'],
+        ['1 - 2', '2.0.0-pre'],
+        ['~v0.5.4-beta', '0.5.4-alpha'],
+        ['>=1.0.0-rc.1', '1.0.1-rc.1'],
+        ['>=1.0.0 <1.1.0-pre', '1.1.0-pre'],
+      ].forEach(([range, version]) => {
+        expect(satisfies(version, range), `${version} in ${range}`).toBe(false);
+      });
+
+      expect(satisfies('1.0.0-rc.2', '>=1.0.0-rc.1')).toBe(true);
+      expect(satisfies('v1.18.0-rc.2', '^1.18.0-rc.1')).toBe(true);
+      expect(satisfies('1.0.0', '>=1.0.0-rc.1')).toBe(true);
+    });
+
+    it('should not match invalid versions', () => {
+      expect(satisfies('latest', '*')).toBe(false);
+      expect(satisfies('1.2', '^1.2.0')).toBe(false);
+    });
+
+    it('should throw for invalid ranges', () => {
+      expect(() => satisfies('1.2.3', '>=1.2.3 latest')).toThrow(
+        'Invalid version range: >=1.2.3 latest'
+      );
+    });
+  });
+
+  describe('maxSatisfying', () => {
+    it('should return the highest version in range', () => {
+      expect(maxSatisfying(['1.2.4', '1.2.3'], '1.2')).toBe('1.2.4');
+      expect(maxSatisfying(['1.2.3', '1.2.4', '1.2.5', '1.2.6'], '~1.2.3')).toBe('1.2.6');
+      expect(maxSatisfying(['v14.2.24', 'v14.2.25', 'v15.0.0'], '<14.2.25')).toBe('v14.2.24');
+    });
+
+    it('should skip invalid versions and out of range pre-releases', () => {
+      expect(maxSatisfying(['1.1.0', '2.0.0b1', '2.0.0', '2.0.1-rc.1', '2.1.0'], '~2.0.0')).toBe(
+        '2.0.0'
+      );
+    });
+
+    it('should return null when no version is in range', () => {
+      expect(maxSatisfying(['1.2.3', '1.2.4'], '>1.3')).toBeNull();
+      expect(maxSatisfying([], '*')).toBeNull();
+    });
+  });
+
+  describe('incrementVersion', () => {
+    it('should dispatch to the matching increment helper', () => {
+      expect(incrementVersion('v1.2.3', 'patch')).toBe('v1.2.4');
+      expect(incrementVersion('v1.2.3', 'minor')).toBe('v1.3.0');
+      expect(incrementVersion('v1.2.3', 'major')).toBe('v2.0.0');
+    });
+
+    it('should keep the tag prefix', () => {
+      expect(incrementVersion('helix@v1.2.3', 'patch')).toBe('helix@v1.2.4');
+      expect(incrementVersion('helix@v1.2.3', 'minor')).toBe('helix@v1.3.0');
+      expect(incrementVersion('helix@1.2.3', 'major')).toBe('helix@v2.0.0');
+      expect(incrementPrerelease('helix@v1.2.3', 'rc', 'minor')).toBe('helix@v1.3.0-rc.1');
+      expect(incrementPrerelease('helix@v1.3.0-rc.1', 'rc', 'minor')).toBe('helix@v1.3.0-rc.2');
+      expect(promoteVersion('helix@v1.3.0-rc.2')).toBe('helix@v1.3.0');
+    });
+
+    it('should compare prefixed versions by their version', () => {
+      expect(compareVersions('helix@v1.10.0', 'helix@v1.9.0')).toBe(1);
+    });
+
+    it('should throw for unknown bump levels', () => {
+      expect(() => incrementVersion('v1.2.3', 'auto')).toThrow('Invalid bump level: auto');
+      expect(() => incrementVersion('v1.2.3')).toThrow('Invalid bump level');
+    });
+  });
+
+  describe('incrementCalendarVersion', () => {
+    const OCTOBER = new Date('2026-10-19T12:00:00Z');
+
+    it('should continue the sequence within the month', () => {
+      expect(incrementCalendarVersion('v2026.10.3', OCTOBER)).toBe('v2026.10.4');
+      expect(incrementCalendarVersion('2026.10.9', OCTOBER)).toBe('v2026.10.10');
+    });
+
+    it('should restart the sequence on a new month or year', () => {
+      expect(incrementCalendarVersion('v2026.9.12', OCTOBER)).toBe('v2026.10.1');
+      expect(incrementCalendarVersion('v2025.10.4', OCTOBER)).toBe('v2026.10.1');
+      expect(incrementCalendarVersion('v2026.12.2', new Date('2027-01-01T00:00:00Z'))).toBe(
+        'v2027.1.1'
+      );
+    });
+
+    it('should read the release month in UTC', () => {
+      expect(incrementCalendarVersion('v2026.10.3', new Date('2026-10-31T23:30:00-02:00'))).toBe(
+        'v2026.11.1'
+      );
+    });
+
+    it('should start from a SemVer version', () => {
+      expect(incrementCalendarVersion('v1.17.5', OCTOBER)).toBe('v2026.10.1');
+    });
+
+    it('should promote a pre-release of the month', () => {
+      expect(incrementCalendarVersion('v2026.10.3-rc.2', OCTOBER)).toBe('v2026.10.3');
+      expect(incrementCalendarVersion('v2026.9.3-rc.2', OCTOBER)).toBe('v2026.10.1');
+    });
+
+    it('should keep the tag prefix', () => {
+      expect(incrementCalendarVersion('helix@v2026.10.3', OCTOBER)).toBe('helix@v2026.10.4');
+    });
+
+    it('should sort calendar versions by date', () => {
+      expect(compareVersions('v2026.10.1', 'v2026.9.12')).toBe(1);
+    });
+
+    it('should throw for a version later than the release month', () => {
+      expect(() => incrementCalendarVersion('v2026.11.1', OCTOBER)).toThrow(
+        'Invalid calendar version: v2026.11.1 is later than the release month 2026.10'
+      );
+    });
+  });
+
+  describe('version schemes', () => {
+    const date = new Date('2026-10-19T12:00:00Z');
+
+    it('should resolve the built-in schemes by name', () => {
+      expect(getVersionScheme('semver')).toBe(VERSION_SCHEMES.semver);
+      expect(getVersionScheme('calver')).toBe(VERSION_SCHEMES.calver);
+    });
+
+    it('should accept a custom scheme', () => {
+      const scheme = { name: 'build', increment: (version) => `${version}.1` };
+
+      expect(getVersionScheme(scheme)).toBe(scheme);
+      expect(nextVersion('v1', { scheme })).toBe('v1.1');
+    });
+
+    it('should throw for unknown schemes', () => {
+      expect(() => getVersionScheme('romver')).toThrow(
+        'Invalid version scheme: romver. Expected one of: semver, calver'
+      );
+      expect(() => getVersionScheme('toString')).toThrow('Invalid version scheme: toString');
+    });
+
+    it('should bump SemVer versions by level and ignore the date', () => {
+      expect(nextVersion('v1.17.5', { level: 'minor', date })).toBe('v1.18.0');
+      expect(nextVersion('v1.17.5')).toBe('v1.17.6');
+    });
+
+    it('should follow the date for CalVer versions and ignore the level', () => {
+      expect(nextVersion('v2026.10.3', { scheme: 'calver', level: 'major', date })).toBe(
+        'v2026.10.4'
+      );
+    });
+
+    it('should cut pre-releases of the next version of the scheme', () => {
+      expect(nextVersion('v1.17.5', { level: 'minor', prereleaseId: 'rc' })).toBe('v1.18.0-rc.1');
+      expect(nextVersion('v2026.10.3', { scheme: 'calver', prereleaseId: 'rc', date })).toBe(
+        'v2026.10.4-rc.1'
+      );
+      expect(nextVersion('v2026.10.4-rc.1', { scheme: 'calver', prereleaseId: 'rc', date })).toBe(
+        'v2026.10.4-rc.2'
+      );
+      expect(nextVersion('v2026.9.4-rc.1', { scheme: 'calver', prereleaseId: 'rc', date })).toBe(
+        'v2026.10.1-rc.1'
+      );
+    });
+
+    it('should describe CalVer bumps by their sequence instead of the level', () => {
+      const reason = 'minor: new features in 5796f45 (feat: add seda pricefeed)';
+
+      expect(describeBump('v1.18.0', { reason })).toBe(reason);
+      expect(describeBump('v1.18.0', { scheme: { increment: (version) => version }, reason })).toBe(
+        reason
+      );
+      expect(describeBump('helix@v2026.10.3-rc.1', { scheme: 'calver', reason })).toBe(
+        'calver: sequence 3 of 2026.10 (bump level not used: minor: new features in 5796f45 ' +
+          '(feat: add seda pricefeed))'
+      );
+    });
   });
 
   describe('formatVersion', () => {
@@ -117,5 +776,32 @@ describe('version', () => {
     it('should handle large numbers', () => {
       expect(formatVersion({ major: 1, minor: 17, patch: 12 })).toBe('v1.17.12');
     });
+
+    it('should format pre-release and build metadata', () => {
+      expect(
+        formatVersion({
+          major: 1,
+          minor: 18,
+          patch: 0,
+          prerelease: ['beta', 2],
+          build: ['sha', 'abc'],
+        })
+      ).toBe('v1.18.0-beta.2+sha.abc');
+      expect(formatVersion({ major: 1, minor: 18, patch: 0, prerelease: ['rc', 1] }, false)).toBe(
+        '1.18.0-rc.1'
+      );
+    });
+
+    it('should round-trip parsed versions', () => {
+      [
+        'v1.2.3',
+        'v1.18.0-rc.1',
+        'v1.18.0-beta.2+sha.abc',
+        'v1.0.0+001',
+        'helix@v1.2.3-rc.1',
+      ].forEach((version) => {
+        expect(formatVersion(parseVersion(version))).toBe(version);
+      });
+    });
   });
 });
@@ -0,0 +1,195 @@
+/**
+ * Bugsnag utilities for GitHub Actions
+ * Reports builds to the Build API and uploads JavaScript source maps, so releases
+ * and their stack traces show up in Bugsnag without per-app steps
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { mapInBatches } from './github.js';
+import { globToRegExp } from './diff-stats.js';
+
+export const DEFAULT_BUGSNAG_BUILD_URL = 'https://build.bugsnag.com';
+
+export const DEFAULT_BUGSNAG_UPLOAD_URL = 'https://upload.bugsnag.com';
+
+/**
+ * Source maps of a Nuxt static build, uploaded unless another glob is given
+ */
+export const DEFAULT_SOURCE_MAPS = '.output/public/**/*.map';
+
+/**
+ * Number of source maps uploaded in parallel
+ */
+const DEFAULT_BATCH_SIZE = 5;
+
+/**
+ * Create a Bugsnag API client
+ * `fetch`, `buildUrl` and `uploadUrl` can be replaced, e.g. for an on-premise Bugsnag or
+ * a local fake server in tests.
+ *
+ * @param {Object} options
+ * @param {string} options.apiKey - Bugsnag project API key
+ * @param {string} options.buildUrl - Build API URL (default: https://build.bugsnag.com)
+ * @param {string} options.uploadUrl - Upload API URL (default: https://upload.bugsnag.com)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {number} options.batchSize - Maximum number of parallel uploads (default: 5)
+ * @returns {Object} - Bugsnag client
+ * @throws {Error} - If the API key is missing
+ */
+export function createBugsnagClient({
+  apiKey,
+  buildUrl = DEFAULT_BUGSNAG_BUILD_URL,
+  uploadUrl = DEFAULT_BUGSNAG_UPLOAD_URL,
+  fetch = globalThis.fetch,
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) {
+  if (!apiKey) {
+    throw new Error('Bugsnag API key is required');
+  }
+
+  async function send(url, body, description) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'User-Agent': 'injectivelabs-github-fe',
+        ...(body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
+      },
+      body: body instanceof FormData ? body : JSON.stringify(body),
+    });
+
+    if (!response.ok) {
+      const details = (await response.text()).trim();
+      const error = new Error(
+        `Bugsnag API error: ${response.status} ${response.statusText} for ${description}${details ? ` (${details})` : ''}`
+      );
+
+      error.status = response.status;
+      throw error;
+    }
+
+    return response;
+  }
+
+  return {
+    batchSize,
+    // build: { appVersion, releaseStage, builderName, sourceControl, metadata }
+    reportBuild: (build) =>
+      send(`${buildUrl.replace(/\/+$/, '')}/`, { apiKey, ...build }, 'the build report'),
+    // sourceMap and minifiedFile are file paths, minifiedFile is optional
+    uploadSourceMap: ({ appVersion, minifiedUrl, sourceMap, minifiedFile }) => {
+      const form = new FormData();
+
+      form.append('apiKey', apiKey);
+      form.append('appVersion', appVersion);
+      form.append('minifiedUrl', minifiedUrl);
+      form.append('overwrite', 'true');
+      form.append('sourceMap', new Blob([fs.readFileSync(sourceMap)]), path.basename(sourceMap));
+
+      if (minifiedFile) {
+        form.append(
+          'minifiedFile',
+          new Blob([fs.readFileSync(minifiedFile)]),
+          path.basename(minifiedFile)
+        );
+      }
+
+      return send(`${uploadUrl.replace(/\/+$/, '')}/sourcemap`, form, `${minifiedUrl}.map`);
+    },
+  };
+}
+
+/**
+ * Find the source maps matching a glob and the minified files they map
+ *
+ * Paths are relative to the glob's leading directories (".output/public" for the
+ * default glob), which is how the files are served: ".output/public/_nuxt/app.js.map"
+ * maps "/_nuxt/app.js".
+ *
+ * @param {string} pattern - Source map glob (default: .output/public/**\/*.map)
+ * @param {Object} options
+ * @param {string} options.baseDir - Directory the glob is relative to (default: current directory)
+ * @returns {Array<Object>} - Source maps { sourceMap, minifiedFile, servedPath }, sorted by path
+ */
+export function findSourceMaps(pattern = DEFAULT_SOURCE_MAPS, { baseDir = process.cwd() } = {}) {
+  const segments = pattern.replace(/^\.\//, '').split('/');
+  const wildcard = segments.findIndex((segment) => /[*?]/.test(segment));
+  const root = path.join(baseDir, ...segments.slice(0, wildcard === -1 ? -1 : wildcard));
+  const regex = globToRegExp(segments.join('/'));
+
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(root, { recursive: true })
+    .map((file) => path.join(root, file))
+    .filter((file) => {
+      const relative = path.relative(baseDir, file).split(path.sep).join('/');
+
+      return regex.test(relative) && fs.statSync(file).isFile();
+    })
+    .sort()
+    .map((sourceMap) => {
+      const minifiedFile = sourceMap.replace(/\.map$/, '');
+
+      return {
+        sourceMap,
+        minifiedFile: fs.existsSync(minifiedFile) ? minifiedFile : null,
+        servedPath: path.relative(root, minifiedFile).split(path.sep).join('/'),
+      };
+    });
+}
+
+/**
+ * Report a release to Bugsnag: upload its source maps, then notify the build
+ *
+ * Source maps are uploaded with `overwrite`, so re-running a release replaces them.
+ *
+ * @param {Object} options
+ * @param {Object} options.client - Bugsnag client (see createBugsnagClient)
+ * @param {string} options.appVersion - App version the errors are reported with
+ * @param {string} options.releaseStage - Release stage (e.g. "production", optional)
+ * @param {string} options.repoUrl - Repository URL
+ * @param {string} options.revision - Commit SHA of the build
+ * @param {string} options.builderName - Who or what built the release (e.g. the GitHub actor)
+ * @param {Object} options.metadata - Build metadata, e.g. { release_notes } (string values)
+ * @param {Array<Object>} options.sourceMaps - Source maps to upload (see findSourceMaps)
+ * @param {string} options.minifiedUrl - URL the served paths are relative to (default: "*", any host)
+ * @returns {Promise<Object>} - { appVersion, sourceMaps: minified URLs of the uploaded maps }
+ */
+export async function reportBugsnagRelease({
+  client,
+  appVersion,
+  releaseStage = '',
+  repoUrl,
+  revision,
+  builderName,
+  metadata = {},
+  sourceMaps = [],
+  minifiedUrl = '*',
+}) {
+  const base = minifiedUrl.replace(/\/+$/, '');
+  const uploaded = await mapInBatches(sourceMaps, client.batchSize, async (sourceMap) => {
+    const url = `${base}/${sourceMap.servedPath}`;
+
+    await client.uploadSourceMap({
+      appVersion,
+      minifiedUrl: url,
+      sourceMap: sourceMap.sourceMap,
+      minifiedFile: sourceMap.minifiedFile,
+    });
+
+    return url;
+  });
+
+  await client.reportBuild({
+    appVersion,
+    ...(releaseStage ? { releaseStage } : {}),
+    builderName,
+    sourceControl: { provider: 'github', repository: repoUrl, revision },
+    metadata,
+  });
+
+  return { appVersion, sourceMaps: uploaded };
+}
@@ -0,0 +1,313 @@
+/**
+ * Release configuration for GitHub Actions
+ * Reads the branch conventions of a repository from .github/fe-release.yml
+ */
+
+import fs from 'fs';
+import { parse } from 'yaml';
+import { globToRegExp } from './diff-stats.js';
+
+/**
+ * Default location of the release config, relative to the repository root
+ */
+export const DEFAULT_RELEASE_CONFIG_PATH = '.github/fe-release.yml';
+
+const CONFIG_KEYS = [
+  'integration_branch',
+  'release_branch',
+  'merge_patterns',
+  'search_depth',
+  'exclude',
+  'areas',
+];
+
+const EXCLUDE_KEYS = ['authors', 'subjects', 'types'];
+
+/**
+ * Commits listed under "Maintenance" instead of the release note sections by default:
+ * bot authors, and the commits of our package-bump action and of bot PRs
+ */
+const DEFAULT_EXCLUDE = {
+  authors: ['dependabot[bot]', 'renovate[bot]'],
+  subjects: [
+    '^chore(\\([^)]*\\))?: package bump\\b',
+    '^Merge pull request #\\d+ from [^/\\s]+/(dependabot|renovate)/',
+  ],
+  types: [],
+};
+
+/**
+ * Escape a branch name or glob for use in a regular expression
+ * Glob "*" matches any characters except whitespace ("release/*" -> "release/\S*")
+ *
+ * @param {string} branch - Branch name or glob
+ * @returns {string} - Regular expression source
+ */
+function branchToRegexSource(branch) {
+  return branch
+    .split('*')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+    .join('\\S*');
+}
+
+/**
+ * Build the default pattern of release merges: pull requests from the integration branch
+ * e.g. "dev" matches "Merge pull request #123 from InjectiveLabs/dev"
+ *
+ * @param {string} integrationBranch - Integration branch name or glob
+ * @returns {RegExp} - Release merge pattern
+ */
+function defaultMergePattern(integrationBranch) {
+  return new RegExp(
+    `^Merge pull request #\\d+ from [^/\\s]+/${branchToRegexSource(integrationBranch)}$`,
+    'i'
+  );
+}
+
+/**
+ * Compile a list of regular expressions from a config setting
+ *
+ * @param {Array<string>} patterns - Regular expression sources
+ * @param {string} label - What the patterns are (for error messages, e.g. "merge pattern")
+ * @param {string} source - Where the config comes from (for error messages)
+ * @returns {Array<RegExp>} - Case-insensitive regular expressions
+ */
+function compilePatterns(patterns, label, source) {
+  return patterns.map((pattern) => {
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`Invalid ${source}: ${label} ${pattern}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Check that a setting is a list of non-empty strings (a single string is accepted)
+ *
+ * @param {*} value - Setting value
+ * @param {Object} options
+ * @param {string} options.key - Setting name (for error messages)
+ * @param {string} options.items - What the list holds (for error messages, e.g. "regular expressions")
+ * @param {string} options.source - Where the config comes from (for error messages)
+ * @param {boolean} options.allowEmpty - Whether an empty list is valid (default: true)
+ * @returns {Array<string>} - The setting as a list
+ */
+function toStringList(value, { key, items, source, allowEmpty = true }) {
+  const list = [value].flat();
+
+  if (
+    (!allowEmpty && list.length === 0) ||
+    list.some((item) => typeof item !== 'string' || !item)
+  ) {
+    throw new Error(`Invalid ${source}: ${key} must be a list of ${items}`);
+  }
+
+  return list;
+}
+
+/**
+ * Resolve the exclusion rules of a config, each rule defaulting to DEFAULT_EXCLUDE
+ * (an empty list turns a default rule off)
+ *
+ * @param {Object} exclude - Raw exclude setting { authors, subjects, types }
+ * @param {string} source - Where the config comes from (for error messages)
+ * @returns {Object} - { authors, subjects, types } with lowercase authors and types and compiled subjects
+ */
+function resolveExclude(exclude = {}, source) {
+  if (exclude === null || typeof exclude !== 'object' || Array.isArray(exclude)) {
+    throw new Error(`Invalid ${source}: exclude must be a mapping of authors, subjects and types`);
+  }
+
+  const unknown = Object.keys(exclude).filter((key) => !EXCLUDE_KEYS.includes(key));
+
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid ${source}: unknown exclude rule ${unknown.join(', ')}. Expected one of: ${EXCLUDE_KEYS.join(', ')}`
+    );
+  }
+
+  const {
+    authors = DEFAULT_EXCLUDE.authors,
+    subjects = DEFAULT_EXCLUDE.subjects,
+    types = DEFAULT_EXCLUDE.types,
+  } = exclude;
+
+  const list = (value, key, items) => toStringList(value, { key: `exclude.${key}`, items, source });
+
+  return {
+    authors: list(authors, 'authors', 'names or emails').map((author) => author.toLowerCase()),
+    subjects: compilePatterns(
+      list(subjects, 'subjects', 'regular expressions'),
+      'exclude subject',
+      source
+    ),
+    types: list(types, 'types', 'commit types').map((type) => type.toLowerCase()),
+  };
+}
+
+/**
+ * Resolve the named areas of a config, used to summarise the paths a release touches
+ *
+ * @param {Object} areas - Raw areas setting, a mapping of area names to path globs
+ * @param {string} source - Where the config comes from (for error messages)
+ * @returns {Array<Object>|null} - Areas { name, patterns } with compiled globs, or null when not set
+ */
+function resolveAreas(areas, source) {
+  if (areas === undefined) {
+    return null;
+  }
+
+  if (areas === null || typeof areas !== 'object' || Array.isArray(areas)) {
+    throw new Error(`Invalid ${source}: areas must be a mapping of area names to path globs`);
+  }
+
+  return Object.entries(areas).map(([name, globs]) => ({
+    name,
+    patterns: toStringList(globs, {
+      key: `areas.${name}`,
+      items: 'path globs',
+      source,
+      allowEmpty: false,
+    }).map(globToRegExp),
+  }));
+}
+
+/**
+ * Validate a raw config and resolve it with the defaults
+ *
+ * @param {Object} raw - Raw config (snake_case keys, as in fe-release.yml)
+ * @param {string} source - Where the config comes from (for error messages)
+ * @returns {Object} - { integrationBranch, releaseBranch, mergePatterns, searchDepth, exclude, areas }
+ * @throws {Error} - If a key is unknown or a value is invalid
+ */
+export function resolveReleaseConfig(raw = {}, source = 'release config') {
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid ${source}: expected a mapping of settings`);
+  }
+
+  const unknown = Object.keys(raw).filter((key) => !CONFIG_KEYS.includes(key));
+
+  if (unknown.length > 0) {
+    throw new Error(
+      `Invalid ${source}: unknown setting ${unknown.join(', ')}. Expected one of: ${CONFIG_KEYS.join(', ')}`
+    );
+  }
+
+  const {
+    integration_branch: integrationBranch = 'dev',
+    release_branch: releaseBranch = 'master',
+    merge_patterns: mergePatterns,
+    search_depth: searchDepth = 10,
+    exclude,
+    areas,
+  } = raw;
+
+  for (const [key, value] of [
+    ['integration_branch', integrationBranch],
+    ['release_branch', releaseBranch],
+  ]) {
+    if (typeof value !== 'string' || !value.trim()) {
+      throw new Error(`Invalid ${source}: ${key} must be a branch name`);
+    }
+  }
+
+  if (!Number.isInteger(searchDepth) || searchDepth < 1) {
+    throw new Error(`Invalid ${source}: search_depth must be a positive integer`);
+  }
+
+  const patterns =
+    mergePatterns === undefined
+      ? null
+      : toStringList(mergePatterns, {
+          key: 'merge_patterns',
+          items: 'regular expressions',
+          source,
+          allowEmpty: false,
+        });
+
+  return {
+    integrationBranch,
+    releaseBranch,
+    mergePatterns: patterns
+      ? compilePatterns(patterns, 'merge pattern', source)
+      : [defaultMergePattern(integrationBranch)],
+    searchDepth,
+    exclude: resolveExclude(exclude, source),
+    areas: resolveAreas(areas, source),
+  };
+}
+
+/**
+ * Default release config: "dev" is merged into "master" through pull requests
+ */
+export const DEFAULT_RELEASE_CONFIG = Object.freeze(resolveReleaseConfig());
+
+/**
+ * Parse the YAML of a release config
+ *
+ * @param {string} text - YAML content (an empty document gives the defaults)
+ * @param {string} source - Where the config comes from (for error messages)
+ * @returns {Object} - Resolved release config (see resolveReleaseConfig)
+ * @throws {Error} - If the YAML or a setting is invalid
+ */
+export function parseReleaseConfig(text, source = 'release config') {
+  let raw;
+
+  try {
+    raw = parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${source}: ${error.message}`);
+  }
+
+  return resolveReleaseConfig(raw ?? {}, source);
+}
+
+/**
+ * Load the release config of a repository
+ * A missing file at the default path gives the defaults, a missing file at
+ * an explicitly given path is an error.
+ *
+ * @param {string} path - Config file path (default: DEFAULT_RELEASE_CONFIG_PATH)
+ * @returns {Object} - Resolved release config (see resolveReleaseConfig)
+ * @throws {Error} - If a given config file is missing or invalid
+ */
+export function loadReleaseConfig(path = DEFAULT_RELEASE_CONFIG_PATH) {
+  if (!fs.existsSync(path)) {
+    if (path !== DEFAULT_RELEASE_CONFIG_PATH) {
+      throw new Error(`Release config not found: ${path}`);
+    }
+
+    return DEFAULT_RELEASE_CONFIG;
+  }
+
+  return parseReleaseConfig(fs.readFileSync(path, 'utf8'), path);
+}
+
+/**
+ * Check if a commit merges the integration branch into the release branch
+ *
+ * @param {string} message - Commit message (subject line)
+ * @param {Object} config - Release config (default: DEFAULT_RELEASE_CONFIG)
+ * @returns {boolean} - True if the message matches one of the merge patterns
+ */
+export function isReleaseMergeMessage(message, config = DEFAULT_RELEASE_CONFIG) {
+  return Boolean(message) && config.mergePatterns.some((pattern) => pattern.test(message));
+}
+
+/**
+ * Check if a pull request merges the integration branch into the release branch
+ *
+ * @param {Object} pull - Pull request from the GitHub API, with head and base refs
+ * @param {Object} config - Release config (default: DEFAULT_RELEASE_CONFIG)
+ * @returns {boolean} - True if the PR is a release merge
+ */
+export function isReleasePullRequest(pull, config = DEFAULT_RELEASE_CONFIG) {
+  const matchesBranch = (ref, branch) =>
+    Boolean(ref) && new RegExp(`^${branchToRegexSource(branch)}$`).test(ref);
+
+  return (
+    matchesBranch(pull?.head?.ref, config.integrationBranch) &&
+    matchesBranch(pull?.base?.ref, config.releaseBranch)
+  );
+}
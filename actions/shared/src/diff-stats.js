@@ -0,0 +1,193 @@
+/**
+ * Diff statistics for GitHub Actions
+ * Sums the files, insertions and deletions of a release and of its commits, and
+ * maps the changed paths to named areas from the release config or CODEOWNERS
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Locations GitHub reads CODEOWNERS from, in order of precedence
+ */
+export const CODEOWNERS_PATHS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+/**
+ * Area of the changed files that match no area, when areas are defined
+ */
+export const OTHER_AREA = 'Other';
+
+/**
+ * Compile a CODEOWNERS (gitignore style) path pattern
+ *
+ * A pattern without a slash matches at any depth ("*.vue"), a pattern with one
+ * is relative to the repository root ("apps/helix/"). "*" matches within a path
+ * segment, "**" across segments, and a pattern matching a directory matches
+ * every file below it.
+ *
+ * @param {string} pattern - Path pattern (e.g. "apps/helix/**", "/docs/", "*.vue")
+ * @returns {RegExp} - Regular expression matching repository relative file paths
+ */
+export function globToRegExp(pattern) {
+  const trimmed = pattern.trim();
+  const anchored = trimmed.replace(/\/$/, '').includes('/');
+  const glob = trimmed.replace(/^\//, '').replace(/\/$/, '/**');
+  let source = '';
+
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+
+    if (char === '*' && glob[index + 1] === '*') {
+      // "**/" matches any leading directories, any other "**" anything
+      source += glob[index + 2] === '/' ? '(?:.*/)?' : '.*';
+      index += glob[index + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}(?:/.*)?$`);
+}
+
+/**
+ * Parse a CODEOWNERS file
+ * Comments and blank lines are skipped; a pattern without owners unsets the
+ * owners of the files it matches.
+ *
+ * @param {string} text - CODEOWNERS content
+ * @returns {Array<Object>} - Rules { pattern, owners } in file order
+ */
+export function parseCodeowners(text) {
+  return text
+    .split('\n')
+    .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [pattern, ...owners] = line.split(/\s+/);
+
+      return { pattern, owners };
+    });
+}
+
+/**
+ * Load the CODEOWNERS rules of a repository
+ *
+ * @param {string} baseDir - Repository root (default: current directory)
+ * @returns {Array<Object>} - Rules { pattern, owners }, empty without a CODEOWNERS file
+ */
+export function loadCodeowners(baseDir = process.cwd()) {
+  const file = CODEOWNERS_PATHS.map((codeownersPath) => path.join(baseDir, codeownersPath)).find(
+    (codeownersPath) => fs.existsSync(codeownersPath)
+  );
+
+  return file ? parseCodeowners(fs.readFileSync(file, 'utf8')) : [];
+}
+
+/**
+ * Create the function that names the areas of a changed path
+ *
+ * The areas of the release config take precedence: a path belongs to every area
+ * with a matching glob. Without them, the owners of the last matching CODEOWNERS
+ * rule are the areas of the path, as GitHub resolves owners.
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.areas - Areas of the release config { name, patterns } (optional)
+ * @param {Array<Object>} options.codeowners - CODEOWNERS rules { pattern, owners } (optional)
+ * @returns {Function|null} - (path) => area names, or null without areas nor CODEOWNERS rules
+ */
+export function createAreaMatcher({ areas = null, codeowners = [] } = {}) {
+  if (areas && areas.length > 0) {
+    return (file) =>
+      areas
+        .filter((area) => area.patterns.some((pattern) => pattern.test(file)))
+        .map((area) => area.name);
+  }
+
+  if (codeowners.length > 0) {
+    const rules = codeowners.map((rule) => ({ ...rule, regex: globToRegExp(rule.pattern) }));
+
+    return (file) => rules.findLast((rule) => rule.regex.test(file))?.owners || [];
+  }
+
+  return null;
+}
+
+/**
+ * Sum the changes of a list of files
+ *
+ * @param {Array<Object>} files - Changed files { path, insertions, deletions }
+ * @returns {Object} - { files, insertions, deletions }
+ */
+export function sumFileStats(files) {
+  return {
+    files: files.length,
+    insertions: files.reduce((total, file) => total + file.insertions, 0),
+    deletions: files.reduce((total, file) => total + file.deletions, 0),
+  };
+}
+
+/**
+ * Group changed files by area and sum each area, largest change first
+ * A file belongs to each of its areas, and to OTHER_AREA without one.
+ *
+ * @param {Array<Object>} files - Changed files { path, insertions, deletions }
+ * @param {Function|null} matchAreas - Area matcher (see createAreaMatcher)
+ * @returns {Array<Object>} - Areas { name, files, insertions, deletions }, empty without a matcher
+ */
+export function summariseAreas(files, matchAreas) {
+  if (!matchAreas) {
+    return [];
+  }
+
+  const byArea = new Map();
+
+  for (const file of files) {
+    const names = matchAreas(file.path);
+
+    for (const name of names.length > 0 ? names : [OTHER_AREA]) {
+      byArea.set(name, [...(byArea.get(name) || []), file]);
+    }
+  }
+
+  return [...byArea]
+    .map(([name, areaFiles]) => ({ name, ...sumFileStats(areaFiles) }))
+    .sort(
+      (a, b) =>
+        b.insertions + b.deletions - (a.insertions + a.deletions) || a.name.localeCompare(b.name)
+    );
+}
+
+/**
+ * Describe the size of a release: totals, touched areas and per-commit stats
+ *
+ * @param {Object} options
+ * @param {Array<Object>} options.files - Files changed by the release (see getDiffFiles)
+ * @param {Array<Object>} options.commits - Commits of the release
+ * @param {Map<string, Array<Object>>} options.commitFiles - Files changed by each commit (see getCommitFiles)
+ * @param {Function|null} options.matchAreas - Area matcher (see createAreaMatcher)
+ * @returns {Object} - { files, insertions, deletions, areas, commits: [{ hash, files, insertions, deletions, areas }] }
+ */
+export function buildDiffStats({
+  files,
+  commits = [],
+  commitFiles = new Map(),
+  matchAreas = null,
+}) {
+  return {
+    ...sumFileStats(files),
+    areas: summariseAreas(files, matchAreas),
+    commits: commits.map((commit) => {
+      const changed = commitFiles.get(commit.hash) || [];
+
+      return {
+        hash: commit.hash,
+        ...sumFileStats(changed),
+        areas: summariseAreas(changed, matchAreas).map((area) => area.name),
+      };
+    }),
+  };
+}
@@ -3,11 +3,58 @@
  * Handles conversion between different markdown formats (GitHub, Slack, etc.)
  */
 
+import { isReleaseMergeMessage, DEFAULT_RELEASE_CONFIG } from './config.js';
+
+/**
+ * Release note sections, in the order they are rendered.
+ * Commits are assigned to a section by their (normalized) Conventional Commit type.
+ */
+export const COMMIT_SECTIONS = [
+  { type: 'feat', title: 'Features' },
+  { type: 'fix', title: 'Fixes' },
+  { type: 'perf', title: 'Performance' },
+  { type: 'refactor', title: 'Refactors' },
+  { type: 'chore', title: 'Chores' },
+  { type: 'revert', title: 'Reverted' },
+  { type: 'other', title: 'Other' },
+];
+
+/**
+ * Alternative spellings of Conventional Commit types (and branch prefixes)
+ * mapped onto the section they belong to
+ */
+const COMMIT_TYPE_ALIASES = {
+  feature: 'feat',
+  bugfix: 'fix',
+  hotfix: 'fix',
+  build: 'chore',
+  ci: 'chore',
+  deps: 'chore',
+};
+
+/**
+ * Subject of git's default revert message, optionally squash-merged with a PR number
+ * e.g. 'Revert "feat: add markets page (#12)" (#13)' -> 'feat: add markets page (#12)'
+ */
+const REVERT_SUBJECT_REGEX = /^Revert "(.+)"(?:\s*\(#\d+\))?\s*$/;
+
+/**
+ * Body line git adds to revert commits, e.g. "This reverts commit 1a2b3c4d."
+ */
+const REVERTED_HASH_REGEX = /\bThis reverts commit ([0-9a-f]{7,40})\b/i;
+
+/**
+ * Supported layouts for formatReleaseNotes
+ */
+export const RELEASE_NOTES_LAYOUTS = ['grouped', 'flat'];
+
 /**
  * Convert GitHub markdown links to Slack mrkdwn format
  * GitHub format: [text](url)
  * Slack format: <url|text>
  *
+ * Section headings ("### Features") have no Slack equivalent and become bold lines.
+ *
  * @param {string} text - Text containing GitHub markdown links
  * @returns {string} - Text with Slack formatted links
  */
@@ -16,8 +63,8 @@ export function convertMarkdownToSlack(text) {
     return '';
   }
 
-  // Convert [text](url) to <url|text>
-  return text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>');
+  // Convert [text](url) to <url|text>, and "### Heading" lines to bold text
+  return text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>').replace(/^#{1,6}\s+(.+)$/gm, '*$1*');
 }
 
 /**
@@ -63,9 +110,116 @@ export function formatGitAuthor(authorName, authorEmail) {
   return authorEmail ? `${authorName} (${authorEmail})` : authorName;
 }
 
+/**
+ * Matches a trailer line ("Co-authored-by: Jane <jane@example.com>")
+ * "BREAKING CHANGE" is the only key allowed to contain a space (Conventional Commits)
+ */
+const TRAILER_REGEX = /^(BREAKING CHANGE|[A-Za-z][\w-]*):\s*(.*)$/;
+
+/**
+ * Trailers that reference tickets or issues
+ */
+const REFERENCE_TRAILERS = ['refs', 'fixes', 'closes', 'resolves'];
+
+/**
+ * Parse a commit body into its text and trailers
+ * Trailers are the lines of the last paragraph when every line of it is a
+ * "Key: value" pair (indented lines continue the previous value).
+ * Keys are lower-cased and map to all of their values, in order.
+ *
+ * @param {string} rawBody - Commit body (everything after the subject line)
+ * @returns {Object} - { body, trailers } e.g. { body: 'Details', trailers: { 'co-authored-by': ['Jane <jane@x.com>'] } }
+ */
+export function parseCommitBody(rawBody) {
+  const text = (rawBody || '').replace(/\r\n/g, '\n').trim();
+
+  if (!text) {
+    return { body: '', trailers: {} };
+  }
+
+  const paragraphs = text.split(/\n[ \t]*\n/);
+  const trailers = {};
+  let currentValues = null;
+
+  for (const line of paragraphs[paragraphs.length - 1].split('\n')) {
+    const match = line.match(TRAILER_REGEX);
+
+    if (match) {
+      const key = match[1].toLowerCase();
+
+      trailers[key] = trailers[key] || [];
+      trailers[key].push(match[2].trim());
+      currentValues = trailers[key];
+    } else if (currentValues && /^\s+\S/.test(line)) {
+      currentValues[currentValues.length - 1] += ` ${line.trim()}`;
+    } else {
+      // Not a trailer block, the last paragraph is part of the body
+      return { body: text, trailers: {} };
+    }
+  }
+
+  return { body: paragraphs.slice(0, -1).join('\n\n').trim(), trailers };
+}
+
+/**
+ * Get all values of a commit trailer
+ *
+ * @param {Object} commit - Commit object with trailers property
+ * @param {string} key - Trailer key (case-insensitive, e.g. "Co-authored-by")
+ * @returns {Array<string>} - Trailer values (empty if the trailer is missing)
+ */
+export function getTrailerValues(commit, key) {
+  return commit?.trailers?.[key.toLowerCase()] || [];
+}
+
+/**
+ * Get the co-authors credited in "Co-authored-by" trailers
+ *
+ * @param {Object} commit - Commit object with trailers property
+ * @returns {Array<Object>} - Co-authors as { name, email }
+ */
+export function getCoAuthors(commit) {
+  return getTrailerValues(commit, 'Co-authored-by').map((value) => {
+    const match = value.match(/^(.*?)\s*<([^>]*)>$/);
+
+    return match ? { name: match[1], email: match[2] } : { name: value, email: '' };
+  });
+}
+
+/**
+ * Get ticket or issue references from "Refs", "Fixes", "Closes" and "Resolves" trailers
+ * e.g. "Refs: IL-123, #45" -> ['IL-123', '#45']
+ *
+ * @param {Object} commit - Commit object with trailers property
+ * @returns {Array<string>} - Unique references, in order of appearance
+ */
+export function getCommitReferences(commit) {
+  const references = REFERENCE_TRAILERS.flatMap((key) => getTrailerValues(commit, key))
+    .flatMap((value) => value.split(/[\s,]+/))
+    .filter(Boolean);
+
+  return [...new Set(references)];
+}
+
+/**
+ * Join author handles into a readable list ("@a", "@a and @b", "@a, @b and @c")
+ *
+ * @param {Array<string>} authors - Formatted authors
+ * @returns {string} - Author list
+ */
+export function formatAuthorList(authors) {
+  if (authors.length <= 1) {
+    return authors.join('');
+  }
+
+  return `${authors.slice(0, -1).join(', ')} and ${authors[authors.length - 1]}`;
+}
+
 /**
  * Extract PR number from a commit message
- * Looks for patterns like "#1234" or "pull request #1234"
+ * Recognises PR merge commits ("Merge pull request #1234 from ...") and
+ * squash-merge commits, which GitHub suffixes with the PR number ("feat: thing (#1234)").
+ * Other "#1234" references (e.g. issues mentioned in the message) are ignored.
  *
  * @param {string} message - Commit message
  * @returns {string|null} - PR number (e.g., "1234") or null if not found
@@ -75,11 +229,26 @@ export function extractPRNumber(message) {
     return null;
   }
 
-  const match = message.match(/#(\d+)/);
+  const match = message.match(/^Merge pull request #(\d+)/i) || message.match(/\(#(\d+)\)\s*$/);
 
   return match ? match[1] : null;
 }
 
+/**
+ * Check if a commit is a squash-merge commit
+ * GitHub squash merges end the subject with the PR number: "feat: thing (#123)"
+ *
+ * @param {Object} commit - Commit object with message property
+ * @returns {boolean} - True if commit is a squash-merge commit
+ */
+export function isSquashMergeCommit(commit) {
+  if (!commit?.message) {
+    return false;
+  }
+
+  return /\(#\d+\)\s*$/.test(commit.message);
+}
+
 /**
  * Check if a commit is a PR merge commit
  * PR merge commits have messages like "Merge pull request #XXX from ..."
@@ -97,19 +266,20 @@ export function isPRMergeCommit(commit) {
 
 /**
  * Check if a commit is a dev-to-master merge commit
- * These are specifically "Merge pull request #XXX from .../dev" commits
- * which represent previous releases when doing dev -> master merges.
+ * These are the merges of the integration branch into the release branch
+ * ("Merge pull request #XXX from .../dev" by default, see the merge_patterns
+ * of the release config), which represent previous releases.
  *
  * @param {Object} commit - Commit object with message property
+ * @param {Object} config - Release config (default: DEFAULT_RELEASE_CONFIG)
  * @returns {boolean} - True if commit is a dev-to-master merge
  */
-export function isDevToMasterMerge(commit) {
+export function isDevToMasterMerge(commit, config = DEFAULT_RELEASE_CONFIG) {
   if (!commit?.message) {
     return false;
   }
 
-  // Match "Merge pull request #XXX from org/dev" or "Merge pull request #XXX from InjectiveLabs/dev"
-  return /^Merge pull request #\d+ from [^/]+\/dev$/i.test(commit.message);
+  return isReleaseMergeMessage(commit.message, config);
 }
 
 /**
@@ -126,6 +296,234 @@ export function isBranchMergeCommit(commit) {
   return /^Merge branch ['"]?\w+['"]? into /i.test(commit.message);
 }
 
+/**
+ * Parse a Conventional Commit subject line
+ * Format: type(scope)!: description
+ *
+ * @param {string} message - Commit message (subject line)
+ * @returns {Object|null} - { type, scope, breaking, description } or null if not conventional
+ */
+export function parseConventionalCommit(message) {
+  if (!message) {
+    return null;
+  }
+
+  const match = message.match(/^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.*)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2] || null,
+    breaking: Boolean(match[3]),
+    description: match[4],
+  };
+}
+
+/**
+ * Check if a commit introduces a breaking change
+ * Either via the Conventional Commit "!" marker (feat!: ...) or a "BREAKING CHANGE:"
+ * (or "BREAKING-CHANGE:") footer. A subject mentioning the phrase elsewhere is not
+ * breaking, unless it starts with the footer token ("BREAKING CHANGE: ...").
+ *
+ * @param {Object} commit - Commit object with message and (optionally) trailers properties
+ * @returns {boolean} - True if the commit is a breaking change
+ */
+export function isBreakingChange(commit) {
+  if (!commit?.message) {
+    return false;
+  }
+
+  if (parseConventionalCommit(commit.message)?.breaking) {
+    return true;
+  }
+
+  if (
+    getTrailerValues(commit, 'BREAKING CHANGE').length > 0 ||
+    getTrailerValues(commit, 'BREAKING-CHANGE').length > 0
+  ) {
+    return true;
+  }
+
+  return /^BREAKING[ -]CHANGE:/.test(commit.message);
+}
+
+/**
+ * Extract the source branch from a PR merge commit message
+ * e.g. "Merge pull request #2303 from InjectiveLabs/feat/megavault" -> "feat/megavault"
+ *
+ * @param {string} message - Commit message
+ * @returns {string|null} - Branch name or null if not a PR merge commit
+ */
+export function extractMergeBranch(message) {
+  if (!message) {
+    return null;
+  }
+
+  const match = message.match(/^Merge pull request #\d+ from [^/\s]+\/(\S+)/i);
+
+  return match ? match[1] : null;
+}
+
+/**
+ * Normalize a raw commit type or branch prefix to one of the COMMIT_SECTIONS types
+ *
+ * @param {string} type - Raw type (e.g. "feat", "feature", "bugfix", "docs")
+ * @returns {string} - Section type, "other" for anything unknown
+ */
+export function normalizeCommitType(type) {
+  if (!type) {
+    return 'other';
+  }
+
+  const lowerType = type.toLowerCase();
+  const normalized = COMMIT_TYPE_ALIASES[lowerType] || lowerType;
+
+  return COMMIT_SECTIONS.some((section) => section.type === normalized) ? normalized : 'other';
+}
+
+/**
+ * Determine the release note section type of a commit.
+ * Uses the Conventional Commit prefix of the message, then of the PR title
+ * (when enriched through the GitHub API), falling back to the branch prefix
+ * (e.g. "feat/", "fix/") of PR merge commits.
+ *
+ * @param {Object} commit - Commit object with message property
+ * @returns {string} - Section type (one of COMMIT_SECTIONS types)
+ */
+export function getCommitType(commit) {
+  if (isRevertCommit(commit)) {
+    return 'revert';
+  }
+
+  const conventional =
+    parseConventionalCommit(commit?.message) || parseConventionalCommit(commit?.pullRequest?.title);
+
+  if (conventional) {
+    return normalizeCommitType(conventional.type);
+  }
+
+  const branch = extractMergeBranch(commit?.message);
+  const branchPrefix = branch?.match(/^([\w-]+)\//);
+
+  return normalizeCommitType(branchPrefix?.[1]);
+}
+
+/**
+ * Check if a commit reverts another one: git's 'Revert "..."' subject, a
+ * Conventional Commit "revert:" type, or the merge of a GitHub revert branch
+ * ("Merge pull request #13 from org/revert-12-feat/thing")
+ *
+ * @param {Object} commit - Commit object with message property
+ * @returns {boolean} - True if the commit is a revert
+ */
+export function isRevertCommit(commit) {
+  const message = commit?.message || '';
+
+  return (
+    REVERT_SUBJECT_REGEX.test(message) ||
+    parseConventionalCommit(message)?.type === 'revert' ||
+    /^revert-\d+-/.test(extractMergeBranch(message) || '')
+  );
+}
+
+/**
+ * Get what a revert commit reverts: the hash from its "This reverts commit <sha>"
+ * body line and the subject quoted in its 'Revert "..."' subject
+ *
+ * @param {Object} commit - Commit object with message and (optionally) body properties
+ * @returns {Object} - { hash, subject }, each null when unknown
+ */
+export function getRevertTarget(commit) {
+  const hash = (commit?.body || '').match(REVERTED_HASH_REGEX)?.[1] || null;
+  const subject = (commit?.message || '').match(REVERT_SUBJECT_REGEX)?.[1] || null;
+
+  return { hash, subject };
+}
+
+/**
+ * Drop commits that were reverted within the release together with their reverts.
+ *
+ * Reverts are paired with the original commit by the "This reverts commit <sha>"
+ * body line or by the quoted subject. Commits are expected newest first, so a
+ * revert of a revert cancels that revert and the original change stays listed.
+ * The commits merged by a reverted merge commit are dropped with it, and so are
+ * PR merge commits whose merged commits were all dropped (the PR of the revert).
+ * Reverts without an original in the release (it shipped earlier) are kept.
+ *
+ * @param {Array<Object>} commits - Array of commit objects, newest first
+ * @returns {Array<Object>} - Filtered commits
+ */
+export function filterRevertedCommits(commits) {
+  if (!commits || commits.length === 0) {
+    return [];
+  }
+
+  const dropped = new Set();
+
+  commits.forEach((commit, index) => {
+    if (dropped.has(commit.hash) || !isRevertCommit(commit)) {
+      return;
+    }
+
+    const { hash, subject } = getRevertTarget(commit);
+    const original = commits
+      .slice(index + 1)
+      .find(
+        (candidate) =>
+          !dropped.has(candidate.hash) &&
+          ((hash && candidate.hash?.startsWith(hash)) || (subject && candidate.message === subject))
+      );
+
+    if (original) {
+      dropped.add(commit.hash);
+      dropped.add(original.hash);
+    }
+  });
+
+  if (dropped.size === 0) {
+    return commits;
+  }
+
+  // Commits merged by a dropped merge commit go with it
+  for (const commit of commits) {
+    if (commit.mergeHash && dropped.has(commit.mergeHash)) {
+      dropped.add(commit.hash);
+    }
+  }
+
+  // Merge commits left without any of their merged commits go as well
+  for (const commit of commits) {
+    const merged = commits.filter((candidate) => candidate.mergeHash === commit.hash);
+
+    if (merged.length > 0 && merged.every((candidate) => dropped.has(candidate.hash))) {
+      dropped.add(commit.hash);
+    }
+  }
+
+  return commits.filter((commit) => !dropped.has(commit.hash));
+}
+
+/**
+ * Group commits into release note sections by commit type.
+ * Empty sections are omitted, commit order is preserved within a section.
+ *
+ * @param {Array<Object>} commits - Array of commit objects
+ * @returns {Array<Object>} - Array of { type, title, commits }
+ */
+export function groupCommitsByType(commits) {
+  if (!commits || commits.length === 0) {
+    return [];
+  }
+
+  return COMMIT_SECTIONS.map((section) => ({
+    ...section,
+    commits: commits.filter((commit) => getCommitType(commit) === section.type),
+  })).filter((section) => section.commits.length > 0);
+}
+
 /**
  * Filter commits to exclude old dev-to-master merge commits.
  *
@@ -140,9 +538,10 @@ export function isBranchMergeCommit(commit) {
  * - Old "Merge pull request #XXX from org/dev" commits (previous releases)
  *
  * @param {Array<Object>} commits - Array of commit objects
+ * @param {Object} config - Release config (default: DEFAULT_RELEASE_CONFIG)
  * @returns {Array<Object>} - Filtered commits
  */
-export function filterOldMergeCommits(commits) {
+export function filterOldMergeCommits(commits, config = DEFAULT_RELEASE_CONFIG) {
   if (!commits || commits.length === 0) {
     return [];
   }
@@ -151,7 +550,7 @@ export function filterOldMergeCommits(commits) {
 
   return commits.filter((commit) => {
     // Only filter dev-to-master merges, keep everything else
-    if (!isDevToMasterMerge(commit)) {
+    if (!isDevToMasterMerge(commit, config)) {
       return true;
     }
 
@@ -168,50 +567,273 @@ export function filterOldMergeCommits(commits) {
 }
 
 /**
- * Format a single commit as a markdown list item for release notes
+ * Check if a commit matches the exclusion rules of a release config: its author
+ * (name, email or GitHub login), its subject or its Conventional Commit type
+ *
+ * @param {Object} commit - Commit object
+ * @param {Object} config - Release config (default: DEFAULT_RELEASE_CONFIG)
+ * @returns {boolean} - True if the commit belongs in the Maintenance section
+ */
+export function isExcludedCommit(commit, config = DEFAULT_RELEASE_CONFIG) {
+  const { authors, subjects, types } = config.exclude;
+  const message = commit?.message || '';
+  const identities = [commit?.authorName, commit?.authorEmail, commit?.authorLogin]
+    .filter(Boolean)
+    .map((identity) => identity.toLowerCase());
+  const conventional =
+    parseConventionalCommit(message) || parseConventionalCommit(commit?.pullRequest?.title);
+
+  return (
+    identities.some((identity) => authors.includes(identity)) ||
+    subjects.some((pattern) => pattern.test(message)) ||
+    Boolean(conventional && types.includes(conventional.type.toLowerCase()))
+  );
+}
+
+/**
+ * Split commits into release note commits and excluded (maintenance) commits.
+ * The commits merged by an excluded merge commit are excluded with it, and so are
+ * PR merge commits whose merged commits were all excluded (e.g. a dependabot PR).
+ *
+ * @param {Array<Object>} commits - Array of commit objects
+ * @param {Object} config - Release config with the exclusion rules (default: DEFAULT_RELEASE_CONFIG)
+ * @returns {Object} - { included, excluded }, both in commit order
+ */
+export function partitionExcludedCommits(commits, config = DEFAULT_RELEASE_CONFIG) {
+  if (!commits || commits.length === 0) {
+    return { included: [], excluded: [] };
+  }
+
+  const excluded = new Set(
+    commits.filter((commit) => isExcludedCommit(commit, config)).map((commit) => commit.hash)
+  );
+
+  for (const commit of commits) {
+    if (commit.mergeHash && excluded.has(commit.mergeHash)) {
+      excluded.add(commit.hash);
+    }
+  }
+
+  for (const commit of commits) {
+    const merged = commits.filter((candidate) => candidate.mergeHash === commit.hash);
+
+    if (merged.length > 0 && merged.every((candidate) => excluded.has(candidate.hash))) {
+      excluded.add(commit.hash);
+    }
+  }
+
+  return {
+    included: commits.filter((commit) => !excluded.has(commit.hash)),
+    excluded: commits.filter((commit) => excluded.has(commit.hash)),
+  };
+}
+
+/**
+ * Select the commits of a release: old dev-to-master merges and changes reverted
+ * within the release are dropped, and excluded commits are set apart
+ *
+ * @param {Array<Object>} commits - Array of commit objects, newest first
+ * @param {Object} config - Release config (default: DEFAULT_RELEASE_CONFIG)
+ * @returns {Object} - { included, excluded } (see partitionExcludedCommits)
+ */
+export function selectReleaseCommits(commits, config = DEFAULT_RELEASE_CONFIG) {
+  return partitionExcludedCommits(
+    filterRevertedCommits(filterOldMergeCommits(commits, config)),
+    config
+  );
+}
+
+/**
+ * Format a number of commits (e.g. "1 commit", "3 commits")
+ *
+ * @param {number} count - Number of commits
+ * @returns {string} - Count with the noun
+ */
+export function formatCommitCount(count) {
+  return `${count} ${count === 1 ? 'commit' : 'commits'}`;
+}
+
+/**
+ * Format the collapsed Maintenance section of markdown release notes
+ *
+ * @param {Array<string>} lines - Markdown lines of the excluded commits
+ * @returns {string} - A <details> block, or '' without lines
+ */
+export function formatMaintenanceDetails(lines) {
+  if (!lines || lines.length === 0) {
+    return '';
+  }
+
+  return [
+    '<details>',
+    `<summary>Maintenance (${formatCommitCount(lines.length)})</summary>`,
+    '',
+    ...lines,
+    '',
+    '</details>',
+  ].join('\n');
+}
+
+/**
+ * Describe a commit as a release note entry, the structured form of a release note line
  *
  * @param {Object} commit - Commit information
  * @param {string} commit.hash - Full commit hash
  * @param {string} commit.message - Commit message
  * @param {string} commit.authorName - Author name
  * @param {string} commit.authorEmail - Author email
+ * @param {string} [commit.prNumber] - PR the commit was attributed to by the git collector
+ * @param {Object} [commit.trailers] - Parsed trailers; "Co-authored-by" authors are credited too
+ * @param {string} [commit.authorLogin] - GitHub login of the author (from GitHub API enrichment)
+ * @param {Object} [commit.pullRequest] - PR metadata (from GitHub API enrichment)
+ * @param {Array<string>} [commit.cherryPicks] - Hashes of equivalent commits (see markCherryPicks)
+ * @param {string} [commit.shippedIn] - Tag that already shipped the change (see markCherryPicks)
  * @param {string} repoUrl - Repository URL (e.g., "https://github.com/org/repo")
+ * @returns {Object} - { hash, shortHash, url, message, type, breaking, authors, pullRequest,
+ *   cherryPicks, shippedIn }
+ */
+export function buildCommitEntry(commit, repoUrl) {
+  const authors = [
+    commit.authorLogin
+      ? `@${commit.authorLogin}`
+      : formatGitAuthor(commit.authorName, commit.authorEmail),
+    ...getCoAuthors(commit).map(({ name, email }) => formatGitAuthor(name, email)),
+  ];
+
+  // Use the PR the commit was attributed to, falling back to the PR number in the message
+  const prNumber = commit.prNumber || extractPRNumber(commit.message);
+
+  // A PR merge reads better as its PR title, and the squash-merge "(#123)"
+  // suffix is redundant next to the PR link
+  const title =
+    isPRMergeCommit(commit) && commit.pullRequest?.title
+      ? commit.pullRequest.title
+      : commit.message;
+  const message = prNumber ? title.replace(new RegExp(`\\s*\\(#${prNumber}\\)\\s*$`), '') : title;
+
+  return {
+    hash: commit.hash,
+    shortHash: commit.hash.substring(0, 7),
+    url: `${repoUrl}/commit/${commit.hash}`,
+    message,
+    type: getCommitType(commit),
+    breaking: isBreakingChange(commit),
+    authors: [...new Set(authors)],
+    pullRequest: prNumber
+      ? {
+          number: Number(prNumber),
+          url: `${repoUrl}/pull/${prNumber}`,
+          title: commit.pullRequest?.title || null,
+          labels: commit.pullRequest?.labels || [],
+          author: commit.pullRequest?.author || null,
+        }
+      : null,
+    cherryPicks: (commit.cherryPicks || []).map((hash) => ({
+      hash,
+      shortHash: hash.substring(0, 7),
+      url: `${repoUrl}/commit/${hash}`,
+    })),
+    shippedIn: commit.shippedIn || null,
+  };
+}
+
+/**
+ * Format the note of an entry already shipped in an earlier tag (e.g. " (shipped in v1.2.1)")
+ *
+ * @param {Object} entry - Release note entry (see buildCommitEntry)
+ * @returns {string} - Note, or '' for an entry not shipped before
+ */
+export function formatShippedIn(entry) {
+  return entry.shippedIn ? ` (shipped in ${entry.shippedIn})` : '';
+}
+
+/**
+ * Format a release note entry as a markdown list item
+ *
+ * @param {Object} entry - Release note entry (see buildCommitEntry)
  * @returns {string} - Formatted markdown line
  */
-export function formatCommitLine(commit, repoUrl) {
-  const shortHash = commit.hash.substring(0, 7);
-  const escapedMessage = escapeCommitMessage(commit.message);
-  const author = formatGitAuthor(commit.authorName, commit.authorEmail);
+export function formatEntryLine(entry) {
+  const commitLinks = [entry, ...(entry.cherryPicks || [])]
+    .map((commit) => `[${commit.shortHash}](${commit.url})`)
+    .join(', ');
+  const prInfo = entry.pullRequest
+    ? ` in [#${entry.pullRequest.number}](${entry.pullRequest.url})`
+    : '';
 
-  // Create clickable commit link
-  const commitLink = `[${shortHash}](${repoUrl}/commit/${commit.hash})`;
+  return `- ${commitLinks} - ${escapeCommitMessage(entry.message)} by ${formatAuthorList(entry.authors)}${prInfo}${formatShippedIn(entry)}`;
+}
 
-  // Check for PR number in message
-  const prNumber = extractPRNumber(commit.message);
-  const prInfo = prNumber ? ` in [#${prNumber}](${repoUrl}/pull/${prNumber})` : '';
+/**
+ * Format a single commit as a markdown list item for release notes
+ *
+ * @param {Object} commit - Commit information (see buildCommitEntry)
+ * @param {string} repoUrl - Repository URL (e.g., "https://github.com/org/repo")
+ * @returns {string} - Formatted markdown line
+ */
+export function formatCommitLine(commit, repoUrl) {
+  return formatEntryLine(buildCommitEntry(commit, repoUrl));
+}
 
-  return `- ${commitLink} - ${escapedMessage} by ${author}${prInfo}`;
+/**
+ * Format commits as release notes split into sections with a heading each
+ *
+ * @param {Array<Object>} commits - Array of commit objects
+ * @param {string} repoUrl - Repository URL
+ * @returns {string} - Markdown with one "### Section" heading per non-empty section
+ */
+export function formatGroupedReleaseNotes(commits, repoUrl) {
+  return groupCommitsByType(commits)
+    .map((section) => {
+      const lines = section.commits.map((commit) => formatCommitLine(commit, repoUrl));
+
+      return [`### ${section.title}`, ...lines].join('\n');
+    })
+    .join('\n\n');
 }
 
 /**
  * Format multiple commits as release notes
- * Filters out old merge commits from branch history to only show relevant changes
+ * Filters out old merge commits from branch history to only show relevant changes,
+ * and lists excluded commits in a collapsed Maintenance section
  *
  * @param {Array<Object>} commits - Array of commit objects
  * @param {string} repoUrl - Repository URL
+ * @param {Object} options - Formatting options
+ * @param {string} options.layout - "flat" (single list, default) or "grouped" (sections by type)
+ * @param {Object} options.config - Release config (default: DEFAULT_RELEASE_CONFIG)
  * @returns {string} - Formatted release notes or "No new commits"
  */
-export function formatReleaseNotes(commits, repoUrl) {
+export function formatReleaseNotes(
+  commits,
+  repoUrl,
+  { layout = 'flat', config = DEFAULT_RELEASE_CONFIG } = {}
+) {
+  if (!RELEASE_NOTES_LAYOUTS.includes(layout)) {
+    throw new Error(
+      `Invalid release notes layout: ${layout}. Expected one of: ${RELEASE_NOTES_LAYOUTS.join(', ')}`
+    );
+  }
+
   if (!commits || commits.length === 0) {
     return 'No new commits';
   }
 
-  // Filter out old merge commits from dev branch history
-  const filteredCommits = filterOldMergeCommits(commits);
+  // Filter out old merge commits from dev branch history and changes reverted within
+  // the release, and set bot and housekeeping commits apart
+  const { included, excluded } = selectReleaseCommits(commits, config);
 
-  if (filteredCommits.length === 0) {
+  if (included.length === 0 && excluded.length === 0) {
     return 'No new commits';
   }
 
-  return filteredCommits.map((commit) => formatCommitLine(commit, repoUrl)).join('\n');
+  const maintenance = formatMaintenanceDetails(
+    excluded.map((commit) => formatCommitLine(commit, repoUrl))
+  );
+  const notes =
+    layout === 'grouped'
+      ? formatGroupedReleaseNotes(included, repoUrl)
+      : included.map((commit) => formatCommitLine(commit, repoUrl)).join('\n');
+
+  return [notes, maintenance].filter(Boolean).join('\n\n');
 }
@@ -3,7 +3,144 @@
  * Handles git operations like fetching commits using simple-git
  */
 
+import crypto from 'crypto';
 import { simpleGit } from 'simple-git';
+import { isReleaseMergeMessage, DEFAULT_RELEASE_CONFIG } from './config.js';
+import { parseVersion, getTagPrefix, isPrerelease, sortVersions } from './version.js';
+import {
+  parseCommitBody,
+  extractPRNumber,
+  isPRMergeCommit,
+  isDevToMasterMerge,
+  isSquashMergeCommit,
+} from './formatting.js';
+
+/**
+ * Committer email GitHub uses when it rewrites commits on merge (squash/rebase)
+ */
+export const GITHUB_COMMITTER_EMAIL = 'noreply@github.com';
+
+/**
+ * Maximum committer timestamp gap (seconds) between commits of one rebase-merged PR
+ */
+const REBASE_RUN_MAX_GAP_SECONDS = 2;
+
+/**
+ * How far back markCherryPicks looks for released cherry-picks: the releases before
+ * fromRef, and at most this many commits, so a long history is never read as patches
+ */
+const CHERRY_PICK_SEARCH_TAGS = 5;
+const CHERRY_PICK_SEARCH_DEPTH = 1000;
+
+/**
+ * Raw `git log` format: NUL-separated fields, records terminated by a record separator,
+ * so subjects, author names and multi-line bodies can contain any other character.
+ * The parent hashes let the history graph be resolved without further git calls.
+ */
+const RAW_LOG_FORMAT = '--pretty=format:%H%x00%P%x00%ct%x00%s%x00%an%x00%ae%x00%ce%x00%b%x1e';
+
+/**
+ * Parse the output of `git log` run with RAW_LOG_FORMAT
+ *
+ * @param {string} output - Raw git log output
+ * @returns {Array<Object>} - Commit objects { hash, parents, timestamp, message, authorName,
+ *   authorEmail, committerEmail, body, trailers }
+ */
+function parseRawLog(output) {
+  return (output || '')
+    .split('\x1e')
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [hash, parents, timestamp, message, authorName, authorEmail, committerEmail, body] =
+        record.replace(/^\n/, '').split('\0');
+
+      return {
+        hash,
+        parents: parents ? parents.split(' ') : [],
+        timestamp: parseInt(timestamp, 10),
+        message,
+        authorName,
+        authorEmail,
+        committerEmail,
+        ...parseCommitBody(body),
+      };
+    });
+}
+
+/**
+ * Walk the commits reachable from the given hashes, newest committer date first
+ * (ties in the order they were reached), like `git log` does. Commits that are
+ * not in the graph or already claimed are skipped; walked commits get claimed.
+ *
+ * @param {Array<string>} hashes - Hashes to start from
+ * @param {Map<string, Object>} graph - Commits of the range by hash
+ * @param {Set<string>} claimed - Hashes already attributed to a commit of the first-parent history
+ * @returns {Array<Object>} - Walked commits
+ */
+function walkByDate(hashes, graph, claimed) {
+  const queue = [];
+  const walked = [];
+
+  const enqueue = (hash) => {
+    const commit = graph.get(hash);
+
+    if (!commit || claimed.has(hash)) {
+      return;
+    }
+
+    claimed.add(hash);
+
+    const index = queue.findIndex((queued) => queued.timestamp < commit.timestamp);
+
+    queue.splice(index === -1 ? queue.length : index, 0, commit);
+  };
+
+  hashes.forEach(enqueue);
+
+  while (queue.length > 0) {
+    const commit = queue.shift();
+
+    walked.push(commit);
+    commit.parents.forEach(enqueue);
+  }
+
+  return walked;
+}
+
+/**
+ * Resolve the first-parent history of a commit range and the commits each of its
+ * commits merged, from the parent hashes of a single `git log` walk.
+ *
+ * The merged commits of a merge are those reachable from its other parents but not
+ * from its first parent (`git log <merge>^1..<merge>^2`): walking the history
+ * oldest first, every commit is claimed by the first merge that reaches it.
+ *
+ * @param {Array<Object>} commits - Commits of the range, with their parent hashes
+ * @returns {Array<Object>} - First-parent history, newest first, as { commit, merged }
+ */
+function resolveFirstParentHistory(commits) {
+  const graph = new Map(commits.map((commit) => [commit.hash, commit]));
+  const children = new Set(commits.flatMap((commit) => commit.parents));
+
+  // Every commit of the range is an ancestor of the tip, the only one without a child
+  const history = [];
+  let next = commits.find((commit) => !children.has(commit.hash));
+
+  while (next) {
+    history.push(next);
+    next = graph.get(next.parents[0]);
+  }
+
+  const claimed = new Set();
+  const merged = new Map();
+
+  for (const commit of [...history].reverse()) {
+    claimed.add(commit.hash);
+    merged.set(commit.hash, walkByDate(commit.parents.slice(1), graph, claimed));
+  }
+
+  return history.map((commit) => ({ commit, merged: merged.get(commit.hash) }));
+}
 
 /**
  * Create a simple-git instance
@@ -62,10 +199,14 @@ export async function getCommitsSince(git, branch, sinceRef) {
     const log = await git.log({
       from: sinceRef,
       to: branch,
+      // sinceRef..branch: simple-git defaults to the symmetric sinceRef...branch range,
+      // which also lists commits only reachable from sinceRef
+      symmetric: false,
       format: {
         hash: '%H',
         timestamp: '%ct',
         message: '%s',
+        body: '%b',
         authorName: '%an',
         authorEmail: '%ae',
       },
@@ -77,6 +218,7 @@ export async function getCommitsSince(git, branch, sinceRef) {
       message: commit.message,
       authorName: commit.authorName,
       authorEmail: commit.authorEmail,
+      ...parseCommitBody(commit.body),
     }));
   } catch (error) {
     console.warn(`Warning: git log failed: ${error.message}`);
@@ -101,12 +243,16 @@ export async function getCommitsBetween(git, fromRef, toRef, options = {}) {
     const logOptions = {
       from: fromRef,
       to: toRef,
+      // fromRef..toRef, not simple-git's default symmetric fromRef...toRef range
+      symmetric: false,
       format: {
         hash: '%H',
         timestamp: '%ct',
         message: '%s',
+        body: '%b',
         authorName: '%an',
         authorEmail: '%ae',
+        committerEmail: '%ce',
       },
     };
 
@@ -125,6 +271,8 @@ export async function getCommitsBetween(git, fromRef, toRef, options = {}) {
       message: commit.message,
       authorName: commit.authorName,
       authorEmail: commit.authorEmail,
+      committerEmail: commit.committerEmail,
+      ...parseCommitBody(commit.body),
     }));
   } catch (error) {
     console.warn(`Warning: git log failed: ${error.message}`);
@@ -133,83 +281,154 @@ export async function getCommitsBetween(git, fromRef, toRef, options = {}) {
   }
 }
 
+/**
+ * Check if two first-parent commits belong to the same rebase-merged PR.
+ * GitHub rebase merges re-commit every PR commit with itself as committer,
+ * all within the same second or two.
+ *
+ * @param {Object} a - Commit object
+ * @param {Object} b - Commit object
+ * @returns {boolean} - True if both commits look like part of one rebase merge
+ */
+function isSameRebaseRun(a, b) {
+  return (
+    a.committerEmail === GITHUB_COMMITTER_EMAIL &&
+    b.committerEmail === GITHUB_COMMITTER_EMAIL &&
+    Math.abs(a.timestamp - b.timestamp) <= REBASE_RUN_MAX_GAP_SECONDS
+  );
+}
+
+/**
+ * Annotate first-parent commits with the merge strategy that brought them in:
+ * - 'merge': a "Merge pull request #N" commit
+ * - 'squash': a single commit ending with "(#N)"
+ * - 'rebase': one of several consecutive commits rebased onto the branch by GitHub
+ * - 'direct': anything else (pushed directly to the branch)
+ *
+ * Every commit also gets the PR number found in its message (or null). Commits of
+ * a rebase run share `rebaseGroup` (the hash of the newest commit of the run) and
+ * the PR number of the run: GitHub keeps the "(#N)" suffix on some rewritten
+ * subjects only, so one suffixed commit attributes the whole run. Runs without
+ * any suffix are attributed through the GitHub API (see enrichCommits).
+ *
+ * @param {Array<Object>} commits - First-parent commits, newest first
+ * @returns {Array<Object>} - Annotated copies of the commits
+ */
+export function annotateMergeStrategies(commits) {
+  const annotated = commits.map((commit) => ({
+    ...commit,
+    mergeStrategy: 'direct',
+    prNumber: extractPRNumber(commit.message),
+  }));
+
+  for (const commit of annotated) {
+    if (isPRMergeCommit(commit)) {
+      commit.mergeStrategy = 'merge';
+    } else if (isSquashMergeCommit(commit)) {
+      commit.mergeStrategy = 'squash';
+    }
+  }
+
+  let runStart = 0;
+  let runPRNumber = null;
+
+  for (let i = 1; i <= annotated.length; i++) {
+    const previous = annotated[i - 1];
+    const current = annotated[i];
+
+    runPRNumber ||= previous.prNumber;
+
+    // Suffixed commits join a run of their own PR only, so back-to-back squash merges stay apart
+    const continuesRun =
+      current &&
+      previous.mergeStrategy !== 'merge' &&
+      current.mergeStrategy !== 'merge' &&
+      isSameRebaseRun(previous, current) &&
+      (!runPRNumber || !current.prNumber || current.prNumber === runPRNumber);
+
+    if (continuesRun) {
+      continue;
+    }
+
+    const run = annotated.slice(runStart, i);
+
+    if (run.length > 1) {
+      for (const commit of run) {
+        commit.mergeStrategy = 'rebase';
+        commit.rebaseGroup = run[0].hash;
+        commit.prNumber = runPRNumber;
+      }
+    }
+
+    runStart = i;
+    runPRNumber = null;
+  }
+
+  return annotated;
+}
+
 /**
  * Get commits between two refs, including commits from merged branches.
- * This finds the merge commit(s) between the refs using --first-parent,
- * then gets all commits within those merges.
+ * This follows the first-parent history between the refs, then adds the
+ * commits brought in by each of its merge commits.
  *
  * This is the correct way to get release notes when tags may be on
  * different branches than the target.
  *
- * IMPORTANT: When expanding merge commits, we filter commits to only include
- * those with timestamps AFTER the fromRef. This prevents old commits from
- * previous releases from being included when the dev branch has a longer
- * history than what's being released.
+ * The range is read with a single `git log` walk in a NUL/record-separator
+ * format and the merges are resolved from the parent hashes in memory, so
+ * long release ranges need no git process per merge.
+ *
+ * Squash-merged and rebase-merged PRs have no merge commit to expand; their
+ * commits are recognised on the first-parent history instead. Every returned
+ * commit carries `mergeStrategy` and `prNumber` (see annotateMergeStrategies).
+ * Commits from expanded merges get `mergeStrategy: 'merge'`, `mergeHash` and the
+ * PR number of their merge (unless it is a dev-to-master release merge, whose
+ * commits keep the PR number of their own squash/merge commit, if any).
+ *
+ * IMPORTANT: Commits are included by ancestry, not by date: a commit is listed
+ * when it is reachable from toRef but not from fromRef. Commits of previous
+ * releases stay out however long the dev branch history is, while commits
+ * authored (or rebased) before the previous release but merged after it are in.
  *
  * @param {SimpleGit} git - simple-git instance
  * @param {string} fromRef - Starting reference (exclusive)
  * @param {string} toRef - Ending reference (inclusive)
+ * @param {Object} options
+ * @param {Object} options.config - Release config, tells release merges apart (default: DEFAULT_RELEASE_CONFIG)
  * @returns {Promise<Array<Object>>} - Array of commit objects
  */
-export async function getCommitsBetweenWithMerges(git, fromRef, toRef) {
+export async function getCommitsBetweenWithMerges(
+  git,
+  fromRef,
+  toRef,
+  { config = DEFAULT_RELEASE_CONFIG } = {}
+) {
   try {
-    // Get the timestamp of the fromRef (previous tag) to filter old commits
-    const fromRefTimestamp = await getCommitDate(git, fromRef);
-
-    // First, get the merge commits on the main branch history
-    const mergeCommits = await getCommitsBetween(git, fromRef, toRef, { firstParent: true });
-
-    if (mergeCommits.length === 0) {
-      return [];
-    }
-
-    // For each merge commit that is a "Merge pull request" commit,
-    // we need to get the commits that were merged
+    // Every commit reachable from toRef but not from fromRef, in one walk
+    const history = resolveFirstParentHistory(
+      parseRawLog(await git.raw(['log', RAW_LOG_FORMAT, `${fromRef}..${toRef}`]))
+    );
+    const firstParentCommits = annotateMergeStrategies(history.map(({ commit }) => commit));
     const allCommits = [];
-    const seenHashes = new Set();
 
-    for (const commit of mergeCommits) {
-      // Add the merge commit itself (if it's after the fromRef timestamp)
-      if (!seenHashes.has(commit.hash) && commit.timestamp > fromRefTimestamp) {
-        allCommits.push(commit);
-        seenHashes.add(commit.hash);
+    for (const [index, commit] of firstParentCommits.entries()) {
+      allCommits.push(commit);
+
+      // Only "Merge pull request" commits list the commits they merged
+      if (commit.mergeStrategy !== 'merge') {
+        continue;
       }
 
-      // If this is a merge commit, get the commits from the merged branch
-      if (commit.message.startsWith('Merge pull request')) {
-        try {
-          // Get the commits that were merged (second parent's history)
-          // This uses the ^1..^2 range which gets commits reachable from
-          // the second parent but not from the first parent
-          const mergedCommits = await git.raw([
-            'log',
-            '--pretty=format:%H|%ct|%s|%an|%ae',
-            `${commit.hash}^1..${commit.hash}^2`,
-          ]);
-
-          if (mergedCommits && mergedCommits.trim()) {
-            for (const line of mergedCommits.trim().split('\n')) {
-              const [hash, timestamp, message, authorName, authorEmail] = line.split('|');
-              const commitTimestamp = parseInt(timestamp, 10);
-
-              // Only include commits that are AFTER the fromRef timestamp
-              // This filters out old commits from previous releases
-              if (hash && !seenHashes.has(hash) && commitTimestamp > fromRefTimestamp) {
-                allCommits.push({
-                  hash,
-                  timestamp: commitTimestamp,
-                  message,
-                  authorName,
-                  authorEmail,
-                });
-                seenHashes.add(hash);
-              }
-            }
-          }
-        } catch {
-          // Ignore errors for individual merge commits
-          // This can happen if the merge commit doesn't have a second parent
-        }
+      const mergePRNumber = isDevToMasterMerge(commit, config) ? null : commit.prNumber;
+
+      for (const mergedCommit of history[index].merged) {
+        allCommits.push({
+          ...mergedCommit,
+          mergeStrategy: 'merge',
+          mergeHash: commit.hash,
+          prNumber: extractPRNumber(mergedCommit.message) || mergePRNumber,
+        });
       }
     }
 
@@ -221,43 +440,355 @@ export async function getCommitsBetweenWithMerges(git, fromRef, toRef) {
   }
 }
 
+/**
+ * Turn a path glob into a git pathspec ("apps/helix/**" -> ":(glob)apps/helix/**")
+ * Pathspecs that already use magic (":(...)" or ":!") are passed through.
+ *
+ * @param {string} path - Path or glob, relative to the repository root
+ * @returns {string} - Git pathspec
+ */
+function toPathspec(path) {
+  return path.startsWith(':') ? path : `:(glob)${path}`;
+}
+
+/**
+ * Keep only the commits that touch the given paths
+ *
+ * A commit is kept when it changes a file matching one of the globs. A PR merge
+ * commit is kept when one of the commits it merged is kept, so the PR stays
+ * listed with its commits.
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {Array<Object>} commits - Commits collected between fromRef and toRef
+ * @param {Object} options
+ * @param {string} options.fromRef - Starting reference (exclusive)
+ * @param {string} options.toRef - Ending reference (inclusive)
+ * @param {Array<string>} options.paths - Path globs (e.g. ["apps/helix/**", "packages/ui/**"])
+ * @returns {Promise<Array<Object>>} - Commits touching the paths, in the original order
+ */
+export async function filterCommitsByPaths(git, commits, { fromRef, toRef, paths = [] }) {
+  if (paths.length === 0) {
+    return commits;
+  }
+
+  const output = await git.raw([
+    'log',
+    '--format=%H',
+    '--no-merges',
+    '--full-history',
+    `${fromRef}..${toRef}`,
+    '--',
+    ...paths.map(toPathspec),
+  ]);
+  const touched = new Set(output.split('\n').map((hash) => hash.trim()));
+  const touchedMerges = new Set(
+    commits
+      .filter((commit) => commit.mergeHash && touched.has(commit.hash))
+      .map((commit) => commit.mergeHash)
+  );
+
+  return commits.filter((commit) => touched.has(commit.hash) || touchedMerges.has(commit.hash));
+}
+
+/**
+ * Parse `--numstat` lines into changed files
+ * Binary files ("-" instead of line counts) are counted with 0 insertions and deletions.
+ *
+ * @param {Array<string>} lines - numstat lines ("<insertions>\t<deletions>\t<path>")
+ * @returns {Array<Object>} - Changed files { path, insertions, deletions }
+ */
+function parseNumstat(lines) {
+  return lines
+    .map((line) => line.match(/^(-|\d+)\t(-|\d+)\t(.+)$/))
+    .filter(Boolean)
+    .map(([, insertions, deletions, path]) => ({
+      path,
+      insertions: Number(insertions) || 0,
+      deletions: Number(deletions) || 0,
+    }));
+}
+
+/**
+ * Get the files changed by each commit between two refs
+ * Merge commits are diffed against their first parent, so a PR merge shows the
+ * changes of the whole PR.
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {Object} options
+ * @param {string} options.fromRef - Starting reference (exclusive)
+ * @param {string} options.toRef - Ending reference (inclusive)
+ * @param {Array<string>} options.paths - Only count files matching these path globs (default: all files)
+ * @returns {Promise<Map<string, Array<Object>>>} - Changed files { path, insertions, deletions } by commit hash
+ */
+export async function getCommitFiles(git, { fromRef, toRef, paths = [] }) {
+  const output = await git.raw([
+    '-c',
+    'core.quotePath=false',
+    'log',
+    '--numstat',
+    '--no-renames',
+    '--diff-merges=first-parent',
+    '--format=%x1e%H',
+    `${fromRef}..${toRef}`,
+    ...(paths.length > 0 ? ['--', ...paths.map(toPathspec)] : []),
+  ]);
+  const files = new Map();
+
+  for (const record of output.split('\x1e')) {
+    const [hash, ...lines] = record.split('\n');
+
+    if (hash.trim()) {
+      files.set(hash.trim(), parseNumstat(lines));
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Get the files changed between two refs, as a single diff of their trees
+ * The diff starts at the merge base of the refs, so a fromRef on a diverged branch
+ * (e.g. a hotfix tag) does not count the reverse of its own changes, matching the
+ * commits of the fromRef..toRef range.
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {Object} options
+ * @param {string} options.fromRef - Starting reference
+ * @param {string} options.toRef - Ending reference
+ * @param {Array<string>} options.paths - Only count files matching these path globs (default: all files)
+ * @returns {Promise<Array<Object>>} - Changed files { path, insertions, deletions }
+ */
+export async function getDiffFiles(git, { fromRef, toRef, paths = [] }) {
+  const output = await git.raw([
+    '-c',
+    'core.quotePath=false',
+    'diff',
+    '--numstat',
+    '--no-renames',
+    `${fromRef}...${toRef}`,
+    ...(paths.length > 0 ? ['--', ...paths.map(toPathspec)] : []),
+  ]);
+
+  return parseNumstat(output.split('\n'));
+}
+
+/**
+ * Compute the patch-id of a commit diff, in the spirit of `git patch-id --stable`:
+ * whitespace, line numbers and blob hashes are ignored and the order of the files
+ * does not matter, so a cherry-picked commit gets the patch-id of its original.
+ *
+ * Binary files have no diff lines, so they are told apart by their blob hashes
+ * (the diff must be read with `--full-index`), and mode changes by their modes.
+ *
+ * @param {string} diff - Diff of one commit (`git log -p --full-index` output without the header)
+ * @returns {string|null} - Patch-id, or null for a commit without changes
+ */
+function computePatchId(diff) {
+  const files = diff
+    .split(/^diff --git /m)
+    .slice(1)
+    .map((file) => {
+      const [header, ...lines] = file.split('\n');
+      const content = lines
+        .filter((line) => /^[-+ ]/.test(line))
+        .map((line) => line.replace(/\s/g, ''));
+      const modes = lines.filter((line) => /^(old|new|new file|deleted file) mode /.test(line));
+      const binary = lines.some((line) => /^(Binary files |GIT binary patch)/.test(line));
+      const blobs = binary ? lines.filter((line) => line.startsWith('index ')) : [];
+
+      return crypto
+        .createHash('sha1')
+        .update([header.replace(/\s/g, ''), ...modes, ...blobs, ...content].join('\n'))
+        .digest('hex');
+    })
+    .sort();
+
+  return files.length > 0 ? crypto.createHash('sha1').update(files.join('')).digest('hex') : null;
+}
+
+/**
+ * Get the patch-ids of the non-merge commits of a revision range
+ * Commits without changes (e.g. empty commits) get no patch-id.
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {Array<string>} revisions - git log revision arguments (e.g. ["v1.2.0..master"])
+ * @returns {Promise<Map<string, string>>} - Patch-id by commit hash
+ */
+export async function getPatchIds(git, revisions) {
+  const output = await git.raw([
+    'log',
+    '-p',
+    '--no-merges',
+    '--no-color',
+    '--no-ext-diff',
+    '--full-index',
+    '--format=%x1e%H',
+    ...revisions,
+  ]);
+  const patchIds = new Map();
+
+  for (const record of output.split('\x1e')) {
+    const [hash, ...diff] = record.split('\n');
+    const patchId = hash.trim() && computePatchId(diff.join('\n'));
+
+    if (patchId) {
+      patchIds.set(hash.trim(), patchId);
+    }
+  }
+
+  return patchIds;
+}
+
+/**
+ * Find the first release tag of a package that contains a commit
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {string} hash - Commit hash
+ * @param {Object} options
+ * @param {string} options.ref - Only tags reachable from this ref
+ * @param {string} options.tagPrefix - Tag prefix of the package (default: '')
+ * @returns {Promise<string|null>} - Lowest version tag containing the commit, or null
+ */
+async function findShippingTag(git, hash, { ref, tagPrefix = '' }) {
+  const output = await git.raw(['tag', '--list', '--contains', hash, '--merged', ref]);
+  const [tag] = sortVersions(
+    output
+      .split('\n')
+      .map((name) => name.trim())
+      .filter((name) => name && isVersionTag(name) && getTagPrefix(name) === tagPrefix)
+  );
+
+  return tag || null;
+}
+
+/**
+ * Collapse cherry-picked commits, recognised by their patch-id (like `git cherry`).
+ *
+ * A hotfix cherry-picked to the release branch and later merged again from dev
+ * is listed once: the first of the equivalent commits is kept, with the hashes
+ * of the others in `cherryPicks`. A commit whose patch was already released,
+ * reachable from fromRef as a cherry-pick (e.g. a hotfix tag), keeps its entry,
+ * with the released hash in `cherryPicks` and `shippedIn` set to the first tag
+ * that contains it.
+ *
+ * Released patches are only looked for in the last CHERRY_PICK_SEARCH_TAGS releases
+ * before fromRef (and at most CHERRY_PICK_SEARCH_DEPTH commits), whether the range
+ * merges branches or, with squash and rebase merges, is linear.
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {Array<Object>} commits - Commits collected between fromRef and toRef
+ * @param {Object} options
+ * @param {string} options.fromRef - Starting reference (exclusive)
+ * @param {string} options.toRef - Ending reference (inclusive)
+ * @param {string} options.tagPrefix - Tag prefix of the package, for shippedIn (default: '')
+ * @returns {Promise<Array<Object>>} - Commits with `cherryPicks` (hashes) and `shippedIn` (tag or null)
+ */
+export async function markCherryPicks(git, commits, { fromRef, toRef, tagPrefix = '' }) {
+  if (commits.length === 0) {
+    return commits;
+  }
+
+  const patchIds = await getPatchIds(git, [`${fromRef}..${toRef}`]);
+  const kept = new Map();
+  const marked = [];
+
+  for (const commit of commits) {
+    const patchId = patchIds.get(commit.hash);
+    const original = patchId && kept.get(patchId);
+
+    if (original) {
+      original.cherryPicks.push(commit.hash);
+      original.prNumber = original.prNumber || commit.prNumber;
+      continue;
+    }
+
+    const entry = { ...commit, cherryPicks: [], shippedIn: null };
+
+    if (patchId) {
+      kept.set(patchId, entry);
+    }
+
+    marked.push(entry);
+  }
+
+  if (kept.size === 0) {
+    return marked;
+  }
+
+  // Released cherry-picks are reachable from fromRef but not from the branches
+  // merged in the range: stop the walk at the released parents of merged commits,
+  // and at an older release
+  const inRange = new Set(commits.map((commit) => commit.hash));
+  const boundaries = [
+    ...new Set(
+      commits.flatMap((commit) =>
+        (commit.mergeHash ? commit.parents : commit.parents?.slice(1) || []).filter(
+          (parent) => !inRange.has(parent)
+        )
+      )
+    ),
+  ];
+  const olderRelease = (await getVersionTags(git, { ref: fromRef, tagPrefix }))[
+    CHERRY_PICK_SEARCH_TAGS
+  ];
+  const stops = [...boundaries, ...(olderRelease ? [olderRelease] : [])];
+  const released = await getPatchIds(git, [
+    `--max-count=${CHERRY_PICK_SEARCH_DEPTH}`,
+    fromRef,
+    ...(stops.length > 0 ? ['--not', ...stops] : []),
+  ]);
+
+  for (const [hash, patchId] of released) {
+    const entry = kept.get(patchId);
+
+    if (entry && !entry.shippedIn) {
+      entry.cherryPicks.push(hash);
+      entry.shippedIn = (await findShippingTag(git, hash, { ref: fromRef, tagPrefix })) || fromRef;
+    }
+  }
+
+  return marked;
+}
+
 /**
  * Find the previous dev-to-master merge commit on the master branch.
  * This is useful when tags may be placed on commits that are not on the
  * master branch's first-parent history.
  *
+ * Release merges are recognised by the merge_patterns of the release config,
+ * looking back search_depth commits.
+ *
  * @param {SimpleGit} git - simple-git instance
- * @param {string} branch - Branch to search on (default: 'master')
+ * @param {string} branch - Branch to search on (default: the release branch of the default config)
  * @param {string} currentHead - Current HEAD to start from
+ * @param {Object} config - Release config (default: DEFAULT_RELEASE_CONFIG)
  * @returns {Promise<Object|null>} - The previous merge commit or null
  */
-export async function findPreviousDevMerge(git, _branch = 'master', currentHead = 'HEAD') {
+export async function findPreviousDevMerge(
+  git,
+  _branch = DEFAULT_RELEASE_CONFIG.releaseBranch,
+  currentHead = 'HEAD',
+  config = DEFAULT_RELEASE_CONFIG
+) {
   try {
-    // Get the first-parent history of the branch
-    const result = await git.raw([
-      'log',
-      '--first-parent',
-      '--pretty=format:%H|%s',
-      '-n',
-      '10', // Look at last 10 merge commits
-      currentHead,
-    ]);
-
-    if (!result || !result.trim()) {
-      return null;
-    }
-
-    const lines = result.trim().split('\n');
+    // Get the first-parent history of the branch, NUL separated so any subject matches whole
+    const commits = parseRawLog(
+      await git.raw([
+        'log',
+        '--first-parent',
+        RAW_LOG_FORMAT,
+        '-n',
+        String(config.searchDepth), // Look at the last search_depth merge commits
+        currentHead,
+      ])
+    );
 
     // Skip the first one (current commit) and find the previous dev merge
-    for (let i = 1; i < lines.length; i++) {
-      const [hash, message] = lines[i].split('|');
-      if (message && /^Merge pull request #\d+ from [^/]+\/dev$/i.test(message)) {
-        return { hash, message };
-      }
-    }
+    const previous = commits
+      .slice(1)
+      .find((commit) => isReleaseMergeMessage(commit.message, config));
 
-    return null;
+    return previous ? { hash: previous.hash, message: previous.message } : null;
   } catch (error) {
     console.warn(`Warning: findPreviousDevMerge failed: ${error.message}`);
 
@@ -266,17 +797,187 @@ export async function findPreviousDevMerge(git, _branch = 'master', currentHead
 }
 
 /**
- * Get the latest tag in the repository
+ * Check if a tag name is a SemVer version ("v1.2.3", "1.2.3-rc.1")
+ *
+ * @param {string} tag - Tag name
+ * @returns {boolean} - True if the tag parses as a version
+ */
+function isVersionTag(tag) {
+  try {
+    parseVersion(tag);
+
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the SemVer tags reachable from a ref, highest version first.
+ * Tags that are not versions are ignored, and only tags of the given monorepo
+ * package (tag prefix, e.g. "helix@") are listed, so each package keeps its own
+ * version line.
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {Object} options
+ * @param {string} options.ref - Only tags reachable from this ref (default: 'HEAD')
+ * @param {string} options.pattern - Glob the tag names must match, after the tag prefix (default: '*')
+ * @param {string} options.tagPrefix - Tag prefix of the package (default: '', unprefixed tags only)
+ * @param {boolean} options.includePrereleases - Include pre-release tags (default: false)
+ * @returns {Promise<Array<string>>} - Tag names sorted by SemVer precedence, highest first
+ */
+export async function getVersionTags(
+  git,
+  { ref = 'HEAD', pattern = '*', tagPrefix = '', includePrereleases = false } = {}
+) {
+  const output = await git.raw(['tag', '--list', '--merged', ref, `${tagPrefix}${pattern}`]);
+
+  const tags = output
+    .split('\n')
+    .map((tag) => tag.trim())
+    .filter((tag) => tag && isVersionTag(tag) && getTagPrefix(tag) === tagPrefix)
+    .filter((tag) => includePrereleases || !isPrerelease(tag));
+
+  return sortVersions(tags, { descending: true });
+}
+
+/**
+ * Get the latest release tag: the highest SemVer tag reachable from a ref.
+ * Sorting by version instead of tag date keeps hotfix tags created out of
+ * order (e.g. v1.17.6 tagged after v1.18.0) from being picked.
  *
  * @param {SimpleGit} git - simple-git instance
+ * @param {Object} options - See getVersionTags
  * @returns {Promise<string|null>} - Latest tag name or null
  */
-export async function getLatestTag(git) {
+export async function getLatestTag(git, options = {}) {
   try {
-    const tags = await git.tags(['--sort=-creatordate']);
+    const [latest] = await getVersionTags(git, options);
 
-    return tags.latest || null;
+    return latest || null;
   } catch {
     return null;
   }
 }
+
+/**
+ * Get the commit a tag points to
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {string} tag - Tag name
+ * @returns {Promise<string|null>} - Commit hash, or null if the tag does not exist
+ */
+export async function getTagCommit(git, tag) {
+  try {
+    return (await git.revparse(['--verify', '--quiet', `refs/tags/${tag}^{commit}`])).trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check whether a commit is an ancestor of (or the same as) a ref
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {string} commit - Commit hash
+ * @param {string} ref - Git reference
+ * @returns {Promise<boolean>} - True if the ref contains the commit
+ */
+async function isAncestor(git, commit, ref) {
+  // `merge-base --is-ancestor` only answers through its exit code, which simple-git
+  // does not report without stderr
+  try {
+    return (await git.raw(['merge-base', commit, ref])).trim() === commit;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Create an annotated tag, or move the tag of an earlier run to a new commit.
+ * Re-running with the same tag and commit is a no-op, so releases can be retried.
+ *
+ * An existing tag is only moved when it points inside fromRef..ref, i.e. it was
+ * created by an earlier run of the same release. A tag anywhere else was released
+ * before (e.g. by hand, or from a stale previous tag) and is never overwritten.
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {Object} options
+ * @param {string} options.tag - Tag name (e.g., "v1.2.3")
+ * @param {string} options.ref - Commit, branch or ref to tag
+ * @param {string} options.fromRef - Previous release tag, start of the range an existing tag may be moved within
+ * @param {string} options.message - Tag message
+ * @param {Object} options.tagger - Tagger identity { name, email }
+ * @returns {Promise<string>} - 'created', 'updated' or 'unchanged'
+ * @throws {Error} - If the tag exists outside fromRef..ref
+ */
+export async function createAnnotatedTag(git, { tag, ref, fromRef, message, tagger }) {
+  const commit = (await git.revparse(['--verify', `${ref}^{commit}`])).trim();
+  const existingCommit = await getTagCommit(git, tag);
+
+  if (existingCommit === commit) {
+    return 'unchanged';
+  }
+
+  const isEarlierRun =
+    existingCommit &&
+    fromRef &&
+    (await isAncestor(git, existingCommit, commit)) &&
+    !(await isAncestor(git, existingCommit, fromRef));
+
+  if (existingCommit && !isEarlierRun) {
+    throw new Error(
+      `Tag ${tag} already exists on ${existingCommit.substring(0, 7)}, outside the release range ${fromRef || '(no previous tag)'}..${ref}. Check previous_tag, or delete the tag if it is stale`
+    );
+  }
+
+  await git.raw([
+    '-c',
+    `user.name=${tagger.name}`,
+    '-c',
+    `user.email=${tagger.email}`,
+    'tag',
+    '--annotate',
+    ...(existingCommit ? ['--force'] : []),
+    '--message',
+    message,
+    tag,
+    commit,
+  ]);
+
+  return existingCommit ? 'updated' : 'created';
+}
+
+/**
+ * Fetch a tag from a remote, overwriting the local tag
+ * A tag that does not exist on the remote is ignored.
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {string} tag - Tag name
+ * @param {Object} options
+ * @param {string} options.remote - Remote name (default: 'origin')
+ * @returns {Promise<boolean>} - True if the tag was fetched
+ */
+export async function fetchTag(git, tag, { remote = 'origin' } = {}) {
+  try {
+    await git.raw(['fetch', '--force', remote, `refs/tags/${tag}:refs/tags/${tag}`]);
+
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Push a tag to a remote
+ *
+ * @param {SimpleGit} git - simple-git instance
+ * @param {string} tag - Tag name
+ * @param {Object} options
+ * @param {string} options.remote - Remote name (default: 'origin')
+ * @param {boolean} options.force - Overwrite the tag on the remote (for moved tags)
+ * @returns {Promise<void>}
+ */
+export async function pushTag(git, tag, { remote = 'origin', force = false } = {}) {
+  await git.raw(['push', ...(force ? ['--force'] : []), remote, `refs/tags/${tag}`]);
+}
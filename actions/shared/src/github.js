@@ -0,0 +1,284 @@
+/**
+ * GitHub API utilities for GitHub Actions
+ * Resolves commits and pull requests to GitHub metadata (logins, PR titles, labels)
+ * and publishes GitHub Releases
+ */
+
+import { isReleasePullRequest, DEFAULT_RELEASE_CONFIG } from './config.js';
+
+export const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+
+/**
+ * Number of requests sent to the GitHub API in parallel
+ */
+const DEFAULT_BATCH_SIZE = 5;
+
+/**
+ * Largest page of the GitHub REST API list endpoints
+ */
+const PAGE_SIZE = 100;
+
+/**
+ * Parse the owner and repository name from a GitHub repository URL
+ *
+ * @param {string} repoUrl - Repository URL (e.g., "https://github.com/org/repo")
+ * @returns {Object} - { owner, repo }
+ * @throws {Error} - If the URL is not a repository URL
+ */
+export function parseRepoUrl(repoUrl) {
+  const match = repoUrl?.match(/^https?:\/\/[^/]+\/([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+
+  if (!match) {
+    throw new Error(
+      `Invalid repository URL: ${repoUrl}. Expected format: https://github.com/org/repo`
+    );
+  }
+
+  return { owner: match[1], repo: match[2] };
+}
+
+/**
+ * Run an async function over items, at most `batchSize` at a time
+ *
+ * @param {Array} items - Items to process
+ * @param {number} batchSize - Maximum number of parallel calls
+ * @param {Function} fn - Async function called with each item
+ * @returns {Promise<Array>} - Results, in the order of the items
+ */
+export async function mapInBatches(items, batchSize, fn) {
+  const results = [];
+
+  for (let i = 0; i < items.length; i += batchSize) {
+    results.push(...(await Promise.all(items.slice(i, i + batchSize).map(fn))));
+  }
+
+  return results;
+}
+
+/**
+ * Create a GitHub REST API client
+ * GET responses are cached per path, so every commit or pull request is fetched once.
+ * `fetch` and `apiUrl` can be replaced, e.g. to run against a local fake server in tests.
+ *
+ * @param {Object} options
+ * @param {string} options.token - GitHub token
+ * @param {string} options.apiUrl - API base URL (default: GITHUB_API_URL or https://api.github.com)
+ * @param {Function} options.fetch - fetch implementation (default: global fetch)
+ * @param {number} options.batchSize - Maximum number of parallel requests (default: 5)
+ * @returns {Object} - GitHub client
+ */
+export function createGitHubClient({
+  token,
+  apiUrl = process.env.GITHUB_API_URL || DEFAULT_GITHUB_API_URL,
+  fetch = globalThis.fetch,
+  batchSize = DEFAULT_BATCH_SIZE,
+} = {}) {
+  const baseUrl = apiUrl.replace(/\/+$/, '');
+  const cache = new Map();
+
+  async function fetchJson(path, { method = 'GET', body } = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'injectivelabs-github-fe',
+        'X-GitHub-Api-Version': '2022-11-28',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {}),
+      },
+      ...(body ? { body: JSON.stringify(body) } : {}),
+    });
+
+    if (!response.ok) {
+      const error = new Error(
+        `GitHub API error: ${response.status} ${response.statusText} for ${method} ${path}`
+      );
+
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * GET a REST API path, reusing the cached response of earlier calls
+   */
+  function request(path) {
+    if (!cache.has(path)) {
+      // Drop failed requests from the cache so they can be retried
+      const promise = fetchJson(path).catch((error) => {
+        cache.delete(path);
+        throw error;
+      });
+
+      cache.set(path, promise);
+    }
+
+    return cache.get(path);
+  }
+
+  return {
+    batchSize,
+    request,
+    getCommit: (owner, repo, sha) => request(`/repos/${owner}/${repo}/commits/${sha}`),
+    getCommitPullRequests: (owner, repo, sha) =>
+      request(`/repos/${owner}/${repo}/commits/${sha}/pulls`),
+    getPullRequest: (owner, repo, number) => request(`/repos/${owner}/${repo}/pulls/${number}`),
+    getPullRequestCommits: (owner, repo, number) =>
+      request(`/repos/${owner}/${repo}/pulls/${number}/commits?per_page=100`),
+    // Releases change while publishing, so they are never cached.
+    // Drafts are not returned by the releases/tags endpoint, hence the lookup in the list.
+    findReleaseByTag: async (owner, repo, tag) => {
+      try {
+        return await fetchJson(`/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`);
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+      }
+
+      for (let page = 1; ; page++) {
+        const releases = await fetchJson(
+          `/repos/${owner}/${repo}/releases?per_page=${PAGE_SIZE}&page=${page}`
+        );
+        const draft = releases.find((release) => release.tag_name === tag);
+
+        if (draft || releases.length < PAGE_SIZE) {
+          return draft || null;
+        }
+      }
+    },
+    createRelease: (owner, repo, release) =>
+      fetchJson(`/repos/${owner}/${repo}/releases`, { method: 'POST', body: release }),
+    updateRelease: (owner, repo, id, release) =>
+      fetchJson(`/repos/${owner}/${repo}/releases/${id}`, { method: 'PATCH', body: release }),
+    // Comments change as they are upserted, so they are never cached either
+    listIssueComments: (owner, repo, number, page = 1) =>
+      fetchJson(`/repos/${owner}/${repo}/issues/${number}/comments?per_page=100&page=${page}`),
+    createIssueComment: (owner, repo, number, body) =>
+      fetchJson(`/repos/${owner}/${repo}/issues/${number}/comments`, {
+        method: 'POST',
+        body: { body },
+      }),
+    updateIssueComment: (owner, repo, id, body) =>
+      fetchJson(`/repos/${owner}/${repo}/issues/comments/${id}`, {
+        method: 'PATCH',
+        body: { body },
+      }),
+  };
+}
+
+/**
+ * Call the API, logging and swallowing failures so enrichment never breaks release notes
+ *
+ * @param {Function} fn - Async function calling the API
+ * @returns {Promise<*|null>} - The result, or null if the call failed
+ */
+async function tryRequest(fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    console.warn(`Warning: ${error.message}`);
+
+    return null;
+  }
+}
+
+/**
+ * Enrich commits with GitHub metadata
+ * - `authorLogin`: the GitHub login of the commit author
+ * - `prNumber`: for commits the git history could not attribute (e.g. rebase merges)
+ * - `pullRequest`: { number, title, labels, author } of the commit's PR
+ *
+ * Logins are resolved in batches from each PR's commit list, falling back to
+ * one request per remaining commit. Failed requests are logged and skipped.
+ * Only merged PRs attribute a commit, and never a release merge PR (integration to
+ * release branch): commits pushed directly to the integration branch stay unattributed.
+ *
+ * @param {Array<Object>} commits - Commit objects from the git layer
+ * @param {Object} options
+ * @param {Object} options.client - GitHub client (see createGitHubClient)
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {Object} options.config - Release config, tells release merge PRs apart (default: DEFAULT_RELEASE_CONFIG)
+ * @returns {Promise<Array<Object>>} - Enriched copies of the commits
+ */
+export async function enrichCommits(
+  commits,
+  { client, owner, repo, config = DEFAULT_RELEASE_CONFIG }
+) {
+  const enriched = commits.map((commit) => ({ ...commit }));
+
+  // Attribute commits without a PR reference, once per rebase run
+  const unattributed = new Map();
+
+  for (const commit of enriched) {
+    if (!commit.prNumber) {
+      const key = commit.rebaseGroup || commit.hash;
+
+      unattributed.set(key, [...(unattributed.get(key) || []), commit]);
+    }
+  }
+
+  await mapInBatches([...unattributed.values()], client.batchSize, async (group) => {
+    const pulls = await tryRequest(() => client.getCommitPullRequests(owner, repo, group[0].hash));
+    const pull = pulls?.find((pr) => pr.merged_at && !isReleasePullRequest(pr, config));
+
+    if (pull) {
+      for (const commit of group) {
+        commit.prNumber = String(pull.number);
+      }
+    }
+  });
+
+  // Resolve PR metadata and the logins of the PR's commits
+  const prNumbers = [...new Set(enriched.map((commit) => commit.prNumber).filter(Boolean))];
+  const pullRequests = new Map();
+  const logins = new Map();
+
+  await mapInBatches(prNumbers, client.batchSize, async (number) => {
+    const [pull, pullCommits] = await Promise.all([
+      tryRequest(() => client.getPullRequest(owner, repo, number)),
+      tryRequest(() => client.getPullRequestCommits(owner, repo, number)),
+    ]);
+
+    if (pull) {
+      pullRequests.set(number, {
+        number: pull.number,
+        title: pull.title,
+        labels: (pull.labels || []).map((label) => label.name),
+        author: pull.user?.login || null,
+      });
+    }
+
+    for (const pullCommit of pullCommits || []) {
+      if (pullCommit.author?.login) {
+        logins.set(pullCommit.sha, pullCommit.author.login);
+      }
+    }
+  });
+
+  // Commits not listed in any PR (merge and direct commits) are resolved one by one
+  const remaining = enriched.filter((commit) => !logins.has(commit.hash));
+
+  await mapInBatches(remaining, client.batchSize, async (commit) => {
+    const data = await tryRequest(() => client.getCommit(owner, repo, commit.hash));
+
+    if (data?.author?.login) {
+      logins.set(commit.hash, data.author.login);
+    }
+  });
+
+  for (const commit of enriched) {
+    if (logins.has(commit.hash)) {
+      commit.authorLogin = logins.get(commit.hash);
+    }
+
+    if (pullRequests.has(commit.prNumber)) {
+      commit.pullRequest = pullRequests.get(commit.prNumber);
+    }
+  }
+
+  return enriched;
+}
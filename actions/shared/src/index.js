@@ -1,4 +1,11 @@
 export * from './git.js';
+export * from './config.js';
+export * from './github.js';
 export * from './version.js';
+export * from './bugsnag.js';
+export * from './renderers.js';
+export * from './templates.js';
+export * from './diff-stats.js';
 // Re-export all utilities from shared modules
 export * from './formatting.js';
+export * from './release-model.js';
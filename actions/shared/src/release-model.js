@@ -0,0 +1,86 @@
+/**
+ * Release model utilities for GitHub Actions
+ * Describes a release (version, sections, commits, PRs and authors) as plain data
+ * that can be rendered into any output format or serialised as JSON
+ */
+
+import { DEFAULT_RELEASE_CONFIG } from './config.js';
+import {
+  COMMIT_SECTIONS,
+  buildCommitEntry,
+  selectReleaseCommits,
+  RELEASE_NOTES_LAYOUTS,
+} from './formatting.js';
+
+/**
+ * Build the structured model of a release
+ * Old dev-to-master merges and changes reverted within the release are filtered
+ * out, and commits matching the config's exclusion rules are listed as maintenance
+ * entries instead of in the sections, like in formatReleaseNotes.
+ *
+ * @param {Array<Object>} commits - Commit objects from the git layer
+ * @param {Object} options
+ * @param {string} options.repoUrl - Repository URL (e.g., "https://github.com/org/repo")
+ * @param {string} options.version - Version of the release (e.g. "v1.2.3")
+ * @param {string} options.previousVersion - Version the release is compared against
+ * @param {string} options.bump - Applied bump level
+ * @param {string} options.bumpReason - Why the bump level was applied
+ * @param {string} options.layout - "grouped" (default, sections by type) or "flat" (single list)
+ * @param {Object} options.config - Release config (default: DEFAULT_RELEASE_CONFIG)
+ * @param {Object} options.diffStats - Size of the release and touched areas (optional, see buildDiffStats)
+ * @returns {Object} - Release model { version, previousVersion, bump, bumpReason, repoUrl, layout,
+ *   hasNewCommits, entries, sections, maintenance, pullRequests, authors, diffStats }
+ */
+export function buildReleaseModel(
+  commits,
+  {
+    repoUrl,
+    version = null,
+    previousVersion = null,
+    bump = null,
+    bumpReason = null,
+    layout = 'grouped',
+    config = DEFAULT_RELEASE_CONFIG,
+    diffStats = null,
+  }
+) {
+  if (!RELEASE_NOTES_LAYOUTS.includes(layout)) {
+    throw new Error(
+      `Invalid release notes layout: ${layout}. Expected one of: ${RELEASE_NOTES_LAYOUTS.join(', ')}`
+    );
+  }
+
+  const { included, excluded } = selectReleaseCommits(commits, config);
+  const entries = included.map((commit) => buildCommitEntry(commit, repoUrl));
+  const maintenance = excluded.map((commit) => buildCommitEntry(commit, repoUrl));
+
+  const sections = COMMIT_SECTIONS.map(({ type, title }) => ({
+    type,
+    title,
+    entries: entries.filter((entry) => entry.type === type),
+  })).filter((section) => section.entries.length > 0);
+
+  const pullRequests = new Map();
+
+  for (const { pullRequest } of entries) {
+    if (pullRequest && !pullRequests.has(pullRequest.number)) {
+      pullRequests.set(pullRequest.number, pullRequest);
+    }
+  }
+
+  return {
+    version,
+    previousVersion,
+    bump,
+    bumpReason,
+    repoUrl,
+    layout,
+    hasNewCommits: entries.length > 0 || maintenance.length > 0,
+    entries,
+    sections,
+    maintenance,
+    pullRequests: [...pullRequests.values()],
+    authors: [...new Set(entries.flatMap((entry) => entry.authors))],
+    diffStats,
+  };
+}
@@ -0,0 +1,379 @@
+/**
+ * Release notes renderers for GitHub Actions
+ * Render a release model (see buildReleaseModel) as GitHub markdown, Slack mrkdwn,
+ * Slack Block Kit, HTML or plain text
+ */
+
+import { renderTemplate } from './templates.js';
+import { formatShippedIn, formatAuthorList, formatCommitCount } from './formatting.js';
+
+/**
+ * Supported formats for renderReleaseNotes
+ */
+export const RELEASE_NOTES_FORMATS = ['markdown', 'slack', 'slack-blocks', 'html', 'text'];
+
+const NO_NEW_COMMITS = 'No new commits';
+const AREAS_TITLE = 'Areas touched';
+
+/**
+ * Slack Block Kit limits: characters per section text and blocks per message
+ */
+const SLACK_SECTION_TEXT_LIMIT = 3000;
+const SLACK_MAX_BLOCKS = 50;
+
+/**
+ * Render the entries of a release, one line each, in sections or as a single list
+ *
+ * @param {Object} model - Release model
+ * @param {Function} formatLine - Formats an entry as a line
+ * @param {Function} formatTitle - Formats a section title as a heading line
+ * @returns {Array<Array<string>>} - Groups of lines (one per section, or one for the flat layout)
+ */
+function renderLines(model, formatLine, formatTitle) {
+  if (model.layout === 'flat') {
+    return [model.entries.map(formatLine)];
+  }
+
+  return model.sections.map((section) => [
+    formatTitle(section.title),
+    ...section.entries.map(formatLine),
+  ]);
+}
+
+/**
+ * Count the maintenance entries of a release (e.g. "Maintenance: 3 commits"),
+ * for formats that do not list them
+ *
+ * @param {Object} model - Release model
+ * @returns {string} - Count line, or '' without maintenance entries
+ */
+function formatMaintenanceCount(model) {
+  const count = model.maintenance.length;
+
+  return count > 0 ? `Maintenance: ${formatCommitCount(count)}` : '';
+}
+
+/**
+ * Describe the areas a release touches, one line each, ending with the release total
+ * (e.g. "helix: 3 files (+120 -8)")
+ *
+ * @param {Object} model - Release model
+ * @returns {Array<string>} - Area lines, empty without diff stats or areas
+ */
+function formatAreaLines(model) {
+  const areas = model.diffStats?.areas || [];
+  const formatStats = ({ files, insertions, deletions }) =>
+    `${files} ${files === 1 ? 'file' : 'files'} (+${insertions} -${deletions})`;
+
+  if (areas.length === 0) {
+    return [];
+  }
+
+  return [
+    ...areas.map((area) => `${area.name}: ${formatStats(area)}`),
+    `Total: ${formatStats(model.diffStats)}`,
+  ];
+}
+
+/**
+ * Render the "Areas touched" summary of a release
+ *
+ * @param {Object} model - Release model
+ * @param {Function} formatLine - Formats an area line as a list item
+ * @param {Function} formatTitle - Formats the title as a heading line
+ * @returns {Array<string>} - Summary lines, empty without areas
+ */
+function renderAreas(model, formatLine, formatTitle) {
+  const lines = formatAreaLines(model);
+
+  return lines.length > 0 ? [formatTitle(AREAS_TITLE), ...lines.map(formatLine)] : [];
+}
+
+/**
+ * Join groups of lines into blocks separated by blank lines, skipping empty ones
+ *
+ * @param {Array<Array<string>|string>} blocks - Groups of lines or rendered blocks
+ * @returns {string} - Joined text
+ */
+function joinBlocks(blocks) {
+  return blocks
+    .map((block) => (Array.isArray(block) ? block.join('\n') : block))
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Escape text for Slack mrkdwn (only &, < and > are control characters)
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeSlackText(text) {
+  return (text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape text for HTML
+ *
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(text) {
+  return (text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Format an entry as a Slack mrkdwn line
+ *
+ * @param {Object} entry - Release note entry
+ * @returns {string} - Slack mrkdwn line
+ */
+function formatSlackLine(entry) {
+  const prInfo = entry.pullRequest
+    ? ` in <${entry.pullRequest.url}|#${entry.pullRequest.number}>`
+    : '';
+  const authors = escapeSlackText(formatAuthorList(entry.authors));
+  const commitLinks = [entry, ...entry.cherryPicks]
+    .map((commit) => `<${commit.url}|${commit.shortHash}>`)
+    .join(', ');
+
+  return `- ${commitLinks} - ${escapeSlackText(entry.message)} by ${authors}${prInfo}${escapeSlackText(formatShippedIn(entry))}`;
+}
+
+/**
+ * Render release notes as GitHub markdown, through the built-in DEFAULT_TEMPLATE
+ * Gives the same output as formatReleaseNotes for the model's commits and layout,
+ * with the maintenance entries in a collapsed section. With diff stats, an
+ * "Areas touched" section sums the changes of each area.
+ *
+ * @param {Object} model - Release model
+ * @returns {string} - Markdown release notes or "No new commits"
+ */
+export function renderMarkdown(model) {
+  return renderTemplate(model);
+}
+
+/**
+ * Render release notes as Slack mrkdwn
+ * Maintenance entries are only counted, to keep messages short.
+ *
+ * @param {Object} model - Release model
+ * @returns {string} - Slack mrkdwn release notes or "No new commits"
+ */
+export function renderSlack(model) {
+  if (!model.hasNewCommits) {
+    return NO_NEW_COMMITS;
+  }
+
+  const maintenance = formatMaintenanceCount(model);
+
+  return joinBlocks([
+    ...renderLines(model, formatSlackLine, (title) => `*${title}*`),
+    renderAreas(
+      model,
+      (line) => `- ${escapeSlackText(line)}`,
+      (title) => `*${title}*`
+    ),
+    maintenance && `_${maintenance}_`,
+  ]);
+}
+
+/**
+ * Split lines into Slack section blocks that stay within the section text limit
+ *
+ * @param {Array<string>} lines - mrkdwn lines
+ * @returns {Array<Object>} - Section blocks
+ */
+function toSectionBlocks(lines) {
+  const texts = [];
+  let current = '';
+
+  for (const line of lines) {
+    const truncated =
+      line.length > SLACK_SECTION_TEXT_LIMIT
+        ? `${line.slice(0, SLACK_SECTION_TEXT_LIMIT - 1)}…`
+        : line;
+
+    if (current && current.length + truncated.length + 1 > SLACK_SECTION_TEXT_LIMIT) {
+      texts.push(current);
+      current = truncated;
+    } else {
+      current = current ? `${current}\n${truncated}` : truncated;
+    }
+  }
+
+  if (current) {
+    texts.push(current);
+  }
+
+  return texts.map((text) => ({ type: 'section', text: { type: 'mrkdwn', text } }));
+}
+
+/**
+ * Render release notes as Slack Block Kit blocks
+ * Sections longer than Slack's text limit are split over several blocks, and
+ * messages over Slack's block limit end with a note that the notes were truncated.
+ * Maintenance entries are counted in a context block.
+ *
+ * @param {Object} model - Release model
+ * @returns {Array<Object>} - Block Kit blocks
+ */
+export function renderSlackBlocks(model) {
+  const blocks = model.version
+    ? [{ type: 'header', text: { type: 'plain_text', text: model.version } }]
+    : [];
+
+  if (!model.hasNewCommits) {
+    return [...blocks, ...toSectionBlocks([NO_NEW_COMMITS])];
+  }
+
+  for (const lines of renderLines(model, formatSlackLine, (title) => `*${title}*`)) {
+    blocks.push(...toSectionBlocks(lines));
+  }
+
+  blocks.push(
+    ...toSectionBlocks(
+      renderAreas(
+        model,
+        (line) => `- ${escapeSlackText(line)}`,
+        (title) => `*${title}*`
+      )
+    )
+  );
+
+  const maintenance = formatMaintenanceCount(model);
+
+  if (maintenance) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: maintenance }] });
+  }
+
+  if (blocks.length > SLACK_MAX_BLOCKS) {
+    return [
+      ...blocks.slice(0, SLACK_MAX_BLOCKS - 1),
+      {
+        type: 'context',
+        elements: [
+          { type: 'mrkdwn', text: 'Release notes truncated, see GitHub for the full list' },
+        ],
+      },
+    ];
+  }
+
+  return blocks;
+}
+
+/**
+ * Render release notes as HTML
+ *
+ * @param {Object} model - Release model
+ * @returns {string} - HTML release notes
+ */
+export function renderHtml(model) {
+  if (!model.hasNewCommits) {
+    return `<p>${NO_NEW_COMMITS}</p>`;
+  }
+
+  const formatLine = (entry) => {
+    const prInfo = entry.pullRequest
+      ? ` in <a href="${escapeHtml(entry.pullRequest.url)}">#${entry.pullRequest.number}</a>`
+      : '';
+    const authors = escapeHtml(formatAuthorList(entry.authors));
+    const commitLinks = [entry, ...entry.cherryPicks]
+      .map((commit) => `<a href="${escapeHtml(commit.url)}"><code>${commit.shortHash}</code></a>`)
+      .join(', ');
+
+    return `<li>${commitLinks} - ${escapeHtml(entry.message)} by ${authors}${prInfo}${escapeHtml(formatShippedIn(entry))}</li>`;
+  };
+
+  const toList = (entries) => ['<ul>', ...entries.map(formatLine), '</ul>'].join('\n');
+  const maintenance =
+    model.maintenance.length > 0
+      ? [
+          '<details>',
+          `<summary>Maintenance (${formatCommitCount(model.maintenance.length)})</summary>`,
+          toList(model.maintenance),
+          '</details>',
+        ]
+      : [];
+
+  const lists =
+    model.layout === 'flat'
+      ? [model.entries.length > 0 ? toList(model.entries) : '']
+      : model.sections.map(
+          (section) => `<h3>${escapeHtml(section.title)}</h3>\n${toList(section.entries)}`
+        );
+
+  const areaLines = formatAreaLines(model);
+  const areas =
+    areaLines.length > 0
+      ? [
+          `<h3>${AREAS_TITLE}</h3>`,
+          ['<ul>', ...areaLines.map((line) => `<li>${escapeHtml(line)}</li>`), '</ul>'].join('\n'),
+        ]
+      : [];
+
+  return [...lists, ...areas, ...maintenance].filter(Boolean).join('\n');
+}
+
+/**
+ * Render release notes as plain text
+ * Maintenance entries are only counted.
+ *
+ * @param {Object} model - Release model
+ * @returns {string} - Plain text release notes or "No new commits"
+ */
+export function renderText(model) {
+  if (!model.hasNewCommits) {
+    return NO_NEW_COMMITS;
+  }
+
+  const formatLine = (entry) => {
+    const prInfo = entry.pullRequest ? ` (#${entry.pullRequest.number})` : '';
+
+    const hashes = [entry, ...entry.cherryPicks].map((commit) => commit.shortHash).join(', ');
+
+    return `- ${hashes} - ${entry.message} by ${formatAuthorList(entry.authors)}${prInfo}${formatShippedIn(entry)}`;
+  };
+
+  return joinBlocks([
+    ...renderLines(model, formatLine, (title) => `${title}:`),
+    renderAreas(
+      model,
+      (line) => `- ${line}`,
+      (title) => `${title}:`
+    ),
+    formatMaintenanceCount(model),
+  ]);
+}
+
+/**
+ * Render release notes in the given format
+ *
+ * @param {Object} model - Release model
+ * @param {string} format - One of RELEASE_NOTES_FORMATS (default: 'markdown')
+ * @returns {string|Array<Object>} - Rendered release notes (Block Kit blocks for 'slack-blocks')
+ * @throws {Error} - If the format is unknown
+ */
+export function renderReleaseNotes(model, format = 'markdown') {
+  switch (format) {
+    case 'markdown':
+      return renderMarkdown(model);
+    case 'slack':
+      return renderSlack(model);
+    case 'slack-blocks':
+      return renderSlackBlocks(model);
+    case 'html':
+      return renderHtml(model);
+    case 'text':
+      return renderText(model);
+    default:
+      throw new Error(
+        `Invalid release notes format: ${format}. Expected one of: ${RELEASE_NOTES_FORMATS.join(', ')}`
+      );
+  }
+}
@@ -0,0 +1,519 @@
+/**
+ * Release notes templates for GitHub Actions
+ * Renders a release model (see buildReleaseModel) through a logic-light,
+ * Mustache-like template: variables, sections (loops and conditionals) and partials
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { formatAuthorList, formatCommitCount, escapeCommitMessage } from './formatting.js';
+
+/**
+ * Built-in partials, available to every template
+ * Each can be replaced by a partial of the same name (e.g. "entry" for the line of a
+ * commit), also within the other built-in partials: "release" is the whole layout.
+ */
+export const DEFAULT_PARTIALS = {
+  release: [
+    '{{^hasNewCommits}}',
+    'No new commits',
+    '{{/hasNewCommits}}',
+    '{{#flat}}',
+    '{{#entries}}',
+    '{{> entry}}',
+    '{{/entries}}',
+    '{{/flat}}',
+    '{{#grouped}}',
+    '{{#sections}}',
+    '',
+    '### {{title}}',
+    '{{#entries}}',
+    '{{> entry}}',
+    '{{/entries}}',
+    '{{/sections}}',
+    '{{/grouped}}',
+    '{{#hasAreas}}',
+    '',
+    '{{> areas}}',
+    '{{/hasAreas}}',
+    '{{#maintenanceCount}}',
+    '',
+    '{{> maintenance}}',
+    '{{/maintenanceCount}}',
+    '',
+  ].join('\n'),
+  entry:
+    '- {{#commits}}[{{shortHash}}]({{url}}){{^@last}}, {{/@last}}{{/commits}} - {{message}} by {{authorList}}' +
+    '{{#pullRequest}} in [#{{number}}]({{url}}){{/pullRequest}}' +
+    '{{#shippedIn}} (shipped in {{shippedIn}}){{/shippedIn}}\n',
+  areas: [
+    '### Areas touched',
+    '{{#areas}}',
+    '- {{name}}: {{fileCount}} (+{{insertions}} -{{deletions}})',
+    '{{/areas}}',
+    '{{#diffStats}}',
+    '- Total: {{fileCount}} (+{{insertions}} -{{deletions}})',
+    '{{/diffStats}}',
+    '',
+  ].join('\n'),
+  maintenance: [
+    '<details>',
+    '<summary>Maintenance ({{maintenanceCount}})</summary>',
+    '',
+    '{{#maintenance}}',
+    '{{> entry}}',
+    '{{/maintenance}}',
+    '',
+    '</details>',
+    '',
+  ].join('\n'),
+};
+
+/**
+ * Built-in template: the markdown release notes of renderMarkdown
+ */
+export const DEFAULT_TEMPLATE = '{{> release}}';
+
+const TAG_TYPES = { '#': 'section', '^': 'inverted', '/': 'close', '>': 'partial', '!': 'comment' };
+const STANDALONE_TYPES = ['section', 'inverted', 'close', 'partial', 'comment'];
+const NAME_REGEX = /^(\.|@?[\w-]+(\.[\w-]+)*)$/;
+const MAX_PARTIAL_DEPTH = 20;
+
+/**
+ * Build the error of an invalid template, naming where it comes from
+ *
+ * @param {string} source - Template name (e.g. a file path or "partial entry")
+ * @param {number} line - Line of the template (1-based)
+ * @param {string} message - What is wrong
+ * @returns {Error} - Error to throw
+ */
+function templateError(source, line, message) {
+  return new Error(`Invalid template ${source}, line ${line}: ${message}`);
+}
+
+/**
+ * Split a template into text and tag tokens
+ *
+ * @param {string} template - Template text
+ * @param {string} source - Template name (for error messages)
+ * @returns {Array<Object>} - Tokens { type, value, name, line }
+ */
+function tokenize(template, source) {
+  const tokens = [];
+  let position = 0;
+  let line = 1;
+
+  const pushText = (value) => {
+    if (value) {
+      tokens.push({ type: 'text', value, line });
+      line += value.split('\n').length - 1;
+    }
+  };
+
+  while (position < template.length) {
+    const start = template.indexOf('{{', position);
+
+    if (start === -1) {
+      pushText(template.slice(position));
+      break;
+    }
+
+    pushText(template.slice(position, start));
+
+    const triple = template[start + 2] === '{';
+    const closing = triple ? '}}}' : '}}';
+    const end = template.indexOf(closing, start + (triple ? 3 : 2));
+
+    if (end === -1) {
+      throw templateError(source, line, `unclosed tag ${template.slice(start, start + 20)}`);
+    }
+
+    const content = template.slice(start + (triple ? 3 : 2), end).trim();
+    const type = triple
+      ? 'raw'
+      : TAG_TYPES[content[0]] || (content[0] === '&' ? 'raw' : 'variable');
+    const name = (triple || !/^[#^/>!&]/.test(content) ? content : content.slice(1)).trim();
+
+    if (type !== 'comment' && !(type === 'partial' ? name : NAME_REGEX.test(name))) {
+      throw templateError(source, line, `invalid tag {{${content}}}`);
+    }
+
+    tokens.push({ type, name, line });
+    line += template.slice(start, end).split('\n').length - 1;
+    position = end + closing.length;
+  }
+
+  return tokens;
+}
+
+/**
+ * Drop the whitespace around tags that stand alone on their line (sections,
+ * partials and comments), so they do not leave blank lines in the output
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @returns {Array<Object>} - Tokens with standalone lines trimmed
+ */
+function trimStandaloneTags(tokens) {
+  // Decide on the original text first: trimming a line must not change whether
+  // the tag on the next line stands alone
+  const cuts = tokens.map(() => ({ start: 0, end: 0 }));
+
+  tokens.forEach((token, index) => {
+    if (!STANDALONE_TYPES.includes(token.type)) {
+      return;
+    }
+
+    const previous = tokens[index - 1];
+    const next = tokens[index + 1];
+    const before = previous?.type === 'text' ? previous.value.match(/(^|\n)([ \t]*)$/) : null;
+    const after = next?.type === 'text' ? next.value.match(/^[ \t]*(\r?\n|$)/) : null;
+    const startsLine = index === 0 || (before && (before[1] || index === 1));
+    const endsLine =
+      index === tokens.length - 1 || (after && (after[1] || index === tokens.length - 2));
+
+    if (startsLine && endsLine) {
+      if (before) {
+        cuts[index - 1].end = before[2].length;
+      }
+
+      if (after) {
+        cuts[index + 1].start = after[0].length;
+      }
+    }
+  });
+
+  return tokens.map((token, index) =>
+    token.type === 'text'
+      ? {
+          ...token,
+          value: token.value.slice(cuts[index].start, token.value.length - cuts[index].end),
+        }
+      : token
+  );
+}
+
+/**
+ * Nest the tokens of sections into a tree
+ *
+ * @param {Array<Object>} tokens - Tokens from tokenize
+ * @param {string} source - Template name (for error messages)
+ * @returns {Array<Object>} - Nodes, sections holding their children
+ */
+function buildTree(tokens, source) {
+  const root = { children: [] };
+  const open = [root];
+
+  for (const token of tokens) {
+    const current = open[open.length - 1];
+
+    if (token.type === 'section' || token.type === 'inverted') {
+      const node = { ...token, children: [] };
+
+      current.children.push(node);
+      open.push(node);
+    } else if (token.type === 'close') {
+      if (current === root) {
+        throw templateError(source, token.line, `{{/${token.name}}} closes no section`);
+      }
+
+      if (current.name !== token.name) {
+        throw templateError(
+          source,
+          token.line,
+          `{{/${token.name}}} closes {{#${current.name}}} opened on line ${current.line}`
+        );
+      }
+
+      open.pop();
+    } else if (token.type !== 'comment') {
+      current.children.push(token);
+    }
+  }
+
+  if (open.length > 1) {
+    const unclosed = open[open.length - 1];
+
+    throw templateError(source, unclosed.line, `unclosed section {{#${unclosed.name}}}`);
+  }
+
+  return root.children;
+}
+
+/**
+ * Parse a template into a tree of nodes
+ *
+ * @param {string} template - Template text
+ * @param {string} source - Template name (for error messages, default: 'template')
+ * @returns {Array<Object>} - Nodes { type, value, name, line, children }
+ * @throws {Error} - If a tag is invalid or a section is not closed
+ */
+export function parseTemplate(template, source = 'template') {
+  return buildTree(trimStandaloneTags(tokenize(template, source)), source);
+}
+
+/**
+ * Look a name up in the context stack: "." is the current item, "a.b" reads b
+ * from the closest context that has a
+ *
+ * @param {Array<*>} stack - Contexts, innermost last
+ * @param {string} name - Variable name
+ * @returns {Object} - { found, value }
+ */
+function lookup(stack, name) {
+  if (name === '.') {
+    return { found: true, value: stack[stack.length - 1] };
+  }
+
+  const [head, ...rest] = name.split('.');
+  const context = [...stack]
+    .reverse()
+    .find((item) => item !== null && typeof item === 'object' && head in item);
+
+  if (!context) {
+    return { found: false, value: undefined };
+  }
+
+  return {
+    found: true,
+    value: rest.reduce((value, key) => value?.[key], context[head]),
+  };
+}
+
+/**
+ * Check if a section value is rendered: empty lists and falsy values are not
+ *
+ * @param {*} value - Section value
+ * @returns {boolean} - True if the section is rendered
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render template nodes
+ *
+ * @param {Array<Object>} nodes - Nodes from parseTemplate
+ * @param {Array<*>} stack - Contexts, innermost last
+ * @param {Object} options - { source, escape, resolvePartial (name => { source, nodes } or null), depth }
+ * @returns {string} - Rendered text
+ */
+function renderNodes(nodes, stack, options) {
+  const { source, escape, resolvePartial, depth } = options;
+
+  return nodes
+    .map((node) => {
+      if (node.type === 'text') {
+        return node.value;
+      }
+
+      if (node.type === 'partial') {
+        if (depth >= MAX_PARTIAL_DEPTH) {
+          throw templateError(source, node.line, `partials nested too deep at {{> ${node.name}}}`);
+        }
+
+        const partial = resolvePartial(node.name);
+
+        if (!partial) {
+          throw templateError(source, node.line, `unknown partial {{> ${node.name}}}`);
+        }
+
+        return renderNodes(partial.nodes, stack, {
+          ...options,
+          source: partial.source,
+          depth: depth + 1,
+        });
+      }
+
+      const { found, value } = lookup(stack, node.name);
+
+      if (!found) {
+        throw templateError(source, node.line, `unknown variable ${node.name}`);
+      }
+
+      if (node.type === 'inverted') {
+        return isTruthy(value) ? '' : renderNodes(node.children, stack, options);
+      }
+
+      if (node.type === 'section') {
+        if (!isTruthy(value)) {
+          return '';
+        }
+
+        if (!Array.isArray(value)) {
+          return renderNodes(node.children, [...stack, value], options);
+        }
+
+        return value
+          .map((item, index) => {
+            const loop = {
+              '@index': index,
+              '@first': index === 0,
+              '@last': index === value.length - 1,
+            };
+
+            return renderNodes(node.children, [...stack, loop, item], options);
+          })
+          .join('');
+      }
+
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        throw templateError(
+          source,
+          node.line,
+          `${node.name} is an object, use a section ({{#${node.name}}}...{{/${node.name}}}) to read its fields`
+        );
+      }
+
+      const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+
+      return node.type === 'raw' ? text : escape(text);
+    })
+    .join('');
+}
+
+/**
+ * Describe a release note entry for templates, with the fields a line needs
+ *
+ * @param {Object} entry - Release note entry (see buildCommitEntry)
+ * @returns {Object} - Entry with commits (the entry and its cherry-picks), authorList and tickets
+ */
+function toEntryView(entry) {
+  return {
+    ...entry,
+    commits: [entry, ...(entry.cherryPicks || [])].map(({ hash, shortHash, url }) => ({
+      hash,
+      shortHash,
+      url,
+    })),
+    authorList: formatAuthorList(entry.authors),
+    tickets: [...new Set(entry.message.match(/\b[A-Z][A-Z0-9]+-\d+\b/g) || [])],
+  };
+}
+
+/**
+ * Build the data templates are rendered over: the release model with entry
+ * fields ready to print and a few flags for sections
+ *
+ * @param {Object} model - Release model (see buildReleaseModel)
+ * @returns {Object} - Template view
+ */
+export function buildTemplateView(model) {
+  const entries = model.entries.map(toEntryView);
+  const withFileCount = (stats) => ({
+    ...stats,
+    fileCount: `${stats.files} ${stats.files === 1 ? 'file' : 'files'}`,
+  });
+  const areas = (model.diffStats?.areas || []).map(withFileCount);
+
+  return {
+    ...model,
+    flat: model.layout === 'flat',
+    grouped: model.layout === 'grouped',
+    entries,
+    sections: model.sections.map((section) => ({
+      ...section,
+      entries: section.entries.map(toEntryView),
+    })),
+    maintenance: model.maintenance.map(toEntryView),
+    maintenanceCount:
+      model.maintenance.length > 0 ? formatCommitCount(model.maintenance.length) : '',
+    byAuthor: model.authors.map((author) => ({
+      author,
+      entries: entries.filter((entry) => entry.authors.includes(author)),
+    })),
+    diffStats: model.diffStats ? withFileCount(model.diffStats) : null,
+    areas,
+    hasAreas: areas.length > 0,
+  };
+}
+
+/**
+ * Render a release model through a template
+ *
+ * Syntax: {{name}} prints a field (escaped for markdown, {{{name}}} as is),
+ * {{#name}}...{{/name}} loops over a list or renders when the field is set,
+ * {{^name}}...{{/name}} renders when it is not, {{> name}} includes a partial
+ * and {{! ... }} is a comment. In loops, {{@index}}, {{@first}} and {{@last}}
+ * describe the position of the item. Runs of blank lines are collapsed and the
+ * result is trimmed, so sections can be separated by a blank line each.
+ *
+ * @param {Object} model - Release model (see buildReleaseModel)
+ * @param {string} template - Template text (default: DEFAULT_TEMPLATE)
+ * @param {Object} options
+ * @param {string} options.source - Template name for error messages (default: 'template')
+ * @param {Object} options.partials - Partials by name, replacing DEFAULT_PARTIALS of the same name
+ * @param {Function} options.loadPartial - (name) => partial text or null, for partials not given (optional)
+ * @param {Function} options.escape - Escapes printed fields (default: escapeCommitMessage)
+ * @returns {string} - Rendered release notes
+ * @throws {Error} - If the template is invalid, or uses an unknown variable or partial
+ */
+export function renderTemplate(
+  model,
+  template = DEFAULT_TEMPLATE,
+  {
+    source = 'template',
+    partials = {},
+    loadPartial = () => null,
+    escape = escapeCommitMessage,
+  } = {}
+) {
+  // Partials are parsed once, however many entries include them
+  const parsed = new Map();
+  const resolvePartial = (name) => {
+    if (!parsed.has(name)) {
+      const text = partials[name] ?? loadPartial(name) ?? DEFAULT_PARTIALS[name];
+      const partialSource = `partial ${name}`;
+
+      parsed.set(
+        name,
+        typeof text === 'string'
+          ? { source: partialSource, nodes: parseTemplate(text, partialSource) }
+          : null
+      );
+    }
+
+    return parsed.get(name);
+  };
+  const output = renderNodes(parseTemplate(template, source), [buildTemplateView(model)], {
+    source,
+    escape,
+    resolvePartial,
+    depth: 0,
+  });
+
+  return output.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Load a template file
+ * Partials are read from the template's directory ({{> entry}} reads "entry.md"
+ * or "entry"), before the built-in partials.
+ *
+ * @param {string} templatePath - Template file path
+ * @returns {Object} - { template, source, loadPartial } to pass to renderTemplate
+ * @throws {Error} - If the file does not exist
+ */
+export function loadTemplate(templatePath) {
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Template not found: ${templatePath}`);
+  }
+
+  const dir = path.dirname(templatePath);
+
+  return {
+    template: fs.readFileSync(templatePath, 'utf8'),
+    source: templatePath,
+    loadPartial: (name) => {
+      const file = [`${name}.md`, name]
+        .map((candidate) => path.join(dir, candidate))
+        .find(
+          (candidate) =>
+            path.resolve(candidate) !== path.resolve(templatePath) &&
+            fs.existsSync(candidate) &&
+            fs.statSync(candidate).isFile()
+        );
+
+      return file ? fs.readFileSync(file, 'utf8') : null;
+    },
+  };
+}
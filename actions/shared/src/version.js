@@ -1,91 +1,814 @@
 /**
  * Version utilities for GitHub Actions
- * Handles semantic versioning operations
+ * Handles semantic versioning operations (SemVer 2.0.0, https://semver.org)
  */
 
+const IDENTIFIER_REGEX = /^[0-9A-Za-z-]+$/;
+const NUMERIC_REGEX = /^\d+$/;
+const TAG_PREFIX_REGEX = /^@?[\w.-]+(?:\/[\w.-]+)*@$/;
+
+/**
+ * Parse a version core component (major, minor or patch)
+ *
+ * @param {string} value - Component string
+ * @param {string} version - Full version string (for error messages)
+ * @returns {number} - Parsed component
+ * @throws {Error} - If the component is not a non-negative number without leading zeros
+ */
+function parseComponent(value, version) {
+  if (!/^-?\d+$/.test(value)) {
+    throw new Error(`Invalid version format: ${version}. Version components must be numbers`);
+  }
+
+  const number = parseInt(value, 10);
+
+  if (number < 0) {
+    throw new Error(`Invalid version format: ${version}. Version components must be non-negative`);
+  }
+
+  if (value.length > 1 && value.startsWith('0')) {
+    throw new Error(
+      `Invalid version format: ${version}. Version components must not have leading zeros`
+    );
+  }
+
+  return number;
+}
+
+/**
+ * Parse dot-separated pre-release identifiers ("rc.1" -> ['rc', 1])
+ * Numeric identifiers are returned as numbers so they compare numerically
+ *
+ * @param {string} value - Pre-release string (without the leading '-')
+ * @param {string} version - Full version string (for error messages)
+ * @returns {Array<string|number>} - Pre-release identifiers
+ */
+function parsePrerelease(value, version) {
+  return value.split('.').map((identifier) => {
+    if (!IDENTIFIER_REGEX.test(identifier)) {
+      throw new Error(`Invalid version format: ${version}. Invalid pre-release identifier`);
+    }
+
+    if (!NUMERIC_REGEX.test(identifier)) {
+      return identifier;
+    }
+
+    if (identifier.length > 1 && identifier.startsWith('0')) {
+      throw new Error(
+        `Invalid version format: ${version}. Numeric pre-release identifiers must not have leading zeros`
+      );
+    }
+
+    return parseInt(identifier, 10);
+  });
+}
+
+/**
+ * Parse dot-separated build metadata identifiers ("sha.abc" -> ['sha', 'abc'])
+ *
+ * @param {string} value - Build metadata string (without the leading '+')
+ * @param {string} version - Full version string (for error messages)
+ * @returns {Array<string>} - Build metadata identifiers
+ */
+function parseBuild(value, version) {
+  return value.split('.').map((identifier) => {
+    if (!IDENTIFIER_REGEX.test(identifier)) {
+      throw new Error(`Invalid version format: ${version}. Invalid build metadata identifier`);
+    }
+
+    return identifier;
+  });
+}
+
 /**
  * Parse a semantic version string into components
- * 
- * @param {string} version - Version string (e.g., "v1.2.3" or "1.2.3")
- * @returns {Object} - Parsed version { major, minor, patch, prefix }
+ *
+ * A monorepo tag prefix ending in '@' is accepted in front of the version
+ * ("helix@v1.2.3", "@injective/helix@1.2.3") and kept as `tagPrefix`.
+ *
+ * @param {string} version - Version string (e.g., "v1.2.3", "1.2.3", "v1.2.3-rc.1+sha.abc" or "helix@v1.2.3")
+ * @returns {Object} - Parsed version { major, minor, patch, prerelease, build, prefix, tagPrefix }
  * @throws {Error} - If version format is invalid
  */
 export function parseVersion(version) {
   if (!version) {
     throw new Error('Version string is required');
   }
-  
+
+  // Everything up to the last '@' is the tag prefix (build metadata cannot contain '@')
+  const tagPrefix = version.slice(0, version.lastIndexOf('@') + 1);
+  const unprefixed = version.slice(tagPrefix.length);
+
+  if (tagPrefix && !TAG_PREFIX_REGEX.test(tagPrefix)) {
+    throw new Error(`Invalid version format: ${version}. Invalid tag prefix: ${tagPrefix}`);
+  }
+
   // Check for 'v' prefix
-  const hasPrefix = version.startsWith('v');
-  const versionWithoutPrefix = hasPrefix ? version.slice(1) : version;
-  
-  const parts = versionWithoutPrefix.split('.');
-  
-  if (parts.length !== 3) {
+  const hasPrefix = unprefixed.startsWith('v');
+  const versionWithoutPrefix = hasPrefix ? unprefixed.slice(1) : unprefixed;
+
+  // Build metadata starts at the first '+', pre-release at the first '-' after the patch
+  const buildIndex = versionWithoutPrefix.indexOf('+');
+  const withoutBuild =
+    buildIndex === -1 ? versionWithoutPrefix : versionWithoutPrefix.slice(0, buildIndex);
+  const match = withoutBuild.match(/^([^.]*)\.([^.]*)\.([^.-]*)(?:-(.*))?$/);
+
+  if (!match) {
     throw new Error(`Invalid version format: ${version}. Expected format: v1.2.3 or 1.2.3`);
   }
-  
-  const [majorStr, minorStr, patchStr] = parts;
-  const major = parseInt(majorStr, 10);
-  const minor = parseInt(minorStr, 10);
-  const patch = parseInt(patchStr, 10);
-  
-  if (isNaN(major) || isNaN(minor) || isNaN(patch)) {
-    throw new Error(`Invalid version format: ${version}. Version components must be numbers`);
-  }
-  
-  if (major < 0 || minor < 0 || patch < 0) {
-    throw new Error(`Invalid version format: ${version}. Version components must be non-negative`);
+
+  const [, majorStr, minorStr, patchStr, prereleaseStr] = match;
+
+  return {
+    major: parseComponent(majorStr, version),
+    minor: parseComponent(minorStr, version),
+    patch: parseComponent(patchStr, version),
+    prerelease: prereleaseStr === undefined ? [] : parsePrerelease(prereleaseStr, version),
+    build: buildIndex === -1 ? [] : parseBuild(versionWithoutPrefix.slice(buildIndex + 1), version),
+    prefix: hasPrefix ? 'v' : '',
+    tagPrefix,
+  };
+}
+
+/**
+ * Get the monorepo tag prefix of a version ("helix@v1.2.3" -> "helix@", "v1.2.3" -> "")
+ *
+ * @param {string} version - Version string
+ * @returns {string} - Tag prefix, empty when the version has none
+ */
+export function getTagPrefix(version) {
+  return parseVersion(version).tagPrefix;
+}
+
+/**
+ * Replace the monorepo tag prefix of a version ("v1.2.3" + "helix@" -> "helix@v1.2.3")
+ *
+ * @param {string} version - Version string
+ * @param {string} tagPrefix - New tag prefix ending in '@', or '' to remove it
+ * @returns {string} - Version string with the new tag prefix
+ * @throws {Error} - If the tag prefix is invalid
+ */
+export function withTagPrefix(version, tagPrefix) {
+  if (tagPrefix && !TAG_PREFIX_REGEX.test(tagPrefix)) {
+    throw new Error(`Invalid tag prefix: ${tagPrefix}. Expected a prefix ending in '@' (e.g. "helix@")`);
   }
-  
-  return { major, minor, patch, prefix: hasPrefix ? 'v' : '' };
+
+  const parsed = parseVersion(version);
+
+  return formatVersion({ ...parsed, tagPrefix }, parsed.prefix === 'v');
+}
+
+/**
+ * Check if a version is a pre-release (e.g. "v1.18.0-rc.1")
+ *
+ * @param {string} version - Version string
+ * @returns {boolean} - True if the version has pre-release identifiers
+ */
+export function isPrerelease(version) {
+  return parseVersion(version).prerelease.length > 0;
 }
 
 /**
  * Increment the patch version
- * 
+ * A pre-release is promoted to its final version instead ("v1.2.3-rc.1" -> "v1.2.3")
+ *
  * @param {string} version - Current version string
- * @returns {string} - Incremented version string (always with 'v' prefix)
+ * @returns {string} - Incremented version string (always with 'v' prefix, keeping any tag prefix)
  */
 export function incrementPatch(version) {
-  const { major, minor, patch } = parseVersion(version);
+  const { major, minor, patch, prerelease, tagPrefix } = parseVersion(version);
+
+  if (prerelease.length > 0) {
+    return formatVersion({ major, minor, patch, tagPrefix });
+  }
 
-  return `v${major}.${minor}.${patch + 1}`;
+  return formatVersion({ major, minor, patch: patch + 1, tagPrefix });
 }
 
 /**
  * Increment the minor version (resets patch to 0)
- * 
+ * A pre-release of a minor version is promoted instead ("v1.3.0-rc.1" -> "v1.3.0")
+ *
  * @param {string} version - Current version string
- * @returns {string} - Incremented version string (always with 'v' prefix)
+ * @returns {string} - Incremented version string (always with 'v' prefix, keeping any tag prefix)
  */
 export function incrementMinor(version) {
-  const { major, minor } = parseVersion(version);
+  const { major, minor, patch, prerelease, tagPrefix } = parseVersion(version);
+
+  if (prerelease.length > 0 && patch === 0) {
+    return formatVersion({ major, minor, patch: 0, tagPrefix });
+  }
 
-  return `v${major}.${minor + 1}.0`;
+  return formatVersion({ major, minor: minor + 1, patch: 0, tagPrefix });
 }
 
 /**
  * Increment the major version (resets minor and patch to 0)
- * 
+ * A pre-release of a major version is promoted instead ("v2.0.0-rc.1" -> "v2.0.0")
+ *
  * @param {string} version - Current version string
- * @returns {string} - Incremented version string (always with 'v' prefix)
+ * @returns {string} - Incremented version string (always with 'v' prefix, keeping any tag prefix)
  */
 export function incrementMajor(version) {
-  const { major } = parseVersion(version);
+  const { major, minor, patch, prerelease, tagPrefix } = parseVersion(version);
+
+  if (prerelease.length > 0 && minor === 0 && patch === 0) {
+    return formatVersion({ major, minor: 0, patch: 0, tagPrefix });
+  }
+
+  return formatVersion({ major: major + 1, minor: 0, patch: 0, tagPrefix });
+}
+
+/**
+ * Supported bump levels, from lowest to highest
+ */
+export const BUMP_LEVELS = ['patch', 'minor', 'major'];
+
+/**
+ * Increment a version by the given bump level
+ *
+ * @param {string} version - Current version string
+ * @param {string} level - Bump level: 'patch', 'minor' or 'major'
+ * @returns {string} - Incremented version string (always with 'v' prefix, keeping any tag prefix)
+ * @throws {Error} - If the bump level is unknown
+ */
+export function incrementVersion(version, level) {
+  switch (level) {
+    case 'major':
+      return incrementMajor(version);
+    case 'minor':
+      return incrementMinor(version);
+    case 'patch':
+      return incrementPatch(version);
+    default:
+      throw new Error(`Invalid bump level: ${level}. Expected one of: ${BUMP_LEVELS.join(', ')}`);
+  }
+}
+
+/**
+ * Increment to the next pre-release version
+ *
+ * The target release is the version bumped by `level`. If the current version
+ * is already a pre-release of that target with the same identifier, its counter
+ * is incremented ("v1.18.0-rc.1" -> "v1.18.0-rc.2"). Otherwise a new pre-release
+ * series is started ("v1.17.5" -> "v1.17.6-rc.1", "v1.18.0-beta.2" -> "v1.18.0-rc.1").
+ *
+ * @param {string} version - Current version string
+ * @param {string} id - Pre-release identifier (default: 'rc')
+ * @param {string} level - Bump level of the target release (default: 'patch')
+ * @returns {string} - Pre-release version string (always with 'v' prefix, keeping any tag prefix)
+ */
+export function incrementPrerelease(version, id = 'rc', level = 'patch') {
+  return toPrerelease(version, incrementVersion(version, level), id);
+}
+
+/**
+ * Get the pre-release of a target release that follows a version
+ * (see incrementPrerelease, the target is the next final version of any scheme)
+ *
+ * @param {string} version - Current version string
+ * @param {string} targetVersion - Next final version
+ * @param {string} id - Pre-release identifier
+ * @returns {string} - Pre-release version string (always with 'v' prefix, keeping any tag prefix)
+ * @throws {Error} - If the identifier is invalid
+ */
+function toPrerelease(version, targetVersion, id) {
+  if (!id || !IDENTIFIER_REGEX.test(id) || NUMERIC_REGEX.test(id)) {
+    throw new Error(`Invalid pre-release identifier: ${id}`);
+  }
+
+  const current = parseVersion(version);
+  const target = parseVersion(targetVersion);
+  const isSameRelease =
+    current.prerelease.length > 0 &&
+    current.major === target.major &&
+    current.minor === target.minor &&
+    current.patch === target.patch;
+
+  if (isSameRelease && current.prerelease[0] === id) {
+    const prerelease = [...current.prerelease];
+    const counterIndex = prerelease.findLastIndex((identifier) => typeof identifier === 'number');
+
+    if (counterIndex > 0) {
+      prerelease[counterIndex] += 1;
+    } else {
+      prerelease.push(1);
+    }
+
+    return formatVersion({ ...target, prerelease });
+  }
+
+  return formatVersion({ ...target, prerelease: [id, 1] });
+}
+
+/**
+ * Increment a calendar version (YYYY.MM.SEQUENCE, e.g. "v2026.10.3")
+ *
+ * Within the month of the release date the sequence continues ("v2026.10.3" ->
+ * "v2026.10.4"), a new month starts again at 1 ("v2026.10.4" -> "v2026.11.1"), as
+ * does a switch from SemVer ("v1.17.5" -> "v2026.10.1"). A pre-release of the month
+ * is promoted instead ("v2026.10.3-rc.1" -> "v2026.10.3"). Months have no leading
+ * zero, so calendar versions are valid SemVer versions and sort by date.
+ *
+ * @param {string} version - Current version string
+ * @param {Date} date - Release date, read in UTC (default: now)
+ * @returns {string} - Incremented version string (always with 'v' prefix, keeping any tag prefix)
+ * @throws {Error} - If the current version is from a later month than the date
+ */
+export function incrementCalendarVersion(version, date = new Date()) {
+  const { major, minor, patch, prerelease, tagPrefix } = parseVersion(version);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+
+  if (major > year || (major === year && minor > month)) {
+    throw new Error(
+      `Invalid calendar version: ${version} is later than the release month ${year}.${month}`
+    );
+  }
+
+  if (major !== year || minor !== month) {
+    return formatVersion({ major: year, minor: month, patch: 1, tagPrefix });
+  }
+
+  return formatVersion({
+    major,
+    minor,
+    patch: prerelease.length > 0 ? patch : patch + 1,
+    tagPrefix,
+  });
+}
+
+/**
+ * Versioning schemes, each deriving the next final version from the previous one:
+ * `increment(version, { level, date })`, and optionally describing how a new version
+ * follows from the bump decision: `describeBump(version, { reason })`
+ *
+ * Every scheme gives SemVer compatible versions, so tag discovery, ordering and
+ * pre-releases work the same for all of them.
+ */
+export const VERSION_SCHEMES = {
+  semver: {
+    name: 'semver',
+    increment: (version, { level = 'patch' } = {}) => incrementVersion(version, level),
+  },
+  calver: {
+    name: 'calver',
+    increment: (version, { date = new Date() } = {}) => incrementCalendarVersion(version, date),
+    // The bump level does not move a calendar version, only the monthly sequence does
+    describeBump: (version, { reason }) => {
+      const { major, minor, patch } = parseVersion(version);
+
+      return `calver: sequence ${patch} of ${major}.${minor} (bump level not used: ${reason})`;
+    },
+  },
+};
+
+/**
+ * Resolve a versioning scheme by name
+ * A scheme object ({ name, increment }) is returned as is, so callers can plug in their own.
+ *
+ * @param {string|Object} scheme - Scheme name (a key of VERSION_SCHEMES) or scheme object
+ * @returns {Object} - Versioning scheme { name, increment }
+ * @throws {Error} - If the scheme is unknown
+ */
+export function getVersionScheme(scheme) {
+  if (typeof scheme?.increment === 'function') {
+    return scheme;
+  }
+
+  if (!Object.hasOwn(VERSION_SCHEMES, scheme)) {
+    throw new Error(
+      `Invalid version scheme: ${scheme}. Expected one of: ${Object.keys(VERSION_SCHEMES).join(', ')}`
+    );
+  }
+
+  return VERSION_SCHEMES[scheme];
+}
+
+/**
+ * Describe how a new version follows from the bump decision, in the terms of its scheme
+ * ("calver: sequence 3 of 2026.10 (bump level not used: minor: ...)"). Schemes without
+ * `describeBump` keep the bump reason as is.
+ *
+ * @param {string} version - New version string
+ * @param {Object} options
+ * @param {string|Object} options.scheme - Versioning scheme (default: 'semver', see getVersionScheme)
+ * @param {string} options.reason - Bump reason (see determineBump)
+ * @returns {string} - Reason of the new version
+ */
+export function describeBump(version, { scheme = 'semver', reason }) {
+  const { describeBump: describe } = getVersionScheme(scheme);
+
+  return describe ? describe(version, { reason }) : reason;
+}
+
+/**
+ * Get the next version of a release through a versioning scheme
+ *
+ * @param {string} version - Current version string
+ * @param {Object} options
+ * @param {string|Object} options.scheme - Versioning scheme (default: 'semver', see getVersionScheme)
+ * @param {string} options.level - Bump level, used by SemVer (default: 'patch')
+ * @param {string} options.prereleaseId - Cut a pre-release of the next version with this identifier (optional)
+ * @param {Date} options.date - Release date, used by CalVer (default: now)
+ * @returns {string} - Next version string (always with 'v' prefix, keeping any tag prefix)
+ */
+export function nextVersion(
+  version,
+  { scheme = 'semver', level = 'patch', prereleaseId = '', date = new Date() } = {}
+) {
+  const target = getVersionScheme(scheme).increment(version, { level, date });
+
+  return prereleaseId ? toPrerelease(version, target, prereleaseId) : target;
+}
+
+/**
+ * Promote a pre-release to its final version, dropping pre-release and build metadata
+ * ("v1.18.0-rc.1" -> "v1.18.0", "v1.18.0+sha.abc" -> "v1.18.0")
+ *
+ * @param {string} version - Version string
+ * @returns {string} - Final version string (always with 'v' prefix, keeping any tag prefix)
+ */
+export function promoteVersion(version) {
+  const { major, minor, patch, tagPrefix } = parseVersion(version);
+
+  return formatVersion({ major, minor, patch, tagPrefix });
+}
+
+/**
+ * Compare pre-release identifier lists following SemVer 2.0 precedence rules:
+ * - A version without pre-release has higher precedence than one with it
+ * - Identifiers are compared left to right; numeric ones numerically,
+ *   alphanumeric ones lexically, and numeric ones sort before alphanumeric ones
+ * - A larger set of identifiers wins when all preceding ones are equal
+ *
+ * @param {Array<string|number>} a - Pre-release identifiers
+ * @param {Array<string|number>} b - Pre-release identifiers
+ * @returns {number} - -1 if a < b, 1 if a > b, 0 if equal
+ */
+export function comparePrerelease(a = [], b = []) {
+  if (a.length === 0 || b.length === 0) {
+    return Math.sign(b.length - a.length);
+  }
+
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) {
+      return -1;
+    }
+
+    if (b[i] === undefined) {
+      return 1;
+    }
+
+    if (a[i] === b[i]) {
+      continue;
+    }
+
+    const aIsNumber = typeof a[i] === 'number';
+    const bIsNumber = typeof b[i] === 'number';
+
+    if (aIsNumber !== bIsNumber) {
+      return aIsNumber ? -1 : 1;
+    }
+
+    return a[i] < b[i] ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Compare two versions by SemVer precedence (build metadata is ignored)
+ *
+ * @param {string} a - Version string
+ * @param {string} b - Version string
+ * @returns {number} - -1 if a < b, 1 if a > b, 0 if equal precedence
+ */
+export function compareVersions(a, b) {
+  return compareParsed(parseVersion(a), parseVersion(b));
+}
+
+/**
+ * Compare two parsed versions by SemVer precedence (see compareVersions)
+ *
+ * @param {Object} a - Parsed version { major, minor, patch, prerelease }
+ * @param {Object} b - Parsed version { major, minor, patch, prerelease }
+ * @returns {number} - -1 if a < b, 1 if a > b, 0 if equal precedence
+ */
+function compareParsed(a, b) {
+  for (const key of ['major', 'minor', 'patch']) {
+    if (a[key] !== b[key]) {
+      return a[key] < b[key] ? -1 : 1;
+    }
+  }
+
+  return comparePrerelease(a.prerelease, b.prerelease);
+}
+
+/**
+ * Sort versions by SemVer precedence, lowest first
+ * Versions of equal precedence (e.g. differing in build metadata) keep their order.
+ *
+ * @param {Array<string>} versions - Version strings
+ * @param {Object} options
+ * @param {boolean} options.descending - Sort highest first (default: false)
+ * @returns {Array<string>} - Sorted copy of the versions
+ * @throws {Error} - If a version is invalid
+ */
+export function sortVersions(versions, { descending = false } = {}) {
+  const direction = descending ? -1 : 1;
+
+  return versions
+    .map((version) => ({ version, parsed: parseVersion(version) }))
+    .sort((a, b) => direction * compareParsed(a.parsed, b.parsed))
+    .map(({ version }) => version);
+}
+
+/**
+ * Version of a range: "1.2.3", a partial "1.2" / "1" or an X-range "1.x" / "1.2.*" / "*"
+ * Missing and wildcard components are null, as are the ones after them ("1.x.3" is "1.x").
+ */
+const RANGE_VERSION_REGEX =
+  /^v?(0|[1-9]\d*|[xX*])(?:\.(0|[1-9]\d*|[xX*])(?:\.(0|[1-9]\d*|[xX*])(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?)?)?$/;
+const RANGE_OPERATOR_REGEX = /^(<=|>=|<|>|=|~>|~|\^)?(.*)$/;
+const ANY_VERSION = { major: null, minor: null, patch: null, prerelease: [] };
+
+/**
+ * Parse the version of a range comparator
+ *
+ * @param {string} value - Version, partial version or X-range
+ * @param {string} range - Full range (for error messages)
+ * @returns {Object} - { major, minor, patch, prerelease }, null for missing components
+ */
+function parseRangeVersion(value, range) {
+  const match = value.match(RANGE_VERSION_REGEX);
+
+  if (!match) {
+    throw new Error(`Invalid version range: ${range}`);
+  }
+
+  const components = match
+    .slice(1, 4)
+    .map((component) =>
+      component === undefined || /^[xX*]$/.test(component) ? null : parseInt(component, 10)
+    );
+  const wildcard = components.indexOf(null);
+  const [major, minor, patch] =
+    wildcard === -1 ? components : components.map((c, index) => (index < wildcard ? c : null));
+
+  return {
+    major,
+    minor,
+    patch,
+    prerelease: patch !== null && match[4] ? parsePrerelease(match[4], range) : [],
+  };
+}
+
+/**
+ * Build a range comparator; the "-0" upper bounds exclude the pre-releases of the bound
+ */
+function comparator(operator, major, minor = 0, patch = 0, prerelease = []) {
+  return { operator, version: { major, minor, patch, prerelease } };
+}
+
+const upperBound = (major, minor = 0, patch = 0) => comparator('<', major, minor, patch, [0]);
+
+/**
+ * Desugar a primitive or X-range comparator ("1.x", ">1.2", "<=1") to comparators on full versions
+ */
+function desugarPrimitive(operator, { major, minor, patch, prerelease }) {
+  if (major === null) {
+    // "<*" and ">*" match nothing, "*", ">=*" and "<=*" anything
+    return operator === '<' || operator === '>' ? [upperBound(0)] : [];
+  }
+
+  if (patch !== null) {
+    return [comparator(operator || '=', major, minor, patch, prerelease)];
+  }
+
+  // Partial versions: the next version of the missing component bounds the range
+  const next = minor === null ? [major + 1, 0] : [major, minor + 1];
+
+  switch (operator) {
+    case '>':
+      return [comparator('>=', ...next)];
+    case '>=':
+      return [comparator('>=', major, minor ?? 0)];
+    case '<':
+      return [upperBound(major, minor ?? 0)];
+    case '<=':
+      return [upperBound(...next)];
+    default:
+      return [comparator('>=', major, minor ?? 0), upperBound(...next)];
+  }
+}
+
+/**
+ * Desugar a tilde range: patch updates when a minor version is given ("~1.2.3" is
+ * ">=1.2.3 <1.3.0-0"), minor updates otherwise ("~1" is ">=1.0.0 <2.0.0-0")
+ */
+function desugarTilde({ major, minor, patch, prerelease }) {
+  if (major === null) {
+    return [];
+  }
+
+  if (minor === null) {
+    return [comparator('>=', major), upperBound(major + 1)];
+  }
+
+  return [comparator('>=', major, minor, patch ?? 0, prerelease), upperBound(major, minor + 1)];
+}
+
+/**
+ * Desugar a caret range: updates that keep the left-most non-zero component
+ * ("^1.2.3" is ">=1.2.3 <2.0.0-0", "^0.2.3" is ">=0.2.3 <0.3.0-0", "^0.0.3" is
+ * ">=0.0.3 <0.0.4-0"); missing components are treated as wildcards ("^0.0" is
+ * ">=0.0.0 <0.1.0-0")
+ */
+function desugarCaret({ major, minor, patch, prerelease }) {
+  if (major === null) {
+    return [];
+  }
+
+  const lower = comparator('>=', major, minor ?? 0, patch ?? 0, prerelease);
+
+  if (major > 0 || minor === null) {
+    return [lower, upperBound(major + 1)];
+  }
+
+  if (minor > 0 || patch === null) {
+    return [lower, upperBound(0, minor + 1)];
+  }
+
+  return [lower, upperBound(0, 0, patch + 1)];
+}
+
+/**
+ * Desugar a hyphen range: inclusive on both ends, a partial upper version accepts
+ * every version it covers ("1.2.3 - 2.3" is ">=1.2.3 <2.4.0-0")
+ */
+function desugarHyphen(from, to) {
+  const lower =
+    from.major === null
+      ? []
+      : [comparator('>=', from.major, from.minor ?? 0, from.patch ?? 0, from.prerelease)];
+
+  if (to.major === null) {
+    return lower;
+  }
+
+  if (to.patch !== null) {
+    return [...lower, comparator('<=', to.major, to.minor, to.patch, to.prerelease)];
+  }
+
+  return [
+    ...lower,
+    to.minor === null ? upperBound(to.major + 1) : upperBound(to.major, to.minor + 1),
+  ];
+}
+
+/**
+ * Parse an npm-style version range into comparator sets
+ *
+ * Supported syntax (https://docs.npmjs.com/cli/v10/using-npm/semver#ranges):
+ * - primitives: "<1.2.3", "<=1.2.3", ">1.2.3", ">=1.2.3", "=1.2.3", "1.2.3"
+ * - X-ranges and partial versions: "*", "1.x", "1.2.*", "1", "1.2"
+ * - tilde ranges: "~1.2.3", "~1.2", "~1" (and "~>1.2.3")
+ * - caret ranges: "^1.2.3", "^0.2.3", "^0.0.3", "^1.x"
+ * - hyphen ranges: "1.2.3 - 2.3.4"
+ * - comparators separated by spaces must all match, sets separated by "||" any of them
+ *
+ * @param {string} range - Version range
+ * @returns {Array<Array<Object>>} - Comparator sets { operator, version }, an empty set matches any version
+ * @throws {Error} - If the range is invalid
+ */
+export function parseRange(range) {
+  if (typeof range !== 'string') {
+    throw new Error(`Invalid version range: ${range}`);
+  }
+
+  return range.split('||').map((set) => {
+    // "- " between two versions is a hyphen range, an operator may be followed by spaces
+    const normalized = set.trim().replace(/(<=|>=|<|>|=|~>|~|\^)\s+/g, '$1');
+    const hyphen = normalized.match(/^(\S+)\s+-\s+(\S+)$/);
+
+    if (hyphen) {
+      return desugarHyphen(
+        parseRangeVersion(hyphen[1], range),
+        parseRangeVersion(hyphen[2], range)
+      );
+    }
+
+    return normalized
+      .split(/\s+/)
+      .filter(Boolean)
+      .flatMap((token) => {
+        const [, operator = '', value] = token.match(RANGE_OPERATOR_REGEX);
+        const version = value ? parseRangeVersion(value, range) : ANY_VERSION;
+
+        if (!value && operator) {
+          throw new Error(`Invalid version range: ${range}`);
+        }
+
+        if (operator === '^') {
+          return desugarCaret(version);
+        }
+
+        return operator === '~' || operator === '~>'
+          ? desugarTilde(version)
+          : desugarPrimitive(operator, version);
+      });
+  });
+}
+
+/**
+ * Test a parsed version against a comparator set
+ * A pre-release only matches when a comparator of the set is a pre-release of the same
+ * [major, minor, patch] ("1.2.3-rc.2" matches ">=1.2.3-rc.1" but not ">=1.0.0"), as in npm.
+ */
+function testComparatorSet(set, version) {
+  const matches = set.every(({ operator, version: bound }) => {
+    const order = compareParsed(version, bound);
+
+    switch (operator) {
+      case '<':
+        return order < 0;
+      case '<=':
+        return order <= 0;
+      case '>':
+        return order > 0;
+      case '>=':
+        return order >= 0;
+      default:
+        return order === 0;
+    }
+  });
+
+  if (!matches || version.prerelease.length === 0) {
+    return matches;
+  }
+
+  return set.some(
+    ({ version: bound }) =>
+      bound.prerelease.length > 0 &&
+      bound.major === version.major &&
+      bound.minor === version.minor &&
+      bound.patch === version.patch
+  );
+}
+
+/**
+ * Check whether a version satisfies an npm-style range (see parseRange)
+ *
+ * @param {string} version - Version string (a 'v' or tag prefix is ignored)
+ * @param {string} range - Version range (e.g. "^1.2.3", ">=14.0.0 <14.2.25 || 15.x")
+ * @returns {boolean} - True if the version is in the range, false if it is not or is not a valid version
+ * @throws {Error} - If the range is invalid
+ */
+export function satisfies(version, range) {
+  const sets = parseRange(range);
+  let parsed;
+
+  try {
+    parsed = parseVersion(version);
+  } catch {
+    return false;
+  }
+
+  return sets.some((set) => testComparatorSet(set, parsed));
+}
+
+/**
+ * Get the highest version that satisfies a range
+ *
+ * @param {Array<string>} versions - Version strings, invalid ones are skipped
+ * @param {string} range - Version range (see parseRange)
+ * @returns {string|null} - Highest satisfying version, or null when none does
+ * @throws {Error} - If the range is invalid
+ */
+export function maxSatisfying(versions, range) {
+  const [highest] = sortVersions(
+    versions.filter((version) => satisfies(version, range)),
+    { descending: true }
+  );
 
-  return `v${major + 1}.0.0`;
+  return highest ?? null;
 }
 
 /**
  * Format version object back to string
- * 
- * @param {Object} version - Version object { major, minor, patch }
+ *
+ * @param {Object} version - Version object { major, minor, patch, prerelease, build, tagPrefix }
  * @param {boolean} withPrefix - Whether to include 'v' prefix (default: true)
  * @returns {string} - Formatted version string
  */
-export function formatVersion({ major, minor, patch }, withPrefix = true) {
-  const prefix = withPrefix ? 'v' : '';
+export function formatVersion(
+  { major, minor, patch, prerelease = [], build = [], tagPrefix = '' },
+  withPrefix = true
+) {
+  const prefix = `${tagPrefix}${withPrefix ? 'v' : ''}`;
+  const prereleaseSuffix = prerelease.length > 0 ? `-${prerelease.join('.')}` : '';
+  const buildSuffix = build.length > 0 ? `+${build.join('.')}` : '';
 
-  return `${prefix}${major}.${minor}.${patch}`;
+  return `${prefix}${major}.${minor}.${patch}${prereleaseSuffix}${buildSuffix}`;
 }